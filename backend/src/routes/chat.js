@@ -1,16 +1,23 @@
 // backend/src/routes/chat.js
 import express from "express";
 import crypto from "node:crypto";
-import path from "node:path";
-import fs from "node:fs";
-import { renderSystemPrompt } from "../utils/systemPrompt.js";
+import { renderArmSystemPrompt } from "../utils/systemPrompt.js";
+import { hashText } from "../utils/promptRegistry.js";
+import { TIMED_SUMMARY_REQUEST, renderSummaryInstructions } from "../utils/summaryPrompt.js";
+import messageProvenance from "../../../lib/messageProvenance.js";
+import chatDeadline from "../../../lib/chatDeadline.js";
+import modelUsage from "../../../lib/modelUsage.js";
+import conversationSummary from "../../../lib/conversationSummary.js";
 import { openingLineFrom } from "../utils/openingLine.js";
-import { enforceOnTopic, redirectLine, detectPoliticalDrift, detectBeliefDrift, detectActionRoleDrift, trackUserResponse, detectRepetition, setQuestionIntent, isQuestionBlocked, getAlternativeQuestion, resetConversationState, getConversationState } from "../utils/onTopic.js";
+import { openEventStream } from "../utils/eventStream.js";
+import { conversationStateManager } from "../utils/conversationStateManager.js";
+import { getStageGuidance, resolveArm } from "../utils/studyConfig.js";
+import { enforceOnTopic, redirectLine, detectPoliticalDrift, detectBeliefDrift, detectActionRoleDrift, trackUserResponse, detectRepetition, setQuestionIntent, isQuestionBlocked, getAlternativeQuestion, resetConversationState, getConversationState, loadConversationState, persistConversationState, releaseConversationState } from "../utils/onTopic.js";
 
 /**
- * Incrementally update participant file with conversation messages.
+ * Incrementally update the participant record with conversation messages.
  * This ensures messages are persisted after each turn, preventing data loss on disconnect/refresh.
- * Uses global.db methods which work with both database and files.
+ * Reads and writes through global.db, i.e. the configured storage backend.
  *
  * @param {string} conversationId - The conversation ID
  * @param {string} participantId - The participant ID
@@ -20,7 +27,7 @@ async function updateParticipantMessagesIncremental(conversationId, participantI
     try {
         console.log(`💾 Incremental update starting for conversation ${conversationId}, participant ${participantId}`);
         
-        // Load conversation messages from database via global.db (works in production)
+        // Load conversation messages via global.db
         let conversationMessages = [];
         try {
             conversationMessages = await loadMessages(conversationId);
@@ -34,16 +41,14 @@ async function updateParticipantMessagesIncremental(conversationId, participantI
             return false;
         }
         
-        // Load participant data from file (participant files ARE written in production)
-        const participantFile = path.join(process.cwd(), 'data', 'participants', `${participantId}.json`);
+        // Load participant data via global.db
+        const participantData = await global.db.participants.get(participantId);
         
-        if (!fs.existsSync(participantFile)) {
-            console.warn(`⚠️ No participant file found for incremental update: ${participantId}`);
+        if (!participantData) {
+            console.warn(`⚠️ No participant record found for incremental update: ${participantId}`);
             return false;
         }
         
-        const participantData = JSON.parse(fs.readFileSync(participantFile, 'utf8'));
-        
         // Filter messages: exclude system prompts and opening line
         const filteredMessages = filterChatMessages(conversationMessages, {
             excludeSystem: true,
@@ -63,7 +68,8 @@ async function updateParticipantMessagesIncremental(conversationId, participantI
             text: msg.content,
             timestamp: msg.timestamp || new Date().toISOString(),
             metadata: {
-                generated_summary: msg.generated_summary || false
+                generated_summary: msg.generated_summary || false,
+                provenance: msg.provenance || null
             }
         }));
         
@@ -74,7 +80,7 @@ async function updateParticipantMessagesIncremental(conversationId, participantI
         participantData.updatedAt = new Date().toISOString();
         
         // Save updated participant data
-        fs.writeFileSync(participantFile, JSON.stringify(participantData, null, 2));
+        await global.db.participants.save(participantData);
         console.log(`💾 Incremental update: Saved ${transformedMessages.length} messages to participant ${participantId}`);
         
         return true;
@@ -141,251 +147,6 @@ function filterChatMessages(messages, options = {}) {
   return filtered;
 }
 
-// Conversation flow tracking
-const conversationStates = new Map(); // In-memory tracking for conversation states
-
-// Conversation tracking functions
-function initializeConversationState(conversationId) {
-  if (!conversationStates.has(conversationId)) {
-    conversationStates.set(conversationId, {
-      stage: 'exploration', // exploration -> elaboration -> recap -> complete
-      turnCount: 0,
-      topicTurnCount: 0,
-      lastTopic: null,
-      minimalResponseCount: 0,
-      substantiveResponseCount: 0,
-      exhaustionSignals: 0,
-      lastUserResponse: null,
-      // Enhanced narrative tracking
-      exploredTopics: new Set(), // Track what has been asked about
-      lastAssistantResponse: null, // Track AI's last response for pattern detection
-      narrativeUnderstanding: {
-        mainStory: null, // User's core belief change narrative
-        influences: [], // People/events that influenced them
-        causeEffectRelationships: [], // Track understood relationships
-        misunderstandingFlags: 0 // Track potential comprehension issues
-      },
-      responsePatterns: {
-        lastOpeningPhrase: null, // Track opening phrases to ensure variation
-        consecutiveSimilarResponses: 0 // Prevent formulaic responses
-      }
-    });
-  }
-  return conversationStates.get(conversationId);
-}
-
-function updateConversationState(conversationId, userText, assistantResponse = null) {
-  const state = initializeConversationState(conversationId);
-  state.turnCount++;
-  
-  // Detect current topic from user response (simplified)
-  const currentTopic = extractTopic(userText);
-  if (currentTopic === state.lastTopic) {
-    state.topicTurnCount++;
-  } else {
-    state.topicTurnCount = 1;
-    state.lastTopic = currentTopic;
-  }
-  
-  // Track explored topics to prevent repetition
-  state.exploredTopics.add(currentTopic);
-  
-  // Classify response as minimal or substantive
-  if (isMinimalResponse(userText)) {
-    state.minimalResponseCount++;
-    state.substantiveResponseCount = 0; // Reset substantive counter
-  } else {
-    state.substantiveResponseCount++;
-    state.minimalResponseCount = 0; // Reset minimal counter
-  }
-  
-  // Track exhaustion signals
-  if (isExhaustionSignal(userText)) {
-    state.exhaustionSignals++;
-  } else {
-    state.exhaustionSignals = Math.max(0, state.exhaustionSignals - 1); // Decay
-  }
-  
-  // Enhanced narrative understanding tracking
-  updateNarrativeUnderstanding(state, userText);
-  
-  // Track assistant response patterns if provided
-  if (assistantResponse) {
-    updateResponsePatterns(state, assistantResponse);
-  }
-  
-  state.lastUserResponse = userText;
-  state.lastAssistantResponse = assistantResponse;
-  
-  // Auto-advance stages based on conversation progress
-  if (state.stage === 'exploration' && shouldAdvanceToElaboration(state)) {
-    state.stage = 'elaboration';
-    console.log('🔄 Auto-advancing to elaboration stage');
-  } else if (state.stage === 'elaboration' && shouldAdvanceToRecap(state)) {
-    state.stage = 'recap';
-    console.log('🔄 Auto-advancing to recap stage');
-  }
-  
-  return state;
-}
-
-// Enhanced narrative understanding tracking
-function updateNarrativeUnderstanding(state, userText) {
-  const text = userText.toLowerCase();
-  
-  // Extract potential influences and their direction
-  if (text.includes('uncle') || text.includes('family') || text.includes('friend')) {
-    const influence = extractInfluenceFromText(userText);
-    if (influence && !state.narrativeUnderstanding.influences.some(i => i.person === influence.person)) {
-      state.narrativeUnderstanding.influences.push(influence);
-      console.log('📝 Tracked new influence:', influence);
-    }
-  }
-  
-  // Detect cause-effect relationships
-  if (text.includes('because') || text.includes('so') || text.includes('since') || text.includes('made me')) {
-    const relationship = extractCauseEffectFromText(userText);
-    if (relationship) {
-      state.narrativeUnderstanding.causeEffectRelationships.push(relationship);
-      console.log('📝 Tracked cause-effect relationship:', relationship);
-    }
-  }
-  
-  // Update main story if this seems to be the core narrative
-  if (isMainStoryContent(userText)) {
-    state.narrativeUnderstanding.mainStory = userText;
-    console.log('📝 Updated main story understanding');
-  }
-}
-
-// Track assistant response patterns to prevent repetition
-function updateResponsePatterns(state, assistantResponse) {
-  if (!assistantResponse) return;
-  
-  // Extract opening phrase pattern
-  const openingPhrase = extractOpeningPhrase(assistantResponse);
-  if (openingPhrase) {
-    if (openingPhrase === state.responsePatterns.lastOpeningPhrase) {
-      state.responsePatterns.consecutiveSimilarResponses++;
-      console.log('⚠️ Detected repetitive opening phrase:', openingPhrase);
-    } else {
-      state.responsePatterns.consecutiveSimilarResponses = 0;
-    }
-    state.responsePatterns.lastOpeningPhrase = openingPhrase;
-  }
-}
-
-// Helper functions for narrative analysis
-function extractInfluenceFromText(text) {
-  const lowerText = text.toLowerCase();
-  let person = null;
-  let direction = null;
-  
-  if (lowerText.includes('uncle')) person = 'uncle';
-  else if (lowerText.includes('friend')) person = 'friend';
-  else if (lowerText.includes('family')) person = 'family member';
-  
-  if (person) {
-    // Determine direction of influence
-    if (lowerText.includes('made me reject') || lowerText.includes('got sick of') ||
-        lowerText.includes('started believing the opposite') || lowerText.includes('turned me off')) {
-      direction = 'away_from';
-    } else if (lowerText.includes('convinced me') || lowerText.includes('helped me believe') ||
-               lowerText.includes('made me think')) {
-      direction = 'toward';
-    }
-    
-    return { person, direction, text: text.substring(0, 100) };
-  }
-  return null;
-}
-
-function extractCauseEffectFromText(text) {
-  // Simple extraction of cause-effect patterns
-  const simplified = text.substring(0, 150);
-  return { relationship: simplified, timestamp: Date.now() };
-}
-
-function isMainStoryContent(text) {
-  const words = text.split(' ').length;
-  return words > 10 && (
-    text.toLowerCase().includes('changed') ||
-    text.toLowerCase().includes('believe') ||
-    text.toLowerCase().includes('think')
-  );
-}
-
-function extractOpeningPhrase(response) {
-  const match = response.match(/^([^.!?]*[.!?])/);
-  return match ? match[1].trim().substring(0, 50) : null;
-}
-
-function extractTopic(userText) {
-  // Simple topic extraction - look for key themes
-  const text = userText.toLowerCase();
-  if (text.includes('bushfire') || text.includes('fire')) return 'bushfires';
-  if (text.includes('news') || text.includes('media')) return 'news';
-  if (text.includes('evidence') || text.includes('research')) return 'evidence';
-  if (text.includes('people') || text.includes('family') || text.includes('friend')) return 'social';
-  return 'general';
-}
-
-function isMinimalResponse(userText) {
-  const text = userText.trim().toLowerCase();
-  const wordCount = text.split(/\s+/).length;
-  
-  // Only treat responses as minimal if they're very short AND lack substance
-  // Don't penalize normal conversational responses like "no" or "yes" unless they're truly minimal
-  const minimalPatterns = [
-    /^(that's all|nothing else|no more|can't think of anything)$/i,
-    /^(i've said everything|that's it|finished|done)$/i,
-    /^(don't know|dunno)$/i
-  ];
-  
-  // Much stricter criteria: only 1-2 word responses that are clearly minimal
-  return (wordCount <= 2 && minimalPatterns.some(pattern => pattern.test(text))) ||
-         wordCount === 1;
-}
-
-function isExhaustionSignal(userText) {
-  const text = userText.trim().toLowerCase();
-  const exhaustionPatterns = [
-    /that's all i've got/i,
-    /nothing else to say/i,
-    /can't think of anything/i,
-    /i've said everything/i,
-    /that's about it/i,
-    /that's all/i,
-    /nothing more/i,
-    /^finish$/i,
-    /^done$/i,
-    /^finished$/i,
-    /wrap up/i,
-    /end this/i
-  ];
-  
-  // Don't treat simple "no" or "nah" as exhaustion - these are normal conversation responses
-  return exhaustionPatterns.some(pattern => pattern.test(text));
-}
-
-function shouldAdvanceToElaboration(state) {
-  // Disabled - no automatic stage advancement based on thresholds
-  // Only timer controls conversation summary
-  return false;
-}
-
-function shouldAdvanceToRecap(state) {
-  // Disabled - no automatic stage advancement based on thresholds
-  // Only timer controls conversation summary
-  return false;
-}
-
-function shouldTriggerSummary(state) {
-  // Disabled - no automatic summary triggering based on thresholds
-  // Only timer controls conversation summary
-  return false;
-}
-
 // Enhanced termination detection
 function isTerminationRequest(userText) {
   const text = userText.trim();
@@ -423,30 +184,29 @@ async function loadMessages(conversationId) {
 async function appendMessage(conversationId, message) {
   return await global.db.conversations.append(conversationId, message);
 }
+async function getConversationRecord(conversationId) {
+  return await global.db.conversations.getMetadata(conversationId);
+}
+async function findParticipantConversations(userId) {
+  return await global.db.conversations.findByParticipant(userId);
+}
+async function endStoredConversation(conversationId, reason) {
+  return await global.db.conversations.end(conversationId, reason);
+}
+async function saveConversationSummary(conversationId, summary) {
+  return await global.db.conversations.setSummary(conversationId, summary);
+}
 
 // Enhanced function to reliably get userId from conversationId
 async function getUserIdFromConversation(conversationId) {
   try {
     console.log(`🔍 Getting userId for conversation: ${conversationId}`);
     
-    // Try database first
     if (global.db?.conversations) {
       const conversation = await global.db.conversations.getMetadata(conversationId);
       if (conversation?.userId || conversation?.participantId) {
         const userId = conversation.userId || conversation.participantId;
-        console.log(`✅ Found userId in database: ${userId}`);
-        return userId;
-      }
-    }
-    
-    // Fallback to file-based lookup
-    const conversationFile = `${conversationId}.json`;
-    const conversationPath = path.join(process.cwd(), 'data', 'conversations', conversationFile);
-    if (fs.existsSync(conversationPath)) {
-      const conversationData = JSON.parse(fs.readFileSync(conversationPath, 'utf8'));
-      if (conversationData.participantId || conversationData.userId) {
-        const userId = conversationData.participantId || conversationData.userId;
-        console.log(`✅ Found userId in file metadata: ${userId}`);
+        console.log(`✅ Found userId in conversation record: ${userId}`);
         return userId;
       }
     }
@@ -459,6 +219,16 @@ async function getUserIdFromConversation(conversationId) {
   }
 }
 
+const { REPLY_SOURCES, buildProvenance } = messageProvenance;
+const { END_REASONS, deadlineStatus } = chatDeadline;
+const { CALL_PURPOSES } = modelUsage;
+const { SUMMARY_GENERATORS, turnIds, nextMessageId, parseSummaryBullets, buildSummary, formatSummaryMessage, hasSummary, isSummarySource } = conversationSummary;
+
+// Render the system prompt selected by the participant's study arm ({ text, promptId, promptVersion, promptHash })
+function renderSystemPromptForArm(profile) {
+  return renderArmSystemPrompt(resolveArm(profile?.study_arm), profile);
+}
+
 // Enhanced function to ensure system prompt is reconstructed with user profile
 async function reconstructSystemPrompt(conversationId, userId = null, conversationState = null) {
   try {
@@ -492,8 +262,8 @@ async function reconstructSystemPrompt(conversationId, userId = null, conversati
       })
     };
     
-    // Generate fresh system prompt
-    const systemPrompt = renderSystemPrompt(enhancedProfile);
+    // Generate fresh system prompt for the participant's study arm
+    const renderedPrompt = renderSystemPromptForArm(enhancedProfile);
     
     console.log(`✅ System prompt reconstructed for user: ${userId}`);
     console.log(`🔍 Profile used:`, JSON.stringify({
@@ -502,7 +272,7 @@ async function reconstructSystemPrompt(conversationId, userId = null, conversati
       change_confidence: profile.change_confidence
     }, null, 2));
     
-    return systemPrompt;
+    return renderedPrompt;
   } catch (error) {
     console.error(`❌ Error reconstructing system prompt:`, error.message);
     return null;
@@ -521,52 +291,19 @@ async function applyQuickUpdate(conversationId, updateText) {
   }
   return updates;
 }
-// Wire this to your real LLM
-async function callModel(messages) {
-  return await global.llm.chat(messages); // must return { content: string }
+// Routed through global.llm, which delegates to the configured provider in lib/llmProvider.js
+async function callModel(messages, options = {}) {
+  return await global.llm.chat(messages, options); // must return { content: string }
 }
-
-// Summary generation functions for safety net
-function hasExistingSummary(messages) {
-  // Check if conversation already has a structured summary from the chatbot
-  if (!messages || messages.length === 0) return false;
-  
-  // Look for assistant messages that contain bullet points or summary indicators
-  const assistantMessages = messages.filter(msg => msg.role === 'assistant');
-  
-  for (const msg of assistantMessages.slice(-5)) { // Check last 5 assistant messages
-    const content = msg.content || '';
-    
-    // Check for bullet point patterns
-    if (content.includes('•') || content.includes('*') || content.includes('-')) {
-      // Check if it has summary-like structure (multiple points)
-      const bulletMatches = content.match(/[•\*\-]/g);
-      if (bulletMatches && bulletMatches.length >= 2) {
-        console.log('✓ Found existing summary with bullet points');
-        return true;
-      }
-    }
-    
-    // Check for summary keywords
-    if (content.toLowerCase().includes('summarize') ||
-        content.toLowerCase().includes('summary') ||
-        content.toLowerCase().includes('key themes') ||
-        content.toLowerCase().includes('based on our conversation')) {
-      console.log('✓ Found existing summary with keywords');
-      return true;
-    }
-  }
-  
-  console.log('✗ No existing summary found in conversation');
-  return false;
+// Streaming variant: onDelta receives text fragments as the model produces them
+async function callModelStream(messages, onDelta, options = {}) {
+  return await global.llm.stream(messages, options, onDelta);
 }
 
+// Summary generation functions for safety net
 function generateFallbackSummary(messages, profile) {
   // Generate a basic summary from participant messages and profile
-  const userMessages = messages.filter(msg => msg.role === 'user' &&
-    msg.content &&
-    msg.content.trim().length > 10 &&
-    !msg.content.toLowerCase().includes('end the chat'));
+  const userMessages = messages.filter(isSummarySource);
   
   const summaryPoints = [];
   
@@ -646,33 +383,36 @@ function generateFallbackSummary(messages, profile) {
 
 async function ensureConversationSummary(conversationId, userId) {
   try {
-    const messages = await loadMessages(conversationId);
-    
-    // Check if conversation already has a proper summary
-    if (hasExistingSummary(messages)) {
+    // The model's one-minute summary, or one from an earlier call, is already on the record
+    const conversationRecord = await getConversationRecord(conversationId);
+    if (hasSummary(conversationRecord)) {
       console.log('Conversation already has summary, no action needed');
       return;
     }
     
+    const messages = await loadMessages(conversationId);
+    
     // Get participant profile for context
     const profile = await getParticipantProfile(userId);
     
     // Generate fallback summary
     const summaryPoints = generateFallbackSummary(messages, profile);
-    
-    // Format as bullet points with proper spacing
-    const summaryText = `Thank you for sharing your story with me. Let me summarize the key themes from our conversation:
-
-${summaryPoints.map(point => `• ${point}`).join('\n\n')}
 
-This covers the main points we discussed about your belief change journey.`;
+    const summary = buildSummary({
+      bullets: summaryPoints,
+      generator: SUMMARY_GENERATORS.FALLBACK,
+      sourceMessageIds: turnIds(conversationId, messages, isSummarySource),
+      messageId: nextMessageId(conversationId, messages)
+    });
 
-    // Add the summary as a final assistant message
+    // Add the summary as a final assistant message, then attach the record to the conversation
     await appendMessage(conversationId, {
       role: "assistant",
-      content: summaryText,
-      generated_summary: true // Flag to indicate this was auto-generated
+      content: formatSummaryMessage(summary.bullets),
+      generated_summary: true, // Flag to indicate this was auto-generated
+      provenance: buildProvenance({ source: REPLY_SOURCES.SCRIPTED })
     });
+    await saveConversationSummary(conversationId, summary);
     
     console.log('✓ Generated and saved fallback summary for conversation:', conversationId);
     
@@ -701,7 +441,7 @@ function getStageInstructions(conversationState) {
 - Topic turn count: ${topicTurnCount}
 - Minimal responses: ${minimalResponseCount}
 - Exhaustion signals: ${exhaustionSignals}
-- Explored topics: ${Array.from(exploredTopics || new Set()).join(', ')}
+- Explored topics: ${(exploredTopics || []).join(', ')}
 - Tracked influences: ${narrativeUnderstanding?.influences?.length || 0}
 - Consecutive similar responses: ${responsePatterns?.consecutiveSimilarResponses || 0}
 
@@ -718,46 +458,8 @@ NARRATIVE UNDERSTANDING STATE:`;
 
   instructions += `\n\nSTAGE-SPECIFIC GUIDANCE:`;
 
-  switch (stage) {
-    case 'exploration':
-      instructions += `
-- You are in the EXPLORATION stage
-- Focus on understanding their belief change story
-- Ask ONE open-ended question that invites narrative
-- Pay careful attention to cause-effect relationships in their responses
-- CRITICAL: Before responding, verify you understand what they actually said
-- Avoid repetitive questions on the same topic
-- If topic turn count >= 3, try a different angle or topic
-- If user gives minimal responses (2+), consider advancing to elaboration`;
-      break;
-      
-    case 'elaboration':
-      instructions += `
-- You are in the ELABORATION stage
-- Help them reflect on key aspects of their change
-- Ask about what stands out as most significant
-- Compare their current vs previous views
-- Build on the influences and relationships you've already identified
-- If user shows exhaustion (2+ signals), prepare for summary
-- If minimal responses >= 3, advance to recap`;
-      break;
-      
-    case 'recap':
-      instructions += `
-- You are in the RECAP stage
-- User is indicating completion readiness
-- Summarize their story with bullet points using the narrative understanding you've built
-- Use UP TO FIVE distinct key themes
-- Include the influences and cause-effect relationships you've tracked
-- Ask for confirmation and corrections
-- Include ##INTERVIEW_COMPLETE## marker after confirmed summary`;
-      break;
-      
-    default:
-      instructions += `
-- Standard interview protocol applies
-- Focus on their personal belief change narrative`;
-  }
+  // Per-stage prompt fragment from the study config (per arm)
+  instructions += `\n${getStageGuidance(stage, conversationStateManager.getStudyConfig(conversationState))}`;
   
   // Enhanced warnings with narrative intelligence
   if (topicTurnCount >= 3) {
@@ -807,12 +509,6 @@ router.post("/start", async (req, res) => {
 
     console.log("🔍 Chat start - userId:", userId, "conversationId:", conversationId);
     
-    // Initialize conversation state
-    const conversationState = initializeConversationState(conversationId);
-    
-    // Initialize anti-loop state in onTopic module
-    resetConversationState();
-    
     // Get participant profile
     const profile = await getParticipantProfile(userId);
     if (!profile) {
@@ -821,50 +517,146 @@ router.post("/start", async (req, res) => {
     }
     
     console.log("✅ Retrieved profile:", JSON.stringify(profile, null, 2));
+
+    // One chat per participant: starting again (a reload, or a resumed survey) returns the chat they have,
+    // with its original deadline, and a finished chat is not replaced
+    const [existing] = await findParticipantConversations(userId);
+    if (existing) {
+      const deadline = deadlineStatus(existing);
+      if (existing.endedAt || deadline.expired) {
+        return res.status(410).json({ error: "Chat has already ended", sessionEnded: true });
+      }
+      console.log(`🔁 Chat start for ${userId} returns their open conversation ${existing.id}`);
+      return res.json({
+        conversationId: existing.id,
+        messages: (existing.messages || []).filter(message => message.role !== "system"),
+        resumed: true,
+        ...deadline,
+        serverTime: new Date().toISOString()
+      });
+    }
+    
+    // Initialize conversation state (persisted via conversationStateManager) with the participant's arm
+    const studyArm = resolveArm(profile.study_arm).id;
+    await conversationStateManager.saveConversationState(conversationId, conversationStateManager.createDefaultState(conversationId, { studyArm }));
+    
+    // Initialize anti-loop state in onTopic module (persisted per conversation)
+    resetConversationState(conversationId);
+    await persistConversationState(conversationId);
     
     // Generate system prompt and opening line
-    const systemPrompt = renderSystemPrompt(profile);
+    const systemPrompt = renderSystemPromptForArm(profile).text;
     const openingLine = openingLineFrom(profile);
     console.log("✅ Generated opening line:", openingLine);
 
     // Note: System prompt is NOT saved - it's only used for LLM context
     // Only the opening line is saved (will be filtered out later when saving to participant files)
     const messages = [
-      { role: "assistant", content: openingLine }
+      { role: "assistant", content: openingLine, provenance: buildProvenance({ source: REPLY_SOURCES.OPENING_LINE }) }
     ];
 
     // Save conversation WITHOUT system message (only actual chat turns)
-    await saveConversation(userId, conversationId, messages);
+    const conversation = await saveConversation(userId, conversationId, messages);
     
-    // Return messages to client (opening line only)
-    res.json({ conversationId, messages: messages });
+    // Return messages to client (opening line only) with the server-owned deadline;
+    // serverTime lets the browser timer correct for clock skew
+    res.json({ conversationId, messages: messages, ...deadlineStatus(conversation), serverTime: new Date().toISOString() });
   } catch (err) {
     console.error("❌ chat/start error:", err);
     res.status(500).json({ error: "Failed to start chat" });
   }
 });
 
-router.post("/reply", async (req, res) => {
+// Refuse turns once the conversation has ended or its deadline has passed (410, as the client expects),
+// and turns for conversations with no record (e.g. removed when the participant withdrew)
+async function rejectIfExpired(conversationId, conversationRecord, res) {
+  if (!conversationRecord) {
+    res.status(404).json({ error: "Conversation not found", sessionEnded: true });
+    return true;
+  }
+  
+  if (conversationRecord?.endedAt) {
+    res.status(410).json({ error: "Conversation has ended", sessionEnded: true });
+    return true;
+  }
+  
+  const deadline = deadlineStatus(conversationRecord);
+  if (!deadline.expired) return false;
+  
+  console.log(`⏰ Reply after deadline (${deadline.expiresAt}), ending conversation ${conversationId}`);
+  await endStoredConversation(conversationId, END_REASONS.TIME_LIMIT);
+  await conversationStateManager.completeConversation(conversationId);
+  releaseConversationState(conversationId);
+  res.status(410).json({ error: "Conversation time limit exceeded", sessionEnded: true, expiresAt: deadline.expiresAt });
+  return true;
+}
+
+// Conversations whose one-minute summary is being claimed in this process. The add is synchronous,
+// so the browser timer and a participant turn arriving together cannot both pass the check.
+const summaryClaims = new Set();
+
+// Take the conversation's one summary: true when it was not yet sent, with timedSummaryAt set before the model is called
+async function claimTimedSummary(conversationId) {
+  if (summaryClaims.has(conversationId)) return false;
+  summaryClaims.add(conversationId);
   try {
-    const { conversationId, message, isSummaryRequest } = req.body;
+    if (await conversationStateManager.getMetadata(conversationId, "timedSummaryAt")) return false;
+    await conversationStateManager.updateMetadata(conversationId, { timedSummaryAt: new Date().toISOString() });
+    return true;
+  } finally {
+    summaryClaims.delete(conversationId);
+  }
+}
+
+/**
+ * Generate, check and store the assistant's reply to a participant turn.
+ *
+ * With `stream: true` the model's tokens are sent as Server-Sent Events (`token`)
+ * while it writes. Drift redirects, anti-loop substitutions and fallbacks are only
+ * known once the reply is complete, so if the stored reply differs from what was
+ * streamed a `replace` event carries the final text before `done`. Exits before
+ * the model is called (deadline, termination, quick updates) answer with JSON.
+ *
+ * With `summaryClaimed` the turn is the server's own summary request from
+ * /chat/summary: it is stored marked as synthetic and is not counted as a
+ * participant turn.
+ */
+async function handleReply(req, res, { stream = false, summaryClaimed = false } = {}) {
+  let eventStream = null;
+  let summaryRequested = false;
+  try {
+    const { conversationId, message } = req.body;
     const userText = message;
+    const userMessage = summaryClaimed
+      ? { role: "user", content: userText, provenance: buildProvenance({ source: REPLY_SOURCES.SYNTHETIC }) }
+      : { role: "user", content: userText };
+    
+    // The server owns the deadline: late turns are refused and the summary is requested once it is due
+    const conversationRecord = await getConversationRecord(conversationId);
+    if (await rejectIfExpired(conversationId, conversationRecord, res)) return;
     const history = await loadMessages(conversationId);
 
     console.log("🔍 DEBUG: History loaded, message count:", history.length);
     console.log("🔍 DEBUG: First message role:", history[0]?.role);
     console.log("🔍 DEBUG: First message preview:", history[0]?.content?.substring(0, 100));
-    console.log("🔍 DEBUG: Is summary request:", isSummaryRequest);
 
-    // Initialize conversation state tracking
-    const conversationState = updateConversationState(conversationId, userText);
+    // Update conversation state tracking (stored copy is read first so any instance can serve the turn)
+    const conversationState = summaryClaimed
+      ? await conversationStateManager.getConversationState(conversationId, { fresh: true })
+      : await conversationStateManager.updateConversationState(conversationId, userText);
     console.log("🔍 Conversation state:", conversationState);
     
-    // Track user response for repetition detection
-    trackUserResponse(userText);
+    
+    // Restore this conversation's anti-loop state, then track the response for repetition detection
+    await loadConversationState(conversationId);
+    if (!summaryClaimed) {
+      trackUserResponse(conversationId, userText);
+      await persistConversationState(conversationId);
+    }
     
     // Check for repetition and potential looping
-    const isRepeating = detectRepetition(userText);
-    const antiLoopState = getConversationState();
+    const isRepeating = !summaryClaimed && detectRepetition(conversationId, userText);
+    const antiLoopState = getConversationState(conversationId);
     console.log("🔍 Anti-loop state:", {
       isRepeating,
       eventConfirmed: antiLoopState.eventConfirmed,
@@ -872,7 +664,7 @@ router.post("/reply", async (req, res) => {
     });
 
     // Enhanced termination detection
-    if (isTerminationRequest(userText) || isRepeatedNegative(userText, conversationState)) {
+    if (!summaryClaimed && (isTerminationRequest(userText) || isRepeatedNegative(userText, conversationState))) {
       // Add user message
       await appendMessage(conversationId, { role: "user", content: userText });
       
@@ -888,17 +680,18 @@ router.post("/reply", async (req, res) => {
       
       // Add final assistant message
       const finalReply = "Thank you for sharing your story with me. I appreciate your time and insights about your belief change experience.";
-      await appendMessage(conversationId, { role: "assistant", content: finalReply });
+      await appendMessage(conversationId, { role: "assistant", content: finalReply, provenance: buildProvenance({ source: REPLY_SOURCES.SCRIPTED }) });
+      await endStoredConversation(conversationId, END_REASONS.ENDED_EARLY);
       
-      // Clean up conversation state
-      conversationStates.delete(conversationId);
+      // Mark conversation state complete (persisted state is kept for analysis)
+      await conversationStateManager.completeConversation(conversationId);
+      releaseConversationState(conversationId);
       
       // Return with sessionEnded flag
       return res.json({ reply: finalReply, sessionEnded: true });
     }
 
-    // Remove automatic summary triggering - only use timer-based summaries
-    // The frontend timer will handle summary generation at 1-minute warning
+    // The summary is requested once the deadline's summary window opens, or earlier by the study config's summaryTrigger
 
     // Quick corrections
     if (/^\s*update\s*:/i.test(userText)) {
@@ -906,7 +699,7 @@ router.post("/reply", async (req, res) => {
       const ack = Object.keys(updates).length
         ? "Got it, I've updated that. Could you continue by explaining why your view changed (or stayed the same)?"
         : "I didn't detect any valid updates. Please use format: update: field=value; field=value";
-      await appendMessage(conversationId, { role: "assistant", content: ack });
+      await appendMessage(conversationId, { role: "assistant", content: ack, provenance: buildProvenance({ source: REPLY_SOURCES.SCRIPTED }) });
       return res.json({ reply: ack, updated: updates });
     }
 
@@ -919,12 +712,13 @@ router.post("/reply", async (req, res) => {
     }
     
     // Reconstruct system prompt with fresh profile data
-    const systemPrompt = await reconstructSystemPrompt(conversationId, userId, conversationState);
+    const renderedPrompt = await reconstructSystemPrompt(conversationId, userId, conversationState);
     
-    if (!systemPrompt) {
+    if (!renderedPrompt) {
       console.error('❌ Failed to reconstruct system prompt for user:', userId);
       throw new Error('Failed to reconstruct system prompt');
     }
+    const systemPrompt = renderedPrompt.text;
     
     console.log("✅ Successfully reconstructed system prompt for user:", userId);
     console.log("🔍 Conversation stage:", conversationState.stage);
@@ -936,31 +730,17 @@ router.post("/reply", async (req, res) => {
     // Add stage-aware instructions to system prompt
     let stageInstructions = getStageInstructions(conversationState);
     
+    // The server decides when the summary is asked for: the deadline, or earlier the study config's
+    // summaryTrigger (a client flag is ignored); /chat/summary has already claimed it
+    summaryRequested = summaryClaimed || ((deadlineStatus(conversationRecord).summaryDue ||
+      conversationStateManager.shouldTriggerSummary(conversationState)) && await claimTimedSummary(conversationId));
+    console.log("🔍 DEBUG: Is summary request:", summaryRequested);
+
     // Special handling for summary requests
-    if (isSummaryRequest) {
+    const summaryPrompt = summaryRequested ? renderSummaryInstructions() : null;
+    if (summaryPrompt) {
       console.log("🔄 Processing summary request - adding summary instructions");
-      stageInstructions += `\n\nSUMMARY REQUEST DETECTED:
-The user has requested a summary as we approach the end of our conversation time. Please:
-
-1. Acknowledge that time is running short
-2. Provide a structured summary using UP TO FIVE bullet points (•) with proper line breaks
-3. Each bullet point should capture a distinct theme from the conversation
-4. Use the format:
-
-• [First key theme]
-
-• [Second key theme]
-
-• [Third key theme]
-
-• [Fourth key theme]
-
-• [Fifth key theme]
-
-5. After the summary, ask if there's anything important they'd like to add before finishing
-6. Keep the response focused and concise due to limited time remaining
-
-CRITICAL: This is likely one of the final exchanges, so provide a comprehensive summary that captures the essence of their belief change story.`;
+      stageInstructions += "\n\n" + summaryPrompt.text;
     }
     
     const enhancedSystemPrompt = systemPrompt + "\n\n" + stageInstructions;
@@ -983,8 +763,40 @@ CRITICAL: This is likely one of the final exchanges, so provide a comprehensive
     console.log("🔍 Current user message:", userText);
 
     // Call model with fresh system prompt + conversation history + new user message
-    const next = await callModel(messagesForModel);
+    // (purpose and call attribute the recorded token usage)
+    const modelOptions = {
+      purpose: summaryRequested ? CALL_PURPOSES.TIMED_SUMMARY : CALL_PURPOSES.CHAT_REPLY,
+      call: { conversationId, participantId: userId, studyArm: conversationState.metadata?.studyArm }
+    };
+    let streamedText = "";
+    if (stream) {
+      eventStream = openEventStream(res);
+    }
+    const next = stream
+      ? await callModelStream(messagesForModel, delta => {
+        streamedText += delta;
+        eventStream.send("token", { delta });
+      }, modelOptions)
+      : await callModel(messagesForModel, modelOptions);
     let modelReply = next?.content || "";
+    
+    // Final response: the JSON body, or the closing events of the stream
+    const respond = (payload) => {
+      if (!eventStream) return res.json(payload);
+      if (payload.reply !== streamedText) {
+        eventStream.send("replace", { reply: payload.reply });
+      }
+      eventStream.send("done", payload);
+      eventStream.end();
+    };
+    
+    // Provenance stored with the assistant message: prompt version, stage instructions, model and sampling
+    const replyProvenance = (source) => buildProvenance({
+      source: next?.fallback ? REPLY_SOURCES.FALLBACK : source,
+      prompt: renderedPrompt,
+      stageHash: hashText(stageInstructions),
+      completion: next
+    });
 
     // 🔍 DEBUG: Log raw model response
     console.log("🔍 DEBUG: Raw LLM response:");
@@ -1003,7 +815,7 @@ CRITICAL: This is likely one of the final exchanges, so provide a comprehensive
     ];
     
     const isEventQuestion = eventQuestionPatterns.some(pattern => pattern.test(modelReply));
-    const currentAntiLoopState = getConversationState();
+    const currentAntiLoopState = getConversationState(conversationId);
     
     if (isEventQuestion && (currentAntiLoopState.eventConfirmed || Object.keys(currentAntiLoopState.identifiedEvents).length > 0)) {
       console.log("🚫 ANTI-LOOP: Blocking event question, user has already identified events");
@@ -1013,28 +825,29 @@ CRITICAL: This is likely one of the final exchanges, so provide a comprehensive
       });
       
       // Replace with alternative question
-      const alternativeReply = getAlternativeQuestion();
+      const alternativeReply = getAlternativeQuestion(conversationId);
       console.log("🔄 ANTI-LOOP: Using alternative question:", alternativeReply);
       modelReply = alternativeReply;
       interventionApplied = true;
       
       // Set question intent to non-event type
-      setQuestionIntent('ask_impact');
+      setQuestionIntent(conversationId, 'ask_impact');
     } else if (isEventQuestion) {
       // Mark that we're asking an event question
-      setQuestionIntent('ask_event');
+      setQuestionIntent(conversationId, 'ask_event');
     } else {
       // Determine and set appropriate question intent based on content
       if (modelReply.toLowerCase().includes('feel') || modelReply.toLowerCase().includes('emotion')) {
-        setQuestionIntent('ask_emotion');
+        setQuestionIntent(conversationId, 'ask_emotion');
       } else if (modelReply.toLowerCase().includes('next') || modelReply.toLowerCase().includes('after')) {
-        setQuestionIntent('ask_timeline');
+        setQuestionIntent(conversationId, 'ask_timeline');
       } else if (modelReply.toLowerCase().includes('do') || modelReply.toLowerCase().includes('action')) {
-        setQuestionIntent('ask_action');
+        setQuestionIntent(conversationId, 'ask_action');
       } else {
-        setQuestionIntent('ask_impact');
+        setQuestionIntent(conversationId, 'ask_impact');
       }
     }
+    await persistConversationState(conversationId);
     
     console.log("🔍 ANTI-LOOP: Intervention applied:", interventionApplied);
 
@@ -1043,8 +856,8 @@ CRITICAL: This is likely one of the final exchanges, so provide a comprehensive
       // Remove the marker from the visible reply
       const visibleReply = modelReply.replace("##INTERVIEW_COMPLETE##", "").trim();
       
-      await appendMessage(conversationId, { role: "user", content: userText });
-      await appendMessage(conversationId, { role: "assistant", content: visibleReply });
+      await appendMessage(conversationId, userMessage);
+      await appendMessage(conversationId, { role: "assistant", content: visibleReply, provenance: replyProvenance(interventionApplied ? REPLY_SOURCES.ANTI_LOOP : REPLY_SOURCES.MODEL) });
       
       // Extract userId using robust function
       const userId = req.user?.id || req.body.userId || await getUserIdFromConversation(conversationId);
@@ -1056,8 +869,12 @@ CRITICAL: This is likely one of the final exchanges, so provide a comprehensive
         console.warn('Could not determine userId for summary verification on interview complete');
       }
       
+      await endStoredConversation(conversationId, END_REASONS.INTERVIEW_COMPLETE);
+      await conversationStateManager.completeConversation(conversationId);
+      releaseConversationState(conversationId);
+      
       // Return with sessionEnded flag to trigger automatic redirection
-      return res.json({ reply: visibleReply, sessionEnded: true });
+      return respond({ reply: visibleReply, sessionEnded: true });
     }
 
     let safeReply = modelReply;
@@ -1067,7 +884,7 @@ CRITICAL: This is likely one of the final exchanges, so provide a comprehensive
     // 🔧 SUMMARY FIX: Skip drift detection for summary requests and summary responses
     const shouldSkipDriftDetection = () => {
       // Skip if this is an explicit summary request
-      if (isSummaryRequest) {
+      if (summaryRequested) {
         console.log('✅ Skipping drift detection - explicit summary request');
         return true;
       }
@@ -1133,10 +950,31 @@ CRITICAL: This is likely one of the final exchanges, so provide a comprehensive
     console.log("🔍 Final response preview:", safeReply.substring(0, 150) + (safeReply.length > 150 ? "..." : ""));
 
     // Update conversation state with assistant response for pattern tracking
-    updateConversationState(conversationId, userText, safeReply);
+    await conversationStateManager.recordAssistantResponse(conversationId, safeReply);
+    
+    const replySource = driftDetected ? REPLY_SOURCES.REDIRECT
+      : interventionApplied ? REPLY_SOURCES.ANTI_LOOP
+      : REPLY_SOURCES.MODEL;
     
-    await appendMessage(conversationId, { role: "user", content: userText });
-    await appendMessage(conversationId, { role: "assistant", content: safeReply });
+    await appendMessage(conversationId, userMessage);
+    await appendMessage(conversationId, { role: "assistant", content: safeReply, provenance: replyProvenance(replySource) });
+    
+    if (summaryRequested) {
+      // A reply without bullets leaves the fallback summary to be written when the chat ends
+      const bullets = parseSummaryBullets(safeReply);
+      if (bullets.length > 0) {
+        const turns = [...history, userMessage];
+        await saveConversationSummary(conversationId, buildSummary({
+          bullets,
+          generator: SUMMARY_GENERATORS.MODEL,
+          sourceMessageIds: turnIds(conversationId, history),
+          messageId: nextMessageId(conversationId, turns),
+          prompt: summaryPrompt
+        }));
+      } else {
+        console.warn(`⚠️ Summary reply for ${conversationId} has no bullets; not stored as the summary`);
+      }
+    }
 
     // **INCREMENTAL FIX**: Update participant file after each turn to prevent data loss
     console.log(`🔍 Enhanced router: Calling incremental update for conversation ${conversationId}, user ${userId}`);
@@ -1147,11 +985,49 @@ CRITICAL: This is likely one of the final exchanges, so provide a comprehensive
       console.error(`❌ Enhanced router: Incremental update failed:`, err);
     }
 
-    res.json({ reply: safeReply });
+    respond({ reply: safeReply });
   } catch (err) {
     console.error("chat/reply error", err);
+    if (summaryRequested) {
+      // Give the summary back so the next turn or the timer can ask for it again
+      await conversationStateManager.updateMetadata(req.body.conversationId, { timedSummaryAt: null }).catch(() => {});
+    }
+    if (eventStream) {
+      eventStream.send("error", { error: "Failed to generate reply" });
+      return eventStream.end();
+    }
     res.status(500).json({ error: "Failed to generate reply" });
   }
+}
+
+router.post("/reply", (req, res) => handleReply(req, res));
+router.post("/reply/stream", (req, res) => handleReply(req, res, { stream: true }));
+
+// One-minute summary, requested by the browser timer but only generated once the
+// server-side deadline says it is due (and only once per conversation)
+router.post("/summary", async (req, res) => {
+  try {
+    const { conversationId } = req.body;
+    const conversationRecord = await getConversationRecord(conversationId);
+    if (!conversationRecord) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+    if (await rejectIfExpired(conversationId, conversationRecord, res)) return;
+    
+    const deadline = deadlineStatus(conversationRecord);
+    if (!deadline.summaryDue) {
+      return res.status(409).json({ error: "Summary is not due yet", summaryAt: deadline.summaryAt });
+    }
+    if (!await claimTimedSummary(conversationId)) {
+      return res.json({ reply: null, alreadySent: true });
+    }
+    
+    req.body = { ...req.body, message: TIMED_SUMMARY_REQUEST };
+    return handleReply(req, res, { summaryClaimed: true });
+  } catch (err) {
+    console.error("chat/summary error", err);
+    res.status(500).json({ error: "Failed to generate summary" });
+  }
 });
 
 export default router;
\ No newline at end of file
@@ -1,5 +1,12 @@
 // backend/src/utils/conversationStateManager.js
 import { PrismaClient } from '@prisma/client';
+import path from 'node:path';
+import fs from 'node:fs';
+import { getStudyConfigForArm, getInitialStage, getNextStage, shouldTriggerSummary } from './studyConfig.js';
+import messageProvenance from '../../../lib/messageProvenance.js';
+
+// Narrative tracking fields have no column of their own; they are stored in ConversationState.metadata
+const NARRATIVE_FIELDS = ['exploredTopics', 'lastAssistantResponse', 'narrativeUnderstanding', 'responsePatterns'];
 
 class ConversationStateManager {
   constructor() {
@@ -7,6 +14,7 @@ class ConversationStateManager {
     this.cache = new Map(); // In-memory cache for performance
     this.cacheMaxSize = 1000;
     this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+    this.statesDir = path.join(process.cwd(), 'data', 'conversation_states'); // File storage when there is no database
   }
 
   async initializePrisma() {
@@ -16,18 +24,20 @@ class ConversationStateManager {
     return this.prisma !== null;
   }
 
-  // Get conversation state with caching
-  async getConversationState(conversationId) {
+  // Get conversation state with caching.
+  // Pass { fresh: true } to skip the cache and read the stored copy, which another
+  // server instance may have updated since this one last saw the conversation.
+  async getConversationState(conversationId, { fresh = false } = {}) {
     console.log(`🔍 Getting conversation state for: ${conversationId}`);
     
     // Check cache first
     const cached = this.cache.get(conversationId);
-    if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
+    if (!fresh && cached && Date.now() - cached.timestamp < this.cacheExpiry) {
       console.log(`✅ Using cached state for: ${conversationId}`);
       return cached.state;
     }
 
-    // Try database if available
+    // Read from the configured backend: the database when there is one, otherwise files
     if (await this.initializePrisma()) {
       try {
         const dbState = await this.prisma.conversationState.findUnique({
@@ -43,6 +53,19 @@ class ConversationStateManager {
       } catch (error) {
         console.error(`❌ Database error getting state for ${conversationId}:`, error.message);
       }
+    } else {
+      const fileState = this.readStateFile(conversationId);
+      if (fileState) {
+        const state = this.transformDbToState(fileState);
+        this.updateCache(conversationId, state);
+        console.log(`✅ Retrieved state from file for: ${conversationId}`);
+        return state;
+      }
+    }
+
+    // Cache is the only copy when nothing has been persisted (e.g. the write failed)
+    if (cached) {
+      return cached.state;
     }
 
     // Return default state if not found
@@ -59,7 +82,7 @@ class ConversationStateManager {
     // Update cache immediately
     this.updateCache(conversationId, state);
 
-    // Try to persist to database
+    // Persist to the configured backend; a failed database write is not copied to a file
     if (await this.initializePrisma()) {
       try {
         const dbData = this.transformStateToDb(conversationId, state);
@@ -74,17 +97,41 @@ class ConversationStateManager {
         return true;
       } catch (error) {
         console.error(`❌ Database error saving state for ${conversationId}:`, error.message);
+        console.warn(`⚠️ State only cached for: ${conversationId}`);
         return false;
       }
+    }
+
+    const success = this.writeStateFile(conversationId, {
+      conversationId,
+      ...this.transformStateToDb(conversationId, state),
+      createdAt: state.createdAt || new Date()
+    });
+    if (success) {
+      console.log(`✅ State saved to file for: ${conversationId}`);
     } else {
-      console.warn(`⚠️ Database unavailable, state only cached for: ${conversationId}`);
-      return false;
+      console.warn(`⚠️ State only cached for: ${conversationId}`);
     }
+    return success;
+  }
+
+  // Read one key from a conversation's metadata (e.g. 'antiLoop')
+  async getMetadata(conversationId, key) {
+    const state = await this.getConversationState(conversationId, { fresh: true });
+    return state.metadata?.[key] ?? null;
+  }
+
+  // Merge a patch into a conversation's metadata and persist it
+  async updateMetadata(conversationId, patch) {
+    const state = await this.getConversationState(conversationId, { fresh: true });
+    state.metadata = { ...(state.metadata || {}), ...patch };
+    state.updatedAt = new Date();
+    return await this.saveConversationState(conversationId, state);
   }
 
   // Update conversation state (convenience method)
   async updateConversationState(conversationId, userText) {
-    const state = await this.getConversationState(conversationId);
+    const state = await this.getConversationState(conversationId, { fresh: true });
     
     // Update state based on user response
     state.turnCount++;
@@ -98,6 +145,11 @@ class ConversationStateManager {
       state.lastTopic = currentTopic;
     }
     
+    // Track explored topics to prevent repetition
+    if (!state.exploredTopics.includes(currentTopic)) {
+      state.exploredTopics.push(currentTopic);
+    }
+    
     // Classify response as minimal or substantive
     if (this.isMinimalResponse(userText)) {
       state.minimalResponseCount++;
@@ -114,16 +166,17 @@ class ConversationStateManager {
       state.exhaustionSignals = Math.max(0, state.exhaustionSignals - 1);
     }
     
+    // Enhanced narrative understanding tracking
+    this.updateNarrativeUnderstanding(state, userText);
+    
     state.lastUserResponse = userText;
     state.updatedAt = new Date();
     
-    // Auto-advance stages based on conversation progress
-    if (state.stage === 'exploration' && this.shouldAdvanceToElaboration(state)) {
-      state.stage = 'elaboration';
-      console.log(`🔄 Auto-advancing to elaboration stage for: ${conversationId}`);
-    } else if (state.stage === 'elaboration' && this.shouldAdvanceToRecap(state)) {
-      state.stage = 'recap';
-      console.log(`🔄 Auto-advancing to recap stage for: ${conversationId}`);
+    // Auto-advance stages based on the study config's entry thresholds
+    const nextStage = getNextStage(state, this.getStudyConfig(state));
+    if (nextStage) {
+      state.stage = nextStage;
+      console.log(`🔄 Auto-advancing to ${nextStage} stage for: ${conversationId}`);
     }
     
     // Save updated state
@@ -132,14 +185,37 @@ class ConversationStateManager {
     return state;
   }
 
+  // Record the reply actually sent to the participant, for response pattern tracking
+  async recordAssistantResponse(conversationId, assistantResponse) {
+    const state = await this.getConversationState(conversationId, { fresh: true });
+    
+    this.updateResponsePatterns(state, assistantResponse);
+    state.lastAssistantResponse = assistantResponse;
+    state.updatedAt = new Date();
+    
+    await this.saveConversationState(conversationId, state);
+    return state;
+  }
+
+  // Mark a conversation as finished (the stored state is kept for analysis)
+  async completeConversation(conversationId) {
+    const state = await this.getConversationState(conversationId, { fresh: true });
+    state.stage = 'complete';
+    state.updatedAt = new Date();
+    
+    await this.saveConversationState(conversationId, state);
+    this.cache.delete(conversationId);
+    return state;
+  }
+
   // Recover state from conversation messages (fallback)
   async recoverStateFromMessages(conversationId, messages) {
     console.log(`🔄 Recovering state from messages for: ${conversationId}`);
     
     const state = this.createDefaultState(conversationId);
     
-    // Analyze messages to rebuild state
-    const userMessages = messages.filter(msg => msg.role === 'user');
+    // Analyze messages to rebuild state (the server's own summary request is not a participant turn)
+    const userMessages = messages.filter(msg => msg.role === 'user' && !messageProvenance.isSyntheticTurn(msg));
     state.turnCount = userMessages.length;
     
     if (userMessages.length > 0) {
@@ -158,11 +234,10 @@ class ConversationStateManager {
         this.isExhaustionSignal(msg.content)
       ).length;
       
-      // Determine stage based on turn count and content
-      if (state.turnCount >= 8) {
-        state.stage = 'recap';
-      } else if (state.turnCount >= 5) {
-        state.stage = 'elaboration';
+      // Determine stage by replaying the study config's entry thresholds
+      let nextStage;
+      while ((nextStage = getNextStage(state, this.getStudyConfig(state)))) {
+        state.stage = nextStage;
       }
     }
     
@@ -196,10 +271,10 @@ class ConversationStateManager {
   }
 
   // Helper methods
-  createDefaultState(conversationId) {
+  createDefaultState(conversationId, metadata = null) {
     return {
       conversationId,
-      stage: 'exploration',
+      stage: getInitialStage(this.getStudyConfig({ metadata })),
       turnCount: 0,
       topicTurnCount: 0,
       lastTopic: null,
@@ -207,13 +282,32 @@ class ConversationStateManager {
       substantiveResponseCount: 0,
       exhaustionSignals: 0,
       lastUserResponse: null,
+      // Enhanced narrative tracking
+      exploredTopics: [], // Track what has been asked about
+      lastAssistantResponse: null, // Track AI's last response for pattern detection
+      narrativeUnderstanding: {
+        mainStory: null, // User's core belief change narrative
+        influences: [], // People/events that influenced them
+        causeEffectRelationships: [], // Track understood relationships
+        misunderstandingFlags: 0 // Track potential comprehension issues
+      },
+      responsePatterns: {
+        lastOpeningPhrase: null, // Track opening phrases to ensure variation
+        consecutiveSimilarResponses: 0 // Prevent formulaic responses
+      },
+      metadata,
       createdAt: new Date(),
       updatedAt: new Date()
     };
   }
 
   transformDbToState(dbState) {
+    const defaults = this.createDefaultState(dbState.conversationId);
+    const { metadata: storedMetadata, ...narrative } = this.splitMetadata(dbState.metadata);
+    
     return {
+      ...defaults,
+      ...narrative,
       conversationId: dbState.conversationId,
       stage: dbState.stage,
       turnCount: dbState.turnCount,
@@ -223,9 +317,9 @@ class ConversationStateManager {
       substantiveResponseCount: dbState.substantiveResponseCount,
       exhaustionSignals: dbState.exhaustionSignals,
       lastUserResponse: dbState.lastUserResponse,
-      metadata: dbState.metadata,
-      createdAt: dbState.createdAt,
-      updatedAt: dbState.updatedAt
+      metadata: storedMetadata,
+      createdAt: new Date(dbState.createdAt || Date.now()),
+      updatedAt: new Date(dbState.updatedAt || Date.now())
     };
   }
 
@@ -239,11 +333,61 @@ class ConversationStateManager {
       substantiveResponseCount: state.substantiveResponseCount,
       exhaustionSignals: state.exhaustionSignals,
       lastUserResponse: state.lastUserResponse,
-      metadata: state.metadata || null,
+      metadata: this.mergeMetadata(state),
       updatedAt: new Date()
     };
   }
 
+  // Separate narrative tracking fields from other metadata (e.g. onTopic's antiLoop)
+  splitMetadata(metadata) {
+    const metadataCopy = { ...(metadata || {}) };
+    const narrative = {};
+    for (const field of NARRATIVE_FIELDS) {
+      if (metadataCopy[field] !== undefined) {
+        narrative[field] = metadataCopy[field];
+      }
+      delete metadataCopy[field];
+    }
+    return { ...narrative, metadata: Object.keys(metadataCopy).length > 0 ? metadataCopy : null };
+  }
+
+  mergeMetadata(state) {
+    const merged = { ...(state.metadata || {}) };
+    for (const field of NARRATIVE_FIELDS) {
+      if (state[field] !== undefined) {
+        merged[field] = state[field];
+      }
+    }
+    return merged;
+  }
+
+  // File storage helpers
+  stateFilePath(conversationId) {
+    return path.join(this.statesDir, `${conversationId}.json`);
+  }
+
+  readStateFile(conversationId) {
+    try {
+      const filename = this.stateFilePath(conversationId);
+      if (!fs.existsSync(filename)) return null;
+      return JSON.parse(fs.readFileSync(filename, 'utf8'));
+    } catch (error) {
+      console.error(`❌ Error reading state file for ${conversationId}:`, error.message);
+      return null;
+    }
+  }
+
+  writeStateFile(conversationId, data) {
+    try {
+      fs.mkdirSync(this.statesDir, { recursive: true });
+      fs.writeFileSync(this.stateFilePath(conversationId), JSON.stringify(data, null, 2));
+      return true;
+    } catch (error) {
+      console.error(`❌ Error writing state file for ${conversationId}:`, error.message);
+      return false;
+    }
+  }
+
   updateCache(conversationId, state) {
     // Implement LRU cache eviction
     if (this.cache.size >= this.cacheMaxSize) {
@@ -272,13 +416,17 @@ class ConversationStateManager {
     const text = userText.trim().toLowerCase();
     const wordCount = text.split(/\s+/).length;
     
+    // Only treat responses as minimal if they're very short AND lack substance
+    // Don't penalize normal conversational responses like "no" or "yes" unless they're truly minimal
     const minimalPatterns = [
-      /^(yeah|yes|no|nah|ok|okay|sure|maybe|i guess|dunno|don't know)$/i,
       /^(that's all|nothing else|no more|can't think of anything)$/i,
-      /^(i've said everything|that's it|finished|done)$/i
+      /^(i've said everything|that's it|finished|done)$/i,
+      /^(don't know|dunno)$/i
     ];
     
-    return wordCount <= 3 || minimalPatterns.some(pattern => pattern.test(text));
+    // Much stricter criteria: only 1-2 word responses that are clearly minimal
+    return (wordCount <= 2 && minimalPatterns.some(pattern => pattern.test(text))) ||
+           wordCount === 1;
   }
 
   isExhaustionSignal(userText) {
@@ -288,41 +436,133 @@ class ConversationStateManager {
       /nothing else to say/i,
       /can't think of anything/i,
       /i've said everything/i,
-      /^no$/i,
-      /^nah$/i,
+      /that's about it/i,
+      /that's all/i,
+      /nothing more/i,
       /^finish$/i,
       /^done$/i,
-      /^finished$/i
+      /^finished$/i,
+      /wrap up/i,
+      /end this/i
     ];
     
+    // Don't treat simple "no" or "nah" as exhaustion - these are normal conversation responses
     return exhaustionPatterns.some(pattern => pattern.test(text));
   }
 
-  // Stage progression logic
+  // Enhanced narrative understanding tracking
+  updateNarrativeUnderstanding(state, userText) {
+    const text = userText.toLowerCase();
+    
+    // Extract potential influences and their direction
+    if (text.includes('uncle') || text.includes('family') || text.includes('friend')) {
+      const influence = this.extractInfluenceFromText(userText);
+      if (influence && !state.narrativeUnderstanding.influences.some(i => i.person === influence.person)) {
+        state.narrativeUnderstanding.influences.push(influence);
+        console.log('📝 Tracked new influence:', influence);
+      }
+    }
+    
+    // Detect cause-effect relationships
+    if (text.includes('because') || text.includes('so') || text.includes('since') || text.includes('made me')) {
+      const relationship = this.extractCauseEffectFromText(userText);
+      if (relationship) {
+        state.narrativeUnderstanding.causeEffectRelationships.push(relationship);
+        console.log('📝 Tracked cause-effect relationship:', relationship);
+      }
+    }
+    
+    // Update main story if this seems to be the core narrative
+    if (this.isMainStoryContent(userText)) {
+      state.narrativeUnderstanding.mainStory = userText;
+      console.log('📝 Updated main story understanding');
+    }
+  }
+
+  // Track assistant response patterns to prevent repetition
+  updateResponsePatterns(state, assistantResponse) {
+    if (!assistantResponse) return;
+    
+    // Extract opening phrase pattern
+    const openingPhrase = this.extractOpeningPhrase(assistantResponse);
+    if (openingPhrase) {
+      if (openingPhrase === state.responsePatterns.lastOpeningPhrase) {
+        state.responsePatterns.consecutiveSimilarResponses++;
+        console.log('⚠️ Detected repetitive opening phrase:', openingPhrase);
+      } else {
+        state.responsePatterns.consecutiveSimilarResponses = 0;
+      }
+      state.responsePatterns.lastOpeningPhrase = openingPhrase;
+    }
+  }
+
+  // Helper methods for narrative analysis
+  extractInfluenceFromText(text) {
+    const lowerText = text.toLowerCase();
+    let person = null;
+    let direction = null;
+    
+    if (lowerText.includes('uncle')) person = 'uncle';
+    else if (lowerText.includes('friend')) person = 'friend';
+    else if (lowerText.includes('family')) person = 'family member';
+    
+    if (person) {
+      // Determine direction of influence
+      if (lowerText.includes('made me reject') || lowerText.includes('got sick of') ||
+          lowerText.includes('started believing the opposite') || lowerText.includes('turned me off')) {
+        direction = 'away_from';
+      } else if (lowerText.includes('convinced me') || lowerText.includes('helped me believe') ||
+                 lowerText.includes('made me think')) {
+        direction = 'toward';
+      }
+      
+      return { person, direction, text: text.substring(0, 100) };
+    }
+    return null;
+  }
+
+  extractCauseEffectFromText(text) {
+    // Simple extraction of cause-effect patterns
+    const simplified = text.substring(0, 150);
+    return { relationship: simplified, timestamp: Date.now() };
+  }
+
+  isMainStoryContent(text) {
+    const words = text.split(' ').length;
+    return words > 10 && (
+      text.toLowerCase().includes('changed') ||
+      text.toLowerCase().includes('believe') ||
+      text.toLowerCase().includes('think')
+    );
+  }
+
+  extractOpeningPhrase(response) {
+    const match = response.match(/^([^.!?]*[.!?])/);
+    return match ? match[1].trim().substring(0, 50) : null;
+  }
+
+  // Stage progression logic (thresholds live in the study config, see studyConfig.js).
+  // Each study arm may use its own stage config; the arm is recorded in metadata at chat start.
+  getStudyConfig(state) {
+    return getStudyConfigForArm(state?.metadata?.studyArm);
+  }
+
   shouldAdvanceToElaboration(state) {
-    // Increased thresholds to allow more natural conversation development
-    return (state.substantiveResponseCount >= 3 && state.turnCount >= 8) ||
-           (state.minimalResponseCount >= 5 && state.turnCount >= 8);
+    return getNextStage({ ...state, stage: 'exploration' }, this.getStudyConfig(state)) === 'elaboration';
   }
 
   shouldAdvanceToRecap(state) {
-    // Increased thresholds to allow more natural conversation development
-    return state.exhaustionSignals >= 4 ||
-           state.minimalResponseCount >= 6 ||
-           (state.turnCount >= 15 && state.substantiveResponseCount >= 3);
+    return getNextStage({ ...state, stage: 'elaboration' }, this.getStudyConfig(state)) === 'recap';
   }
 
   shouldTriggerSummary(state) {
-    // Increased thresholds to allow more natural conversation development
-    return state.stage === 'recap' ||
-           state.exhaustionSignals >= 5 ||
-           state.minimalResponseCount >= 8 ||
-           (state.topicTurnCount >= 8 && state.stage !== 'exploration');
+    return shouldTriggerSummary(state, this.getStudyConfig(state));
   }
 
   // Delete conversation state
   async deleteConversationState(conversationId) {
     this.cache.delete(conversationId);
+    fs.rmSync(this.stateFilePath(conversationId), { force: true });
     
     if (await this.initializePrisma()) {
       try {
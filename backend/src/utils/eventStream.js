@@ -0,0 +1,38 @@
+// backend/src/utils/eventStream.js
+
+/**
+ * Server-Sent Events on an Express response.
+ *
+ * The streaming chat endpoint is a POST, so the browser reads the stream with
+ * fetch() rather than EventSource. Each event is written as
+ * `event: <name>\ndata: <json>\n\n`; comment lines are sent while the model is
+ * still thinking so idle proxies don't close the connection.
+ */
+export function openEventStream(res, { heartbeatMs = 15000 } = {}) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no" // Stop reverse proxies buffering the stream
+  });
+  res.flushHeaders();
+
+  let open = true;
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), heartbeatMs);
+  const close = () => {
+    open = false;
+    clearInterval(heartbeat);
+  };
+  res.on("close", close);
+
+  return {
+    send(event, data) {
+      if (open) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!open) return;
+      close();
+      res.end();
+    }
+  };
+}
@@ -1,12 +1,56 @@
 // backend/src/utils/onTopic.js
+import { conversationStateManager } from './conversationStateManager.js';
 
-// State management for repetition detection and question gating
-let conversationState = {
-  userAnswers: [], // Track last 5 user messages
-  lastQuestionIntent: null, // Track the type of last question asked
-  eventConfirmed: false, // Flag when user has identified an event 2+ times
-  identifiedEvents: {}, // Track events mentioned and their count
-};
+// Anti-loop state for repetition detection and question gating, keyed by conversationId.
+// The in-memory map is a working copy; the durable copy lives in the
+// ConversationState row's metadata.antiLoop so it survives restarts.
+const conversationStates = new Map();
+const MAX_CACHED_STATES = 1000;
+
+function createDefaultState() {
+  return {
+    userAnswers: [], // Track last 5 user messages
+    lastQuestionIntent: null, // Track the type of last question asked
+    eventConfirmed: false, // Flag when user has identified an event 2+ times
+    identifiedEvents: {}, // Track events mentioned and their count
+    alternativeQuestionCount: 0, // Rotates through alternative questions deterministically
+  };
+}
+
+function stateFor(conversationId) {
+  if (!conversationId) {
+    throw new Error('conversationId is required for anti-loop state');
+  }
+  if (!conversationStates.has(conversationId)) {
+    if (conversationStates.size >= MAX_CACHED_STATES) {
+      conversationStates.delete(conversationStates.keys().next().value);
+    }
+    conversationStates.set(conversationId, createDefaultState());
+  }
+  return conversationStates.get(conversationId);
+}
+
+// Load persisted anti-loop state for a conversation (call before tracking a new turn).
+// Always reads the stored copy, since another server instance may have handled the last turn.
+export async function loadConversationState(conversationId) {
+  const saved = await conversationStateManager.getMetadata(conversationId, 'antiLoop');
+  if (saved) {
+    conversationStates.set(conversationId, { ...createDefaultState(), ...saved });
+  }
+  return getConversationState(conversationId);
+}
+
+// Persist the current anti-loop state alongside the conversation's ConversationState row
+export async function persistConversationState(conversationId) {
+  return await conversationStateManager.updateMetadata(conversationId, {
+    antiLoop: stateFor(conversationId)
+  });
+}
+
+// Drop the in-memory copy once a conversation has ended (the persisted copy is kept)
+export function releaseConversationState(conversationId) {
+  conversationStates.delete(conversationId);
+}
 
 const OFF_TOPIC_PATTERNS = [
   /talk about something else/i,
@@ -115,9 +159,10 @@ const EVENT_PATTERNS = [
 ];
 
 // Track user responses and detect repetition
-export function trackUserResponse(userMessage) {
+export function trackUserResponse(conversationId, userMessage) {
   if (!userMessage) return;
   
+  const conversationState = stateFor(conversationId);
   const normalized = normalizeText(userMessage);
   
   // Add to user answers history (keep last 5)
@@ -141,7 +186,8 @@ export function trackUserResponse(userMessage) {
 }
 
 // Detect if user is repeating the same answer
-export function detectRepetition(currentMessage) {
+export function detectRepetition(conversationId, currentMessage) {
+  const conversationState = stateFor(conversationId);
   if (!currentMessage || conversationState.userAnswers.length < 2) return false;
   
   const currentNormalized = normalizeText(currentMessage);
@@ -176,12 +222,13 @@ const QUESTION_INTENTS = {
 };
 
 // Track the last question intent
-export function setQuestionIntent(intent) {
-  conversationState.lastQuestionIntent = intent;
+export function setQuestionIntent(conversationId, intent) {
+  stateFor(conversationId).lastQuestionIntent = intent;
 }
 
 // Check if a question type should be blocked
-export function isQuestionBlocked(intent) {
+export function isQuestionBlocked(conversationId, intent) {
+  const conversationState = stateFor(conversationId);
   // Block event questions if event is confirmed or if last question was also event-seeking
   if (intent === QUESTION_INTENTS.ASK_EVENT) {
     return conversationState.eventConfirmed ||
@@ -193,7 +240,8 @@ export function isQuestionBlocked(intent) {
 }
 
 // Get alternative question when blocked
-export function getAlternativeQuestion() {
+export function getAlternativeQuestion(conversationId) {
+  const conversationState = stateFor(conversationId);
   const alternatives = [
     "What about that made it convincing for you?",
     "How did it change what you believed humans were doing?",
@@ -202,20 +250,18 @@ export function getAlternativeQuestion() {
     "What did you do differently afterward?"
   ];
   
-  return alternatives[Math.floor(Math.random() * alternatives.length)];
+  // Rotate instead of picking at random so replayed conversations are reproducible
+  const question = alternatives[conversationState.alternativeQuestionCount % alternatives.length];
+  conversationState.alternativeQuestionCount++;
+  return question;
 }
 
 // Reset state for new conversation
-export function resetConversationState() {
-  conversationState = {
-    userAnswers: [],
-    lastQuestionIntent: null,
-    eventConfirmed: false,
-    identifiedEvents: {},
-  };
+export function resetConversationState(conversationId) {
+  conversationStates.set(conversationId, createDefaultState());
 }
 
 // Get current state (for debugging/monitoring)
-export function getConversationState() {
-  return { ...conversationState };
+export function getConversationState(conversationId) {
+  return { ...stateFor(conversationId) };
 }
\ No newline at end of file
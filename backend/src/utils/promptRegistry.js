@@ -0,0 +1,91 @@
+// backend/src/utils/promptRegistry.js
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Versioned prompt templates.
+ *
+ * Each prompt lives in backend/src/prompts/<promptId>/v<N>.txt. Templates are
+ * never edited once used in a study: a wording change is a new v<N+1> file, and
+ * the highest version is used unless a caller pins one. Placeholders are written
+ * {{name}} and every placeholder must be supplied when rendering.
+ *
+ * The SHA-256 of the template text is recorded with each assistant message, so
+ * an exported reply can be traced back to the exact wording that produced it
+ * (GET /api/prompts lists every version with its hash).
+ */
+
+const PROMPTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'prompts');
+const VERSION_FILE = /^v(\d+)\.txt$/;
+
+const templateCache = new Map();
+
+export function hashText(text) {
+  return crypto.createHash('sha256').update(text || '').digest('hex');
+}
+
+// Available versions of a prompt, lowest first
+export function getPromptVersions(promptId) {
+  const dir = path.join(PROMPTS_DIR, promptId);
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Unknown prompt "${promptId}"`);
+  }
+  return fs.readdirSync(dir)
+    .map(file => file.match(VERSION_FILE))
+    .filter(Boolean)
+    .map(match => parseInt(match[1]))
+    .sort((a, b) => a - b);
+}
+
+// Load a template (latest version unless one is given)
+export function loadPrompt(promptId, version = null) {
+  const versions = getPromptVersions(promptId);
+  const selected = version ?? versions[versions.length - 1];
+  if (!versions.includes(Number(selected))) {
+    throw new Error(`Prompt "${promptId}" has no version ${selected} (available: ${versions.join(', ')})`);
+  }
+
+  const key = `${promptId}@${selected}`;
+  if (!templateCache.has(key)) {
+    const template = fs.readFileSync(path.join(PROMPTS_DIR, promptId, `v${selected}.txt`), 'utf8');
+    templateCache.set(key, {
+      promptId,
+      promptVersion: Number(selected),
+      promptHash: hashText(template),
+      template
+    });
+  }
+  return templateCache.get(key);
+}
+
+/**
+ * Render a prompt template.
+ *
+ * @param {string} promptId - Directory name under backend/src/prompts
+ * @param {Object} variables - Values for the template's {{placeholders}}
+ * @param {Object} options
+ * @param {number} options.version - Pin a version instead of using the latest
+ * @returns {{text: string, promptId: string, promptVersion: number, promptHash: string}}
+ */
+export function renderPrompt(promptId, variables = {}, { version = null } = {}) {
+  const { template, ...provenance } = loadPrompt(promptId, version);
+
+  const text = template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+    if (variables[name] === undefined) {
+      throw new Error(`Prompt "${promptId}" v${provenance.promptVersion} needs a value for {{${name}}}`);
+    }
+    return String(variables[name]);
+  });
+
+  return { text, ...provenance };
+}
+
+// Every prompt version with its hash (for export provenance lookups)
+export function listPrompts() {
+  if (!fs.existsSync(PROMPTS_DIR)) return [];
+  return fs.readdirSync(PROMPTS_DIR)
+    .filter(entry => fs.statSync(path.join(PROMPTS_DIR, entry)).isDirectory())
+    .flatMap(promptId => getPromptVersions(promptId).map(version => loadPrompt(promptId, version)));
+}
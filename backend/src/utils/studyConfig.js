@@ -0,0 +1,186 @@
+// backend/src/utils/studyConfig.js
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Study configuration: the declarative interview protocol (stage names, entry
+ * thresholds and per-stage prompt fragments) used by the chat router and
+ * conversationStateManager.
+ *
+ * Stages are listed in order. A conversation only ever advances to the stage
+ * immediately after its current one, and only when one of that stage's `entry`
+ * conditions holds. A condition is an object of counter minimums that must all
+ * be met, e.g. { "turnCount": 8, "substantiveResponseCount": 3 }. A stage with
+ * `entry: null` is never entered automatically.
+ *
+ * `summaryTrigger` ({ stages, when }) asks for a summary once the conversation is
+ * in one of `stages` or meets one of the `when` conditions; null disables it.
+ *
+ * `arms` lists the experimental conditions participants are randomised into at
+ * survey submit (see lib/randomiser.js). Each arm names its `systemPrompt`
+ * (pinned to `systemPromptVersion`, or the latest template if omitted) and may
+ * point `studyConfig` at another config file (relative to this one) whose
+ * stages replace these for that arm. Without `arms` there is a single
+ * "standard" arm.
+ *
+ * The file is read from STUDY_CONFIG, defaulting to backend/src/config/study.json.
+ */
+
+const DEFAULT_CONFIG_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'study.json');
+
+// Counters on the conversation state that entry conditions may reference
+export const STAGE_COUNTERS = [
+  'turnCount',
+  'topicTurnCount',
+  'minimalResponseCount',
+  'substantiveResponseCount',
+  'exhaustionSignals'
+];
+
+// Randomisation methods and stratification factors supported by lib/randomiser.js
+const RANDOMISATION_METHODS = ['block', 'stratified_block'];
+const RANDOMISATION_STRATA = ['mind_change_direction', 'political7'];
+
+const DEFAULT_ARMS = [{ id: 'standard', ratio: 1, systemPrompt: 'standard', studyConfig: null }];
+
+const configCache = new Map();
+
+function validateConditions(conditions, where) {
+  if (conditions === null || conditions === undefined) return;
+  if (!Array.isArray(conditions)) {
+    throw new Error(`${where} must be an array of conditions or null`);
+  }
+  for (const condition of conditions) {
+    for (const [counter, minimum] of Object.entries(condition)) {
+      if (!STAGE_COUNTERS.includes(counter)) {
+        throw new Error(`${where} uses unknown counter "${counter}" (expected one of ${STAGE_COUNTERS.join(', ')})`);
+      }
+      if (typeof minimum !== 'number') {
+        throw new Error(`${where}.${counter} must be a number`);
+      }
+    }
+  }
+}
+
+// Check a parsed config and fail loudly rather than silently running a broken protocol
+export function validateStudyConfig(config, source = 'study config') {
+  if (!config || !Array.isArray(config.stages) || config.stages.length === 0) {
+    throw new Error(`${source} must define a non-empty "stages" array`);
+  }
+
+  const names = new Set();
+  for (const stage of config.stages) {
+    if (!stage.name) {
+      throw new Error(`${source} has a stage without a name`);
+    }
+    if (names.has(stage.name)) {
+      throw new Error(`${source} defines stage "${stage.name}" more than once`);
+    }
+    names.add(stage.name);
+    validateConditions(stage.entry, `${source} stage "${stage.name}" entry`);
+  }
+
+  if (config.summaryTrigger) {
+    for (const stageName of config.summaryTrigger.stages || []) {
+      if (!names.has(stageName)) {
+        throw new Error(`${source} summaryTrigger references unknown stage "${stageName}"`);
+      }
+    }
+    validateConditions(config.summaryTrigger.when, `${source} summaryTrigger.when`);
+  }
+
+  const armIds = new Set();
+  for (const arm of config.arms || []) {
+    if (!arm.id) {
+      throw new Error(`${source} has an arm without an id`);
+    }
+    if (armIds.has(arm.id)) {
+      throw new Error(`${source} defines arm "${arm.id}" more than once`);
+    }
+    if (arm.ratio !== undefined && (!Number.isInteger(arm.ratio) || arm.ratio < 1)) {
+      throw new Error(`${source} arm "${arm.id}" ratio must be a positive integer`);
+    }
+    if (arm.systemPromptVersion != null && (!Number.isInteger(arm.systemPromptVersion) || arm.systemPromptVersion < 1)) {
+      throw new Error(`${source} arm "${arm.id}" systemPromptVersion must be a positive integer`);
+    }
+    armIds.add(arm.id);
+  }
+
+  const randomisation = config.randomisation;
+  if (randomisation) {
+    if (randomisation.method && !RANDOMISATION_METHODS.includes(randomisation.method)) {
+      throw new Error(`${source} randomisation method must be one of ${RANDOMISATION_METHODS.join(', ')}`);
+    }
+    for (const factor of randomisation.strata || []) {
+      if (!RANDOMISATION_STRATA.includes(factor)) {
+        throw new Error(`${source} randomisation uses unknown stratum "${factor}" (expected one of ${RANDOMISATION_STRATA.join(', ')})`);
+      }
+    }
+  }
+
+  return config;
+}
+
+// Read and validate a study config file (cached per resolved path)
+export function loadStudyConfig(configPath = process.env.STUDY_CONFIG || DEFAULT_CONFIG_PATH) {
+  const resolved = path.resolve(configPath);
+  if (!configCache.has(resolved)) {
+    const config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    config.sourcePath = resolved;
+    configCache.set(resolved, validateStudyConfig(config, resolved));
+    console.log(`📋 Loaded study config "${config.id || path.basename(resolved)}" from ${resolved}`);
+  }
+  return configCache.get(resolved);
+}
+
+export function getArms(config = loadStudyConfig()) {
+  return config.arms && config.arms.length > 0 ? config.arms : DEFAULT_ARMS;
+}
+
+// Arm definition by id; participants without an arm (or with a retired one) get the first arm
+export function resolveArm(armId, config = loadStudyConfig()) {
+  const arms = getArms(config);
+  return arms.find(arm => arm.id === armId) || arms[0];
+}
+
+// Stage config for an arm: its own file if it names one, otherwise the study config itself
+export function getStudyConfigForArm(armId, config = loadStudyConfig()) {
+  const arm = resolveArm(armId, config);
+  if (!arm.studyConfig) return config;
+  return loadStudyConfig(path.resolve(path.dirname(config.sourcePath || DEFAULT_CONFIG_PATH), arm.studyConfig));
+}
+
+export function getInitialStage(config = loadStudyConfig()) {
+  return config.stages[0].name;
+}
+
+export function getStageDefinition(stageName, config = loadStudyConfig()) {
+  return config.stages.find(stage => stage.name === stageName) || null;
+}
+
+function meetsAnyCondition(state, conditions) {
+  if (!Array.isArray(conditions) || conditions.length === 0) return false;
+  return conditions.some(condition =>
+    Object.entries(condition).every(([counter, minimum]) => (state[counter] || 0) >= minimum)
+  );
+}
+
+// Name of the stage the conversation should move to now, or null to stay put
+export function getNextStage(state, config = loadStudyConfig()) {
+  const index = config.stages.findIndex(stage => stage.name === state.stage);
+  const next = index >= 0 ? config.stages[index + 1] : null;
+  return next && meetsAnyCondition(state, next.entry) ? next.name : null;
+}
+
+export function shouldTriggerSummary(state, config = loadStudyConfig()) {
+  const trigger = config.summaryTrigger;
+  if (!trigger) return false;
+  return (trigger.stages || []).includes(state.stage) || meetsAnyCondition(state, trigger.when);
+}
+
+// Prompt fragment for a stage, falling back to the config's defaultGuidance
+export function getStageGuidance(stageName, config = loadStudyConfig()) {
+  const lines = getStageDefinition(stageName, config)?.guidance || config.defaultGuidance || [];
+  return lines.map(line => `- ${line}`).join('\n');
+}
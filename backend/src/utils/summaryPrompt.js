@@ -0,0 +1,39 @@
+// backend/src/utils/summaryPrompt.js
+import { renderPrompt } from "./promptRegistry.js";
+import { renderArmSystemPrompt } from "./systemPrompt.js";
+
+// Stored as the participant turn when the server asks for the one-minute summary
+export const TIMED_SUMMARY_REQUEST = "We have about one minute left. Could you please summarize the key themes from our conversation so far?";
+
+// The summary instructions live in backend/src/prompts/timed-summary/v<N>.txt
+export function renderSummaryInstructions({ version = null } = {}) {
+  return renderPrompt("timed-summary", {}, { version });
+}
+
+/**
+ * Messages that ask the model for the one-minute summary of a transcript,
+ * outside a live chat (scripts/evaluate-summaries.js). The chat router adds
+ * the same instructions to its stage instructions instead, which depend on the
+ * live conversation state and are left out here.
+ *
+ * @param {Object} options
+ * @param {Object} options.arm - Study arm (selects and pins the system prompt)
+ * @param {Object} options.profile - Participant profile (lib/participantProfile.js)
+ * @param {Array<Object>} options.history - Chat turns before the summary request
+ * @param {number} [options.version] - Pin a timed-summary version instead of the latest
+ * @returns {{messages: Array<Object>, systemPrompt: Object, instructions: Object}}
+ *   systemPrompt and instructions are the rendered prompts with their provenance
+ */
+export function buildSummaryRequest({ arm, profile, history, version = null }) {
+  const systemPrompt = renderArmSystemPrompt(arm, profile);
+  const instructions = renderSummaryInstructions({ version });
+  return {
+    messages: [
+      { role: "system", content: `${systemPrompt.text}\n\n${instructions.text}` },
+      ...history.filter(message => message.role !== "system").map(({ role, content }) => ({ role, content })),
+      { role: "user", content: TIMED_SUMMARY_REQUEST }
+    ],
+    systemPrompt,
+    instructions
+  };
+}
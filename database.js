@@ -1,6 +1,9 @@
 const { PrismaClient } = require('@prisma/client');
 const fs = require('fs');
 const path = require('path');
+const { provenanceFromRow } = require('./lib/messageProvenance');
+const { STORAGE_BACKENDS, resolveBackend, createRepository } = require('./lib/repository');
+const { WriteOutbox, OutboxRepository } = require('./lib/outbox');
 
 /**
  * Filter messages to exclude system/developer content from persistence and export.
@@ -22,17 +25,21 @@ function filterChatMessages(messages) {
 let prisma = null;
 let isInitialized = false;
 
-// File storage fallback directories
+// Where participant and conversation records live (see lib/repository.js)
+const storageBackend = resolveBackend();
+
+// File storage directories
 const dataDir = path.join(__dirname, 'data');
 const participantsDir = path.join(dataDir, 'participants');
 const conversationsDir = path.join(dataDir, 'conversations');
+const conversationStatesDir = path.join(dataDir, 'conversation_states');
 
 // Initialize Prisma client
 function initializePrisma() {
     if (prisma) return prisma;
     
-    if (!process.env.DATABASE_URL) {
-        console.log('⚠️ DATABASE_URL not configured, using file fallback');
+    if (storageBackend !== STORAGE_BACKENDS.POSTGRES) {
+        console.log('📁 STORAGE_BACKEND is file, not connecting to the database');
         return null;
     }
     
@@ -97,21 +104,17 @@ async function initializeDatabase() {
     }
 }
 
-// Utility functions for file fallback
-function writeJson(filePath, obj) {
-    try {
-        const dir = path.dirname(filePath);
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
-        }
-        fs.writeFileSync(filePath, JSON.stringify(obj, null, 2));
-        return true;
-    } catch (error) {
-        console.error('❌ Error writing JSON file:', error);
-        return false;
+// Whether reads go to Prisma. On the postgres backend an unreachable database is an
+// error rather than a reason to answer from files that may be stale.
+async function usesDatabase() {
+    if (storageBackend !== STORAGE_BACKENDS.POSTGRES) return false;
+    if (!await isDatabaseAvailable()) {
+        throw new Error('Database unavailable (STORAGE_BACKEND=postgres)');
     }
+    return true;
 }
 
+// Utility functions for file storage
 function readJson(filePath) {
     try {
         if (!fs.existsSync(filePath)) {
@@ -172,11 +175,12 @@ function transformPrismaToMessage(message) {
         role: message.role,
         content: message.content,
         message_timestamp: message.timestamp,
-        character_count: message.content ? message.content.length : 0
+        character_count: message.content ? message.content.length : 0,
+        provenance: provenanceFromRow(message)
     };
 }
 
-// File fallback functions
+// File storage functions
 function getParticipantsFromFiles() {
     try {
         if (!fs.existsSync(participantsDir)) {
@@ -189,7 +193,7 @@ function getParticipantsFromFiles() {
         console.log(`✅ Retrieved ${files.length} participants from files`);
         return files;
     } catch (error) {
-        console.error('❌ File fallback failed for participants:', error);
+        console.error('❌ File read failed for participants:', error);
         return [];
     }
 }
@@ -206,7 +210,7 @@ function getSessionsFromFiles() {
         console.log(`✅ Retrieved ${files.length} sessions from files`);
         return files;
     } catch (error) {
-        console.error('❌ File fallback failed for sessions:', error);
+        console.error('❌ File read failed for sessions:', error);
         return [];
     }
 }
@@ -244,7 +248,7 @@ function getMessagesFromFiles() {
         console.log(`✅ Extracted ${messages.length} chat messages from session files (system messages excluded)`);
         return messages;
     } catch (error) {
-        console.error('❌ File fallback failed for messages:', error);
+        console.error('❌ File read failed for messages:', error);
         return [];
     }
 }
@@ -253,8 +257,7 @@ function getMessagesFromFiles() {
 
 // Get all participants
 async function getAllParticipants() {
-    if (!await isDatabaseAvailable()) {
-        console.log('❌ Database unavailable, using file fallback for participants');
+    if (!await usesDatabase()) {
         return getParticipantsFromFiles();
     }
     
@@ -274,14 +277,13 @@ async function getAllParticipants() {
         
     } catch (error) {
         console.error('❌ Prisma participants query failed:', error.message);
-        return getParticipantsFromFiles(); // Fallback to files
+        throw error;
     }
 }
 
 // Get all sessions
 async function getAllSessions() {
-    if (!await isDatabaseAvailable()) {
-        console.log('❌ Database unavailable, using file fallback for sessions');
+    if (!await usesDatabase()) {
         return getSessionsFromFiles();
     }
     
@@ -299,14 +301,13 @@ async function getAllSessions() {
         
     } catch (error) {
         console.error('❌ Prisma sessions query failed:', error.message);
-        return getSessionsFromFiles(); // Fallback to files
+        throw error;
     }
 }
 
 // Get all messages
 async function getAllMessages() {
-    if (!await isDatabaseAvailable()) {
-        console.log('❌ Database unavailable, extracting messages from session files');
+    if (!await usesDatabase()) {
         return getMessagesFromFiles();
     }
     
@@ -329,225 +330,13 @@ async function getAllMessages() {
         
     } catch (error) {
         console.error('❌ Prisma messages query failed:', error.message);
-        return getMessagesFromFiles(); // Fallback to files
-    }
-}
-
-// Save participant (backward compatibility)
-async function saveParticipant(data) {
-    if (!await isDatabaseAvailable()) {
-        console.log('❌ Database unavailable, using file fallback for participant save');
-        const filename = path.join(participantsDir, `${data.participant_id}.json`);
-        const success = writeJson(filename, data);
-        console.log(`${success ? '✅' : '❌'} Participant ${data.participant_id} saved to file`);
-        return success ? data : null;
-    }
-    
-    try {
-        // In Prisma schema, participant data is stored in IndividualDifferences
-        // We need to create or update both Session and IndividualDifferences
-        
-        const sessionData = {
-            id: data.id || data.participant_id,
-            participantId: data.participant_id,
-            startedAt: data.timestamps?.started ? new Date(data.timestamps.started) : new Date(),
-            completedAt: data.timestamps?.completed ? new Date(data.timestamps.completed) : null,
-            raw: data
-        };
-        
-        // Upsert session
-        const session = await prisma.session.upsert({
-            where: { id: sessionData.id },
-            update: sessionData,
-            create: sessionData
-        });
-        
-        // Enhanced data mapping with proper type conversion and error handling
-        const mappedData = {
-            raw: data,
-            
-            // Basic demographics with proper type conversion
-            age: data.demographics?.age ? parseInt(data.demographics.age) : null,
-            gender: data.demographics?.gender || null,
-            education: data.demographics?.education || null,
-            
-            // Belief change data with proper type conversion
-            viewsChanged: data.belief_change?.has_changed_mind ? 'Yes' : 'No',
-            mindChangeDirection: data.belief_change?.mind_change_direction || null,
-            mindChangeNoChange: Boolean(data.belief_change?.mind_change_no_change),
-            mindChangeOtherText: data.belief_change?.mind_change_other_text || null,
-            
-            // CCS scale means with proper type conversion
-            ccsMeanScored: data.views_matrix?.climate_change_views?.ccs_mean_scored ?
-                parseFloat(data.views_matrix.climate_change_views.ccs_mean_scored) : null,
-            ccsOccurrenceMean: data.views_matrix?.climate_change_views?.ccs_occurrence_mean ?
-                parseFloat(data.views_matrix.climate_change_views.ccs_occurrence_mean) : null,
-            ccsCausationMean: data.views_matrix?.climate_change_views?.ccs_causation_mean ?
-                parseFloat(data.views_matrix.climate_change_views.ccs_causation_mean) : null,
-            ccsSeriousnessMean: data.views_matrix?.climate_change_views?.ccs_seriousness_mean ?
-                parseFloat(data.views_matrix.climate_change_views.ccs_seriousness_mean) : null,
-            ccsEfficacyMean: data.views_matrix?.climate_change_views?.ccs_efficacy_mean ?
-                parseFloat(data.views_matrix.climate_change_views.ccs_efficacy_mean) : null,
-            ccsTrustMean: data.views_matrix?.climate_change_views?.ccs_trust_mean ?
-                parseFloat(data.views_matrix.climate_change_views.ccs_trust_mean) : null,
-            
-            // Political views with proper type conversion
-            economicIssues: data.views_matrix?.political_views?.economic_issues ?
-                parseInt(data.views_matrix.political_views.economic_issues) : null,
-            socialIssues: data.views_matrix?.political_views?.social_issues ?
-                parseInt(data.views_matrix.political_views.social_issues) : null,
-            
-            // AI Summary data
-            aiSummary: data.belief_change?.ai_summary || null,
-            aiSummaryAccuracy: data.belief_change?.ai_summary_accuracy ||
-                data.post_chat?.chatbot_summary_accuracy || null,
-            aiConfidenceSlider: data.belief_change?.ai_confidence_slider ?
-                parseInt(data.belief_change.ai_confidence_slider) : null,
-            
-            // Survey completion tracking
-            surveyCompleted: Boolean(data.timestamps?.completed),
-            completedAt: data.timestamps?.completed ? new Date(data.timestamps.completed) : null,
-            prolificId: data.prolific_id || null
-        };
-
-        console.log('💾 Database mapping for participant:', data.participant_id, {
-            hasAge: !!mappedData.age,
-            hasGender: !!mappedData.gender,
-            hasEconomicIssues: !!mappedData.economicIssues,
-            hasCcsMean: !!mappedData.ccsMeanScored,
-            hasAiSummary: !!mappedData.aiSummary,
-            hasProlificId: !!mappedData.prolificId
-        });
-
-        // Upsert individual differences
-        const individualDiff = await prisma.individualDifferences.upsert({
-            where: { sessionId: session.id },
-            update: mappedData,
-            create: {
-                sessionId: session.id,
-                ...mappedData
-            }
-        });
-        
-        console.log('✅ Participant saved to Prisma database:', data.participant_id);
-        
-        // Also save to file as backup in development
-        if (process.env.NODE_ENV !== 'production') {
-            const filename = path.join(participantsDir, `${data.participant_id}.json`);
-            writeJson(filename, data);
-        }
-        
-        return data;
-        
-    } catch (error) {
-        console.error('❌ Prisma participant save failed:', error.message);
-        // Fallback to file storage
-        const filename = path.join(participantsDir, `${data.participant_id}.json`);
-        const success = writeJson(filename, data);
-        console.log(`${success ? '✅' : '❌'} Participant ${data.participant_id} saved to file fallback`);
-        return success ? data : null;
-    }
-}
-
-// Save session (backward compatibility)
-async function saveSession(data) {
-    if (!await isDatabaseAvailable()) {
-        console.log('❌ Database unavailable, using file fallback for session save');
-        const filename = path.join(conversationsDir, `${data.id || data.session_id}.json`);
-        const success = writeJson(filename, data);
-        console.log(`${success ? '✅' : '❌'} Session ${data.id || data.session_id} saved to file`);
-        return success ? data : null;
-    }
-    
-    try {
-        const sessionId = data.id || data.session_id;
-        
-        const sessionData = {
-            id: sessionId,
-            participantId: data.participantId || data.participant_id,
-            startedAt: data.startedAt ? new Date(data.startedAt) : null,
-            completedAt: data.endedAt ? new Date(data.endedAt) : null,
-            raw: data
-        };
-        
-        // Upsert session
-        const session = await prisma.session.upsert({
-            where: { id: sessionId },
-            update: sessionData,
-            create: sessionData
-        });
-        
-        // Save messages if they exist
-        if (data.messages && data.messages.length > 0) {
-            await saveMessages(sessionId, data.messages);
-        }
-        
-        console.log('✅ Session saved to Prisma database:', sessionId);
-        
-        // Also save to file as backup in development
-        if (process.env.NODE_ENV !== 'production') {
-            const filename = path.join(conversationsDir, `${sessionId}.json`);
-            writeJson(filename, data);
-        }
-        
-        return data;
-        
-    } catch (error) {
-        console.error('❌ Prisma session save failed:', error.message);
-        // Fallback to file storage
-        const filename = path.join(conversationsDir, `${data.id || data.session_id}.json`);
-        const success = writeJson(filename, data);
-        console.log(`${success ? '✅' : '❌'} Session ${data.id || data.session_id} saved to file fallback`);
-        return success ? data : null;
-    }
-}
-
-// Save messages
-async function saveMessages(sessionId, messages) {
-    if (!await isDatabaseAvailable()) {
-        console.log('❌ Database unavailable, skipping messages save (stored with sessions in files)');
-        return messages;
-    }
-    
-    try {
-        // Filter out system messages before saving - only save actual chat turns
-        const chatMessages = filterChatMessages(messages);
-        
-        console.log(`💾 Database: Filtering messages for session ${sessionId}: ${messages.length} total -> ${chatMessages.length} chat turns (${messages.length - chatMessages.length} system messages excluded)`);
-        
-        // Delete existing messages for this session first
-        await prisma.message.deleteMany({
-            where: { sessionId: sessionId }
-        });
-        
-        // Insert only actual chat messages (user + assistant, no system)
-        const messagePromises = chatMessages.map((msg, index) => {
-            return prisma.message.create({
-                data: {
-                    id: `${sessionId}-msg-${index}`,
-                    sessionId: sessionId,
-                    turn: index,
-                    role: msg.role,
-                    content: msg.content,
-                    timestamp: msg.timestamp ? new Date(msg.timestamp) : new Date()
-                }
-            });
-        });
-        
-        await Promise.all(messagePromises);
-        console.log(`✅ ${chatMessages.length} chat messages saved to Prisma for session ${sessionId}`);
-        return chatMessages;
-        
-    } catch (error) {
-        console.error('❌ Prisma messages save failed:', error.message);
-        return messages;
+        throw error;
     }
 }
 
 // Database statistics
 async function getDatabaseStats() {
-    if (!await isDatabaseAvailable()) {
-        console.log('❌ Database unavailable, calculating stats from files');
+    if (!await usesDatabase()) {
         try {
             const participantCount = fs.existsSync(participantsDir) 
                 ? fs.readdirSync(participantsDir).filter(f => f.endsWith('.json')).length 
@@ -556,6 +345,12 @@ async function getDatabaseStats() {
                 ? fs.readdirSync(conversationsDir).filter(f => f.endsWith('.json')).length 
                 : 0;
 
+            const arms = {};
+            getParticipantsFromFiles().forEach(participant => {
+                const arm = participant.assignment?.arm || 'unassigned';
+                arms[arm] = (arms[arm] || 0) + 1;
+            });
+
             return {
                 source: 'files',
                 tables: {
@@ -563,6 +358,7 @@ async function getDatabaseStats() {
                     sessions: { count: sessionCount, size_mb: 0 },
                     messages: { count: 0, size_mb: 0 }
                 },
+                arms,
                 connection_pool: {
                     total: 0,
                     idle: 0,
@@ -577,12 +373,18 @@ async function getDatabaseStats() {
 
     try {
         // Get counts using Prisma
-        const [participantCount, sessionCount, messageCount] = await Promise.all([
+        const [participantCount, sessionCount, messageCount, armGroups] = await Promise.all([
             prisma.individualDifferences.count(),
             prisma.session.count(),
-            prisma.message.count()
+            prisma.message.count(),
+            prisma.individualDifferences.groupBy({ by: ['studyArm'], _count: { _all: true } })
         ]);
         
+        const arms = {};
+        armGroups.forEach(group => {
+            arms[group.studyArm || 'unassigned'] = group._count._all;
+        });
+        
         const stats = {
             source: 'database',
             tables: {
@@ -590,6 +392,7 @@ async function getDatabaseStats() {
                 sessions: { count: sessionCount, size_mb: 0 },
                 messages: { count: messageCount, size_mb: 0 }
             },
+            arms,
             connection_pool: {
                 total: 1, // Prisma manages its own connection pool
                 idle: 0,
@@ -608,15 +411,19 @@ async function getDatabaseStats() {
 
 // Clear all data (DANGEROUS - admin only)
 async function clearAllData() {
+    // Drop queued writes first so a retry cannot bring data back, even if the database is down now
+    const clearedOutbox = outbox ? outbox.clear() : 0;
+    
     if (!await isDatabaseAvailable()) {
         console.log('❌ Database unavailable, clearing file storage only');
-        return clearFileStorage();
+        return { ...clearFileStorage(), outbox: clearedOutbox };
     }
     
     const startTime = Date.now();
     const summary = {
-        database: { messages: 0, sessions: 0, participants: 0 },
-        files: { participants: 0, sessions: 0 },
+        database: { messages: 0, sessions: 0, participants: 0, conversationStates: 0 },
+        files: { participants: 0, sessions: 0, conversationStates: 0 },
+        outbox: clearedOutbox,
         duration_ms: 0
     };
     
@@ -624,29 +431,34 @@ async function clearAllData() {
         // Clear database in proper order (due to foreign key constraints)
         console.log('🗑️ Starting database clear operation...');
         
-        // 1. Clear messages first
+        // 1. Clear conversation state (its session link is optional, so deleting sessions would leave it behind)
+        const deletedStates = await prisma.conversationState.deleteMany();
+        summary.database.conversationStates = deletedStates.count;
+        console.log(`🗑️ Cleared ${deletedStates.count} conversation states`);
+        
+        // 2. Clear messages
         const deletedMessages = await prisma.message.deleteMany();
         summary.database.messages = deletedMessages.count;
         console.log(`🗑️ Cleared ${deletedMessages.count} messages`);
         
-        // 2. Clear individual differences
+        // 3. Clear individual differences
         const deletedParticipants = await prisma.individualDifferences.deleteMany();
         summary.database.participants = deletedParticipants.count;
         console.log(`🗑️ Cleared ${deletedParticipants.count} participant records`);
         
-        // 3. Clear sessions last
+        // 4. Clear sessions last
         const deletedSessions = await prisma.session.deleteMany();
         summary.database.sessions = deletedSessions.count;
         console.log(`🗑️ Cleared ${deletedSessions.count} sessions`);
         
-        // 4. Clear file storage as well
+        // 5. Clear file storage as well
         const filesSummary = clearFileStorage();
         summary.files = filesSummary;
         
         summary.duration_ms = Date.now() - startTime;
         
         console.log(`✅ Database clear completed in ${summary.duration_ms}ms`);
-        console.log(`📊 Total cleared: ${summary.database.messages} messages, ${summary.database.sessions} sessions, ${summary.database.participants} participants`);
+        console.log(`📊 Total cleared: ${summary.database.messages} messages, ${summary.database.sessions} sessions, ${summary.database.participants} participants, ${summary.database.conversationStates} conversation states`);
         
         return {
             success: true,
@@ -664,6 +476,7 @@ async function clearAllData() {
             success: false,
             error: error.message,
             files_cleared: filesSummary,
+            outbox: summary.outbox,
             duration_ms: Date.now() - startTime
         };
     }
@@ -671,7 +484,7 @@ async function clearAllData() {
 
 // Clear file storage
 function clearFileStorage() {
-    const summary = { participants: 0, sessions: 0 };
+    const summary = { participants: 0, sessions: 0, conversationStates: 0 };
     
     try {
         // Clear participant files
@@ -694,6 +507,16 @@ function clearFileStorage() {
             console.log(`🗑️ Cleared ${conversationFiles.length} conversation files`);
         }
         
+        // Clear conversation state files (stage, narrative tracking and the last user response)
+        if (fs.existsSync(conversationStatesDir)) {
+            const stateFiles = fs.readdirSync(conversationStatesDir).filter(f => f.endsWith('.json'));
+            stateFiles.forEach(file => {
+                fs.unlinkSync(path.join(conversationStatesDir, file));
+            });
+            summary.conversationStates = stateFiles.length;
+            console.log(`🗑️ Cleared ${stateFiles.length} conversation state files`);
+        }
+        
         // Clear exports directory
         const exportsDir = path.join(dataDir, 'exports');
         if (fs.existsSync(exportsDir)) {
@@ -712,6 +535,142 @@ function clearFileStorage() {
     return summary;
 }
 
+// JSON files in a directory whose contents match a predicate, as [{ file, data }]
+function findJsonFiles(dir, predicate) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => ({ file: path.join(dir, file), data: readJson(path.join(dir, file)) }))
+        .filter(({ file, data }) => data && predicate(data, path.basename(file, '.json')));
+}
+
+/**
+ * Find everything stored for one participant (for withdrawal), keyed by
+ * participant id or Prolific ID. Looks in both the database and the files,
+ * since either may hold records the other does not.
+ *
+ * @param {Object} identifiers - { participantId, prolificId }
+ * @returns {Promise<{participants: Array<{participantId, prolificId}>, sessionIds: string[], conversationIds: string[]}>}
+ */
+async function findParticipantData({ participantId, prolificId }) {
+    const participants = new Map(); // participantId -> prolificId
+    const matchesParticipant = (data, name) =>
+        (participantId && (name === participantId || data.participant_id === participantId || data.id === participantId)) ||
+        (prolificId && data.prolific_id === prolificId);
+
+    findJsonFiles(participantsDir, matchesParticipant).forEach(({ file, data }) => {
+        participants.set(data.participant_id || data.id || path.basename(file, '.json'), data.prolific_id || null);
+    });
+    // Records still waiting in the outbox have not reached the database yet
+    (outbox ? outbox.pending('participants') : [])
+        .filter(data => matchesParticipant(data, data.participant_id || data.id))
+        .forEach(data => participants.set(data.participant_id || data.id, data.prolific_id || null));
+
+    let sessionIds = [];
+    if (await isDatabaseAvailable()) {
+        const rows = await prisma.individualDifferences.findMany({
+            where: {
+                OR: [
+                    ...(participantId ? [{ sessionId: participantId }] : []),
+                    ...(prolificId ? [{ prolificId }] : [])
+                ]
+            },
+            select: { sessionId: true, prolificId: true }
+        });
+        rows.forEach(row => participants.set(row.sessionId, row.prolificId || participants.get(row.sessionId) || null));
+        if (participantId && !participants.has(participantId)) {
+            // Sessions can exist without a survey row (e.g. a conversation saved before the survey)
+            if (await prisma.session.count({ where: { OR: [{ id: participantId }, { participantId }] } })) {
+                participants.set(participantId, null);
+            }
+        }
+
+        const sessions = await prisma.session.findMany({
+            where: {
+                OR: [
+                    { id: { in: [...participants.keys()] } },
+                    { participantId: { in: [...participants.keys()] } }
+                ]
+            },
+            select: { id: true }
+        });
+        sessionIds = sessions.map(session => session.id);
+    }
+
+    const participantIds = [...participants.keys()];
+    const belongsToParticipant = data => participantIds.includes(data.participantId) || participantIds.includes(data.userId);
+    const conversationIds = [
+        ...findJsonFiles(conversationsDir, belongsToParticipant).map(({ data, file }) => data.id || path.basename(file, '.json')),
+        ...(outbox ? outbox.pending('conversations') : []).filter(belongsToParticipant).map(data => data.id)
+    ];
+
+    return {
+        participants: participantIds.map(id => ({ participantId: id, prolificId: participants.get(id) })),
+        sessionIds,
+        // Conversation sessions in the database share their id with the conversation
+        conversationIds: [...new Set([...conversationIds, ...sessionIds.filter(id => !participants.has(id))])]
+    };
+}
+
+/**
+ * Permanently delete a participant's data found by findParticipantData: the
+ * participant and conversation files, conversation state files, and the
+ * Session, Message, IndividualDifferences and ConversationState rows, and any of
+ * their writes still queued in the outbox. Database rows are deleted in one
+ * transaction.
+ *
+ * @param {Object} found - Result of findParticipantData
+ * @returns {Promise<{database: Object, files: Object, outbox: number}>} Counts of what was removed
+ */
+async function deleteParticipantData({ participants, sessionIds, conversationIds }) {
+    const participantIds = participants.map(p => p.participantId);
+    const summary = {
+        database: { messages: 0, sessions: 0, participants: 0, conversationStates: 0 },
+        files: { participants: 0, conversations: 0, conversationStates: 0 },
+        outbox: 0
+    };
+
+    // Drop queued writes first so a retry cannot bring the data back
+    if (outbox) {
+        participantIds.forEach(id => { summary.outbox += outbox.remove('participants', id) ? 1 : 0; });
+        conversationIds.forEach(id => { summary.outbox += outbox.remove('conversations', id) ? 1 : 0; });
+    }
+
+    if (await isDatabaseAvailable()) {
+        const [states, messages, individualDifferences, sessions] = await prisma.$transaction([
+            prisma.conversationState.deleteMany({
+                where: { OR: [{ conversationId: { in: conversationIds } }, { sessionId: { in: sessionIds } }] }
+            }),
+            prisma.message.deleteMany({ where: { sessionId: { in: sessionIds } } }),
+            prisma.individualDifferences.deleteMany({ where: { sessionId: { in: sessionIds } } }),
+            prisma.session.deleteMany({ where: { id: { in: sessionIds } } })
+        ]);
+        summary.database = {
+            messages: messages.count,
+            sessions: sessions.count,
+            participants: individualDifferences.count,
+            conversationStates: states.count
+        };
+        console.log(`🗑️ Withdrawal removed ${sessions.count} sessions, ${messages.count} messages, ${individualDifferences.count} participant records and ${states.count} conversation states`);
+    }
+
+    const removeFile = file => {
+        if (!fs.existsSync(file)) return 0;
+        fs.unlinkSync(file);
+        return 1;
+    };
+    findJsonFiles(participantsDir, (data, name) =>
+        participantIds.includes(name) || participantIds.includes(data.participant_id) || participantIds.includes(data.id)
+    ).forEach(({ file }) => { summary.files.participants += removeFile(file); });
+    conversationIds.forEach(id => {
+        summary.files.conversations += removeFile(path.join(conversationsDir, `${id}.json`));
+        summary.files.conversationStates += removeFile(path.join(conversationStatesDir, `${id}.json`));
+    });
+    console.log(`🗑️ Withdrawal removed ${summary.files.participants} participant files, ${summary.files.conversations} conversation files and ${summary.files.conversationStates} conversation state files`);
+
+    return summary;
+}
+
 // Close database connections gracefully
 async function closeDatabase() {
     if (prisma) {
@@ -726,87 +685,61 @@ async function closeDatabase() {
     }
 }
 
-// Get participant by ID (backward compatibility)
-async function getParticipant(participantId) {
-    if (!await isDatabaseAvailable()) {
-        const filename = path.join(participantsDir, `${participantId}.json`);
-        return readJson(filename);
-    }
-    
-    try {
-        const individualDiff = await prisma.individualDifferences.findFirst({
-            where: {
-                OR: [
-                    { sessionId: participantId },
-                    { raw: { path: ['participant_id'], equals: participantId } }
-                ]
-            },
-            include: {
-                session: {
-                    include: {
-                        messages: true
-                    }
-                }
-            }
+// Initialize Prisma on module load
+prisma = initializePrisma();
+
+// Count participants already randomised within a stratum under one study config (drives block randomisation)
+async function countParticipantsInStratum(stratum, studyId = null) {
+    if (await usesDatabase()) {
+        return prisma.individualDifferences.count({
+            where: { randomisationStratum: stratum, studyConfigId: studyId || null }
         });
-        
-        return individualDiff ? transformPrismaToParticipant(individualDiff) : null;
-        
-    } catch (error) {
-        console.error('❌ Prisma getParticipant failed:', error.message);
-        const filename = path.join(participantsDir, `${participantId}.json`);
-        return readJson(filename);
     }
+    
+    return getParticipantsFromFiles()
+        .filter(participant => participant.assignment?.stratum === stratum &&
+            (participant.assignment?.study_config || null) === (studyId || null))
+        .length;
 }
 
-// Get session by ID (backward compatibility)
-async function getSession(sessionId) {
-    if (!await isDatabaseAvailable()) {
-        const filename = path.join(conversationsDir, `${sessionId}.json`);
-        return readJson(filename);
-    }
-    
-    try {
-        const session = await prisma.session.findUnique({
-            where: { id: sessionId },
-            include: {
-                messages: true,
-                individualDifferences: true
-            }
-        });
-        
-        return session ? transformPrismaToSession(session) : null;
-        
-    } catch (error) {
-        console.error('❌ Prisma getSession failed:', error.message);
-        const filename = path.join(conversationsDir, `${sessionId}.json`);
-        return readJson(filename);
-    }
+// Get the connected Prisma client, or null when running on file storage
+function getPrismaClient() {
+    return isInitialized ? prisma : null;
 }
 
-// Initialize Prisma on module load
-prisma = initializePrisma();
+// Database writes that failed, waiting to be retried (see lib/outbox.js); files need no outbox
+const outbox = storageBackend === STORAGE_BACKENDS.POSTGRES
+    ? new WriteOutbox({ dir: path.join(dataDir, 'outbox') })
+    : null;
+
+// Participant and conversation records, on the configured backend
+const storedRecords = createRepository({ backend: storageBackend, dataDir, getPrisma: getPrismaClient });
+const repository = outbox ? new OutboxRepository({ repository: storedRecords, outbox }) : storedRecords;
 
 // Export all functions
 module.exports = {
     isDatabaseAvailable,
     initializeDatabase,
     
-    // Participant functions
-    saveParticipant,
-    getParticipant,
-    getAllParticipants,
+    // Storage backend
+    storageBackend,
+    repository,
+    outbox,
     
-    // Session functions
-    saveSession,
-    getSession,
+    // Exports
+    getAllParticipants,
     getAllSessions,
-    
-    // Message functions
-    saveMessages,
     getAllMessages,
     
+    // Randomisation
+    countParticipantsInStratum,
+    
+    // Participant withdrawal
+    findParticipantData,
+    deleteParticipantData,
+    
     // Utility functions
+    getPrismaClient,
     getDatabaseStats,
     clearAllData,
     closeDatabase
@@ -0,0 +1,377 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Admin accounts, roles and signed bearer tokens.
+ *
+ * Passwords are hashed with scrypt and stored in the admin_users table (or
+ * data/admin_users.json when the database is unavailable). POST /api/admin/login
+ * exchanges a username and password for a token signed with ADMIN_AUTH_SECRET;
+ * admin routes take it as `Authorization: Bearer <token>`. The account is looked
+ * up on every request, so disabling an account, changing its role or resetting
+ * its password takes effect immediately rather than when the token expires.
+ */
+
+// What an admin route needs
+const PERMISSIONS = {
+  VIEW_STATS: 'stats:view', // Database stats, usage report, prompt versions
+  VIEW_DEBUG: 'debug:view', // /debug/data file listing, storage reconciliation report
+  EXPORT_DATA: 'data:export', // Exports and raw session data
+  DELETE_DATA: 'data:delete', // Clear-all-data, withdrawals, storage repairs
+  MANAGE_ADMINS: 'admins:manage', // Create, disable and re-role admin accounts
+  VIEW_AUDIT: 'audit:view', // Browse and verify the audit log
+  REVIEW_PARTICIPANTS: 'participants:review' // Bot review queue and decisions
+};
+
+const ROLES = {
+  viewer: [PERMISSIONS.VIEW_STATS, PERMISSIONS.VIEW_DEBUG],
+  exporter: [PERMISSIONS.VIEW_STATS, PERMISSIONS.VIEW_DEBUG, PERMISSIONS.EXPORT_DATA, PERMISSIONS.REVIEW_PARTICIPANTS],
+  'data-steward': Object.values(PERMISSIONS)
+};
+
+const TOKEN_TTL_MS = Number(process.env.ADMIN_TOKEN_TTL_MS) || 8 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 12;
+
+// scrypt cost parameters (N = 2^14 keeps a login under ~50ms on a small instance)
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLength: 64 };
+
+// Thrown for bad input to the account functions; `status` is the HTTP status to answer with
+class AdminAuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AdminAuthError';
+    this.status = status;
+  }
+}
+
+function hasPermission(role, permission) {
+  return (ROLES[role] || []).includes(permission);
+}
+
+function scrypt(password, salt, { N, r, p, keyLength }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keyLength, { N, r, p, maxmem: 128 * N * r * 2 }, (error, key) => {
+      if (error) reject(error);
+      else resolve(key);
+    });
+  });
+}
+
+// "scrypt$N$r$p$salt$hash" with base64 salt and hash, so cost parameters can be raised later
+async function hashPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AdminAuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT);
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') return false;
+  const expected = Buffer.from(hash, 'base64');
+  try {
+    const key = await scrypt(password, Buffer.from(salt, 'base64'), { N: Number(N), r: Number(r), p: Number(p), keyLength: expected.length });
+    return crypto.timingSafeEqual(key, expected);
+  } catch (error) {
+    console.error('❌ Stored admin password hash is malformed:', error.message);
+    return false;
+  }
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Signed token for an admin account: base64url(JSON payload) + "." + HMAC-SHA256.
+ *
+ * @param {Object} admin - { id, username, role }
+ * @param {string} secret - ADMIN_AUTH_SECRET
+ * @returns {{token: string, expiresAt: string}}
+ */
+function issueToken(admin, secret, now = Date.now(), ttlMs = TOKEN_TTL_MS) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: admin.id,
+    usr: admin.username,
+    iat: now,
+    exp: now + ttlMs
+  })).toString('base64url');
+  return { token: `${payload}.${sign(payload, secret)}`, expiresAt: new Date(now + ttlMs).toISOString() };
+}
+
+// Token payload if the signature is valid and it has not expired, otherwise null
+function verifyToken(token, secret, now = Date.now()) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return Number.isFinite(claims.exp) && claims.exp > now ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function validateRole(role) {
+  if (!ROLES[role]) {
+    throw new AdminAuthError(`Unknown role "${role}" (expected one of: ${Object.keys(ROLES).join(', ')})`);
+  }
+}
+
+// Account fields that are safe to return from the API
+function publicAdmin(admin) {
+  return {
+    id: admin.id,
+    username: admin.username,
+    role: admin.role,
+    disabled: Boolean(admin.disabled),
+    createdAt: admin.createdAt,
+    lastLoginAt: admin.lastLoginAt || null
+  };
+}
+
+/**
+ * Admin accounts in Postgres, or in a JSON file when the database is unavailable.
+ */
+class AdminStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Fallback file for accounts
+   * @param {Function} options.getPrisma - () => Prisma client, or null when the database is unavailable
+   */
+  constructor({ file, getPrisma = () => null } = {}) {
+    this.file = file;
+    this.getPrisma = getPrisma;
+  }
+
+  readFile() {
+    try {
+      return fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, 'utf8')) : [];
+    } catch (error) {
+      console.error('❌ Failed to read admin accounts file:', error.message);
+      return [];
+    }
+  }
+
+  writeFile(admins) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(admins, null, 2), { mode: 0o600 });
+  }
+
+  async list() {
+    const prisma = this.getPrisma();
+    if (prisma) return prisma.adminUser.findMany({ orderBy: { createdAt: 'asc' } });
+    return this.readFile();
+  }
+
+  async findById(id) {
+    const prisma = this.getPrisma();
+    if (prisma) return prisma.adminUser.findUnique({ where: { id } });
+    return this.readFile().find(admin => admin.id === id) || null;
+  }
+
+  async findByUsername(username) {
+    const prisma = this.getPrisma();
+    if (prisma) return prisma.adminUser.findUnique({ where: { username } });
+    return this.readFile().find(admin => admin.username === username) || null;
+  }
+
+  async create({ username, password, role }) {
+    if (!/^[a-z0-9._-]{3,64}$/i.test(username || '')) {
+      throw new AdminAuthError('Username must be 3-64 letters, digits, dots, dashes or underscores');
+    }
+    validateRole(role);
+    if (await this.findByUsername(username)) {
+      throw new AdminAuthError(`Admin "${username}" already exists`, 409);
+    }
+
+    const now = new Date();
+    const admin = {
+      id: crypto.randomUUID(),
+      username,
+      passwordHash: await hashPassword(password),
+      role,
+      disabled: false,
+      passwordChangedAt: now.toISOString(),
+      lastLoginAt: null,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+
+    const prisma = this.getPrisma();
+    if (prisma) {
+      return prisma.adminUser.create({
+        data: { ...admin, passwordChangedAt: now, createdAt: now, updatedAt: undefined }
+      });
+    }
+    this.writeFile([...this.readFile(), admin]);
+    return admin;
+  }
+
+  /**
+   * Change an account's role, disabled flag or password.
+   *
+   * @param {string} username
+   * @param {Object} changes - { role, disabled, password }
+   */
+  async update(username, { role, disabled, password } = {}) {
+    const existing = await this.findByUsername(username);
+    if (!existing) throw new AdminAuthError(`Admin "${username}" not found`, 404);
+    if (role !== undefined) validateRole(role);
+
+    const now = new Date();
+    const changes = {};
+    if (role !== undefined) changes.role = role;
+    if (disabled !== undefined) changes.disabled = Boolean(disabled);
+    if (password !== undefined) {
+      changes.passwordHash = await hashPassword(password);
+      changes.passwordChangedAt = now;
+    }
+
+    const prisma = this.getPrisma();
+    if (prisma) {
+      return prisma.adminUser.update({ where: { username }, data: changes });
+    }
+    const updated = {
+      ...existing,
+      ...changes,
+      passwordChangedAt: (changes.passwordChangedAt || new Date(existing.passwordChangedAt)).toISOString(),
+      updatedAt: now.toISOString()
+    };
+    this.writeFile(this.readFile().map(admin => (admin.username === username ? updated : admin)));
+    return updated;
+  }
+
+  async recordLogin(admin) {
+    const prisma = this.getPrisma();
+    const now = new Date();
+    if (prisma) {
+      await prisma.adminUser.update({ where: { id: admin.id }, data: { lastLoginAt: now } });
+      return;
+    }
+    this.writeFile(this.readFile().map(a => (a.id === admin.id ? { ...a, lastLoginAt: now.toISOString() } : a)));
+  }
+}
+
+/**
+ * Login and per-route permission checks for Express.
+ *
+ * @param {Object} options
+ * @param {AdminStore} options.store
+ * @param {string} options.secret - HMAC secret for tokens (ADMIN_AUTH_SECRET); admin routes answer 503 without it
+ * @param {number} options.maxFailures - Failed logins per username before it is locked out
+ * @param {number} options.lockoutMs - How long the lockout lasts; failures older than this are forgotten
+ * @param {number} options.maxTracked - Most usernames with recent failures kept; the oldest are dropped beyond it
+ */
+function createAdminAuth({
+  store,
+  secret = process.env.ADMIN_AUTH_SECRET,
+  maxFailures = 5,
+  lockoutMs = 15 * 60 * 1000,
+  maxTracked = 10000
+}) {
+  const failures = new Map(); // username -> { count, lastFailedAt, lockedUntil }, least recent failure first
+  let unknownUserHash = null; // Hashed against for unknown usernames so they take as long as wrong passwords
+
+  // Any username can be submitted, so drop entries once their lockout window has passed and cap the rest
+  function pruneFailures(now) {
+    for (const [key, attempt] of failures) {
+      if (attempt.lastFailedAt + lockoutMs > now && failures.size <= maxTracked) break;
+      failures.delete(key);
+    }
+  }
+
+  async function login(username, password) {
+    if (!secret) throw new AdminAuthError('Admin authentication not configured', 503);
+
+    pruneFailures(Date.now());
+    const key = String(username || '').toLowerCase();
+    const attempt = failures.get(key);
+    if (attempt?.lockedUntil > Date.now()) {
+      throw new AdminAuthError('Too many failed logins; try again later', 429);
+    }
+
+    const admin = username ? await store.findByUsername(username) : null;
+    if (!admin) {
+      unknownUserHash = unknownUserHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    const passwordMatches = await verifyPassword(password, admin ? admin.passwordHash : unknownUserHash);
+    const valid = Boolean(admin) && !admin.disabled && passwordMatches;
+    if (!valid) {
+      const count = (attempt?.count || 0) + 1;
+      const now = Date.now();
+      failures.delete(key); // Re-inserted at the end, keeping the map in order of last failure
+      failures.set(key, { count, lastFailedAt: now, lockedUntil: count >= maxFailures ? now + lockoutMs : 0 });
+      pruneFailures(now);
+      throw new AdminAuthError('Invalid username or password', 401);
+    }
+
+    failures.delete(key);
+    await store.recordLogin(admin);
+    console.log(`🔐 Admin login: ${admin.username} (${admin.role})`);
+    return { ...issueToken(admin, secret), admin: publicAdmin(admin) };
+  }
+
+  // The account behind a request's bearer token, or null
+  async function authenticate(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const claims = match ? verifyToken(match[1], secret) : null;
+    if (!claims) return null;
+
+    const admin = await store.findById(claims.sub);
+    if (!admin || admin.disabled) return null;
+    // Tokens issued before a password reset are no longer valid
+    if (admin.passwordChangedAt && claims.iat < new Date(admin.passwordChangedAt).getTime()) return null;
+    return admin;
+  }
+
+  // Middleware: 401 without a valid token, 403 if the account's role lacks the permission
+  function requirePermission(permission) {
+    return async (req, res, next) => {
+      if (!secret) {
+        console.warn('ADMIN_AUTH_SECRET not configured; blocking admin endpoints by default.');
+        return res.status(503).json({ error: 'Admin authentication not configured' });
+      }
+      try {
+        const admin = await authenticate(req);
+        if (!admin) {
+          return res.status(401).json({ error: 'Admin login required' });
+        }
+        if (!hasPermission(admin.role, permission)) {
+          res.locals.auditActor = publicAdmin(admin); // So the refusal is attributed in the audit log
+          console.warn(`⛔ Admin ${admin.username} (${admin.role}) denied ${permission} on ${req.method} ${req.path}`);
+          return res.status(403).json({ error: 'Forbidden', required: permission });
+        }
+        req.admin = publicAdmin(admin);
+        next();
+      } catch (error) {
+        console.error('❌ Admin authentication failed:', error.message);
+        res.status(500).json({ error: 'Admin authentication failed' });
+      }
+    };
+  }
+
+  return { login, authenticate, requirePermission, trackedFailures: () => failures.size };
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  TOKEN_TTL_MS,
+  AdminAuthError,
+  AdminStore,
+  hasPermission,
+  hashPassword,
+  verifyPassword,
+  issueToken,
+  verifyToken,
+  publicAdmin,
+  createAdminAuth
+};
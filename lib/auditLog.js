@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Append-only, hash-chained audit log of admin and data-destructive actions.
+ *
+ * Each entry stores the SHA-256 of the previous entry (`prevHash`) and its own
+ * hash over every other field, so editing, deleting or reordering an entry
+ * breaks the chain from that point on. Entries go to the audit_log table (where
+ * a trigger rejects UPDATE, DELETE and TRUNCATE) or, without a database, to
+ * data/audit/audit_log.jsonl. verify() walks the chain; record the head hash it
+ * returns somewhere outside the database to detect the whole log being rewritten.
+ */
+
+const GENESIS_HASH = '0'.repeat(64);
+const REDACTED = '[redacted]';
+const SECRET_KEYS = /pass(word)?|secret|token|authorization/i;
+
+// JSON with object keys sorted at every level, so a hash does not depend on key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Request parameters with passwords and tokens blanked out
+function redactParams(params) {
+  if (Array.isArray(params)) return params.map(redactParams);
+  if (!params || typeof params !== 'object') return params;
+  return Object.fromEntries(Object.entries(params).map(([key, value]) => [
+    key,
+    SECRET_KEYS.test(key) ? REDACTED : redactParams(value)
+  ]));
+}
+
+// Hash of an entry: every field except the hash itself
+function hashEntry(entry) {
+  const { hash, ...fields } = entry;
+  return crypto.createHash('sha256').update(canonicalJson(fields)).digest('hex');
+}
+
+/**
+ * Check a sequence of entries (oldest first) against the hash chain.
+ *
+ * @param {Array} entries
+ * @returns {{valid: boolean, entries: number, headHash: string, brokenAt: number|null, reason: string|null}}
+ */
+function verifyChain(entries) {
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  for (const entry of entries) {
+    const broken = reason => ({ valid: false, entries: entries.length, headHash: prevHash, brokenAt: entry.seq, reason });
+    if (entry.seq !== expectedSeq) return broken(`Expected entry ${expectedSeq}, found ${entry.seq} (entries missing or reordered)`);
+    if (entry.prevHash !== prevHash) return broken('prevHash does not match the previous entry');
+    if (hashEntry(entry) !== entry.hash) return broken('Entry contents do not match its hash');
+    prevHash = entry.hash;
+    expectedSeq++;
+  }
+  return { valid: true, entries: entries.length, headHash: prevHash, brokenAt: null, reason: null };
+}
+
+class AuditLog {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - JSONL file used when the database is unavailable
+   * @param {Function} options.getPrisma - () => Prisma client, or null when the database is unavailable
+   */
+  constructor({ file, getPrisma = () => null } = {}) {
+    this.file = file;
+    this.getPrisma = getPrisma;
+    this.queue = Promise.resolve(); // Appends are serialised so each one sees the previous hash
+  }
+
+  readFile() {
+    if (!fs.existsSync(this.file)) return [];
+    return fs.readFileSync(this.file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  // Row from the audit_log table in the shape that was hashed
+  fromRow(row) {
+    return { ...row, createdAt: row.createdAt.toISOString() };
+  }
+
+  async tail() {
+    const prisma = this.getPrisma();
+    if (prisma) {
+      const row = await prisma.auditEntry.findFirst({ orderBy: { seq: 'desc' } });
+      return row ? this.fromRow(row) : null;
+    }
+    const entries = this.readFile();
+    return entries[entries.length - 1] || null;
+  }
+
+  /**
+   * Append an entry to the chain.
+   *
+   * @param {Object} event
+   * @param {string} event.action - What was done, e.g. "export.json", "data.clear", "admin.login"
+   * @param {Object} event.actor - { username, role } of the admin, or null for anonymous requests
+   * @param {string} event.method - HTTP method
+   * @param {string} event.route - Request path
+   * @param {Object} event.params - Query and body parameters (secrets are redacted here)
+   * @param {number} event.status - HTTP status of the response
+   * @param {Object} event.rowCounts - Rows exported or deleted, when the handler reports them
+   * @param {string} event.ip - Client IP
+   * @returns {Promise<Object>} The stored entry
+   */
+  append(event) {
+    const run = this.queue.then(() => this.appendNow(event));
+    this.queue = run.catch(() => {}); // One failed append must not block the ones after it
+    return run;
+  }
+
+  async appendNow(event, attempt = 1) {
+    const previous = await this.tail();
+    const entry = {
+      seq: (previous?.seq || 0) + 1,
+      createdAt: new Date().toISOString(),
+      action: event.action,
+      actor: event.actor?.username || null,
+      actorRole: event.actor?.role || null,
+      method: event.method || null,
+      route: event.route || null,
+      params: redactParams(event.params || {}),
+      status: event.status ?? null,
+      rowCounts: event.rowCounts || null,
+      ip: event.ip || null,
+      prevHash: previous?.hash || GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+
+    const prisma = this.getPrisma();
+    if (prisma) {
+      try {
+        await prisma.auditEntry.create({
+          data: { ...entry, createdAt: new Date(entry.createdAt), rowCounts: entry.rowCounts ?? undefined }
+        });
+      } catch (error) {
+        // Another instance took this sequence number; rebuild on the new tail
+        if (error.code === 'P2002' && attempt < 5) return this.appendNow(event, attempt + 1);
+        throw error;
+      }
+      return entry;
+    }
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+    return entry;
+  }
+
+  /**
+   * Entries newest first, for browsing.
+   *
+   * @param {Object} filters - { actor, action, from, to (YYYY-MM-DD, inclusive), limit, offset }
+   * @returns {Promise<{total: number, entries: Array}>}
+   */
+  async list({ actor, action, from, to, limit = 100, offset = 0 } = {}) {
+    const prisma = this.getPrisma();
+    if (prisma) {
+      const where = {
+        actor: actor || undefined,
+        action: action || undefined,
+        createdAt: {
+          gte: from ? new Date(`${from}T00:00:00.000Z`) : undefined,
+          lte: to ? new Date(`${to}T23:59:59.999Z`) : undefined
+        }
+      };
+      const [total, rows] = await Promise.all([
+        prisma.auditEntry.count({ where }),
+        prisma.auditEntry.findMany({ where, orderBy: { seq: 'desc' }, skip: offset, take: limit })
+      ]);
+      return { total, entries: rows.map(row => this.fromRow(row)) };
+    }
+
+    const matches = this.readFile()
+      .filter(entry => (!actor || entry.actor === actor) && (!action || entry.action === action))
+      .filter(entry => (!from || entry.createdAt.slice(0, 10) >= from) && (!to || entry.createdAt.slice(0, 10) <= to))
+      .reverse();
+    return { total: matches.length, entries: matches.slice(offset, offset + limit) };
+  }
+
+  // Walk the whole chain from the first entry
+  async verify() {
+    const prisma = this.getPrisma();
+    if (!prisma) return verifyChain(this.readFile());
+
+    // Read in pages so a long log is not loaded in one query
+    const entries = [];
+    for (let cursor = 0; ;) {
+      const rows = await prisma.auditEntry.findMany({ where: { seq: { gt: cursor } }, orderBy: { seq: 'asc' }, take: 1000 });
+      if (rows.length === 0) break;
+      entries.push(...rows.map(row => this.fromRow(row)));
+      cursor = rows[rows.length - 1].seq;
+    }
+    return verifyChain(entries);
+  }
+}
+
+/**
+ * Express middleware that appends an audit entry when the response finishes,
+ * including requests refused for a missing login or permission. Put it before
+ * requirePermission so refusals are recorded; handlers can report the rows they
+ * exported or deleted in `res.locals.auditRowCounts`.
+ *
+ * @param {AuditLog} auditLog
+ * @param {string} action
+ * @param {Object} options
+ * @param {Function} options.params - req => parameters to record, for routes whose raw parameters must not be kept;
+ *   the route is then recorded as its pattern (e.g. /api/admin/bot-review/:participantId), not the requested path
+ */
+function auditAction(auditLog, action, { params } = {}) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      auditLog.append({
+        action,
+        actor: req.admin || res.locals.auditActor || null,
+        method: req.method,
+        route: params && req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0],
+        params: params
+          ? params(req)
+          : { ...req.query, ...req.params, ...(req.body && typeof req.body === 'object' ? req.body : {}) },
+        status: res.statusCode,
+        rowCounts: res.locals.auditRowCounts || null,
+        ip: req.ip
+      }).catch(error => {
+        console.error(`❌ Failed to write audit entry for ${action}:`, error.message);
+      });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  canonicalJson,
+  redactParams,
+  hashEntry,
+  verifyChain,
+  AuditLog,
+  auditAction
+};
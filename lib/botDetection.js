@@ -0,0 +1,341 @@
+/**
+ * Server-side bot detection for survey submissions.
+ *
+ * The views page reports how its free-text answers were written (keystrokes,
+ * the gaps between them, paste attempts, time spent in each box and on the
+ * page) and the value of a hidden honeypot field, as `bot_signals`. The server
+ * keeps a summary of these and runs a list of checks over them and the stored
+ * participant record. Each check scores 0 to 1:
+ *
+ *   honeypot         hidden field filled in, or the hidden "write the word
+ *                    hello 10 times" instruction followed
+ *   paste            text pasted into the answer boxes
+ *   typing_speed     text that appeared without being typed, or keys pressed
+ *                    faster than a person types
+ *   duplicate_text   an answer the same as (or nearly the same as) another
+ *                    participant's
+ *   completion_time  the views page or the whole study finished impossibly fast
+ *
+ * The risk score combines them as 1 - Π(1 - weight × score), so one strong
+ * signal is enough and weak ones add up. Participants at or above
+ * `reviewThreshold` go to the admin review queue; at or above
+ * `screenOutThreshold` they are screened out straight away. The result is
+ * stored on the participant as `bot_detection`:
+ *
+ *   bot_detection: {
+ *     risk_score: 0.82,
+ *     status: 'clear' | 'review' | 'screened_out',
+ *     checks: [{ id, score, weight, detail }],
+ *     signals: { ... },        // the summary the checks ran on
+ *     evaluated_at: ISO timestamp,
+ *     review: null | { decision: 'genuine' | 'bot', reviewer, note, reviewed_at }
+ *   }
+ *
+ * Settings come from BOT_DETECTION_CONFIG (JSON merged over DEFAULT_CONFIG),
+ * e.g. {"reviewThreshold": 0.4, "checks": {"paste": {"enabled": false}}}.
+ * Other checks can be passed to createBotDetector as { id, run(context, options) }.
+ */
+
+const BOT_STATUSES = Object.freeze({
+  CLEAR: 'clear',
+  REVIEW: 'review',
+  SCREENED_OUT: 'screened_out'
+});
+
+const REVIEW_DECISIONS = Object.freeze({
+  GENUINE: 'genuine',
+  BOT: 'bot'
+});
+
+// disqualification_reason of participants screened out by the checks or a review
+const SCREEN_OUT_REASON = 'automated entry detected';
+
+// Free-text answers the page reports signals for, and where the record keeps them
+const TEXT_FIELDS = {
+  current_views: participant => participant.belief_change?.current_view,
+  elaboration: participant => participant.belief_change?.elaboration
+};
+
+// Keystroke gaps kept per field; enough for a median without storing a keylog
+const MAX_INTERVALS = 500;
+
+const DEFAULT_CONFIG = {
+  reviewThreshold: 0.5,
+  screenOutThreshold: 0.95,
+  checks: {
+    honeypot: { enabled: true, weight: 1 },
+    paste: { enabled: true, weight: 0.5 },
+    typing_speed: { enabled: true, weight: 0.7, minChars: 20, minKeystrokeRatio: 0.5, minMedianIntervalMs: 40, minIntervals: 20 },
+    duplicate_text: { enabled: true, weight: 0.8, minChars: 40, similarity: 0.8 },
+    completion_time: { enabled: true, weight: 0.6, minPageMs: 20 * 1000, minStudyMs: 5 * 60 * 1000 }
+  }
+};
+
+function configFromEnv(env = process.env) {
+  if (!env.BOT_DETECTION_CONFIG) return DEFAULT_CONFIG;
+  try {
+    const override = JSON.parse(env.BOT_DETECTION_CONFIG);
+    const checks = { ...DEFAULT_CONFIG.checks };
+    for (const [id, options] of Object.entries(override.checks || {})) {
+      checks[id] = { ...checks[id], ...options };
+    }
+    return { ...DEFAULT_CONFIG, ...override, checks };
+  } catch (error) {
+    console.error('❌ BOT_DETECTION_CONFIG is not valid JSON, using the default bot detection settings:', error.message);
+    return DEFAULT_CONFIG;
+  }
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * The part of the page's `bot_signals` that is kept on the participant.
+ *
+ * @param {Object} raw - bot_signals as validated by SURVEY_SUBMIT
+ * @returns {Object|null} { honeypot_filled, page_ms, fields: { [field]: { keystrokes, median_interval_ms, intervals, paste_events, pasted_chars, active_ms } } }
+ */
+function summariseSignals(raw) {
+  if (!raw) return null;
+  const fields = {};
+  for (const name of Object.keys(TEXT_FIELDS)) {
+    const field = raw.fields?.[name];
+    if (!field) continue;
+    const intervals = (field.key_intervals_ms || []).slice(0, MAX_INTERVALS);
+    fields[name] = {
+      keystrokes: field.keystrokes ?? null,
+      intervals: intervals.length,
+      median_interval_ms: median(intervals),
+      paste_events: field.paste_events ?? 0,
+      pasted_chars: field.pasted_chars ?? 0,
+      active_ms: field.active_ms ?? null
+    };
+  }
+  return {
+    honeypot_filled: Boolean(raw.honeypot && String(raw.honeypot).trim()),
+    page_ms: raw.page_ms ?? null,
+    fields
+  };
+}
+
+const answers = participant => Object.entries(TEXT_FIELDS)
+  .map(([field, read]) => ({ field, text: String(read(participant) || '').trim() }))
+  .filter(answer => answer.text);
+
+// The hidden instruction on the views page, followed
+function followsHiddenInstruction(text) {
+  const lower = text.toLowerCase();
+  return lower.includes('write the word hello 10 times') || (lower.match(/\bhello\b/g) || []).length >= 10;
+}
+
+const honeypot = {
+  id: 'honeypot',
+  run({ participant, signals, clientFlagged }) {
+    if (signals?.honeypot_filled) return { score: 1, detail: 'Hidden field filled in' };
+    const followed = answers(participant).filter(answer => followsHiddenInstruction(answer.text));
+    if (followed.length > 0) return { score: 1, detail: `Hidden instruction followed in ${followed.map(answer => answer.field).join(', ')}` };
+    // The page reported the instruction but the text does not show it
+    if (clientFlagged) return { score: 0.5, detail: 'Flagged by the page only' };
+    return { score: 0, detail: null };
+  }
+};
+
+const paste = {
+  id: 'paste',
+  run({ participant, signals }) {
+    let score = 0;
+    const pasted = [];
+    for (const { field, text } of answers(participant)) {
+      const typed = signals?.fields?.[field];
+      if (!typed?.paste_events) continue;
+      pasted.push(field);
+      // Pastes are blocked on the page, so the length of what was pasted is what the participant tried to insert
+      score = Math.max(score, typed.pasted_chars ? Math.min(1, typed.pasted_chars / text.length) : 0.5);
+    }
+    return { score, detail: pasted.length ? `Paste attempted in ${pasted.join(', ')}` : null };
+  }
+};
+
+const typingSpeed = {
+  id: 'typing_speed',
+  run({ participant, signals }, options) {
+    const findings = [];
+    let score = 0;
+    for (const { field, text } of answers(participant)) {
+      if (text.length < options.minChars) continue;
+      const typed = signals?.fields?.[field];
+      if (!typed || typed.keystrokes === null) {
+        findings.push(`no typing recorded for ${field}`);
+        score = Math.max(score, 0.5);
+      } else if (typed.keystrokes < text.length * options.minKeystrokeRatio) {
+        findings.push(`${field} has ${text.length} characters from ${typed.keystrokes} keystrokes`);
+        score = 1;
+      } else if (typed.intervals >= options.minIntervals && typed.median_interval_ms < options.minMedianIntervalMs) {
+        findings.push(`${field} typed ${typed.median_interval_ms}ms per key`);
+        score = 1;
+      }
+    }
+    return { score, detail: findings.length ? findings.join('; ') : null };
+  }
+};
+
+// Lower-case words without punctuation, for comparing answers
+function normaliseText(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean);
+}
+
+// Jaccard similarity of the three-word sequences in two answers
+function textSimilarity(a, b) {
+  const shingles = words => new Set(words.length < 3 ? [words.join(' ')] : words.slice(2).map((word, index) => `${words[index]} ${words[index + 1]} ${word}`));
+  const first = shingles(normaliseText(a));
+  const second = shingles(normaliseText(b));
+  const shared = [...first].filter(shingle => second.has(shingle)).length;
+  return shared / (first.size + second.size - shared || 1);
+}
+
+const duplicateText = {
+  id: 'duplicate_text',
+  run({ participant, others = [] }, options) {
+    let best = null;
+    for (const { field, text } of answers(participant)) {
+      if (text.length < options.minChars) continue;
+      for (const other of others) {
+        for (const { text: otherText } of answers(other)) {
+          if (otherText.length < options.minChars) continue;
+          const similarity = textSimilarity(text, otherText);
+          if (similarity >= options.similarity && (!best || similarity > best.similarity)) {
+            best = { field, similarity, participantId: other.participant_id || other.id };
+          }
+        }
+      }
+    }
+    if (!best) return { score: 0, detail: null };
+    return {
+      score: best.similarity,
+      detail: `${best.field} ${best.similarity === 1 ? 'matches' : `is ${Math.round(best.similarity * 100)}% the same as`} an answer of ${best.participantId}`
+    };
+  }
+};
+
+const completionTime = {
+  id: 'completion_time',
+  run({ participant, signals }, options) {
+    const findings = [];
+    if (signals?.page_ms !== null && signals?.page_ms !== undefined && signals.page_ms < options.minPageMs && answers(participant).length > 0) {
+      findings.push(`views page answered in ${Math.round(signals.page_ms / 1000)}s`);
+    }
+    const started = Date.parse(participant.timestamps?.started);
+    const completed = Date.parse(participant.timestamps?.completed);
+    if (Number.isFinite(started) && Number.isFinite(completed) && completed - started < options.minStudyMs) {
+      findings.push(`study finished in ${Math.round((completed - started) / 1000)}s`);
+    }
+    return { score: findings.length ? 1 : 0, detail: findings.length ? findings.join('; ') : null };
+  }
+};
+
+const DEFAULT_CHECKS = [honeypot, paste, typingSpeed, duplicateText, completionTime];
+
+/**
+ * @param {Object} options
+ * @param {Object} [options.config] - Thresholds and per-check options (DEFAULT_CONFIG shape)
+ * @param {Array<Object>} [options.checks] - { id, run(context, options) => { score, detail } }
+ * @returns {{config: Object, evaluate: Function}}
+ */
+function createBotDetector({ config = configFromEnv(), checks = DEFAULT_CHECKS } = {}) {
+  /**
+   * Run the enabled checks over a participant.
+   *
+   * @param {Object} context
+   * @param {Object} context.participant - Participant record (its previous bot_detection keeps its signals and review)
+   * @param {Object} [context.signals] - From summariseSignals; the stored ones are used when not given
+   * @param {Array<Object>} [context.others] - Other participants, for duplicate_text
+   * @param {boolean} [context.clientFlagged] - The page reported the hidden instruction
+   * @param {Date} [context.now]
+   * @returns {Object} The participant's bot_detection record
+   */
+  function evaluate({ participant, signals, others = [], clientFlagged = false, now = new Date() }) {
+    const previous = participant.bot_detection || null;
+    const kept = signals === undefined ? previous?.signals || null : signals;
+    const results = checks
+      .filter(check => (config.checks[check.id] || {}).enabled !== false)
+      .map(check => {
+        const options = config.checks[check.id] || {};
+        const { score, detail } = check.run({ participant, signals: kept, others, clientFlagged }, options);
+        return { id: check.id, score, weight: options.weight ?? 1, detail };
+      });
+
+    const risk = 1 - results.reduce((clear, result) => clear * (1 - Math.min(1, result.weight * result.score)), 1);
+    const riskScore = Math.round(risk * 1000) / 1000;
+    let status = BOT_STATUSES.CLEAR;
+    if (riskScore >= config.screenOutThreshold) status = BOT_STATUSES.SCREENED_OUT;
+    else if (riskScore >= config.reviewThreshold) status = BOT_STATUSES.REVIEW;
+
+    return {
+      risk_score: riskScore,
+      status,
+      checks: results,
+      signals: kept,
+      evaluated_at: now.toISOString(),
+      review: previous?.review || null
+    };
+  }
+
+  return { config, evaluate };
+}
+
+// Whether a participant is waiting in the review queue
+function awaitingReview(participant) {
+  return participant.bot_detection?.status === BOT_STATUSES.REVIEW && !participant.bot_detection.review;
+}
+
+/**
+ * Record an admin's decision on a flagged participant. A "bot" decision
+ * disqualifies them; "genuine" lifts a disqualification the checks made.
+ *
+ * @param {Object} participant
+ * @param {Object} options
+ * @param {string} options.decision - One of REVIEW_DECISIONS
+ * @param {string} options.reviewer - Admin username
+ * @param {string} [options.note]
+ * @param {Date} [options.now]
+ * @returns {Object} The updated participant
+ */
+function applyReview(participant, { decision, reviewer, note = null, now = new Date() }) {
+  if (!Object.values(REVIEW_DECISIONS).includes(decision)) {
+    throw new Error(`decision must be one of: ${Object.values(REVIEW_DECISIONS).join(', ')}`);
+  }
+  const updated = {
+    ...participant,
+    bot_detection: {
+      ...participant.bot_detection,
+      review: { decision, reviewer, note, reviewed_at: now.toISOString() }
+    },
+    updatedAt: now.toISOString()
+  };
+  if (decision === REVIEW_DECISIONS.BOT) {
+    updated.disqualified = true;
+    updated.disqualification_reason = SCREEN_OUT_REASON;
+  } else if (participant.disqualification_reason === SCREEN_OUT_REASON) {
+    updated.disqualified = false;
+    updated.disqualification_reason = null;
+  }
+  return updated;
+}
+
+module.exports = {
+  BOT_STATUSES,
+  REVIEW_DECISIONS,
+  SCREEN_OUT_REASON,
+  DEFAULT_CONFIG,
+  DEFAULT_CHECKS,
+  configFromEnv,
+  summariseSignals,
+  textSimilarity,
+  createBotDetector,
+  awaitingReview,
+  applyReview
+};
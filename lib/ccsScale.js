@@ -0,0 +1,126 @@
+/**
+ * Climate Change Skepticism (CCS) scale definition and server-side scoring.
+ *
+ * cc-views-matrix.html sends each item's raw slider value (0-100, or "N/a"
+ * when left untouched) along with the scored values and subscale means it
+ * computed in the browser. The server recomputes those from the raw values
+ * with the definition below, stores its own, and records where the client's
+ * differed, so a stale or tampered page cannot change a participant's scores.
+ *
+ * Change CCS_SCALE_VERSION whenever items, keying or subscales change; every
+ * participant record stores the version it was scored with.
+ */
+
+const CCS_SCALE_VERSION = 'ccs12-2026.10';
+
+// Scale bounds; reverse-keyed items are scored MAX - raw
+const CCS_MIN = 0;
+const CCS_MAX = 100;
+
+// Items in the order the matrix defines them; reverse-keyed items are worded against skepticism
+const CCS_ITEM_DEFINITIONS = [
+  { id: 'ccs_01', reverse: false },
+  { id: 'ccs_02', reverse: true },
+  { id: 'ccs_03', reverse: false },
+  { id: 'ccs_04', reverse: false },
+  { id: 'ccs_05', reverse: true },
+  { id: 'ccs_06', reverse: false },
+  { id: 'ccs_07', reverse: true },
+  { id: 'ccs_08', reverse: false },
+  { id: 'ccs_09', reverse: true },
+  { id: 'ccs_10', reverse: false },
+  { id: 'ccs_11', reverse: false },
+  { id: 'ccs_12', reverse: false }
+];
+
+// Rows of the matrix as displayed; ccs_row_order holds a shuffle of these indices
+const CCS_MATRIX_ROWS = [
+  'ccs_01', 'ccs_02', 'ccs_03', 'ccs_04', 'ccs_05', 'ccs_06',
+  'attention_check',
+  'ccs_07', 'ccs_08', 'ccs_09', 'ccs_10', 'ccs_11', 'ccs_12'
+];
+
+const CCS_ITEMS = CCS_ITEM_DEFINITIONS.map(item => item.id);
+const CCS_REVERSE_ITEMS = CCS_ITEM_DEFINITIONS.filter(item => item.reverse).map(item => item.id);
+
+// Subscale means are stored as ccs_<name>_mean; an item may count towards more than one
+const CCS_SUBSCALES = {
+  occurrence: ['ccs_03', 'ccs_07'],
+  causation: ['ccs_04', 'ccs_05', 'ccs_06', 'ccs_12'],
+  seriousness: ['ccs_07', 'ccs_09', 'ccs_08'],
+  efficacy: ['ccs_10', 'ccs_11'],
+  trust: ['ccs_01', 'ccs_02']
+};
+
+// Untouched sliders and means with no answered items are stored as "N/a", as the page does
+const NOT_ANSWERED = 'N/a';
+
+// Means computed in a different order can differ in the last bits
+const TOLERANCE = 1e-6;
+
+function rawValue(value) {
+  if (value === undefined || value === null || value === '' || value === NOT_ANSWERED) return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= CCS_MIN && number <= CCS_MAX ? number : null;
+}
+
+function mean(values) {
+  const answered = values.filter(value => value !== null);
+  return answered.length > 0 ? answered.reduce((sum, value) => sum + value, 0) / answered.length : null;
+}
+
+const stored = value => (value === null ? NOT_ANSWERED : value);
+
+function sameScore(client, server) {
+  if (client === NOT_ANSWERED || server === NOT_ANSWERED) return client === server;
+  const number = Number(client);
+  return Number.isFinite(number) && Math.abs(number - server) <= TOLERANCE;
+}
+
+/**
+ * Score the CCS items from their raw values.
+ *
+ * @param {Object} answers - Survey fields: ccs_XX_raw, plus the client's ccs_XX_scored and means if sent
+ * @returns {{values: Object, scoring: Object}} values holds ccs_XX_scored, ccs_mean_scored and the
+ *   ccs_<subscale>_mean fields as stored on the participant record; scoring holds the scale
+ *   version and mismatches, one { field, client, server } per value the client got wrong
+ */
+function scoreCcs(answers) {
+  const scored = {};
+  for (const { id, reverse } of CCS_ITEM_DEFINITIONS) {
+    const raw = rawValue(answers[`${id}_raw`]);
+    scored[id] = raw === null ? null : (reverse ? CCS_MAX + CCS_MIN - raw : raw);
+  }
+
+  const values = {};
+  CCS_ITEMS.forEach(id => { values[`${id}_scored`] = stored(scored[id]); });
+  values.ccs_mean_scored = stored(mean(CCS_ITEMS.map(id => scored[id])));
+  for (const [name, items] of Object.entries(CCS_SUBSCALES)) {
+    values[`ccs_${name}_mean`] = stored(mean(items.map(id => scored[id])));
+  }
+
+  // Only values the client sent are compared
+  const mismatches = Object.entries(values)
+    .filter(([field]) => answers[field] !== undefined && answers[field] !== null)
+    .filter(([field, server]) => !sameScore(answers[field], server))
+    .map(([field, server]) => ({ field, client: answers[field], server }));
+
+  return {
+    values,
+    scoring: {
+      scale_version: CCS_SCALE_VERSION,
+      scored_by: 'server',
+      client_mismatches: mismatches
+    }
+  };
+}
+
+module.exports = {
+  CCS_SCALE_VERSION,
+  CCS_ITEM_DEFINITIONS,
+  CCS_ITEMS,
+  CCS_MATRIX_ROWS,
+  CCS_REVERSE_ITEMS,
+  CCS_SUBSCALES,
+  scoreCcs
+};
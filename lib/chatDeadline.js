@@ -0,0 +1,135 @@
+/**
+ * Server-side chat deadlines.
+ *
+ * Each conversation gets an `expiresAt` when it starts, stored on the conversation
+ * record; the browser timer only counts down to that time. The one-minute summary
+ * becomes due SUMMARY_LEAD_MS before expiry, replies after expiry are refused, and
+ * the session sweeper ends conversations whose tab was closed without reaching
+ * /api/conversations/:id/end.
+ */
+
+function durationFromEnv(name, fallback) {
+  const value = process.env[name] ? Number(process.env[name]) : NaN;
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const CHAT_DURATION_MS = durationFromEnv('CHAT_DURATION_MS', 10 * 60 * 1000);
+const SUMMARY_LEAD_MS = durationFromEnv('CHAT_SUMMARY_LEAD_MS', 60 * 1000);
+// How long past expiry an open conversation is left before the sweeper ends it
+const ABANDON_GRACE_MS = durationFromEnv('CHAT_ABANDON_GRACE_MS', 2 * 60 * 1000);
+const SWEEP_INTERVAL_MS = durationFromEnv('CHAT_SWEEP_INTERVAL_MS', 60 * 1000);
+
+// Why a conversation ended (stored as endReason)
+const END_REASONS = {
+  PARTICIPANT: 'participant', // Browser called /api/conversations/:id/end
+  ENDED_EARLY: 'ended_early', // "end the chat" or a termination request
+  INTERVIEW_COMPLETE: 'interview_complete', // Model signalled completion
+  TIME_LIMIT: 'time_limit', // A reply arrived after the deadline
+  ABANDONED: 'abandoned' // Ended by the session sweeper
+};
+
+// Deadline fields for a conversation starting at `startedAt`
+function deadlineFor(startedAt = new Date(), durationMs = CHAT_DURATION_MS) {
+  const start = new Date(startedAt);
+  return {
+    startedAt: start.toISOString(),
+    expiresAt: new Date(start.getTime() + durationMs).toISOString(),
+    summaryAt: new Date(start.getTime() + Math.max(durationMs - SUMMARY_LEAD_MS, 0)).toISOString()
+  };
+}
+
+// Expiry of a stored conversation; records from before deadlines were stored use startedAt + duration
+function expiresAtOf(conversation) {
+  if (conversation?.expiresAt) return new Date(conversation.expiresAt);
+  if (conversation?.startedAt) return new Date(new Date(conversation.startedAt).getTime() + CHAT_DURATION_MS);
+  return null;
+}
+
+/**
+ * Where a conversation stands against its deadline.
+ *
+ * @param {Object} conversation - Stored conversation record ({ startedAt, expiresAt, endedAt })
+ * @param {Date} now
+ * @returns {{expiresAt: string|null, summaryAt: string|null, remainingMs: number|null, summaryDue: boolean, expired: boolean}}
+ */
+function deadlineStatus(conversation, now = new Date()) {
+  const expiresAt = expiresAtOf(conversation);
+  if (!expiresAt) {
+    return { expiresAt: null, summaryAt: null, remainingMs: null, summaryDue: false, expired: false };
+  }
+
+  const remainingMs = expiresAt.getTime() - now.getTime();
+  return {
+    expiresAt: expiresAt.toISOString(),
+    summaryAt: new Date(expiresAt.getTime() - SUMMARY_LEAD_MS).toISOString(),
+    remainingMs: Math.max(remainingMs, 0),
+    summaryDue: remainingMs <= SUMMARY_LEAD_MS,
+    expired: remainingMs <= 0
+  };
+}
+
+// Open conversation whose deadline passed more than ABANDON_GRACE_MS ago
+function isAbandoned(conversation, now = new Date()) {
+  if (!conversation || conversation.endedAt) return false;
+  const expiresAt = expiresAtOf(conversation);
+  return Boolean(expiresAt) && now.getTime() - expiresAt.getTime() >= ABANDON_GRACE_MS;
+}
+
+/**
+ * Periodically end abandoned conversations.
+ *
+ * @param {Object} options
+ * @param {Function} options.listOpenConversations - async () => stored conversations without endedAt
+ * @param {Function} options.endConversation - async (conversationId, reason) => void
+ * @param {number} options.intervalMs - Sweep interval (0 disables the sweeper)
+ * @returns {{sweep: Function, stop: Function}}
+ */
+function startSessionSweeper({ listOpenConversations, endConversation, intervalMs = SWEEP_INTERVAL_MS }) {
+  let running = false;
+
+  async function sweep(now = new Date()) {
+    if (running) return [];
+    running = true;
+    const ended = [];
+    try {
+      const conversations = await listOpenConversations();
+      for (const conversation of conversations.filter(c => isAbandoned(c, now))) {
+        try {
+          await endConversation(conversation.id, END_REASONS.ABANDONED);
+          ended.push(conversation.id);
+        } catch (error) {
+          console.error(`❌ Session sweeper could not end ${conversation.id}:`, error.message);
+        }
+      }
+      if (ended.length > 0) {
+        console.log(`🧹 Session sweeper ended ${ended.length} abandoned conversation(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Session sweep failed:', error.message);
+    } finally {
+      running = false;
+    }
+    return ended;
+  }
+
+  const timer = intervalMs > 0 ? setInterval(sweep, intervalMs) : null;
+  // Don't keep the process alive just for the sweeper
+  if (timer && timer.unref) timer.unref();
+
+  return {
+    sweep,
+    stop: () => timer && clearInterval(timer)
+  };
+}
+
+module.exports = {
+  CHAT_DURATION_MS,
+  SUMMARY_LEAD_MS,
+  ABANDON_GRACE_MS,
+  SWEEP_INTERVAL_MS,
+  END_REASONS,
+  deadlineFor,
+  deadlineStatus,
+  isAbandoned,
+  startSessionSweeper
+};
@@ -0,0 +1,133 @@
+/**
+ * The end-of-chat summary as a structured record on the conversation.
+ *
+ * The one-minute summary the model writes, or the fallback the server builds
+ * from the participant's messages when the chat ends without one, is stored
+ * on the conversation record as:
+ *
+ *   summary: {
+ *     bullets: ['...'],                 // theme bullets, up to MAX_BULLETS
+ *     sourceMessageIds: ['<id>-msg-3'], // the chat turns it was built from
+ *     messageId: '<id>-msg-9',          // the assistant message that showed it
+ *     generator: 'model' | 'fallback',
+ *     prompt: { promptId, promptVersion, promptHash }, // timed-summary prompt the model was given; null for the fallback
+ *     createdAt: ISO timestamp
+ *   }
+ *
+ * Message ids are those of the Message rows (lib/repository.js): the
+ * conversation id and the turn's index among the non-system messages.
+ */
+
+const { isSyntheticTurn } = require('./messageProvenance');
+
+const SUMMARY_GENERATORS = Object.freeze({
+  MODEL: 'model',
+  FALLBACK: 'fallback'
+});
+
+const MAX_BULLETS = 5;
+
+// "•", "*", "-" or "1." / "1)" at the start of a line
+const BULLET = /^\s*(?:[•*\-–]|\d+[.)])\s+(.+)$/;
+
+function messageId(conversationId, turn) {
+  return `${conversationId}-msg-${turn}`;
+}
+
+/**
+ * Ids of the chat turns that match a predicate, numbered as the Message rows are.
+ *
+ * @param {string} conversationId
+ * @param {Array<Object>} messages - Stored conversation messages, system prompt included
+ * @param {Function} [predicate] - (message) => boolean; every chat turn by default
+ * @returns {Array<string>}
+ */
+function turnIds(conversationId, messages, predicate = () => true) {
+  return (messages || [])
+    .filter(message => message.role !== 'system')
+    .map((message, turn) => (predicate(message) ? messageId(conversationId, turn) : null))
+    .filter(Boolean);
+}
+
+// Id the next message appended to the conversation will have
+function nextMessageId(conversationId, messages) {
+  return messageId(conversationId, (messages || []).filter(message => message.role !== 'system').length);
+}
+
+// Participant turns the fallback summary draws its themes from
+function isSummarySource(message) {
+  return message.role === 'user' &&
+    !isSyntheticTurn(message) &&
+    Boolean(message.content) &&
+    message.content.trim().length > 10 &&
+    !message.content.toLowerCase().includes('end the chat');
+}
+
+/**
+ * Pull the bullets out of a summary reply, dropping the lead-in and the
+ * follow-up question around them.
+ *
+ * @param {string} text - Assistant reply
+ * @returns {Array<string>} Up to MAX_BULLETS bullets, empty if the reply has none
+ */
+function parseSummaryBullets(text) {
+  return String(text || '')
+    .split('\n')
+    .map(line => line.match(BULLET))
+    .filter(Boolean)
+    .map(match => match[1].replace(/\*\*/g, '').trim())
+    .filter(Boolean)
+    .slice(0, MAX_BULLETS);
+}
+
+/**
+ * Build a summary record.
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.bullets - Theme bullets
+ * @param {string} options.generator - One of SUMMARY_GENERATORS
+ * @param {Array<string>} [options.sourceMessageIds] - Chat turns the summary was built from
+ * @param {string} [options.messageId] - Assistant message that showed the summary
+ * @param {Object} [options.prompt] - Rendered timed-summary prompt (promptRegistry renderPrompt) the model was given
+ * @param {Date} [options.createdAt]
+ * @returns {Object}
+ */
+function buildSummary({ bullets, generator, sourceMessageIds = [], messageId = null, prompt = null, createdAt = new Date() }) {
+  if (!Object.values(SUMMARY_GENERATORS).includes(generator)) {
+    throw new Error(`Unknown summary generator: ${generator}`);
+  }
+  return {
+    bullets: bullets.map(bullet => String(bullet).trim()).filter(Boolean).slice(0, MAX_BULLETS),
+    sourceMessageIds,
+    messageId,
+    generator,
+    prompt: prompt ? { promptId: prompt.promptId, promptVersion: prompt.promptVersion, promptHash: prompt.promptHash } : null,
+    createdAt: createdAt.toISOString()
+  };
+}
+
+// Assistant message text for a summary the server wrote itself
+function formatSummaryMessage(bullets) {
+  return `Thank you for sharing your story with me. Let me summarize the key themes from our conversation:
+
+${bullets.map(bullet => `• ${bullet}`).join('\n\n')}
+
+This covers the main points we discussed about your belief change journey.`;
+}
+
+function hasSummary(conversation) {
+  return Boolean(conversation?.summary?.bullets?.length);
+}
+
+module.exports = {
+  SUMMARY_GENERATORS,
+  MAX_BULLETS,
+  messageId,
+  turnIds,
+  nextMessageId,
+  isSummarySource,
+  parseSummaryBullets,
+  buildSummary,
+  formatSummaryMessage,
+  hasSummary
+};
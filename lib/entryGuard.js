@@ -0,0 +1,132 @@
+const { BOT_STATUSES, REVIEW_DECISIONS } = require('./botDetection');
+
+/**
+ * One participant per Prolific ID.
+ *
+ * /survey/submit asks the guard what to do with a Prolific ID before creating a
+ * participant:
+ *
+ *   created                no participant has this ID yet (in this study)
+ *   resumed                a participant with this ID has not finished and
+ *                          the submission comes from the same Prolific
+ *                          SESSION_ID; it continues as them instead of
+ *                          starting over
+ *   blocked_other_session  a participant with this ID has not finished, but
+ *                          the submission has a different or no SESSION_ID;
+ *                          knowing the Prolific ID is not enough to take over
+ *                          their record
+ *   blocked_completed      a participant with this ID finished the study
+ *   blocked_screened_out   the server's bot checks screened a participant with
+ *                          this ID out, or an admin reviewed them as a bot
+ *
+ * Records from the honeypot endpoint come from an unauthenticated page that
+ * names the Prolific ID itself, so they never block the ID or get resumed
+ * unless an admin reviewed them as a bot.
+ *
+ * When the page sends Prolific's STUDY_ID, participants recorded for a
+ * different study do not count; participants recorded without one always do.
+ * Every submission is logged on the participant it resolved to as
+ * `entry_attempts: [{ outcome, study_id, session_id, at }]`.
+ *
+ * Submissions for the same ID are handled one at a time through claim(), so
+ * two quick submissions cannot both create a participant. The claims are held
+ * in this process, which is enough while the server runs as one instance.
+ */
+
+const ENTRY_OUTCOMES = Object.freeze({
+  CREATED: 'created',
+  RESUMED: 'resumed',
+  OTHER_SESSION: 'blocked_other_session',
+  COMPLETED: 'blocked_completed',
+  SCREENED_OUT: 'blocked_screened_out'
+});
+
+// Attempts kept per participant; a script hammering one ID cannot grow the record without bound
+const MAX_ATTEMPTS = 50;
+
+const joinedAt = participant => String(participant.timestamp_joined || participant.createdAt || '');
+
+// Screened out by the server: an admin's bot decision, or the checks unless an admin found them genuine
+function screenedOut(participant) {
+  const detection = participant.bot_detection;
+  if (detection?.review?.decision === REVIEW_DECISIONS.BOT) return true;
+  return !participant.honeypot_triggered && detection?.status === BOT_STATUSES.SCREENED_OUT &&
+    detection.review?.decision !== REVIEW_DECISIONS.GENUINE;
+}
+
+class EntryGuard {
+  /**
+   * @param {Object} options
+   * @param {Function} options.findByProlificId - async (prolificId) => participants with that ID
+   */
+  constructor({ findByProlificId }) {
+    this.findByProlificId = findByProlificId;
+    this.claims = new Map(); // prolific id -> promise that settles when the current holder releases it
+  }
+
+  /**
+   * Wait for earlier submissions with this Prolific ID to finish.
+   *
+   * @param {string} prolificId
+   * @returns {Promise<Function>} Call it to release the ID to the next submission
+   */
+  async claim(prolificId) {
+    const previous = this.claims.get(prolificId) || Promise.resolve();
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => held);
+    this.claims.set(prolificId, tail);
+    await previous;
+    return () => {
+      release();
+      if (this.claims.get(prolificId) === tail) this.claims.delete(prolificId);
+    };
+  }
+
+  /**
+   * Decide what a submission with this Prolific ID may do. A finished or
+   * screened-out participant blocks the ID even if an unfinished one exists.
+   *
+   * @param {Object} options
+   * @param {string} options.prolificId
+   * @param {string} [options.studyId] - Prolific STUDY_ID, when the page has one
+   * @param {string} [options.sessionId] - Prolific SESSION_ID, needed to resume an unfinished participant
+   * @returns {Promise<{outcome: string, participant: Object|null}>} participant is the record the outcome refers to
+   */
+  async check({ prolificId, studyId = null, sessionId = null }) {
+    const matches = (await this.findByProlificId(prolificId))
+      .filter(participant => !studyId || !participant.study_id || participant.study_id === studyId)
+      .sort((a, b) => joinedAt(b).localeCompare(joinedAt(a)));
+
+    const completed = matches.find(participant => participant.timestamps?.completed);
+    if (completed) return { outcome: ENTRY_OUTCOMES.COMPLETED, participant: completed };
+    const screened = matches.find(screenedOut);
+    if (screened) return { outcome: ENTRY_OUTCOMES.SCREENED_OUT, participant: screened };
+    const [unfinished] = matches.filter(participant => !participant.honeypot_triggered);
+    if (!unfinished) return { outcome: ENTRY_OUTCOMES.CREATED, participant: null };
+    const sameSession = Boolean(sessionId) && unfinished.session_id === sessionId;
+    return { outcome: sameSession ? ENTRY_OUTCOMES.RESUMED : ENTRY_OUTCOMES.OTHER_SESSION, participant: unfinished };
+  }
+}
+
+/**
+ * Log a submission on the participant it resolved to.
+ *
+ * @param {Object} participant
+ * @param {Object} attempt
+ * @param {string} attempt.outcome - One of ENTRY_OUTCOMES
+ * @param {string} [attempt.studyId]
+ * @param {string} [attempt.sessionId] - Prolific SESSION_ID, which changes each time the study is opened from Prolific
+ * @param {Date} [attempt.now]
+ * @returns {Object} The updated participant
+ */
+function recordAttempt(participant, { outcome, studyId = null, sessionId = null, now = new Date() }) {
+  const attempts = [...(participant.entry_attempts || []), { outcome, study_id: studyId, session_id: sessionId, at: now.toISOString() }];
+  return { ...participant, entry_attempts: attempts.slice(-MAX_ATTEMPTS) };
+}
+
+module.exports = {
+  ENTRY_OUTCOMES,
+  EntryGuard,
+  recordAttempt
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const { PrismaRepository } = require('./repository');
+
+/**
+ * One-shot import of file storage into Postgres, for a deployment switching
+ * to STORAGE_BACKEND=postgres (see lib/repository.js).
+ *
+ * Reads data/participants, data/conversations and data/conversation_states.
+ * A file is imported when the database has no record with its id. When the
+ * database already holds the same record it counts as unchanged, so the import
+ * can be run again safely. When the database holds a different record with
+ * that id, the file is a conflict: it is reported with the top-level fields that
+ * differ and the database copy is left alone. Files that cannot be parsed are
+ * reported as errors.
+ */
+
+// Columns of a ConversationState row that a state file holds (see conversationStateManager.transformStateToDb)
+const STATE_FIELDS = [
+  'stage', 'turnCount', 'topicTurnCount', 'lastTopic', 'minimalResponseCount',
+  'substantiveResponseCount', 'exhaustionSignals', 'lastUserResponse', 'metadata'
+];
+
+// JSON with object keys sorted, so records compare equal whatever order their keys were written in
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Top-level fields whose values differ between two records
+function differingFields(a = {}, b = {}) {
+  return [...new Set([...Object.keys(a || {}), ...Object.keys(b || {})])]
+    .filter(key => canonicalJson(a?.[key]) !== canonicalJson(b?.[key]))
+    .sort();
+}
+
+function readRecords(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      try {
+        return { file, data: JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')) };
+      } catch (error) {
+        return { file, error: error.message };
+      }
+    });
+}
+
+/**
+ * Import file storage into the database.
+ *
+ * @param {Object} options
+ * @param {string} options.dataDir - Directory holding participants/, conversations/ and conversation_states/
+ * @param {Object} options.prisma - Connected Prisma client
+ * @param {boolean} options.dryRun - Compare and report without writing anything
+ * @returns {Promise<Object>} Report: { dryRun, startedAt, finishedAt, counts, conflicts, errors }
+ */
+async function migrateFilesToDatabase({ dataDir, prisma, dryRun = false }) {
+  const repository = new PrismaRepository({ getPrisma: () => prisma });
+  const report = { dryRun, startedAt: new Date().toISOString(), finishedAt: null, counts: {}, conflicts: [], errors: [] };
+
+  const kinds = [
+    {
+      kind: 'participants',
+      dir: 'participants',
+      idOf: (data, file) => data.participant_id || data.id || path.basename(file, '.json'),
+      existing: async id => (await prisma.session.findUnique({ where: { id } }))?.raw,
+      comparable: data => data,
+      save: data => repository.participants.save(data)
+    },
+    {
+      kind: 'conversations',
+      dir: 'conversations',
+      idOf: (data, file) => data.id || path.basename(file, '.json'),
+      existing: async id => (await prisma.session.findUnique({ where: { id } }))?.raw,
+      comparable: data => data,
+      save: (data, id) => repository.conversations.save({ ...data, id })
+    },
+    {
+      kind: 'conversationStates',
+      dir: 'conversation_states',
+      idOf: (data, file) => data.conversationId || path.basename(file, '.json'),
+      existing: async conversationId => {
+        const row = await prisma.conversationState.findUnique({ where: { conversationId } });
+        return row && Object.fromEntries(STATE_FIELDS.map(field => [field, row[field]]));
+      },
+      comparable: data => Object.fromEntries(STATE_FIELDS.map(field => [field, data[field] ?? null])),
+      save: async (data, conversationId) => {
+        const session = await prisma.session.findUnique({ where: { id: conversationId } });
+        const row = Object.fromEntries(STATE_FIELDS.filter(field => data[field] !== undefined && data[field] !== null)
+          .map(field => [field, data[field]]));
+        return prisma.conversationState.create({
+          data: {
+            conversationId,
+            ...(session ? { sessionId: conversationId } : {}),
+            ...row,
+            ...(data.createdAt ? { createdAt: new Date(data.createdAt) } : {})
+          }
+        });
+      }
+    }
+  ];
+
+  for (const { kind, dir, idOf, existing, comparable, save } of kinds) {
+    const counts = { files: 0, imported: 0, unchanged: 0, conflicts: 0, errors: 0 };
+    report.counts[kind] = counts;
+
+    for (const { file, data, error } of readRecords(path.join(dataDir, dir))) {
+      counts.files++;
+      if (error) {
+        counts.errors++;
+        report.errors.push({ kind, file, error });
+        continue;
+      }
+
+      const id = String(idOf(data, file));
+      try {
+        const stored = await existing(id);
+        if (stored) {
+          const fields = differingFields(comparable(data), stored);
+          if (fields.length === 0) {
+            counts.unchanged++;
+          } else {
+            counts.conflicts++;
+            report.conflicts.push({ kind, id, file, fields });
+          }
+          continue;
+        }
+        if (!dryRun) await save(data, id);
+        counts.imported++;
+      } catch (saveError) {
+        counts.errors++;
+        report.errors.push({ kind, file, error: saveError.message });
+      }
+    }
+  }
+
+  report.finishedAt = new Date().toISOString();
+  return report;
+}
+
+module.exports = {
+  canonicalJson,
+  differingFields,
+  readRecords,
+  migrateFilesToDatabase
+};
@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const OpenAI = require('openai');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * Provider backed by the OpenAI chat completions API. Also used for OpenRouter
+ * (detected from an `sk-or-` key) and for OpenAI-compatible local servers.
+ */
+class OpenAIProvider {
+  constructor({ name = 'openai', apiKey, baseURL, model = DEFAULT_MODEL }) {
+    this.name = name;
+    this.model = model;
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: this.apiKey, baseURL: this.baseURL });
+    }
+    return this.client;
+  }
+
+  /**
+   * @param {Array} messages - OpenAI-style { role, content } messages
+   * @param {Object} options - Sampling options
+   * @param {number} options.maxTokens - Completion token limit
+   * @param {number} options.temperature - Sampling temperature
+   * @param {number} options.topP - Nucleus sampling value
+   * @param {number} options.frequencyPenalty - Frequency penalty
+   * @param {number} options.presencePenalty - Presence penalty
+   * @param {number} options.timeoutMs - Request timeout in milliseconds
+   * @returns {Promise<{content: string, model: string, usage: Object|null}>}
+   */
+  async chat(messages, options = {}) {
+    const params = this.requestParams(messages, options);
+
+    const completion = await this.getClient().chat.completions.create(
+      params,
+      options.timeoutMs ? { timeout: options.timeoutMs, maxRetries: 0 } : undefined
+    );
+
+    return {
+      content: completion.choices[0]?.message?.content?.trim() || '',
+      model: completion.model || params.model,
+      usage: completion.usage ? {
+        promptTokens: completion.usage.prompt_tokens,
+        completionTokens: completion.usage.completion_tokens
+      } : null
+    };
+  }
+
+  /**
+   * Stream a completion, calling onDelta with each text fragment as it arrives.
+   * Takes the same options as chat(); errors part-way through are thrown after
+   * the fragments already delivered.
+   *
+   * @param {Array} messages - OpenAI-style { role, content } messages
+   * @param {Object} options - Sampling options (see chat)
+   * @param {Function} onDelta - Called with each text fragment
+   * @returns {Promise<{content: string, model: string, usage: Object|null}>} The whole completion
+   */
+  async chatStream(messages, options = {}, onDelta = () => {}) {
+    // include_usage adds a final chunk with the token counts (and no choices)
+    const params = { ...this.requestParams(messages, options), stream: true, stream_options: { include_usage: true } };
+
+    const stream = await this.getClient().chat.completions.create(
+      params,
+      options.timeoutMs ? { timeout: options.timeoutMs, maxRetries: 0 } : undefined
+    );
+
+    let content = '';
+    let model = params.model;
+    let usage = null;
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+      model = chunk.model || model;
+      if (chunk.usage) {
+        usage = {
+          promptTokens: chunk.usage.prompt_tokens,
+          completionTokens: chunk.usage.completion_tokens
+        };
+      }
+    }
+
+    return { content: content.trim(), model, usage };
+  }
+
+  requestParams(messages, options = {}) {
+    return {
+      model: options.model || this.model,
+      messages,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      top_p: options.topP,
+      frequency_penalty: options.frequencyPenalty,
+      presence_penalty: options.presencePenalty
+    };
+  }
+}
+
+// chatStream() for providers without native streaming: the whole reply, delivered word by word
+async function streamWholeReply(provider, messages, options, onDelta) {
+  const completion = await provider.chat(messages, options);
+  for (const fragment of completion.content.match(/\S+\s*/g) || []) {
+    onDelta(fragment);
+  }
+  return completion;
+}
+
+/**
+ * Provider for an OpenAI-compatible server running locally (Ollama, vLLM,
+ * llama.cpp server, LM Studio). Only the base URL is required.
+ */
+class LocalProvider extends OpenAIProvider {
+  constructor({ apiKey, baseURL = DEFAULT_LOCAL_BASE_URL, model = DEFAULT_MODEL }) {
+    // The SDK refuses an empty key, and local servers ignore it anyway
+    super({ name: 'local', apiKey: apiKey || 'local', baseURL, model });
+  }
+
+  isConfigured() {
+    return Boolean(this.baseURL);
+  }
+}
+
+/**
+ * Deterministic provider for offline runs and tests. Replies come from a
+ * `respond(messages, options)` function if given, otherwise from a list of
+ * scripted replies consumed in order, otherwise from a fixed template keyed
+ * on the number of user turns so the same transcript always produces the
+ * same replies.
+ */
+class ScriptedProvider {
+  constructor({ model = 'scripted-mock', replies = [], respond = null } = {}) {
+    this.name = 'mock';
+    this.model = model;
+    this.replies = [...replies];
+    this.respond = respond;
+    this.calls = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async chat(messages, options = {}) {
+    this.calls.push({ messages, options });
+
+    let content;
+    if (this.respond) {
+      content = await this.respond(messages, options);
+    } else if (this.replies.length > 0) {
+      content = this.replies.shift();
+    } else {
+      const userTurns = messages.filter(msg => msg.role === 'user').length;
+      content = `Scripted reply ${userTurns}: could you tell me more about how your thinking changed?`;
+    }
+
+    return { content: String(content ?? '').trim(), model: this.model, usage: null };
+  }
+
+  async chatStream(messages, options = {}, onDelta = () => {}) {
+    return streamWholeReply(this, messages, options, onDelta);
+  }
+}
+
+/**
+ * Replays canned assistant replies from a fixture file so a whole conversation
+ * can be driven end-to-end and produce the same transcript on every run.
+ *
+ * Fixture format:
+ * {
+ *   "name": "belief-change-basic",
+ *   "turns": [{ "user": "participant text", "assistant": "canned reply" }],
+ *   "summaries": ["canned /api/generate-summary output"]
+ * }
+ *
+ * Chat calls are matched by the number of user messages in the request, so
+ * turn N of the conversation always gets `turns[N - 1].assistant`. When a turn
+ * lists the expected `user` text, a mismatch is an error rather than a silent
+ * wrong reply. Calls made with `purpose: 'views_summary'` take `summaries`
+ * in order, starting over when the list runs out.
+ */
+class ReplayProvider {
+  constructor({ fixture, fixturePath, model } = {}) {
+    this.fixture = fixture || loadReplayFixture(fixturePath);
+    this.name = 'replay';
+    this.model = model || this.fixture.model || `replay:${this.fixture.name || 'fixture'}`;
+    this.summaryIndex = 0;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async chat(messages, options = {}) {
+    if (options.purpose === 'views_summary') {
+      const summaries = this.fixture.summaries || [];
+      if (summaries.length === 0) {
+        throw new Error('Replay fixture has no summaries');
+      }
+      const content = summaries[this.summaryIndex % summaries.length];
+      this.summaryIndex++;
+      return { content, model: this.model, usage: null };
+    }
+
+    const userMessages = messages.filter(msg => msg.role === 'user');
+    const turn = userMessages.length;
+    const entry = (this.fixture.turns || [])[turn - 1];
+
+    if (!entry) {
+      throw new Error(`Replay fixture has no reply for turn ${turn}`);
+    }
+
+    const lastUserText = (userMessages[turn - 1]?.content || '').trim();
+    if (entry.user !== undefined && entry.user.trim() !== lastUserText) {
+      throw new Error(`Replay fixture mismatch at turn ${turn}: expected "${entry.user}", got "${lastUserText}"`);
+    }
+
+    return { content: entry.assistant, model: this.model, usage: null };
+  }
+
+  async chatStream(messages, options = {}, onDelta = () => {}) {
+    return streamWholeReply(this, messages, options, onDelta);
+  }
+}
+
+// Read and sanity-check a replay fixture file
+function loadReplayFixture(fixturePath) {
+  if (!fixturePath) {
+    throw new Error('LLM_REPLAY_FIXTURE must point to a replay fixture file');
+  }
+
+  const resolved = path.resolve(fixturePath);
+  const fixture = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+
+  if (!Array.isArray(fixture.turns)) {
+    throw new Error(`Replay fixture ${resolved} is missing a "turns" array`);
+  }
+
+  return fixture;
+}
+
+/**
+ * Build a provider from a plain config object.
+ *
+ * @param {Object} config
+ * @param {string} config.provider - "openai" (default), "local", "mock" or "replay"
+ * @param {string} config.model - Model name passed to the provider
+ * @param {string} config.apiKey - API key (openai/local)
+ * @param {string} config.baseURL - Base URL override (openai/local)
+ * @param {string} config.fixturePath - Replay fixture file (replay)
+ * @returns {OpenAIProvider|LocalProvider|ScriptedProvider|ReplayProvider}
+ */
+function createProvider(config = {}) {
+  const { provider = 'openai', model, apiKey, baseURL, replies, respond, fixture, fixturePath } = config;
+
+  switch (provider) {
+    case 'openai':
+      return new OpenAIProvider({
+        apiKey,
+        model: model || DEFAULT_MODEL,
+        baseURL: baseURL || (apiKey?.startsWith('sk-or-')
+          ? 'https://openrouter.ai/api/v1'
+          : 'https://api.openai.com/v1')
+      });
+    case 'local':
+      return new LocalProvider({ apiKey, baseURL: baseURL || DEFAULT_LOCAL_BASE_URL, model: model || DEFAULT_MODEL });
+    case 'mock':
+      return new ScriptedProvider({ model, replies, respond });
+    case 'replay':
+      return new ReplayProvider({ model, fixture, fixturePath });
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+}
+
+/**
+ * Build a provider from environment variables:
+ * LLM_PROVIDER, LLM_MODEL, LLM_BASE_URL, LLM_API_KEY (falls back to OPENAI_API_KEY)
+ * and LLM_REPLAY_FIXTURE.
+ */
+function createProviderFromEnv(env = process.env) {
+  return createProvider({
+    provider: (env.LLM_PROVIDER || 'openai').toLowerCase(),
+    model: env.LLM_MODEL,
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+    baseURL: env.LLM_BASE_URL,
+    fixturePath: env.LLM_REPLAY_FIXTURE
+  });
+}
+
+// The sampling settings from a chat options object, as recorded in message provenance
+function samplingParams(options = {}) {
+  const params = {};
+  for (const key of ['maxTokens', 'temperature', 'topP', 'frequencyPenalty', 'presencePenalty']) {
+    if (options[key] !== undefined) params[key] = options[key];
+  }
+  return params;
+}
+
+let activeProvider = null;
+
+// Get the process-wide provider, creating it from the environment on first use
+function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProviderFromEnv();
+    console.log(`🤖 LLM provider: ${activeProvider.name} (${activeProvider.model})`);
+  }
+  return activeProvider;
+}
+
+// Swap the process-wide provider (used by tests and replay tooling)
+function setProvider(provider) {
+  activeProvider = provider;
+  return activeProvider;
+}
+
+module.exports = {
+  OpenAIProvider,
+  LocalProvider,
+  ScriptedProvider,
+  ReplayProvider,
+  loadReplayFixture,
+  createProvider,
+  createProviderFromEnv,
+  samplingParams,
+  getProvider,
+  setProvider
+};
@@ -0,0 +1,83 @@
+/**
+ * Provenance recorded on assistant messages: which prompt template and stage
+ * instructions were sent, which model answered and with what sampling settings,
+ * whether the stored text is the model's reply or a scripted substitute, and the
+ * tokens and latency of the call that produced it. The one participant turn the
+ * server writes itself, the one-minute summary request, is marked `synthetic`.
+ *
+ * Messages carry it as `message.provenance` in the conversation JSON files; these
+ * helpers map it onto the Message table columns and back.
+ */
+
+// Values of provenance.source
+const REPLY_SOURCES = {
+  MODEL: 'model', // Model output stored as returned
+  FALLBACK: 'fallback', // Canned reply because the provider was unavailable or failed
+  REDIRECT: 'redirect', // Drift detection replaced the model output
+  ANTI_LOOP: 'anti_loop', // Anti-loop intervention replaced the model output
+  SCRIPTED: 'scripted', // Fixed text (acknowledgements, closing lines)
+  OPENING_LINE: 'opening_line', // Generated from the participant profile without a model call
+  SYNTHETIC: 'synthetic' // User turn written by the server, not the participant (the timed summary request)
+};
+
+// True for a user turn the participant did not write
+function isSyntheticTurn(message) {
+  return message?.role === 'user' && message.provenance?.source === REPLY_SOURCES.SYNTHETIC;
+}
+
+function buildProvenance({ source = REPLY_SOURCES.MODEL, prompt = null, stageHash = null, completion = null } = {}) {
+  return {
+    source,
+    promptId: prompt?.promptId || null,
+    promptVersion: prompt?.promptVersion ?? null,
+    promptHash: prompt?.promptHash || null,
+    stageHash,
+    model: completion?.model || null,
+    sampling: completion?.sampling || null,
+    usage: completion?.usage || null,
+    latencyMs: completion?.latencyMs ?? null
+  };
+}
+
+// Message table columns for a stored message (all null for user messages)
+function provenanceColumns(message) {
+  const provenance = message?.provenance || {};
+  return {
+    replySource: provenance.source || null,
+    promptId: provenance.promptId || null,
+    promptVersion: provenance.promptVersion ?? null,
+    promptHash: provenance.promptHash || null,
+    stageHash: provenance.stageHash || null,
+    model: provenance.model || null,
+    samplingParams: provenance.sampling || undefined,
+    tokensIn: provenance.usage?.promptTokens ?? null,
+    tokensOut: provenance.usage?.completionTokens ?? null,
+    latencyMs: provenance.latencyMs ?? null
+  };
+}
+
+// Provenance object rebuilt from a Message row
+function provenanceFromRow(row) {
+  if (!row?.replySource && !row?.promptHash && !row?.model) return null;
+  return {
+    source: row.replySource || null,
+    promptId: row.promptId || null,
+    promptVersion: row.promptVersion ?? null,
+    promptHash: row.promptHash || null,
+    stageHash: row.stageHash || null,
+    model: row.model || null,
+    sampling: row.samplingParams || null,
+    usage: row.tokensIn != null || row.tokensOut != null
+      ? { promptTokens: row.tokensIn ?? null, completionTokens: row.tokensOut ?? null }
+      : null,
+    latencyMs: row.latencyMs ?? null
+  };
+}
+
+module.exports = {
+  REPLY_SOURCES,
+  buildProvenance,
+  isSyntheticTurn,
+  provenanceColumns,
+  provenanceFromRow
+};
@@ -0,0 +1,336 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Token usage, latency and cost of every model call.
+ *
+ * Each call is appended to data/model_calls/<YYYY-MM-DD>.jsonl and, when the
+ * database is connected, written to the model_calls table. Cost is worked out
+ * when the call is recorded, so later price changes don't rewrite old reports.
+ * Prices are USD per million tokens; set LLM_PRICES to JSON such as
+ * {"gpt-4o-mini": {"input": 0.15, "output": 0.6}} to add or override models.
+ * Models without a price (local endpoints, the mock provider) are reported
+ * with a null cost and counted as unpriced.
+ */
+
+// What the call was for (stored as purpose)
+const CALL_PURPOSES = {
+  CHAT_REPLY: 'chat_reply', // Interviewer reply during the chat
+  TIMED_SUMMARY: 'timed_summary', // Summary reply near the deadline (timed or asked for by the participant)
+  VIEWS_SUMMARY: 'views_summary' // /api/generate-summary on the belief-confidence page
+};
+
+// USD per million tokens
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+};
+
+function pricesFromEnv(env = process.env) {
+  if (!env.LLM_PRICES) return DEFAULT_PRICES;
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(env.LLM_PRICES) };
+  } catch (error) {
+    console.error('❌ LLM_PRICES is not valid JSON, using default prices:', error.message);
+    return DEFAULT_PRICES;
+  }
+}
+
+// Price for a model name, matching dated snapshots ("gpt-4o-mini-2024-07-18"), Ollama tags ("llama3.1:8b")
+// and OpenRouter ids ("openai/gpt-4o")
+function priceFor(model, prices = pricesFromEnv()) {
+  if (!model) return null;
+  const name = String(model).split('/').pop();
+  const key = Object.keys(prices)
+    .sort((a, b) => b.length - a.length)
+    .find(candidate => name === candidate || name.startsWith(`${candidate}-`) || name.startsWith(`${candidate}:`));
+  return key ? prices[key] : null;
+}
+
+// USD cost of one call, or null if the model has no price or the provider reported no usage
+function costOf(model, usage, prices = pricesFromEnv()) {
+  const price = priceFor(model, prices);
+  if (!price || !usage) return null;
+  const cost = ((usage.promptTokens || 0) * price.input + (usage.completionTokens || 0) * price.output) / 1e6;
+  return Math.round(cost * 1e8) / 1e8;
+}
+
+/**
+ * Build the stored record for one model call.
+ *
+ * @param {Object} call
+ * @param {string} call.purpose - One of CALL_PURPOSES
+ * @param {string} call.participantId - Participant id, when known
+ * @param {string} call.prolificId - Prolific id, for calls made before a participant id exists
+ * @param {string} call.conversationId - Conversation the call belongs to
+ * @param {string} call.studyArm - Arm the participant was randomised into
+ * @param {string} call.provider - Provider name (openai, local, mock, ...)
+ * @param {string} call.model - Model name reported by the provider
+ * @param {Object} call.usage - { promptTokens, completionTokens } or null
+ * @param {number} call.latencyMs - Time from request to the whole completion
+ * @param {boolean} call.fallback - The stored reply was a fallback rather than the model output
+ * @param {string} call.error - Provider error message, if the call failed
+ * @returns {Object}
+ */
+function buildModelCall(call, prices = pricesFromEnv()) {
+  return {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    purpose: call.purpose || CALL_PURPOSES.CHAT_REPLY,
+    participantId: call.participantId || null,
+    prolificId: call.prolificId || null,
+    conversationId: call.conversationId || null,
+    studyArm: call.studyArm || null,
+    provider: call.provider || null,
+    model: call.model || null,
+    promptTokens: call.usage?.promptTokens ?? null,
+    completionTokens: call.usage?.completionTokens ?? null,
+    latencyMs: Number.isFinite(call.latencyMs) ? Math.round(call.latencyMs) : null,
+    costUsd: costOf(call.model, call.usage, prices),
+    fallback: Boolean(call.fallback),
+    error: call.error || null
+  };
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0, unpricedCalls: 0, fallbackCalls: 0, latencyMsTotal: 0, latencyMsCount: 0 };
+}
+
+function addToTotals(totals, call) {
+  totals.calls++;
+  totals.promptTokens += call.promptTokens || 0;
+  totals.completionTokens += call.completionTokens || 0;
+  if (call.costUsd === null || call.costUsd === undefined) totals.unpricedCalls++;
+  else totals.costUsd += call.costUsd;
+  if (call.fallback) totals.fallbackCalls++;
+  if (Number.isFinite(call.latencyMs)) {
+    totals.latencyMsTotal += call.latencyMs;
+    totals.latencyMsCount++;
+  }
+}
+
+function finishTotals({ latencyMsTotal, latencyMsCount, ...totals }) {
+  return {
+    ...totals,
+    costUsd: Math.round(totals.costUsd * 1e6) / 1e6,
+    meanLatencyMs: latencyMsCount ? Math.round(latencyMsTotal / latencyMsCount) : null
+  };
+}
+
+/**
+ * Aggregate model calls per participant, per study arm and per day.
+ *
+ * Calls made before the participant id existed are attributed through their
+ * Prolific id; calls without an arm take the participant's assigned arm.
+ *
+ * @param {Array} calls - Records from buildModelCall
+ * @param {Array} participants - [{ participantId, prolificId, studyArm }]
+ * @returns {{totals: Object, byParticipant: Array, byArm: Array, byDay: Array}}
+ */
+function aggregateModelCalls(calls, participants = []) {
+  const byId = new Map(participants.map(p => [p.participantId, p]));
+  const byProlificId = new Map(participants.filter(p => p.prolificId).map(p => [p.prolificId, p]));
+
+  const totals = emptyTotals();
+  const groups = { participant: new Map(), arm: new Map(), day: new Map() };
+  const add = (group, key, call) => {
+    if (!group.has(key)) group.set(key, emptyTotals());
+    addToTotals(group.get(key), call);
+  };
+
+  for (const call of calls) {
+    const participant = byId.get(call.participantId) || byProlificId.get(call.prolificId) || null;
+    addToTotals(totals, call);
+    add(groups.participant, participant?.participantId || call.participantId || 'unattributed', call);
+    add(groups.arm, call.studyArm || participant?.studyArm || 'unassigned', call);
+    add(groups.day, new Date(call.createdAt).toISOString().slice(0, 10), call);
+  }
+
+  const rows = (group, keyName) => [...group.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => ({ [keyName]: key, ...finishTotals(value) }));
+
+  return {
+    totals: finishTotals(totals),
+    byParticipant: rows(groups.participant, 'participantId'),
+    byArm: rows(groups.arm, 'studyArm'),
+    byDay: rows(groups.day, 'day')
+  };
+}
+
+class ModelUsageLog {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory for the daily JSONL files
+   * @param {Function} options.getPrisma - () => Prisma client, or null when the database is unavailable
+   */
+  constructor({ dir, getPrisma = () => null } = {}) {
+    this.dir = dir;
+    this.getPrisma = getPrisma;
+  }
+
+  /**
+   * Record one model call. Never throws: usage accounting must not fail a participant's request.
+   *
+   * @param {Object} call - See buildModelCall
+   * @returns {Promise<Object|null>} The stored record
+   */
+  async record(call) {
+    let record = null;
+    try {
+      record = buildModelCall(call);
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.appendFileSync(path.join(this.dir, `${record.createdAt.slice(0, 10)}.jsonl`), JSON.stringify(record) + '\n');
+    } catch (error) {
+      console.error('❌ Failed to record model call:', error.message);
+      return record;
+    }
+
+    const prisma = this.getPrisma();
+    if (prisma) {
+      try {
+        await prisma.modelCall.create({
+          data: { ...record, createdAt: new Date(record.createdAt) }
+        });
+      } catch (error) {
+        console.error('⚠️ Model call saved to file only:', error.message);
+      }
+    }
+    return record;
+  }
+
+  /**
+   * Recorded calls between two days (inclusive, YYYY-MM-DD), oldest first.
+   * Reads the database when connected, otherwise the JSONL files.
+   */
+  async list({ from = null, to = null } = {}) {
+    const prisma = this.getPrisma();
+    if (prisma) {
+      try {
+        const rows = await prisma.modelCall.findMany({
+          where: {
+            createdAt: {
+              gte: from ? new Date(`${from}T00:00:00.000Z`) : undefined,
+              lte: to ? new Date(`${to}T23:59:59.999Z`) : undefined
+            }
+          },
+          orderBy: { createdAt: 'asc' }
+        });
+        return rows.map(row => ({ ...row, createdAt: row.createdAt.toISOString() }));
+      } catch (error) {
+        console.error('⚠️ Reading model calls from files:', error.message);
+      }
+    }
+
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(file => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(file))
+      .filter(file => (!from || file.slice(0, 10) >= from) && (!to || file.slice(0, 10) <= to))
+      .sort()
+      .flatMap(file => fs.readFileSync(path.join(this.dir, file), 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            return null; // Partially written line
+          }
+        })
+        .filter(Boolean));
+  }
+
+  /**
+   * Clear the identifiers on a withdrawn participant's calls. Token counts and
+   * cost stay, so study totals do not change; the calls can no longer be tied
+   * to the participant.
+   *
+   * @param {Object} found - Result of database.findParticipantData
+   * @returns {Promise<{database: number, files: number}>} Calls cleared in each store
+   */
+  async forget({ participants, conversationIds = [] }) {
+    const participantIds = new Set(participants.map(p => p.participantId).filter(Boolean));
+    const prolificIds = new Set(participants.map(p => p.prolificId).filter(Boolean));
+    const conversations = new Set(conversationIds);
+    return this.clearIdentifiers({
+      where: {
+        OR: [
+          { participantId: { in: [...participantIds] } },
+          { prolificId: { in: [...prolificIds] } },
+          { conversationId: { in: [...conversations] } }
+        ]
+      },
+      belongs: call => participantIds.has(call.participantId) || prolificIds.has(call.prolificId) ||
+        conversations.has(call.conversationId)
+    });
+  }
+
+  /**
+   * Clear the identifiers on every call, for clear-all-data. As with forget,
+   * the token counts and cost stay.
+   *
+   * @returns {Promise<{database: number, files: number}>} Calls cleared in each store
+   */
+  async forgetAll() {
+    return this.clearIdentifiers({
+      where: {
+        OR: [
+          { participantId: { not: null } },
+          { prolificId: { not: null } },
+          { conversationId: { not: null } }
+        ]
+      },
+      belongs: call => Boolean(call.participantId || call.prolificId || call.conversationId)
+    });
+  }
+
+  // Null the identifiers on matching calls: `where` selects the rows, `belongs` the file lines
+  async clearIdentifiers({ where, belongs }) {
+    const cleared = { database: 0, files: 0 };
+
+    const prisma = this.getPrisma();
+    if (prisma) {
+      const result = await prisma.modelCall.updateMany({
+        where,
+        data: { participantId: null, prolificId: null, conversationId: null }
+      });
+      cleared.database = result.count;
+    }
+
+    if (!fs.existsSync(this.dir)) return cleared;
+    for (const file of fs.readdirSync(this.dir).filter(name => name.endsWith('.jsonl'))) {
+      const fullPath = path.join(this.dir, file);
+      let changed = false;
+      const lines = fs.readFileSync(fullPath, 'utf8').split('\n').map(line => {
+        let call;
+        try {
+          call = JSON.parse(line);
+        } catch (error) {
+          return line; // Blank or partially written line
+        }
+        if (!call || !belongs(call)) return line;
+        changed = true;
+        cleared.files++;
+        return JSON.stringify({ ...call, participantId: null, prolificId: null, conversationId: null });
+      });
+      if (changed) fs.writeFileSync(fullPath, lines.join('\n'));
+    }
+    return cleared;
+  }
+}
+
+module.exports = {
+  CALL_PURPOSES,
+  DEFAULT_PRICES,
+  pricesFromEnv,
+  priceFor,
+  costOf,
+  buildModelCall,
+  aggregateModelCalls,
+  ModelUsageLog
+};
@@ -0,0 +1,320 @@
+const fs = require('fs');
+const path = require('path');
+const { participantKey } = require('./repository');
+
+/**
+ * Durable outbox for participant and conversation writes that Postgres refused.
+ *
+ * With STORAGE_BACKEND=postgres, OutboxRepository sends every save to the
+ * database first. When that throws, the record goes into the outbox (one JSON
+ * file per record under data/outbox/) and the request carries on; the outbox
+ * worker retries it with exponential backoff until the database takes it. Only
+ * the latest record per id is kept, and a later direct write that succeeds
+ * drops the queued one. Reads see queued records before the database copy, so
+ * a conversation keeps working while its writes are queued. Writes to the same
+ * record are serialised, so a retry can never overwrite a newer save.
+ */
+
+function durationFromEnv(name, fallback) {
+  const value = process.env[name] ? Number(process.env[name]) : NaN;
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// How often the worker looks for writes due a retry (0 disables the worker)
+const RETRY_INTERVAL_MS = durationFromEnv('OUTBOX_RETRY_INTERVAL_MS', 15 * 1000);
+// Backoff between attempts at one write: doubles from the first delay up to the cap
+const FIRST_RETRY_DELAY_MS = 5 * 1000;
+const MAX_RETRY_DELAY_MS = durationFromEnv('OUTBOX_MAX_RETRY_DELAY_MS', 5 * 60 * 1000);
+
+const KINDS = ['participants', 'conversations'];
+
+function retryDelay(attempts, maxDelayMs = MAX_RETRY_DELAY_MS) {
+  return Math.min(maxDelayMs, FIRST_RETRY_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+class WriteOutbox {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory holding one file per queued write
+   * @param {number} options.maxDelayMs - Longest wait between attempts at one write
+   */
+  constructor({ dir, maxDelayMs = MAX_RETRY_DELAY_MS }) {
+    this.dir = dir;
+    this.maxDelayMs = maxDelayMs;
+    this.entries = new Map();
+    this.retried = { written: 0, failed: 0, lastWrittenAt: null, lastFailedAt: null };
+    this.load();
+  }
+
+  // Writes queued before a restart
+  load() {
+    if (!fs.existsSync(this.dir)) return;
+    for (const file of fs.readdirSync(this.dir).filter(name => name.endsWith('.json'))) {
+      try {
+        const entry = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        this.entries.set(this.key(entry.kind, entry.id), entry);
+      } catch (error) {
+        console.error(`❌ Skipping unreadable outbox file ${file}:`, error.message);
+      }
+    }
+    if (this.entries.size > 0) {
+      console.log(`📮 Outbox has ${this.entries.size} write(s) waiting for the database`);
+    }
+  }
+
+  key(kind, id) {
+    return `${kind}:${id}`;
+  }
+
+  file(kind, id) {
+    return path.join(this.dir, `${kind}-${encodeURIComponent(String(id))}.json`);
+  }
+
+  persist(entry) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const file = this.file(entry.kind, entry.id);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(entry, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  /**
+   * Queue a record whose database write failed, replacing any queued copy.
+   *
+   * @param {string} kind - "participants" or "conversations"
+   * @param {string} id - Participant or conversation id
+   * @param {Object} record - The record as the route built it
+   * @param {Error} error - Why the write failed
+   * @returns {Object} The queued entry
+   */
+  enqueue(kind, id, record, error, now = new Date()) {
+    const existing = this.entries.get(this.key(kind, id));
+    const entry = {
+      kind,
+      id: String(id),
+      record,
+      queuedAt: existing?.queuedAt || now.toISOString(),
+      updatedAt: now.toISOString(),
+      attempts: existing?.attempts || 0,
+      nextAttemptAt: existing?.nextAttemptAt || new Date(now.getTime() + FIRST_RETRY_DELAY_MS).toISOString(),
+      lastError: error?.message || null
+    };
+    this.persist(entry);
+    this.entries.set(this.key(kind, id), entry);
+    return entry;
+  }
+
+  entry(kind, id) {
+    return this.entries.get(this.key(kind, String(id))) || null;
+  }
+
+  // Queued records of one kind
+  pending(kind) {
+    return [...this.entries.values()].filter(entry => entry.kind === kind).map(entry => entry.record);
+  }
+
+  remove(kind, id) {
+    if (!this.entries.delete(this.key(kind, String(id)))) return false;
+    fs.rmSync(this.file(kind, id), { force: true });
+    return true;
+  }
+
+  clear() {
+    const count = this.entries.size;
+    for (const { kind, id } of [...this.entries.values()]) this.remove(kind, id);
+    return count;
+  }
+
+  // Entries whose next attempt is due, oldest first
+  due(now = new Date()) {
+    return [...this.entries.values()]
+      .filter(entry => new Date(entry.nextAttemptAt) <= now)
+      .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+  }
+
+  retrySucceeded(entry, now = new Date()) {
+    this.remove(entry.kind, entry.id);
+    this.retried.written++;
+    this.retried.lastWrittenAt = now.toISOString();
+  }
+
+  retryFailed(entry, error, now = new Date()) {
+    const attempts = entry.attempts + 1;
+    const updated = {
+      ...entry,
+      attempts,
+      nextAttemptAt: new Date(now.getTime() + retryDelay(attempts, this.maxDelayMs)).toISOString(),
+      lastError: error.message
+    };
+    this.persist(updated);
+    this.entries.set(this.key(entry.kind, entry.id), updated);
+    this.retried.failed++;
+    this.retried.lastFailedAt = now.toISOString();
+    return updated;
+  }
+
+  // Queue depth and retry counts, for /health
+  stats(now = new Date()) {
+    const entries = [...this.entries.values()];
+    const oldest = entries.reduce((min, entry) => (!min || entry.queuedAt < min ? entry.queuedAt : min), null);
+    const latestError = entries.reduce((latest, entry) => (!latest || entry.updatedAt > latest.updatedAt ? entry : latest), null);
+    return {
+      depth: entries.length,
+      ...Object.fromEntries(KINDS.map(kind => [kind, entries.filter(entry => entry.kind === kind).length])),
+      oldestQueuedAt: oldest,
+      oldestAgeMs: oldest ? now.getTime() - new Date(oldest).getTime() : 0,
+      maxAttempts: entries.reduce((max, entry) => Math.max(max, entry.attempts), 0),
+      lastError: latestError?.lastError || null,
+      retried: { ...this.retried }
+    };
+  }
+}
+
+// Stored records with their queued copies laid over them
+function withPending(stored, pending, keyOf) {
+  const queued = new Set(pending.map(keyOf));
+  return [...stored.filter(record => !queued.has(keyOf(record))), ...pending];
+}
+
+class OutboxRepository {
+  /**
+   * @param {Object} options
+   * @param {PrismaRepository} options.repository - Database repository the writes are for
+   * @param {WriteOutbox} options.outbox - Where failed writes wait
+   */
+  constructor({ repository, outbox }) {
+    this.backend = repository.backend;
+    this.repository = repository;
+    this.outbox = outbox;
+    this.locks = new Map();
+
+    const participantsOf = async records => withPending(await records, this.outbox.pending('participants'), participantKey);
+    const conversationsOf = async (records, filter = () => true) => withPending(
+      await records, this.outbox.pending('conversations'), conversation => conversation.id
+    ).filter(filter);
+
+    this.participants = {
+      get: async id => this.outbox.entry('participants', id)?.record || repository.participants.get(id),
+      save: participant => this.save('participants', participantKey(participant), participant),
+      list: () => participantsOf(repository.participants.list()),
+      findByProlificId: async prolificId => (await participantsOf(repository.participants.findByProlificId(prolificId)))
+        .filter(participant => participant.prolific_id === prolificId)
+    };
+    this.conversations = {
+      get: async id => this.outbox.entry('conversations', id)?.record || repository.conversations.get(id),
+      save: conversation => this.save('conversations', conversation.id, conversation),
+      list: () => conversationsOf(repository.conversations.list()),
+      listOpen: () => conversationsOf(repository.conversations.listOpen(), conversation => !conversation.endedAt),
+      findByParticipant: participantId => conversationsOf(
+        repository.conversations.findByParticipant(participantId),
+        conversation => conversation.participantId === participantId
+      ),
+      latestCompleted: async () => {
+        const candidates = await conversationsOf(
+          repository.conversations.latestCompleted().then(latest => (latest ? [latest] : [])),
+          conversation => conversation.endedAt
+        );
+        return candidates.sort((a, b) => new Date(b.endedAt) - new Date(a.endedAt))[0] || null;
+      }
+    };
+  }
+
+  // Run fn after any other write to the same record has finished
+  exclusive(kind, id, fn) {
+    const key = this.outbox.key(kind, id);
+    const run = (this.locks.get(key) || Promise.resolve()).then(fn);
+    const settled = run.catch(() => {});
+    this.locks.set(key, settled);
+    settled.then(() => {
+      if (this.locks.get(key) === settled) this.locks.delete(key);
+    });
+    return run;
+  }
+
+  save(kind, id, record) {
+    return this.exclusive(kind, id, async () => {
+      try {
+        await this.repository[kind].save(record);
+        this.outbox.remove(kind, id);
+      } catch (error) {
+        // Only a failure to queue the write reaches the caller
+        this.outbox.enqueue(kind, id, record, error);
+        console.error(`⚠️ Database write for ${kind} ${id} failed, queued for retry: ${error.message}`);
+      }
+      return record;
+    });
+  }
+
+  /**
+   * Retry queued writes that are due. Stops at the first failure, since the
+   * rest are likely to fail the same way; they are tried on the next pass.
+   *
+   * @returns {Promise<{written: number, failed: number}>}
+   */
+  async flush(now = new Date()) {
+    const result = { written: 0, failed: 0 };
+    for (const { kind, id } of this.outbox.due(now)) {
+      const ok = await this.exclusive(kind, id, async () => {
+        const entry = this.outbox.entry(kind, id);
+        if (!entry) return true; // Superseded by a direct write
+        try {
+          await this.repository[kind].save(entry.record);
+          this.outbox.retrySucceeded(entry, now);
+          result.written++;
+          return true;
+        } catch (error) {
+          const updated = this.outbox.retryFailed(entry, error, now);
+          console.error(`❌ Outbox retry ${updated.attempts} for ${kind} ${id} failed, next at ${updated.nextAttemptAt}: ${error.message}`);
+          result.failed++;
+          return false;
+        }
+      });
+      if (!ok) break;
+    }
+    if (result.written > 0) {
+      console.log(`📮 Outbox wrote ${result.written} queued write(s) to the database, ${this.outbox.entries.size} left`);
+    }
+    return result;
+  }
+}
+
+/**
+ * Retry queued writes in the background.
+ *
+ * @param {Object} options
+ * @param {OutboxRepository} options.repository - Repository whose outbox is retried
+ * @param {number} options.intervalMs - How often to look for due writes (0: never)
+ * @returns {{flush: Function, stop: Function}}
+ */
+function startOutboxWorker({ repository, intervalMs = RETRY_INTERVAL_MS }) {
+  let running = false;
+
+  async function flush(now = new Date()) {
+    if (running) return { written: 0, failed: 0 };
+    running = true;
+    try {
+      return await repository.flush(now);
+    } catch (error) {
+      console.error('❌ Outbox retry pass failed:', error.message);
+      return { written: 0, failed: 0 };
+    } finally {
+      running = false;
+    }
+  }
+
+  const timer = intervalMs > 0 ? setInterval(flush, intervalMs) : null;
+  // Don't keep the process alive just for the worker
+  if (timer && timer.unref) timer.unref();
+
+  return {
+    flush,
+    stop: () => timer && clearInterval(timer)
+  };
+}
+
+module.exports = {
+  RETRY_INTERVAL_MS,
+  retryDelay,
+  WriteOutbox,
+  OutboxRepository,
+  startOutboxWorker
+};
@@ -0,0 +1,55 @@
+/**
+ * The participant profile the interviewer prompts are rendered with.
+ *
+ * Built from the stored participant record by global.db.participants.getProfile
+ * during a chat, and by scripts/evaluate-summaries.js when stored
+ * conversations are summarised again offline.
+ */
+
+// The survey's belief change direction codes, as written into the system prompt
+const CHANGE_DESCRIPTIONS = {
+  exists_to_not_exists: 'From thinking climate change exists, to thinking climate change does not exist',
+  not_exists_to_exists: 'From thinking climate change does not exist, to thinking climate change exists',
+  not_urgent_to_urgent: 'From thinking climate change is not an urgent crisis, to thinking climate change is an urgent crisis',
+  urgent_to_not_urgent: 'From thinking climate change is an urgent crisis, to thinking climate change is not an urgent crisis',
+  human_to_natural: 'From thinking climate change is primarily caused by human activity, to thinking climate change is a largely natural process',
+  natural_to_human: 'From thinking climate change is a largely natural process, to thinking climate change is primarily caused by human activity'
+};
+
+function changeDescription(direction, otherText) {
+  if (!direction) return null;
+  if (direction === 'other') return otherText || 'Other belief change (details provided by participant)';
+  return CHANGE_DESCRIPTIONS[direction] || null;
+}
+
+/**
+ * @param {Object} participant - Stored participant record
+ * @returns {Object|null} Profile for renderArmSystemPrompt, null without a participant
+ */
+function participantProfile(participant) {
+  if (!participant) return null;
+
+  // Map existing fields to expected structure for chat system
+  const hasChangedMind = participant.belief_change?.has_changed_mind;
+  const viewsChanged = hasChangedMind ? 'Yes' : (hasChangedMind === false ? 'No' : 'unspecified');
+  const mindChangeDirection = participant.belief_change?.mind_change_direction;
+  const mindChangeOtherText = participant.belief_change?.mind_change_other_text;
+
+  return {
+    views_changed: viewsChanged,
+    change_description: changeDescription(mindChangeDirection, mindChangeOtherText),
+    change_confidence: null, // Not collected in current survey flow
+    mind_change_direction: mindChangeDirection,
+    mind_change_other_text: mindChangeOtherText,
+    prior_belief_cc_happening: null,
+    prior_belief_human_cause: 'unspecified',
+    current_belief_cc_happening: null,
+    current_belief_human_cause: 'unspecified',
+    changed_belief_flag: hasChangedMind === true,
+    study_arm: participant.assignment?.arm || null
+  };
+}
+
+module.exports = {
+  participantProfile
+};
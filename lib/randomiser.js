@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+
+/**
+ * Balanced study-arm randomisation using permuted blocks, optionally stratified.
+ *
+ * Each stratum (e.g. mind_change_direction × political7 group) has its own
+ * sequence of blocks. A block holds every arm `ratio × blockMultiplier` times in
+ * a shuffled order, so arms stay balanced within each stratum after every
+ * completed block. The shuffle is seeded from (seed, stratum, block number), so
+ * the nth participant in a stratum always gets the same arm and the allocation
+ * sequence can be regenerated for audit. Set RANDOMISATION_SEED in production so
+ * the sequence cannot be predicted from the public study config.
+ *
+ * The position in the sequence comes from the number of participants already
+ * assigned in the stratum under the same study config, counted once from storage
+ * and then tracked in memory until reset() (after the data is cleared).
+ * Concurrent submissions are serialised within a process; separate instances
+ * may occasionally reuse a slot, which only loosens balance, never breaks it.
+ */
+
+const DEFAULT_BLOCK_MULTIPLIER = 2;
+const SUPPORTED_STRATA = ['mind_change_direction', 'political7'];
+
+// Collapse the two 1-7 political scales into a left/centre/right group so strata stay populated
+function political7FromParticipant(participant) {
+  const political = participant?.views_matrix?.political_views || {};
+  const values = [political.economic_issues, political.social_issues]
+    .map(value => parseInt(value))
+    .filter(value => !isNaN(value));
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+function political7Group(political7) {
+  if (political7 === null || political7 === undefined) return 'unknown';
+  if (political7 <= 3) return 'left';
+  if (political7 >= 5) return 'right';
+  return 'centre';
+}
+
+// Stratum label for a participant, e.g. "mind_change_direction=not_urgent_to_urgent|political7=left"
+function stratumFor(participant, strata = []) {
+  if (!strata.length) return 'all';
+  return strata.map(factor => {
+    switch (factor) {
+      case 'mind_change_direction':
+        return `${factor}=${participant?.belief_change?.mind_change_direction || 'none'}`;
+      case 'political7':
+        return `${factor}=${political7Group(political7FromParticipant(participant))}`;
+      default:
+        throw new Error(`Unsupported stratification factor: ${factor}`);
+    }
+  }).join('|');
+}
+
+// Deterministic value in [0, 1) from a string key
+function seededRandom(key) {
+  const hash = crypto.createHash('sha256').update(key).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+// The arm order for one block of one stratum
+function buildBlock(arms, { seed, stratum, blockIndex, blockMultiplier = DEFAULT_BLOCK_MULTIPLIER }) {
+  const block = [];
+  for (const arm of arms) {
+    for (let i = 0; i < (arm.ratio || 1) * blockMultiplier; i++) {
+      block.push(arm.id);
+    }
+  }
+
+  // Fisher-Yates shuffle driven by the seeded generator
+  for (let i = block.length - 1; i > 0; i--) {
+    const j = Math.floor(seededRandom(`${seed}:${stratum}:${blockIndex}:${i}`) * (i + 1));
+    [block[i], block[j]] = [block[j], block[i]];
+  }
+  return block;
+}
+
+class Randomiser {
+  /**
+   * @param {Object} options
+   * @param {Function} options.countAssigned - async (stratum, studyId) => number of participants already assigned in it under that study config
+   * @param {string} options.seed - Seed for the block shuffles (defaults to RANDOMISATION_SEED)
+   */
+  constructor({ countAssigned, seed = process.env.RANDOMISATION_SEED } = {}) {
+    this.countAssigned = countAssigned || (async () => 0);
+    this.seed = seed;
+    this.counters = new Map();
+  }
+
+  /**
+   * Assign an arm to a participant.
+   *
+   * @param {Object} participant - Nested participant object from /survey/submit
+   * @param {Object} study - { id, arms: [{ id, ratio }], randomisation: { method, strata, blockMultiplier, seed } }
+   * @returns {Promise<Object>} Assignment record to store on the participant
+   */
+  async assign(participant, study) {
+    const arms = study.arms || [];
+    if (arms.length === 0) {
+      throw new Error('Study config defines no arms to randomise into');
+    }
+
+    const randomisation = study.randomisation || {};
+    const method = randomisation.method || 'block';
+    const strata = method === 'stratified_block' ? (randomisation.strata || []) : [];
+    const blockMultiplier = randomisation.blockMultiplier || DEFAULT_BLOCK_MULTIPLIER;
+    const seed = this.seed || randomisation.seed || study.id || 'default';
+    const stratum = stratumFor(participant, strata);
+
+    // Take the next slot in this stratum's sequence (the await is before the increment, so slots are never shared)
+    const counterKey = `${study.id || 'default'}:${stratum}`;
+    if (!this.counters.has(counterKey)) {
+      const pending = Promise.resolve()
+        .then(() => this.countAssigned(stratum, study.id || null))
+        .then(count => ({ next: count || 0 }));
+      pending.catch(() => this.counters.delete(counterKey)); // Recount next time if storage was unavailable
+      this.counters.set(counterKey, pending);
+    }
+    const counter = await this.counters.get(counterKey);
+    const sequenceIndex = counter.next++;
+
+    const blockSize = arms.reduce((sum, arm) => sum + (arm.ratio || 1), 0) * blockMultiplier;
+    const blockIndex = Math.floor(sequenceIndex / blockSize);
+    const blockPosition = sequenceIndex % blockSize;
+    const arm = buildBlock(arms, { seed, stratum, blockIndex, blockMultiplier })[blockPosition];
+
+    return {
+      arm,
+      method,
+      stratum,
+      sequence_index: sequenceIndex,
+      block_index: blockIndex,
+      block_position: blockPosition,
+      study_config: study.id || null,
+      assigned_at: new Date().toISOString()
+    };
+  }
+
+  // Forget the in-memory slot counters, so the next assignment in each stratum is counted from storage again
+  reset() {
+    this.counters.clear();
+  }
+}
+
+module.exports = {
+  Randomiser,
+  SUPPORTED_STRATA,
+  political7FromParticipant,
+  political7Group,
+  stratumFor,
+  buildBlock
+};
@@ -0,0 +1,242 @@
+const path = require('path');
+const { FileRepository, PrismaRepository } = require('./repository');
+const { canonicalJson, readRecords } = require('./fileMigration');
+
+/**
+ * Compare the file store (data/participants, data/conversations) with the
+ * Postgres tables (Session, IndividualDifferences, Message) and repair drift.
+ *
+ * Deployments that ran before STORAGE_BACKEND existed wrote to both stores and
+ * fell back to files when a database write failed, so the two can disagree.
+ * compare() reports, for participants and conversation sessions, the records
+ * missing on either side and the fields that differ (as dotted paths), with the
+ * side that looks newer. For conversations on both sides it also checks the
+ * Message rows against the file transcript. repair() copies records from one
+ * side to the other: "to-database" writes file records into Postgres
+ * (rebuilding their Message rows), "to-files" writes database records out as
+ * files. Nothing is deleted; records that exist only on the target side are
+ * left as they are, and a differing record whose target copy looks newer is
+ * only overwritten when its id is asked for.
+ */
+
+const DIRECTIONS = {
+  TO_DATABASE: 'to-database',
+  TO_FILES: 'to-files'
+};
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Dotted paths of the fields that differ between two records; arrays are compared whole
+function differingPaths(a, b, prefix = '') {
+  if (!isPlainObject(a) || !isPlainObject(b)) {
+    return canonicalJson(a) === canonicalJson(b) ? [] : [prefix];
+  }
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .sort()
+    .flatMap(key => differingPaths(a[key], b[key], prefix ? `${prefix}.${key}` : key));
+}
+
+const time = value => (value ? new Date(value).getTime() || 0 : 0);
+
+// Which copy of a differing record looks more recent, or null when it cannot be told
+function newerSide(kind, fileRecord, databaseRecord) {
+  const score = kind === 'participants'
+    ? record => [time(record.updatedAt), time(record.timestamps?.completed)]
+    : record => [(record.messages || []).length, time(record.endedAt)];
+  const [fileScore, databaseScore] = [score(fileRecord), score(databaseRecord)];
+  for (let i = 0; i < fileScore.length; i++) {
+    if (fileScore[i] !== databaseScore[i]) return fileScore[i] > databaseScore[i] ? 'files' : 'database';
+  }
+  return null;
+}
+
+// Differences between a file transcript and the Message rows stored for it
+function compareMessages(conversation, rows) {
+  const expected = (conversation.messages || []).filter(message => message.role !== 'system');
+  const stored = new Map(rows.map((row, index) => [row.turn ?? index, row]));
+  const result = { sessionId: conversation.id, missingInDatabase: [], missingInFiles: [], differing: [] };
+
+  expected.forEach((message, turn) => {
+    const row = stored.get(turn);
+    stored.delete(turn);
+    if (!row) {
+      result.missingInDatabase.push(turn);
+      return;
+    }
+    const fields = ['role', 'content'].filter(field => (message[field] ?? null) !== (row[field] ?? null));
+    if (message.timestamp && time(message.timestamp) !== time(row.timestamp)) fields.push('timestamp');
+    if (fields.length) result.differing.push({ turn, fields });
+  });
+  result.missingInFiles = [...stored.keys()].sort((a, b) => a - b);
+
+  const drifted = result.missingInDatabase.length || result.missingInFiles.length || result.differing.length;
+  return drifted ? result : null;
+}
+
+class StorageReconciler {
+  /**
+   * @param {Object} options
+   * @param {string} options.dataDir - Directory holding participants/ and conversations/
+   * @param {Function} options.getPrisma - () => connected Prisma client
+   */
+  constructor({ dataDir, getPrisma }) {
+    this.dataDir = dataDir;
+    this.getPrisma = getPrisma;
+    this.files = new FileRepository({ dataDir });
+    this.database = new PrismaRepository({ getPrisma });
+  }
+
+  get prisma() {
+    const prisma = this.getPrisma();
+    if (!prisma) throw new Error('Reconciliation needs a database connection');
+    return prisma;
+  }
+
+  /**
+   * Compare both stores.
+   *
+   * @returns {Promise<Object>} Report: { comparedAt, participants, sessions, messages, errors }
+   */
+  async compare() {
+    return (await this.inspect()).report;
+  }
+
+  // The report together with the records it was built from
+  async inspect() {
+    const report = { comparedAt: new Date().toISOString(), errors: [] };
+    const records = await this.load(report.errors);
+
+    for (const kind of ['participants', 'sessions']) {
+      const { files, database } = records[kind];
+      const result = { files: files.size, database: database.size, matching: 0, missingInDatabase: [], missingInFiles: [], differing: [] };
+      for (const [id, fileRecord] of files) {
+        const databaseRecord = database.get(id);
+        if (!databaseRecord) {
+          result.missingInDatabase.push(id);
+          continue;
+        }
+        const fields = differingPaths(fileRecord, databaseRecord);
+        if (fields.length === 0) result.matching++;
+        else result.differing.push({ id, fields, newer: newerSide(kind, fileRecord, databaseRecord) });
+      }
+      result.missingInFiles = [...database.keys()].filter(id => !files.has(id)).sort();
+      report[kind] = result;
+    }
+
+    report.messages = { sessions: 0, matching: 0, differing: [] };
+    for (const [id, conversation] of records.sessions.files) {
+      if (!records.sessions.database.has(id)) continue;
+      const rows = await this.prisma.message.findMany({ where: { sessionId: id }, orderBy: { turn: 'asc' } });
+      const drift = compareMessages(conversation, rows);
+      report.messages.sessions++;
+      if (drift) report.messages.differing.push(drift);
+      else report.messages.matching++;
+    }
+
+    return { report, records };
+  }
+
+  /**
+   * Copy missing and differing records from one store to the other. Differing
+   * records whose target copy looks newer are skipped unless listed in `ids`.
+   *
+   * @param {Object} options
+   * @param {string} options.direction - One of DIRECTIONS
+   * @param {string[]} options.ids - Only repair these participant or session ids (default: all)
+   * @returns {Promise<Object>} { direction, report (before the repair), repaired, skipped, errors }
+   */
+  async repair({ direction, ids = null } = {}) {
+    if (!Object.values(DIRECTIONS).includes(direction)) {
+      throw new Error(`direction must be "${DIRECTIONS.TO_DATABASE}" or "${DIRECTIONS.TO_FILES}"`);
+    }
+    const toDatabase = direction === DIRECTIONS.TO_DATABASE;
+    const { report, records } = await this.inspect();
+    const wanted = id => !ids || ids.includes(id);
+    const result = { direction, report, repaired: { participants: 0, sessions: 0 }, skipped: [], errors: [] };
+
+    const copy = async (kind, id) => {
+      const source = toDatabase ? records[kind].files.get(id) : records[kind].database.get(id);
+      const target = toDatabase ? this.database : this.files;
+      try {
+        if (kind === 'participants') await target.participants.save(source);
+        else await target.conversations.save({ ...source, id });
+        result.repaired[kind]++;
+      } catch (error) {
+        result.errors.push({ kind, id, error: error.message });
+      }
+    };
+
+    const targetSide = toDatabase ? 'database' : 'files';
+    for (const kind of ['participants', 'sessions']) {
+      const missing = toDatabase ? report[kind].missingInDatabase : report[kind].missingInFiles;
+      for (const id of missing.filter(wanted)) await copy(kind, id);
+      for (const { id, newer } of report[kind].differing.filter(entry => wanted(entry.id))) {
+        if (newer === targetSide && !ids) {
+          result.skipped.push({ kind, id, reason: `The ${targetSide} copy looks newer; repair it by id to overwrite it` });
+        } else {
+          await copy(kind, id);
+        }
+      }
+    }
+
+    // Message rows are rebuilt from a session's transcript, so only the database side can be repaired
+    const resaved = new Set(report.sessions.differing.map(entry => entry.id));
+    for (const { sessionId } of report.messages.differing.filter(entry => wanted(entry.sessionId))) {
+      if (!toDatabase) result.skipped.push({ kind: 'messages', id: sessionId, reason: 'Message rows can only be repaired to-database' });
+      else if (!resaved.has(sessionId)) await copy('sessions', sessionId);
+    }
+
+    return result;
+  }
+
+  // Records of each kind keyed by id, from the files and from the database
+  async load(errors) {
+    const fromFiles = (dir, idOf) => {
+      const records = new Map();
+      for (const { file, data, error } of readRecords(path.join(this.dataDir, dir))) {
+        if (error) errors.push({ kind: dir, file, error });
+        else records.set(String(idOf(data, file)), data);
+      }
+      return records;
+    };
+    const byId = (list, idOf) => new Map(list.map(record => [String(idOf(record)), record]));
+
+    return {
+      participants: {
+        files: fromFiles('participants', (data, file) => data.participant_id || data.id || path.basename(file, '.json')),
+        database: byId(await this.database.participants.list(), record => record.participant_id || record.id)
+      },
+      sessions: {
+        files: fromFiles('conversations', (data, file) => data.id || path.basename(file, '.json')),
+        database: byId(await this.database.conversations.list(), record => record.id)
+      }
+    };
+  }
+}
+
+// Counts for logs and audit entries
+function summarise(report) {
+  return {
+    participants: {
+      matching: report.participants.matching,
+      missingInDatabase: report.participants.missingInDatabase.length,
+      missingInFiles: report.participants.missingInFiles.length,
+      differing: report.participants.differing.length
+    },
+    sessions: {
+      matching: report.sessions.matching,
+      missingInDatabase: report.sessions.missingInDatabase.length,
+      missingInFiles: report.sessions.missingInFiles.length,
+      differing: report.sessions.differing.length
+    },
+    messages: { matching: report.messages.matching, differing: report.messages.differing.length },
+    errors: report.errors.length
+  };
+}
+
+module.exports = {
+  DIRECTIONS,
+  differingPaths,
+  StorageReconciler,
+  summarise
+};
@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+const { provenanceColumns } = require('./messageProvenance');
+const { surveyTableWrites } = require('./surveyTables');
+const { messageId } = require('./conversationSummary');
+
+/**
+ * Storage for participant and conversation records, with one configured backend.
+ *
+ * STORAGE_BACKEND picks where every route reads and writes: "postgres" (the
+ * Session, IndividualDifferences and Message tables through Prisma, plus the
+ * survey answer tables of lib/surveyTables.js) or "file"
+ * (data/participants/*.json and data/conversations/*.json). Without it, Postgres
+ * is used when DATABASE_URL is set and files otherwise. There is no mirroring
+ * and no fallback from one to the other: an unavailable database is an error,
+ * not a reason to read files that may be stale. scripts/migrate-files-to-postgres.js
+ * imports file data written before a deployment switched to Postgres.
+ *
+ * Both backends store the record exactly as the routes build it (the `raw`
+ * column in Postgres), so a record reads back the same whichever backend wrote it.
+ */
+
+const STORAGE_BACKENDS = {
+  POSTGRES: 'postgres',
+  FILE: 'file'
+};
+
+/**
+ * The configured storage backend.
+ *
+ * @param {Object} env - Environment (STORAGE_BACKEND, DATABASE_URL)
+ * @returns {string} One of STORAGE_BACKENDS
+ */
+function resolveBackend(env = process.env) {
+  const configured = (env.STORAGE_BACKEND || '').trim().toLowerCase();
+  if (!configured) {
+    return env.DATABASE_URL ? STORAGE_BACKENDS.POSTGRES : STORAGE_BACKENDS.FILE;
+  }
+  if (!Object.values(STORAGE_BACKENDS).includes(configured)) {
+    throw new Error(`STORAGE_BACKEND must be "postgres" or "file", not "${env.STORAGE_BACKEND}"`);
+  }
+  if (configured === STORAGE_BACKENDS.POSTGRES && !env.DATABASE_URL) {
+    throw new Error('STORAGE_BACKEND=postgres needs DATABASE_URL');
+  }
+  return configured;
+}
+
+// Participant records are keyed by participant_id; honeypot records only have id
+function participantKey(participant) {
+  return participant.participant_id || participant.id;
+}
+
+// Conversation records hold the transcript; participant records keep theirs under chatbot_interaction
+function isConversation(raw) {
+  return Boolean(raw) && Array.isArray(raw.messages);
+}
+
+const toInt = value => (value !== undefined && value !== null && value !== '' ? parseInt(value) : null);
+// Means with no answered items are stored as "N/a"
+const toFloat = value => {
+  const number = value !== undefined && value !== null && value !== '' ? parseFloat(value) : NaN;
+  return Number.isFinite(number) ? number : null;
+};
+const toDate = value => (value ? new Date(value) : null);
+
+// Queryable IndividualDifferences columns derived from a participant record
+function participantColumns(data) {
+  const ccs = data.views_matrix?.climate_change_views || {};
+  const political = data.views_matrix?.political_views || {};
+  return {
+    raw: data,
+    age: toInt(data.demographics?.age),
+    gender: data.demographics?.gender || null,
+    education: data.demographics?.education || null,
+    viewsChanged: data.belief_change?.has_changed_mind ? 'Yes' : 'No',
+    mindChangeDirection: data.belief_change?.mind_change_direction || null,
+    mindChangeNoChange: Boolean(data.belief_change?.mind_change_no_change),
+    mindChangeOtherText: data.belief_change?.mind_change_other_text || null,
+    ccsMeanScored: toFloat(ccs.ccs_mean_scored),
+    ccsOccurrenceMean: toFloat(ccs.ccs_occurrence_mean),
+    ccsCausationMean: toFloat(ccs.ccs_causation_mean),
+    ccsSeriousnessMean: toFloat(ccs.ccs_seriousness_mean),
+    ccsEfficacyMean: toFloat(ccs.ccs_efficacy_mean),
+    ccsTrustMean: toFloat(ccs.ccs_trust_mean),
+    ccsScaleVersion: ccs.scoring?.scale_version || null,
+    ccsScoreMismatch: (ccs.scoring?.client_mismatches?.length || 0) > 0,
+    economicIssues: toInt(political.economic_issues),
+    socialIssues: toInt(political.social_issues),
+    aiSummary: data.belief_change?.ai_summary || null,
+    aiSummaryAccuracy: data.belief_change?.ai_summary_accuracy || data.post_chat?.chatbot_summary_accuracy || null,
+    aiConfidenceSlider: toInt(data.belief_change?.ai_confidence_slider),
+    surveyCompleted: Boolean(data.timestamps?.completed),
+    completedAt: toDate(data.timestamps?.completed),
+    prolificId: data.prolific_id || null,
+    studyArm: data.assignment?.arm || null,
+    randomisationStratum: data.assignment?.stratum || null,
+    studyConfigId: data.assignment?.study_config || null,
+    botRiskScore: toFloat(data.bot_detection?.risk_score),
+    botStatus: data.bot_detection?.status || null
+  };
+}
+
+// The stored row's timestamp if it holds the same turn, otherwise now
+function storedTimestamp(row, message) {
+  return row && row.role === message.role && row.content === message.content ? new Date(row.timestamp) : new Date();
+}
+
+// Message rows for a conversation: chat turns only, system prompts are not stored.
+// A turn without a timestamp keeps the one its stored row (by id) was first written with.
+function messageRows(conversation, storedRows = new Map()) {
+  return (conversation.messages || [])
+    .filter(message => message.role !== 'system')
+    .map((message, index) => {
+      const id = messageId(conversation.id, index);
+      return {
+        id,
+        sessionId: conversation.id,
+        turn: index,
+        role: message.role,
+        content: message.content,
+        timestamp: message.timestamp ? new Date(message.timestamp) : storedTimestamp(storedRows.get(id), message),
+        ...provenanceColumns(message)
+      };
+    });
+}
+
+class FileRepository {
+  /**
+   * @param {Object} options
+   * @param {string} options.dataDir - Directory holding participants/ and conversations/
+   */
+  constructor({ dataDir }) {
+    this.backend = STORAGE_BACKENDS.FILE;
+    this.participantsDir = path.join(dataDir, 'participants');
+    this.conversationsDir = path.join(dataDir, 'conversations');
+    this.participants = {
+      get: id => this.read(this.participantsDir, id),
+      save: participant => this.write(this.participantsDir, participantKey(participant), participant),
+      list: async () => this.readAll(this.participantsDir),
+      findByProlificId: async prolificId => this.readAll(this.participantsDir).filter(p => p.prolific_id === prolificId)
+    };
+    this.conversations = {
+      get: id => this.read(this.conversationsDir, id),
+      save: conversation => this.write(this.conversationsDir, conversation.id, conversation),
+      list: async () => this.readAll(this.conversationsDir),
+      listOpen: async () => this.readAll(this.conversationsDir).filter(conversation => conversation.id && !conversation.endedAt),
+      findByParticipant: async participantId => this.readAll(this.conversationsDir)
+        .filter(conversation => conversation.id && conversation.participantId === participantId),
+      latestCompleted: async () => this.readAll(this.conversationsDir)
+        .filter(conversation => conversation.endedAt)
+        .sort((a, b) => new Date(b.endedAt) - new Date(a.endedAt))[0] || null
+    };
+  }
+
+  async read(dir, id) {
+    const file = path.join(dir, `${path.basename(String(id))}.json`);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  async write(dir, id, record) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${path.basename(String(id))}.json`), JSON.stringify(record, null, 2));
+    return record;
+  }
+
+  readAll(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        } catch (error) {
+          console.error(`❌ Skipping unreadable file ${file}:`, error.message);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+}
+
+class PrismaRepository {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getPrisma - () => connected Prisma client
+   */
+  constructor({ getPrisma }) {
+    this.backend = STORAGE_BACKENDS.POSTGRES;
+    this.getPrisma = getPrisma;
+    this.participants = {
+      get: id => this.getParticipant(id),
+      save: participant => this.saveParticipant(participant),
+      list: () => this.listParticipants(),
+      findByProlificId: prolificId => this.listParticipants({ prolificId })
+    };
+    this.conversations = {
+      get: id => this.getConversation(id),
+      save: conversation => this.saveConversation(conversation),
+      list: () => this.listConversations(),
+      listOpen: () => this.listConversations({ completedAt: null }),
+      findByParticipant: participantId => this.listConversations({ participantId }),
+      latestCompleted: () => this.latestCompletedConversation()
+    };
+  }
+
+  get prisma() {
+    const prisma = this.getPrisma();
+    if (!prisma) throw new Error('Database unavailable (STORAGE_BACKEND=postgres)');
+    return prisma;
+  }
+
+  async getParticipant(id) {
+    const row = await this.prisma.individualDifferences.findUnique({ where: { sessionId: String(id) } });
+    return row?.raw || null;
+  }
+
+  // A participant is a Session row (id = participant_id) with its IndividualDifferences row and survey rows
+  async saveParticipant(participant) {
+    const id = participantKey(participant);
+    const session = {
+      participantId: id,
+      startedAt: toDate(participant.timestamps?.started) || toDate(participant.createdAt) || new Date(),
+      completedAt: toDate(participant.timestamps?.completed),
+      raw: participant
+    };
+    const columns = participantColumns(participant);
+    await this.prisma.$transaction([
+      this.prisma.session.upsert({ where: { id }, update: session, create: { id, ...session } }),
+      this.prisma.individualDifferences.upsert({ where: { sessionId: id }, update: columns, create: { sessionId: id, ...columns } }),
+      ...surveyTableWrites(this.prisma, id, participant)
+    ]);
+    return participant;
+  }
+
+  async listParticipants(where = {}) {
+    const rows = await this.prisma.individualDifferences.findMany({ where, orderBy: { sessionId: 'asc' } });
+    // Earlier versions also attached a copy of the participant to each ended conversation's session; skip those
+    return rows
+      .filter(row => row.raw && (!row.raw.participant_id || row.raw.participant_id === row.sessionId))
+      .map(row => row.raw);
+  }
+
+  async getConversation(id) {
+    const row = await this.prisma.session.findUnique({ where: { id: String(id) } });
+    return isConversation(row?.raw) ? row.raw : null;
+  }
+
+  // A conversation is a Session row (id = conversation id) with one Message row per chat turn
+  async saveConversation(conversation) {
+    const session = {
+      participantId: conversation.participantId || null,
+      startedAt: toDate(conversation.startedAt),
+      completedAt: toDate(conversation.endedAt),
+      expiresAt: toDate(conversation.expiresAt),
+      endReason: conversation.endReason || null,
+      raw: conversation
+    };
+    // The rows are rewritten on every save; keep the time each stored turn was first written
+    const stored = await this.prisma.message.findMany({ where: { sessionId: conversation.id } });
+    const storedRows = new Map(stored.map(row => [row.id, row]));
+    await this.prisma.$transaction([
+      this.prisma.session.upsert({ where: { id: conversation.id }, update: session, create: { id: conversation.id, ...session } }),
+      this.prisma.message.deleteMany({ where: { sessionId: conversation.id } }),
+      this.prisma.message.createMany({ data: messageRows(conversation, storedRows) })
+    ]);
+    return conversation;
+  }
+
+  // Participant and conversation sessions share the table; conversations are told apart by their transcript
+  // (older versions also attached an IndividualDifferences row to ended conversations, so that cannot be used)
+  async listConversations(where = {}) {
+    const rows = await this.prisma.session.findMany({ where, orderBy: { createdAt: 'asc' } });
+    return rows.map(row => row.raw).filter(isConversation);
+  }
+
+  async latestCompletedConversation() {
+    const rows = await this.prisma.session.findMany({
+      where: { completedAt: { not: null } },
+      orderBy: { completedAt: 'desc' }
+    });
+    return rows.map(row => row.raw).find(isConversation) || null;
+  }
+}
+
+/**
+ * Repository for the configured backend.
+ *
+ * @param {Object} options
+ * @param {string} options.backend - One of STORAGE_BACKENDS (default: resolveBackend())
+ * @param {string} options.dataDir - Data directory for the file backend
+ * @param {Function} options.getPrisma - () => connected Prisma client, for the postgres backend
+ * @returns {FileRepository|PrismaRepository}
+ */
+function createRepository({ backend = resolveBackend(), dataDir, getPrisma = () => null } = {}) {
+  return backend === STORAGE_BACKENDS.POSTGRES
+    ? new PrismaRepository({ getPrisma })
+    : new FileRepository({ dataDir });
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  resolveBackend,
+  participantKey,
+  participantColumns,
+  messageRows,
+  FileRepository,
+  PrismaRepository,
+  createRepository
+};
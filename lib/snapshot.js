@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+/**
+ * Point-in-time snapshots of the research data, taken before anything is
+ * deleted (clear-all-data, participant withdrawal).
+ *
+ * A snapshot is one gzipped JSON document holding every file under
+ * data/participants, data/conversations, data/conversation_states and
+ * data/outbox (writes still waiting for the database), and every row of the
+ * research tables read through Prisma. restore() replays it into an empty
+ * database and empty data directories, skipping participants who have since
+ * withdrawn so a restore cannot bring their data back. Snapshots older than
+ * the retention period are pruned when a new one is taken.
+ */
+
+const SNAPSHOT_FORMAT = 'research-data-snapshot';
+const SNAPSHOT_VERSION = 1;
+const DEFAULT_RETENTION_DAYS = 30;
+const PAGE_SIZE = 1000;
+
+// Research tables in restore order (parents before children)
+const TABLES = [
+  { key: 'sessions', model: 'session' },
+  { key: 'individualDifferences', model: 'individualDifferences' },
+  { key: 'ccsResponses', model: 'ccsResponse' },
+  { key: 'attentionChecks', model: 'attentionCheck' },
+  { key: 'politicalViews', model: 'politicalViews' },
+  { key: 'beliefChanges', model: 'beliefChange' },
+  { key: 'exitSurveys', model: 'exitSurvey' },
+  { key: 'summaryBulletReviews', model: 'summaryBulletReview' },
+  { key: 'messages', model: 'message' },
+  { key: 'conversationStates', model: 'conversationState' }
+];
+const FILE_DIRS = ['participants', 'conversations', 'conversation_states', 'outbox'];
+
+// Nullable Json columns reject a plain null in createMany; leaving the field out stores NULL
+function withoutNulls(row) {
+  return Object.fromEntries(Object.entries(row).filter(([, value]) => value !== null));
+}
+
+// Contents of a snapshot file, or {} when it was not valid JSON (it is still restored as-is)
+function parseJson(content) {
+  try {
+    return JSON.parse(content) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+class SnapshotStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory the snapshots are written to
+   * @param {string} options.dataDir - Data directory holding participants/, conversations/ and conversation_states/
+   * @param {Function} options.getPrisma - () => Prisma client, or null when the database is unavailable
+   * @param {number} options.retentionDays - Snapshots older than this are pruned (0 keeps them all)
+   */
+  constructor({ dir, dataDir, getPrisma = () => null, retentionDays = DEFAULT_RETENTION_DAYS } = {}) {
+    this.dir = dir;
+    this.dataDir = dataDir;
+    this.getPrisma = getPrisma;
+    this.retentionDays = retentionDays;
+  }
+
+  readFiles() {
+    const files = {};
+    for (const dir of FILE_DIRS) {
+      const fullDir = path.join(this.dataDir, dir);
+      if (!fs.existsSync(fullDir)) continue;
+      for (const name of fs.readdirSync(fullDir).filter(file => file.endsWith('.json'))) {
+        files[`${dir}/${name}`] = fs.readFileSync(path.join(fullDir, name), 'utf8');
+      }
+    }
+    return files;
+  }
+
+  // Every row of a table, read in pages so a large table is not loaded in one query
+  async readTable(prisma, model) {
+    const rows = [];
+    for (let cursor = null; ;) {
+      const page = await prisma[model].findMany({
+        orderBy: { id: 'asc' },
+        take: PAGE_SIZE,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+      });
+      rows.push(...page);
+      if (page.length < PAGE_SIZE) return rows;
+      cursor = page[page.length - 1].id;
+    }
+  }
+
+  /**
+   * Take a snapshot.
+   *
+   * @param {Object} details
+   * @param {string} details.reason - Why it was taken, e.g. "data.clear" or "data.withdraw"
+   * @param {string} details.actor - Admin username, when taken for an admin request
+   * @returns {Promise<{name: string, file: string, counts: Object}>}
+   */
+  async create({ reason, actor = null } = {}) {
+    const createdAt = new Date();
+    const files = this.readFiles();
+    const database = {};
+    const prisma = this.getPrisma();
+    if (prisma) {
+      for (const { key, model } of TABLES) {
+        database[key] = await this.readTable(prisma, model);
+      }
+    }
+
+    const snapshot = { format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, createdAt: createdAt.toISOString(), reason, actor, files, database };
+    const counts = {
+      files: Object.keys(files).length,
+      ...Object.fromEntries(Object.entries(database).map(([key, rows]) => [key, rows.length]))
+    };
+
+    const name = `${createdAt.toISOString().replace(/[:.]/g, '-')}-${reason || 'manual'}.json.gz`;
+    const file = path.join(this.dir, name);
+    fs.mkdirSync(this.dir, { recursive: true });
+    // Written under a temporary name first so a partial file is never mistaken for a snapshot
+    fs.writeFileSync(`${file}.partial`, zlib.gzipSync(JSON.stringify(snapshot)));
+    fs.renameSync(`${file}.partial`, file);
+    console.log(`📦 Snapshot ${name} taken (${counts.files} files${prisma ? `, ${TABLES.map(t => `${counts[t.key]} ${t.key}`).join(', ')}` : ''})`);
+
+    this.prune(createdAt);
+    return { name, file, counts };
+  }
+
+  // Snapshot file names, newest first
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir).filter(name => name.endsWith('.json.gz')).sort().reverse();
+  }
+
+  // Delete snapshots older than the retention period
+  prune(now = new Date()) {
+    if (!this.retentionDays) return [];
+    const cutoff = now.getTime() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const pruned = this.list().filter(name => fs.statSync(path.join(this.dir, name)).mtimeMs < cutoff);
+    pruned.forEach(name => fs.unlinkSync(path.join(this.dir, name)));
+    if (pruned.length) console.log(`🗑️ Pruned ${pruned.length} snapshots older than ${this.retentionDays} days`);
+    return pruned;
+  }
+
+  read(file) {
+    const snapshot = JSON.parse(zlib.gunzipSync(fs.readFileSync(file)).toString('utf8'));
+    if (snapshot.format !== SNAPSHOT_FORMAT || snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`${file} is not a version ${SNAPSHOT_VERSION} research data snapshot`);
+    }
+    return snapshot;
+  }
+
+  /**
+   * Replay a snapshot into an empty database and empty data directories.
+   * Participants for whom isWithdrawn() is true are skipped, with their sessions,
+   * messages, conversations and conversation states.
+   *
+   * @param {string} file - Snapshot to restore
+   * @param {Object} options
+   * @param {Function} options.isWithdrawn - async ({ participantId, prolificId }) => boolean
+   * @returns {Promise<{restored: Object, skippedParticipants: number}>}
+   */
+  async restore(file, { isWithdrawn = async () => false } = {}) {
+    const snapshot = this.read(file);
+    const prisma = this.getPrisma();
+
+    if (Object.keys(this.readFiles()).length > 0) {
+      throw new Error(`${this.dataDir} already holds participant or conversation files; restore only into empty data directories`);
+    }
+    if (prisma) {
+      for (const { key, model } of TABLES) {
+        if (await prisma[model].count()) throw new Error(`The ${key} table is not empty; restore only into an empty database`);
+      }
+    } else if (TABLES.some(({ key }) => snapshot.database[key]?.length)) {
+      console.warn('⚠️ No database connected: only the snapshot files will be restored');
+    }
+
+    // Work out who has withdrawn since the snapshot was taken
+    const fileEntries = Object.entries(snapshot.files).map(([name, content]) => ({ name, data: parseJson(content), content }));
+    const participants = new Map(); // participantId -> prolificId
+    fileEntries.filter(entry => entry.name.startsWith('participants/')).forEach(({ name, data }) => {
+      participants.set(data.participant_id || data.id || path.basename(name, '.json'), data.prolific_id || null);
+    });
+    fileEntries.filter(entry => entry.name.startsWith('outbox/') && entry.data.kind === 'participants').forEach(({ data }) => {
+      participants.set(data.id, data.record?.prolific_id || participants.get(data.id) || null);
+    });
+    (snapshot.database.individualDifferences || []).forEach(row => {
+      participants.set(row.sessionId, row.prolificId || participants.get(row.sessionId) || null);
+    });
+    (snapshot.database.sessions || []).forEach(row => {
+      if (row.participantId && !participants.has(row.participantId)) participants.set(row.participantId, null);
+    });
+
+    const withdrawn = new Set();
+    for (const [participantId, prolificId] of participants) {
+      if (await isWithdrawn({ participantId, prolificId })) withdrawn.add(participantId);
+    }
+    const withdrawnSessions = new Set((snapshot.database.sessions || [])
+      .filter(row => withdrawn.has(row.id) || withdrawn.has(row.participantId))
+      .map(row => row.id));
+    const withdrawnConversations = new Set(fileEntries
+      .filter(({ name, data }) => name.startsWith('conversations/') && (withdrawn.has(data.participantId) || withdrawn.has(data.userId)))
+      .map(({ name }) => path.basename(name, '.json')));
+    const isWithdrawnRecord = {
+      sessions: row => withdrawnSessions.has(row.id),
+      individualDifferences: row => withdrawnSessions.has(row.sessionId),
+      ccsResponses: row => withdrawnSessions.has(row.sessionId),
+      attentionChecks: row => withdrawnSessions.has(row.sessionId),
+      politicalViews: row => withdrawnSessions.has(row.sessionId),
+      beliefChanges: row => withdrawnSessions.has(row.sessionId),
+      exitSurveys: row => withdrawnSessions.has(row.sessionId),
+      summaryBulletReviews: row => withdrawnSessions.has(row.sessionId),
+      messages: row => withdrawnSessions.has(row.sessionId),
+      conversationStates: row => withdrawnSessions.has(row.sessionId) || withdrawnSessions.has(row.conversationId) ||
+        withdrawnConversations.has(row.conversationId)
+    };
+    const isWithdrawnFile = ({ name, data }) => {
+      const [dir, file] = name.split('/');
+      const id = path.basename(file, '.json');
+      if (dir === 'participants') return withdrawn.has(data.participant_id || data.id || id);
+      if (dir === 'outbox') {
+        return data.kind === 'participants'
+          ? withdrawn.has(data.id)
+          : withdrawn.has(data.record?.participantId) || withdrawn.has(data.record?.userId) || withdrawnSessions.has(data.id);
+      }
+      return withdrawnConversations.has(id) || withdrawnSessions.has(id);
+    };
+
+    const restored = {};
+    if (prisma) {
+      for (const { key, model } of TABLES) {
+        const rows = (snapshot.database[key] || []).filter(row => !isWithdrawnRecord[key](row)).map(withoutNulls);
+        for (let i = 0; i < rows.length; i += PAGE_SIZE) {
+          await prisma[model].createMany({ data: rows.slice(i, i + PAGE_SIZE) });
+        }
+        restored[key] = rows.length;
+      }
+    }
+
+    restored.files = 0;
+    for (const entry of fileEntries.filter(entry => !isWithdrawnFile(entry))) {
+      const target = path.join(this.dataDir, entry.name);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, entry.content);
+      restored.files++;
+    }
+
+    return { restored, skippedParticipants: withdrawn.size };
+  }
+}
+
+module.exports = {
+  SNAPSHOT_FORMAT,
+  DEFAULT_RETENTION_DAYS,
+  SnapshotStore
+};
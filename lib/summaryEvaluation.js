@@ -0,0 +1,368 @@
+/**
+ * Offline evaluation of end-of-chat summaries against what participants said.
+ *
+ * Each stored conversation is cut at its summary request and the transcript is
+ * given to one or more summarisers ("variants": the summary stored on the
+ * conversation, or the current summariser with a pinned timed-summary prompt
+ * version). Every bullet they produce is scored for grounding in the
+ * participant's turns:
+ *
+ *   lexical  share of the bullet's content words that the participant used,
+ *            with the turn that shares the most of them
+ *   judge    optional model verdict (supported / partly / unsupported) from the
+ *            summary-judge prompt, sent through the provider layer
+ *
+ * A bullet counts as grounded when its lexical score reaches the threshold.
+ * The report totals these per variant and compares each variant with the
+ * first one (the baseline). See scripts/evaluate-summaries.js.
+ */
+
+const { turnIds, parseSummaryBullets, hasSummary } = require('./conversationSummary');
+
+const DEFAULT_THRESHOLD = 0.5;
+
+// Sampling the chat sends with the one-minute summary request (see global.llm.chat)
+const SUMMARY_SAMPLING = Object.freeze({ maxTokens: 150, temperature: 0.7 });
+
+const JUDGE_VERDICTS = Object.freeze({
+  SUPPORTED: 'supported',
+  PARTLY: 'partly',
+  UNSUPPORTED: 'unsupported'
+});
+
+const VERDICT_SCORES = {
+  [JUDGE_VERDICTS.SUPPORTED]: 1,
+  [JUDGE_VERDICTS.PARTLY]: 0.5,
+  [JUDGE_VERDICTS.UNSUPPORTED]: 0
+};
+
+// Function words, and the second-person phrasing summaries are written in
+const STOPWORDS = new Set(`
+  a about above after again all also am an and any are as at be because been before being below between both but by
+  can could did do does doing down during each few for from further had has have having he her here hers him his how
+  i if in into is it its itself just me more most my myself no nor not now of off on once only or other our ours out
+  over own same she should so some such than that the their theirs them then there these they this those through to
+  too under until up very was we were what when where which while who whom why will with would yet you your yours
+  yourself really much many thing things something way lot
+`.trim().split(/\s+/));
+
+// Crude suffix stripping so "floods", "flooded" and "flooding" match
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word.replace(/(?:ing|ed|es|ly|s)$/, '');
+}
+
+/**
+ * Content words of a text, lower-cased and stemmed, each once.
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function contentWords(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .replace(/[’']s\b/g, '')
+    .match(/[a-z][a-z'’-]*/g) || [];
+  return [...new Set(words
+    .map(word => word.replace(/['’-]/g, ''))
+    .filter(word => word.length > 2 && !STOPWORDS.has(word))
+    .map(stem))];
+}
+
+/**
+ * The transcript a summariser is given, and the participant turns its bullets
+ * are checked against.
+ *
+ * Turns stop before the summary request: the participant turn that asked for
+ * the model's summary, the first timed request, or the first "end the chat".
+ * Summaries the server wrote itself are left out.
+ *
+ * @param {Object} conversation - Stored conversation record
+ * @param {Object} [options]
+ * @param {string} [options.requestText] - Participant turn the server stores when it asks for the timed summary
+ * @returns {{history: Array<Object>, turns: Array<{id: string, content: string}>}}
+ *   turns carry the Message row ids (lib/conversationSummary.js)
+ */
+function evaluationTranscript(conversation, { requestText = null } = {}) {
+  const ids = turnIds(conversation.id, conversation.messages);
+  const chat = (conversation.messages || [])
+    .filter(message => message.role !== 'system')
+    .map((message, turn) => ({ ...message, id: ids[turn] }));
+
+  let end = chat.findIndex(message => message.role === 'user' && (
+    (requestText && message.content === requestText) ||
+    String(message.content || '').toLowerCase().includes('end the chat')
+  ));
+  if (end < 0) end = chat.length;
+  const summaryTurn = conversation.summary?.generator === 'model' ? chat.findIndex(message => message.id === conversation.summary.messageId) : -1;
+  if (summaryTurn > 0) end = Math.min(end, summaryTurn - 1);
+
+  const history = chat.slice(0, end).filter(message => !message.generated_summary);
+  return {
+    history: history.map(({ role, content }) => ({ role, content })),
+    turns: history
+      .filter(message => message.role === 'user' && String(message.content || '').trim())
+      .map(({ id, content }) => ({ id, content }))
+  };
+}
+
+/**
+ * Lexical grounding of one bullet in the participant's turns.
+ *
+ * @param {string} bullet
+ * @param {Array<{id: string, content: string}>} turns
+ * @returns {{score: number|null, matched: Array<string>, unmatched: Array<string>, turnId: string|null}}
+ *   score is null for a bullet without content words; turnId is the turn sharing the most words
+ */
+function lexicalGrounding(bullet, turns) {
+  const words = contentWords(bullet);
+  const turnWords = turns.map(turn => ({ id: turn.id, words: new Set(contentWords(turn.content)) }));
+  const said = new Set(turnWords.flatMap(turn => [...turn.words]));
+  const matched = words.filter(word => said.has(word));
+
+  let best = null;
+  for (const turn of turnWords) {
+    const shared = words.filter(word => turn.words.has(word)).length;
+    if (shared > 0 && (!best || shared > best.shared)) best = { id: turn.id, shared };
+  }
+
+  return {
+    score: words.length > 0 ? matched.length / words.length : null,
+    matched,
+    unmatched: words.filter(word => !said.has(word)),
+    turnId: best?.id || null
+  };
+}
+
+/**
+ * Read the judge's JSON answer.
+ *
+ * @param {string} text - Model reply
+ * @returns {{verdict: string, score: number, messageIds: Array<string>, reason: string|null}}
+ * @throws {Error} When the reply has no JSON object or an unknown verdict
+ */
+function parseJudgeReply(text) {
+  const json = String(text || '').match(/\{[\s\S]*\}/);
+  if (!json) throw new Error('Judge reply has no JSON object');
+  const answer = JSON.parse(json[0]);
+  const verdict = String(answer.verdict || '').toLowerCase().trim();
+  if (!(verdict in VERDICT_SCORES)) {
+    throw new Error(`Judge verdict must be one of ${Object.values(JUDGE_VERDICTS).join(', ')}, got "${answer.verdict}"`);
+  }
+  return {
+    verdict,
+    score: VERDICT_SCORES[verdict],
+    messageIds: Array.isArray(answer.messageIds) ? answer.messageIds.map(String) : [],
+    reason: answer.reason ? String(answer.reason) : null
+  };
+}
+
+/**
+ * A judge that asks the model whether each bullet is supported by the turns.
+ *
+ * @param {Object} options
+ * @param {Object} options.provider - LLM provider (lib/llmProvider.js)
+ * @param {Function} options.render - ({participant_turns, bullet}) => rendered summary-judge prompt { text }
+ * @returns {Function} async (bullet, turns) => verdict from parseJudgeReply, or { verdict: null, error }
+ */
+function createLlmJudge({ provider, render }) {
+  return async (bullet, turns) => {
+    const prompt = render({
+      participant_turns: turns.map(turn => `[${turn.id}] ${turn.content}`).join('\n\n'),
+      bullet
+    });
+    try {
+      const completion = await provider.chat([{ role: 'user', content: prompt.text }], { maxTokens: 200, temperature: 0 });
+      return parseJudgeReply(completion.content);
+    } catch (error) {
+      return { verdict: null, score: null, messageIds: [], reason: null, error: error.message };
+    }
+  };
+}
+
+const mean = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Totals over a list of scored bullets
+function bulletTotals(bullets, threshold) {
+  const lexical = bullets.map(bullet => bullet.lexical.score).filter(score => score !== null);
+  const judged = bullets.filter(bullet => bullet.judge && bullet.judge.score !== null);
+  return {
+    bullets: bullets.length,
+    meanGrounding: mean(lexical),
+    groundedShare: bullets.length > 0 ? bullets.filter(bullet => (bullet.lexical.score ?? 0) >= threshold).length / bullets.length : null,
+    judged: judged.length,
+    judgeMean: mean(judged.map(bullet => bullet.judge.score)),
+    supportedShare: judged.length > 0 ? judged.filter(bullet => bullet.judge.verdict === JUDGE_VERDICTS.SUPPORTED).length / judged.length : null
+  };
+}
+
+/**
+ * Run one conversation through every variant and score the bullets.
+ *
+ * @param {Object} options
+ * @param {Object} options.conversation - Stored conversation record
+ * @param {Array<Object>} options.variants - { name, summarise: async ({conversation, history}) => ({bullets, reply, prompt}) | null }
+ * @param {Function} [options.judge] - From createLlmJudge; lexical scores only without one
+ * @param {number} [options.threshold]
+ * @param {string} [options.requestText] - See evaluationTranscript
+ * @returns {Promise<Object>} { conversationId, participantId, turns, results: { [variant]: result } }
+ *   a result is the scored bullets with their totals and, for the stored summary,
+ *   the prompt it was written with; { skipped: true } when the variant has no
+ *   summary for the conversation, or { error }
+ */
+async function evaluateConversation({ conversation, variants, judge = null, threshold = DEFAULT_THRESHOLD, requestText = null }) {
+  const { history, turns } = evaluationTranscript(conversation, { requestText });
+  const results = {};
+
+  for (const variant of variants) {
+    try {
+      const output = await variant.summarise({ conversation, history });
+      if (!output) {
+        results[variant.name] = { skipped: true };
+        continue;
+      }
+      const bullets = [];
+      for (const text of output.bullets) {
+        bullets.push({
+          text,
+          lexical: lexicalGrounding(text, turns),
+          judge: judge ? await judge(text, turns) : null
+        });
+      }
+      results[variant.name] = { ...bulletTotals(bullets, threshold), reply: output.reply ?? null, prompt: output.prompt ?? null, scored: bullets };
+    } catch (error) {
+      results[variant.name] = { error: error.message };
+    }
+  }
+
+  return { conversationId: conversation.id, participantId: conversation.participantId || null, turns: turns.length, results };
+}
+
+/**
+ * Evaluate conversations and build the comparison report.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.conversations - Stored conversation records
+ * @param {Array<Object>} options.variants - See evaluateConversation; { name, prompt } is copied to the report
+ * @param {Function} [options.judge]
+ * @param {number} [options.threshold]
+ * @param {string} [options.requestText]
+ * @param {Function} [options.onConversation] - Called with each conversation's result as it finishes
+ * @returns {Promise<Object>} { threshold, judged, baseline, variants, conversations, skipped, errors }
+ */
+async function evaluateSummaries({ conversations, variants, judge = null, threshold = DEFAULT_THRESHOLD, requestText = null, onConversation = () => {} }) {
+  const evaluated = [];
+  const skipped = [];
+  const errors = [];
+
+  for (const conversation of conversations) {
+    const { turns } = evaluationTranscript(conversation, { requestText });
+    if (turns.length === 0) {
+      skipped.push({ conversationId: conversation.id, reason: 'no participant turns before the summary' });
+      continue;
+    }
+    const result = await evaluateConversation({ conversation, variants, judge, threshold, requestText });
+    for (const [variant, outcome] of Object.entries(result.results)) {
+      if (outcome.error) errors.push({ conversationId: conversation.id, variant, error: outcome.error });
+      (outcome.scored || [])
+        .filter(bullet => bullet.judge?.error)
+        .forEach(bullet => errors.push({ conversationId: conversation.id, variant, error: `Judge: ${bullet.judge.error}` }));
+    }
+    evaluated.push(result);
+    onConversation(result);
+  }
+
+  const totals = variants.map(variant => {
+    const outcomes = evaluated.map(result => result.results[variant.name]);
+    const scored = outcomes.filter(outcome => outcome.scored);
+    // Which timed-summary versions the stored summaries were written with (fallback and older summaries have none)
+    const promptVersions = {};
+    scored.filter(outcome => outcome.prompt).forEach(({ prompt }) => {
+      const key = `${prompt.promptId}@v${prompt.promptVersion}`;
+      promptVersions[key] = (promptVersions[key] || 0) + 1;
+    });
+    return {
+      name: variant.name,
+      prompt: variant.prompt || null,
+      promptVersions,
+      conversations: scored.length,
+      skipped: outcomes.filter(outcome => outcome.skipped).length,
+      errors: outcomes.filter(outcome => outcome.error).length,
+      emptySummaries: scored.filter(outcome => outcome.bullets === 0).length,
+      ...bulletTotals(scored.flatMap(outcome => outcome.scored), threshold)
+    };
+  });
+
+  // Differences from the first variant, over the conversations both summarised
+  const [baseline] = totals;
+  for (const variant of totals.slice(1)) {
+    const paired = evaluated.filter(result => result.results[baseline.name].scored && result.results[variant.name].scored);
+    const pairedTotals = name => bulletTotals(paired.flatMap(result => result.results[name].scored), threshold);
+    const base = pairedTotals(baseline.name);
+    const other = pairedTotals(variant.name);
+    const difference = key => (base[key] !== null && other[key] !== null ? other[key] - base[key] : null);
+    variant.vsBaseline = {
+      conversations: paired.length,
+      meanGrounding: difference('meanGrounding'),
+      groundedShare: difference('groundedShare'),
+      judgeMean: difference('judgeMean')
+    };
+  }
+
+  return {
+    threshold,
+    judged: Boolean(judge),
+    baseline: baseline?.name || null,
+    variants: totals,
+    conversations: evaluated,
+    skipped,
+    errors
+  };
+}
+
+// The summary stored on the conversation (model or fallback), scored as it is, with the prompt it was written with
+function storedSummaryVariant() {
+  return {
+    name: 'stored',
+    prompt: null,
+    summarise: async ({ conversation }) => (hasSummary(conversation)
+      ? { bullets: conversation.summary.bullets, reply: null, prompt: conversation.summary.prompt || null }
+      : null)
+  };
+}
+
+/**
+ * A variant that asks a model for the summary.
+ *
+ * @param {Object} options
+ * @param {string} options.name
+ * @param {Object} [options.prompt] - Provenance of the prompt it uses, for the report
+ * @param {Object} options.provider - LLM provider (lib/llmProvider.js)
+ * @param {Function} options.buildMessages - async ({conversation, history}) => messages for the model
+ * @returns {Object}
+ */
+function modelSummaryVariant({ name, prompt = null, provider, buildMessages }) {
+  return {
+    name,
+    prompt,
+    summarise: async context => {
+      const completion = await provider.chat(await buildMessages(context), { ...SUMMARY_SAMPLING });
+      return { bullets: parseSummaryBullets(completion.content), reply: completion.content };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  SUMMARY_SAMPLING,
+  JUDGE_VERDICTS,
+  contentWords,
+  evaluationTranscript,
+  lexicalGrounding,
+  parseJudgeReply,
+  createLlmJudge,
+  evaluateConversation,
+  evaluateSummaries,
+  storedSummaryVariant,
+  modelSummaryVariant
+};
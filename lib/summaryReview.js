@@ -0,0 +1,113 @@
+/**
+ * The participant's review of the end-of-chat summary, bullet by bullet.
+ *
+ * On the summary validation page each bullet is marked accurate or not
+ * accurate, and a bullet that is not accurate may be rewritten. Missing themes
+ * can be added. The page sends its answers and a log of every edit it saw.
+ * The server stores them against the original summary it holds on the
+ * conversation (lib/conversationSummary.js), not the copy the page displayed.
+ *
+ * Each original bullet gets one label:
+ *
+ *   accurate    marked accurate
+ *   corrected   marked not accurate and rewritten
+ *   inaccurate  marked not accurate and left as it was
+ *
+ * Added themes are labelled "missing". The fidelity counts are these labels
+ * totalled over the summary.
+ */
+
+const BULLET_LABELS = Object.freeze({
+  ACCURATE: 'accurate',
+  CORRECTED: 'corrected',
+  INACCURATE: 'inaccurate',
+  MISSING: 'missing'
+});
+
+// What the page sends for each bullet; "corrected" is derived from the rewritten text
+const REVIEW_ANSWERS = ['accurate', 'inaccurate'];
+
+// Entries of the page's edit log
+const EDIT_TYPES = ['label', 'rewrite', 'add', 'remove'];
+
+const same = (a, b) => String(a || '').trim() === String(b || '').trim();
+
+/**
+ * Build the stored review from the page's answers.
+ *
+ * @param {Object} options
+ * @param {Object} options.summary - Original summary: the conversation's summary record, or { bullets } the page sent
+ * @param {string} [options.conversationId]
+ * @param {Array<Object>} options.reviews - One { index, label: 'accurate'|'inaccurate', text } per bullet
+ * @param {Array<string>} [options.addedThemes]
+ * @param {Array<Object>} [options.edits] - The page's edit log: { type, index, label, text, at }
+ * @param {Date} [options.submittedAt]
+ * @returns {{review: Object|null, errors: Array<{field: string, code: string, message: string}>}}
+ *   errors use the shape of lib/validation.js so the route can answer 400 with them
+ */
+function buildSummaryReview({ summary, conversationId = null, reviews, addedThemes = [], edits = [], submittedAt = new Date() }) {
+  const original = summary?.bullets || [];
+  const errors = [];
+  const byIndex = new Map();
+
+  for (const review of reviews) {
+    if (review.index >= original.length) {
+      errors.push({ field: 'bullet_reviews', code: 'range', message: `There is no summary point ${review.index + 1}` });
+    } else if (byIndex.has(review.index)) {
+      errors.push({ field: 'bullet_reviews', code: 'duplicate', message: `Summary point ${review.index + 1} was reviewed twice` });
+    } else if (review.label === BULLET_LABELS.ACCURATE && review.text && !same(review.text, original[review.index])) {
+      errors.push({ field: 'bullet_reviews', code: 'type', message: `Summary point ${review.index + 1} was rewritten but marked accurate` });
+    } else {
+      byIndex.set(review.index, review);
+    }
+  }
+  if (errors.length === 0 && byIndex.size < original.length) {
+    errors.push({ field: 'bullet_reviews', code: 'required', message: 'Please mark each point of the summary as accurate or not' });
+  }
+  if (errors.length > 0) return { review: null, errors };
+
+  const bullets = original.map((text, index) => {
+    const { label, text: rewritten } = byIndex.get(index);
+    const corrected = label === BULLET_LABELS.INACCURATE && rewritten && !same(rewritten, text) ? rewritten.trim() : null;
+    return {
+      index,
+      original: text,
+      label: corrected ? BULLET_LABELS.CORRECTED : label,
+      corrected
+    };
+  });
+  const added = addedThemes.map(theme => String(theme).trim()).filter(Boolean);
+  const count = label => bullets.filter(bullet => bullet.label === label).length;
+
+  return {
+    review: {
+      conversation_id: conversationId,
+      original: {
+        bullets: original,
+        generator: summary.generator || null,
+        messageId: summary.messageId || null,
+        createdAt: summary.createdAt || null
+      },
+      bullets,
+      added_themes: added,
+      edits,
+      fidelity: {
+        bullets: bullets.length,
+        accurate: count(BULLET_LABELS.ACCURATE),
+        corrected: count(BULLET_LABELS.CORRECTED),
+        inaccurate: count(BULLET_LABELS.INACCURATE),
+        missing: added.length,
+        accuracy_rate: bullets.length > 0 ? count(BULLET_LABELS.ACCURATE) / bullets.length : null
+      },
+      submitted_at: submittedAt.toISOString()
+    },
+    errors: []
+  };
+}
+
+module.exports = {
+  BULLET_LABELS,
+  REVIEW_ANSWERS,
+  EDIT_TYPES,
+  buildSummaryReview
+};
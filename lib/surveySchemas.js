@@ -0,0 +1,178 @@
+const { field } = require('./validation');
+const { CCS_ITEMS, CCS_MATRIX_ROWS } = require('./ccsScale');
+const { REVIEW_ANSWERS, EDIT_TYPES } = require('./summaryReview');
+
+/**
+ * Request body schemas for the survey endpoints (see lib/validation.js):
+ *
+ *   SURVEY_SUBMIT               POST /survey/submit
+ *   END_SURVEY                  POST /api/end-survey
+ *   CHATBOT_SUMMARY_VALIDATION  POST /api/chatbot-summary-validation
+ *   HONEYPOT_SUBMISSION         POST /api/honeypot-submission
+ *
+ * Ranges follow the pages that send them: 0-100 sliders (sent as "N/a" when
+ * left untouched), 1-7 political scales, a 0-10 summary rating, up to 20
+ * summary bullets.
+ */
+
+const MIND_CHANGE_DIRECTIONS = [
+  'exists_to_not_exists',
+  'not_exists_to_exists',
+  'not_urgent_to_urgent',
+  'urgent_to_not_urgent',
+  'human_to_natural',
+  'natural_to_human',
+  'other'
+];
+
+const YES_NO = ['Yes', 'No'];
+const TEXT_LIMIT = 5000;
+const ID_LIMIT = 100;
+const BULLET_LIMIT = 1000;
+const SUMMARY_BULLETS = 20;
+
+const slider = () => field.integer({ min: 0, max: 100, allow: ['N/a'] });
+const mean = () => field.number({ min: 0, max: 100, allow: ['N/a'] });
+const politicalScale = () => field.integer({ min: 1, max: 7 });
+
+// How one free-text answer was written (see lib/botDetection.js)
+const typingSignals = () => field.object({
+  keystrokes: field.integer({ min: 0 }),
+  key_intervals_ms: field.array(field.integer({ min: 0 }), { maxItems: 500 }),
+  paste_events: field.integer({ min: 0 }),
+  pasted_chars: field.integer({ min: 0 }),
+  active_ms: field.integer({ min: 0 })
+});
+
+const ccsFields = Object.fromEntries(CCS_ITEMS.flatMap(item => [
+  [`${item}_raw`, slider()],
+  [`${item}_scored`, slider()],
+  [`${item}_was_moved`, field.boolean()]
+]));
+
+// The mind change answers: a direction (with text for "other") unless no change was reported
+function mindChangeAnswered(body) {
+  const hasNewFormat = body.mind_change_direction !== undefined || body.mind_change_no_change !== undefined;
+  if (!hasNewFormat) {
+    const viewsChanged = body.views_changed || body.viewsChanged;
+    return viewsChanged
+      ? []
+      : [{ field: 'views_changed', code: 'required', message: 'Please indicate whether your views on climate change have changed' }];
+  }
+  if (!body.mind_change_no_change && !body.mind_change_direction) {
+    return [{ field: 'mind_change_direction', code: 'required', message: 'Please select the option that best describes how your views changed' }];
+  }
+  if (body.mind_change_direction === 'other' && !(body.mind_change_other_text || '').trim()) {
+    return [{ field: 'mind_change_other_text', code: 'required', message: 'Please describe your belief change when "Other" is selected' }];
+  }
+  return [];
+}
+
+const SURVEY_SUBMIT = {
+  fields: {
+    prolific_id: field.string({ maxLength: ID_LIMIT }),
+    // Prolific's STUDY_ID and SESSION_ID URL parameters (see lib/entryGuard.js)
+    study_id: field.string({ maxLength: ID_LIMIT }),
+    session_id: field.string({ maxLength: ID_LIMIT }),
+    consent: field.boolean(),
+    // Demographics
+    age: field.integer({ min: 16, max: 120 }),
+    gender: field.string({ maxLength: 100 }),
+    education: field.string({ maxLength: 100 }),
+    // Political views
+    economic_issues: politicalScale(),
+    social_issues: politicalScale(),
+    economic_issues_answered: field.boolean(),
+    social_issues_answered: field.boolean(),
+    political_views_order: field.array(field.integer({ min: 0, max: 1 }), { maxItems: 2, unique: true }),
+    // Belief change
+    views_changed: field.enum(YES_NO),
+    viewsChanged: field.enum(YES_NO),
+    mind_change_direction: field.enum(MIND_CHANGE_DIRECTIONS),
+    mind_change_no_change: field.boolean(),
+    mind_change_other_text: field.string({ maxLength: 1000 }),
+    current_views: field.string({ maxLength: TEXT_LIMIT }),
+    elaboration: field.string({ maxLength: TEXT_LIMIT }),
+    ai_summary_generated: field.string({ maxLength: TEXT_LIMIT }),
+    AI_Summary_Views: field.string({ maxLength: TEXT_LIMIT }),
+    ai_accurate: field.enum(YES_NO),
+    confidence_level: slider(),
+    missing_info: field.string({ maxLength: TEXT_LIMIT }),
+    // Climate change views matrix
+    ...ccsFields,
+    attention_check_value: field.integer({ min: 0, max: 100 }),
+    attention_check_passed: field.boolean(),
+    attention_check_was_moved: field.boolean(),
+    ccs_mean_scored: mean(),
+    ccs_occurrence_mean: mean(),
+    ccs_causation_mean: mean(),
+    ccs_seriousness_mean: mean(),
+    ccs_efficacy_mean: mean(),
+    ccs_trust_mean: mean(),
+    ccs_row_order: field.array(field.integer({ min: 0, max: CCS_MATRIX_ROWS.length - 1 }), { maxItems: CCS_MATRIX_ROWS.length, unique: true }),
+    // Exit survey answers some clients send early
+    summaryConfidence: field.integer({ min: 0, max: 10 }),
+    finalConfidenceLevel: slider(),
+    summaryAccurate: field.enum(YES_NO),
+    // What the views page recorded while the answers were written
+    bot_signals: field.object({
+      honeypot: field.string({ maxLength: TEXT_LIMIT }),
+      page_ms: field.integer({ min: 0 }),
+      fields: field.object({
+        current_views: typingSignals(),
+        elaboration: typingSignals()
+      })
+    })
+  },
+  checks: [mindChangeAnswered]
+};
+
+const END_SURVEY = {
+  fields: {
+    participant_id: field.string({ required: true, maxLength: ID_LIMIT, message: 'Participant ID is required' }),
+    summaryConfidence: field.integer({ min: 0, max: 10 }),
+    finalConfidenceLevel: slider()
+  }
+};
+
+const CHATBOT_SUMMARY_VALIDATION = {
+  fields: {
+    participant_id: field.string({ required: true, maxLength: ID_LIMIT, message: 'Participant ID is required' }),
+    summary_accurate: field.enum(YES_NO, { required: true, message: 'Valid summary accuracy response is required' }),
+    chatbot_summary: field.array(field.string({ maxLength: TEXT_LIMIT }), { maxItems: SUMMARY_BULLETS }),
+    conversation_id: field.string({ maxLength: ID_LIMIT }),
+    // Per-bullet review (see lib/summaryReview.js)
+    bullet_reviews: field.array(field.object({
+      index: field.integer({ required: true, min: 0, max: SUMMARY_BULLETS - 1 }),
+      label: field.enum(REVIEW_ANSWERS, { required: true }),
+      text: field.string({ maxLength: BULLET_LIMIT })
+    }), { maxItems: SUMMARY_BULLETS }),
+    added_themes: field.array(field.string({ maxLength: BULLET_LIMIT }), { maxItems: 10 }),
+    summary_edits: field.array(field.object({
+      type: field.enum(EDIT_TYPES, { required: true }),
+      index: field.integer({ min: 0 }),
+      label: field.enum(REVIEW_ANSWERS),
+      text: field.string({ maxLength: BULLET_LIMIT }),
+      at: field.date()
+    }), { maxItems: 500 }),
+    timestamp: field.date()
+  }
+};
+
+const HONEYPOT_SUBMISSION = {
+  fields: {
+    current_views: field.string({ maxLength: TEXT_LIMIT }),
+    elaboration: field.string({ maxLength: TEXT_LIMIT }),
+    // The page's demographics_data; only the Prolific ID is kept from it
+    participant_session_data: field.string({ maxLength: TEXT_LIMIT })
+  }
+};
+
+module.exports = {
+  MIND_CHANGE_DIRECTIONS,
+  ID_LIMIT,
+  SURVEY_SUBMIT,
+  END_SURVEY,
+  CHATBOT_SUMMARY_VALIDATION,
+  HONEYPOT_SUBMISSION
+};
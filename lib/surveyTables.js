@@ -0,0 +1,240 @@
+/**
+ * Survey answers as first-class Postgres rows, so they can be queried without
+ * parsing the participant JSON.
+ *
+ * The participant record (IndividualDifferences.raw) stays the record every
+ * route reads; these tables are derived from it and rewritten in the same
+ * transaction each time the participant is saved (see PrismaRepository):
+ *
+ *   ccs_responses     one row per CCS item: raw and scored value, reverse keying,
+ *                     whether the slider was moved, and the row it was shown in
+ *   attention_checks  one row per attention check, with its value and outcome
+ *   political_views   economic and social self-placement, answered flags, display position
+ *   belief_changes    the mind-change answers and the pre-chat AI summary ratings
+ *   exit_surveys      post-chat confidence and summary accuracy
+ *   summary_bullet_reviews  one row per end-of-chat summary bullet and per added
+ *                     theme, with the participant's label and rewrite (lib/summaryReview.js)
+ *
+ * backfillSurveyTables() fills them for participants saved before they existed.
+ */
+
+const { CCS_ITEMS, CCS_MATRIX_ROWS, CCS_REVERSE_ITEMS } = require('./ccsScale');
+const { BULLET_LABELS } = require('./summaryReview');
+
+// The matrix attention check asks for the slider at 0
+const ATTENTION_CHECK_EXPECTED = 0;
+
+const POLITICAL_QUESTIONS = ['economic_issues', 'social_issues'];
+
+// Sliders left untouched are stored as "N/a"
+const toInt = value => {
+  if (value === undefined || value === null || value === '' || value === 'N/a') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.round(number) : null;
+};
+const toBool = value => (value === true || value === 'true' ? true : value === false || value === 'false' ? false : null);
+const toText = value => (value === undefined || value === null || value === '' ? null : String(value));
+
+// 1-based position a row was shown in, from a display order of row indices
+function displayPosition(order, index) {
+  if (!Array.isArray(order)) return null;
+  const position = order.map(Number).indexOf(index);
+  return position >= 0 ? position + 1 : null;
+}
+
+/**
+ * Rows for the survey tables, derived from a participant record.
+ *
+ * The survey route stores falsy answers as null (a slider at 0, an unmoved
+ * flag of false), so wasMoved and passed are inferred from the values where
+ * the flag itself is missing.
+ *
+ * @param {Object} participant - Participant record as the routes build it
+ * @returns {Object} { ccsResponses, attentionChecks, politicalViews, beliefChange, exitSurvey, summaryBullets };
+ *   the one-row tables are null when the record has no such section
+ */
+function surveyRows(participant) {
+  const ccs = participant.views_matrix?.climate_change_views;
+  const political = participant.views_matrix?.political_views;
+  const belief = participant.belief_change;
+  const postChat = participant.post_chat;
+  const order = ccs?.ccs_row_order;
+
+  const ccsResponses = ccs
+    ? CCS_ITEMS.map(item => {
+      const rawValue = toInt(ccs[`${item}_raw`]);
+      return {
+        item,
+        rawValue,
+        scoredValue: toInt(ccs[`${item}_scored`]),
+        reverseScored: CCS_REVERSE_ITEMS.includes(item),
+        wasMoved: toBool(ccs[`${item}_was_moved`]) ?? (rawValue !== null ? true : null),
+        displayPosition: displayPosition(order, CCS_MATRIX_ROWS.indexOf(item))
+      };
+    })
+    : [];
+
+  const attentionChecks = [];
+  if (ccs && ['attention_check_value', 'attention_check_passed', 'attention_check_was_moved'].some(key => ccs[key] !== undefined)) {
+    const recordedPass = toBool(ccs.attention_check_passed);
+    const value = toInt(ccs.attention_check_value) ?? (recordedPass ? ATTENTION_CHECK_EXPECTED : null);
+    attentionChecks.push({
+      name: 'ccs_matrix',
+      value,
+      expectedValue: ATTENTION_CHECK_EXPECTED,
+      passed: recordedPass ?? (value !== null ? value === ATTENTION_CHECK_EXPECTED : null),
+      wasMoved: toBool(ccs.attention_check_was_moved),
+      displayPosition: displayPosition(order, CCS_MATRIX_ROWS.indexOf('attention_check'))
+    });
+  }
+
+  const politicalViews = political
+    ? {
+      economicIssues: toInt(political.economic_issues),
+      socialIssues: toInt(political.social_issues),
+      economicAnswered: toBool(political.economic_issues_answered) ?? (toInt(political.economic_issues) !== null ? true : null),
+      socialAnswered: toBool(political.social_issues_answered) ?? (toInt(political.social_issues) !== null ? true : null),
+      economicPosition: displayPosition(political.political_views_order, POLITICAL_QUESTIONS.indexOf('economic_issues')),
+      socialPosition: displayPosition(political.political_views_order, POLITICAL_QUESTIONS.indexOf('social_issues'))
+    }
+    : null;
+
+  const beliefChange = belief
+    ? {
+      hasChangedMind: Boolean(belief.has_changed_mind),
+      direction: toText(belief.mind_change_direction),
+      noChange: Boolean(belief.mind_change_no_change),
+      otherText: toText(belief.mind_change_other_text),
+      currentView: toText(belief.current_view),
+      elaboration: toText(belief.elaboration),
+      aiSummary: toText(belief.ai_summary),
+      aiSummaryAccuracy: toText(belief.ai_summary_accuracy),
+      aiConfidenceSlider: toInt(belief.ai_confidence_slider),
+      chatbotSummary: toText(belief.chatbot_summary),
+      chatbotSummaryValidation: toText(belief.chatbot_summary_validation)
+    }
+    : null;
+
+  const completedAt = participant.timestamps?.completed ? new Date(participant.timestamps.completed) : null;
+  const exitSurvey = postChat && (postChat.final_belief_confidence != null || postChat.chatbot_summary_accuracy != null || completedAt)
+    ? {
+      finalBeliefConfidence: toInt(postChat.final_belief_confidence),
+      chatbotSummaryAccuracy: toText(postChat.chatbot_summary_accuracy),
+      completedAt
+    }
+    : null;
+
+  // Bullets keep their 1-based position in the summary; added themes follow them
+  const review = belief?.chatbot_summary_review;
+  const summaryBullets = review
+    ? [
+      ...review.bullets.map(bullet => ({
+        conversationId: review.conversation_id || null,
+        position: bullet.index + 1,
+        source: 'summary',
+        label: bullet.label,
+        originalText: bullet.original,
+        correctedText: bullet.corrected || null,
+        generator: review.original?.generator || null
+      })),
+      ...review.added_themes.map((theme, index) => ({
+        conversationId: review.conversation_id || null,
+        position: review.bullets.length + index + 1,
+        source: 'participant',
+        label: BULLET_LABELS.MISSING,
+        originalText: null,
+        correctedText: theme,
+        generator: null
+      }))
+    ]
+    : [];
+
+  return { ccsResponses, attentionChecks, politicalViews, beliefChange, exitSurvey, summaryBullets };
+}
+
+/**
+ * Prisma operations that replace a participant's survey rows; run them in the
+ * transaction that saves the participant's Session row.
+ *
+ * @param {Object} prisma - Prisma client
+ * @param {string} sessionId - Participant id (their Session row)
+ * @param {Object} participant - Participant record
+ * @returns {Array} Operations for prisma.$transaction
+ */
+function surveyTableWrites(prisma, sessionId, participant) {
+  const rows = surveyRows(participant);
+  const oneRow = (model, row) => (row
+    ? prisma[model].upsert({ where: { sessionId }, update: row, create: { sessionId, ...row } })
+    : prisma[model].deleteMany({ where: { sessionId } }));
+
+  return [
+    prisma.ccsResponse.deleteMany({ where: { sessionId } }),
+    prisma.ccsResponse.createMany({ data: rows.ccsResponses.map(row => ({ sessionId, ...row })) }),
+    prisma.attentionCheck.deleteMany({ where: { sessionId } }),
+    prisma.attentionCheck.createMany({ data: rows.attentionChecks.map(row => ({ sessionId, ...row })) }),
+    oneRow('politicalViews', rows.politicalViews),
+    oneRow('beliefChange', rows.beliefChange),
+    oneRow('exitSurvey', rows.exitSurvey),
+    prisma.summaryBulletReview.deleteMany({ where: { sessionId } }),
+    prisma.summaryBulletReview.createMany({ data: rows.summaryBullets.map(row => ({ sessionId, ...row })) })
+  ];
+}
+
+/**
+ * Write the survey rows of every participant already in the database. Safe to
+ * run again: each participant's rows are replaced, not added to.
+ *
+ * @param {Object} options
+ * @param {Object} options.prisma - Connected Prisma client
+ * @param {boolean} options.dryRun - Count the rows without writing them
+ * @param {number} options.pageSize - Participants read per query
+ * @returns {Promise<Object>} { dryRun, participants, rows: { ccsResponses, ... }, errors }
+ */
+async function backfillSurveyTables({ prisma, dryRun = false, pageSize = 500 }) {
+  const report = {
+    dryRun,
+    participants: 0,
+    rows: { ccsResponses: 0, attentionChecks: 0, politicalViews: 0, beliefChanges: 0, exitSurveys: 0, summaryBulletReviews: 0 },
+    errors: []
+  };
+
+  for (let cursor = null; ;) {
+    const page = await prisma.individualDifferences.findMany({
+      orderBy: { id: 'asc' },
+      take: pageSize,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+    if (page.length === 0) break;
+    cursor = page[page.length - 1].id;
+
+    for (const { sessionId, raw } of page) {
+      // Earlier versions also attached a copy of the participant to each ended conversation; skip those
+      if (!raw || (raw.participant_id && raw.participant_id !== sessionId)) continue;
+      try {
+        const rows = surveyRows(raw);
+        if (!dryRun) await prisma.$transaction(surveyTableWrites(prisma, sessionId, raw));
+        report.participants++;
+        report.rows.ccsResponses += rows.ccsResponses.length;
+        report.rows.attentionChecks += rows.attentionChecks.length;
+        report.rows.politicalViews += rows.politicalViews ? 1 : 0;
+        report.rows.beliefChanges += rows.beliefChange ? 1 : 0;
+        report.rows.exitSurveys += rows.exitSurvey ? 1 : 0;
+        report.rows.summaryBulletReviews += rows.summaryBullets.length;
+      } catch (error) {
+        report.errors.push({ sessionId, error: error.message });
+      }
+    }
+    if (page.length < pageSize) break;
+  }
+
+  return report;
+}
+
+module.exports = {
+  CCS_ITEMS,
+  CCS_MATRIX_ROWS,
+  CCS_REVERSE_ITEMS,
+  surveyRows,
+  surveyTableWrites,
+  backfillSurveyTables
+};
@@ -0,0 +1,202 @@
+/**
+ * Declarative request body schemas, checked at the route boundary.
+ *
+ * A schema maps body fields to rules built with `field`, plus optional
+ * cross-field `checks`. validate() returns the body with each declared field
+ * normalised (numeric strings become numbers, "" becomes null) and a list of
+ * field-level errors; validateBody() wraps it as Express middleware that
+ * answers 400 with those errors, so the survey pages can show each one next
+ * to its question:
+ *
+ *   { error, type: 'validation', errors: [{ field, code, message }] }
+ *
+ * Fields a schema does not declare are passed through untouched.
+ */
+
+const INTEGER = /^-?\d+$/;
+const NUMBER = /^-?\d+(\.\d+)?$/;
+
+// Rules: each takes the rule options and a present (non-empty) value, and
+// returns { value } or { code, message }
+const TYPES = {
+  integer(rule, value) {
+    const number = typeof value === 'string' && INTEGER.test(value.trim()) ? Number(value) : value;
+    if (!Number.isInteger(number)) return { code: 'type', message: 'Must be a whole number' };
+    return range(rule, number);
+  },
+
+  number(rule, value) {
+    const number = typeof value === 'string' && NUMBER.test(value.trim()) ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return { code: 'type', message: 'Must be a number' };
+    return range(rule, number);
+  },
+
+  boolean(rule, value) {
+    if (typeof value === 'boolean') return { value };
+    if (value === 'true' || value === 'on') return { value: true };
+    if (value === 'false') return { value: false };
+    return { code: 'type', message: 'Must be true or false' };
+  },
+
+  string(rule, value) {
+    if (typeof value !== 'string') return { code: 'type', message: 'Must be text' };
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return { code: 'too_long', message: `Must be at most ${rule.maxLength} characters` };
+    }
+    return { value };
+  },
+
+  enum(rule, value) {
+    if (!rule.values.includes(value)) return { code: 'enum', message: `Must be one of: ${rule.values.join(', ')}` };
+    return { value };
+  },
+
+  array(rule, value) {
+    if (!Array.isArray(value)) return { code: 'type', message: 'Must be a list' };
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return { code: 'too_long', message: `Must have at most ${rule.maxItems} entries` };
+    }
+    const items = [];
+    for (const [index, item] of value.entries()) {
+      const result = checkValue(rule.items, item);
+      if (result.code) return { ...result, message: `Entry ${index + 1}: ${result.message}` };
+      items.push(result.value);
+    }
+    if (rule.unique && new Set(items).size !== items.length) return { code: 'duplicate', message: 'Must not repeat entries' };
+    return { value: items };
+  },
+
+  object(rule, value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return { code: 'type', message: 'Must be an object' };
+    const { value: checked, errors } = checkFields(rule.fields, value);
+    if (errors.length > 0) return { code: errors[0].code, message: `${errors[0].field}: ${errors[0].message}` };
+    return { value: checked };
+  },
+
+  date(rule, value) {
+    if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) return { code: 'type', message: 'Must be a date and time' };
+    return { value };
+  }
+};
+
+function range(rule, number) {
+  const below = rule.min !== undefined && number < rule.min;
+  const above = rule.max !== undefined && number > rule.max;
+  if (!below && !above) return { value: number };
+  if (rule.min !== undefined && rule.max !== undefined) {
+    return { code: 'range', message: `Must be between ${rule.min} and ${rule.max}` };
+  }
+  return below
+    ? { code: 'range', message: `Must be at least ${rule.min}` }
+    : { code: 'range', message: `Must be at most ${rule.max}` };
+}
+
+// Check one present value against a rule, honouring its literal `allow` values
+function checkValue(rule, value) {
+  if (rule.allow && rule.allow.includes(value)) return { value };
+  return TYPES[rule.type](rule, value);
+}
+
+const rule = type => (options = {}) => ({ type, ...options });
+
+/**
+ * Rule builders. Every rule takes `required` (missing, null and "" are errors)
+ * and `allow` (literal values accepted as they are, such as "N/a" for sliders
+ * left untouched); a field that is not required may be missing or null.
+ * object() checks a nested set of fields, as in a list of structured answers.
+ */
+const field = {
+  integer: rule('integer'),
+  number: rule('number'),
+  boolean: rule('boolean'),
+  string: rule('string'),
+  date: rule('date'),
+  enum: (values, options = {}) => ({ type: 'enum', values, ...options }),
+  array: (items, options = {}) => ({ type: 'array', items, ...options }),
+  object: (fields, options = {}) => ({ type: 'object', fields, ...options })
+};
+
+// Check each declared field of an object, normalising the values that pass
+function checkFields(fields, input) {
+  const value = { ...input };
+  const errors = [];
+
+  for (const [name, fieldRule] of Object.entries(fields)) {
+    const raw = input[name];
+    if (raw === undefined || raw === null || raw === '') {
+      if (fieldRule.required) {
+        errors.push({ field: name, code: 'required', message: fieldRule.message || 'This answer is required' });
+      } else if (raw === '') {
+        value[name] = null;
+      }
+      continue;
+    }
+    const result = checkValue(fieldRule, raw);
+    if (result.code) {
+      errors.push({ field: name, code: result.code, message: fieldRule.message || result.message });
+    } else {
+      value[name] = result.value;
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Validate a request body against a schema.
+ *
+ * @param {Object} schema - { fields: { name: rule }, checks: [(body) => [{ field, code, message }]] }
+ * @param {Object} body - Request body
+ * @returns {{value: Object, errors: Array<{field: string, code: string, message: string}>}}
+ *   Checks only run when every field is valid, and see the normalised values
+ */
+function validate(schema, body) {
+  const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+  const { value, errors } = checkFields(schema.fields, input);
+
+  if (errors.length === 0) {
+    for (const check of schema.checks || []) errors.push(...check(value));
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Express middleware: validate req.body and replace it with the normalised
+ * values, or answer 400 with the field errors.
+ *
+ * @param {Object} schema - See validate()
+ * @returns {Function} Middleware
+ */
+function validateBody(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body);
+    if (errors.length > 0) return rejectWithErrors(req, res, errors);
+    req.body = value;
+    next();
+  };
+}
+
+/**
+ * Answer 400 with field errors, for checks a route makes after validateBody()
+ * (such as against stored records).
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Array<{field: string, code: string, message: string}>} errors
+ */
+function rejectWithErrors(req, res, errors) {
+  console.log(`⚠️ Rejected ${req.method} ${req.path}: ${errors.map(e => `${e.field} (${e.code})`).join(', ')}`);
+  return res.status(400).json({
+    error: errors.length === 1 ? errors[0].message : `${errors.length} answers need attention`,
+    type: 'validation',
+    errors
+  });
+}
+
+module.exports = {
+  field,
+  validate,
+  validateBody,
+  rejectWithErrors
+};
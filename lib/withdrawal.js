@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Tombstones for participants who withdrew consent.
+ *
+ * When a participant withdraws, their files and rows are deleted (see
+ * database.findParticipantData / deleteParticipantData) and a tombstone is kept
+ * so the same Prolific ID cannot take part again. Tombstones hold SHA-256 hashes
+ * of the identifiers rather than the identifiers themselves and the admin who
+ * processed the request - nothing else about the participant. Stored in the
+ * withdrawals table, or data/withdrawals.json without a database.
+ */
+
+// Identifiers are trimmed so a pasted ID with stray whitespace still matches
+function hashIdentifier(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  return crypto.createHash('sha256').update(String(value).trim()).digest('hex');
+}
+
+class WithdrawalRegistry {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - JSON file used when the database is unavailable
+   * @param {Function} options.getPrisma - () => Prisma client, or null when the database is unavailable
+   */
+  constructor({ file, getPrisma = () => null } = {}) {
+    this.file = file;
+    this.getPrisma = getPrisma;
+  }
+
+  readFile() {
+    if (!fs.existsSync(this.file)) return [];
+    return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+  }
+
+  writeFile(tombstones) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(tombstones, null, 2));
+  }
+
+  /**
+   * Whether a Prolific ID or participant id belongs to a withdrawn participant.
+   *
+   * @param {Object} identifiers - { prolificId, participantId }
+   * @returns {Promise<boolean>}
+   */
+  async isWithdrawn({ prolificId, participantId } = {}) {
+    const hashes = [
+      ['prolificIdHash', hashIdentifier(prolificId)],
+      ['participantIdHash', hashIdentifier(participantId)]
+    ].filter(([, hash]) => hash);
+    if (hashes.length === 0) return false;
+
+    const prisma = this.getPrisma();
+    if (prisma) {
+      const match = await prisma.withdrawal.findFirst({
+        where: { OR: hashes.map(([field, hash]) => ({ [field]: hash })) }
+      });
+      return Boolean(match);
+    }
+    return this.readFile().some(tombstone => hashes.some(([field, hash]) => tombstone[field] === hash));
+  }
+
+  /**
+   * Record one tombstone per withdrawn participant.
+   *
+   * @param {Object} withdrawal
+   * @param {Array<{participantId: string, prolificId: string}>} withdrawal.participants
+   * @param {string} withdrawal.withdrawnBy - Username of the admin who processed the request
+   * @param {string} withdrawal.reason - Optional free-text note (do not put identifying details here)
+   * @returns {Promise<Array>} The stored tombstones
+   */
+  async record({ participants, withdrawnBy = null, reason = null }) {
+    const withdrawnAt = new Date();
+    const tombstones = participants.map(({ participantId, prolificId }) => ({
+      id: crypto.randomUUID(),
+      withdrawnAt: withdrawnAt.toISOString(),
+      participantIdHash: hashIdentifier(participantId),
+      prolificIdHash: hashIdentifier(prolificId),
+      withdrawnBy,
+      reason
+    }));
+
+    const prisma = this.getPrisma();
+    if (prisma) {
+      await prisma.withdrawal.createMany({
+        data: tombstones.map(tombstone => ({ ...tombstone, withdrawnAt }))
+      });
+      return tombstones;
+    }
+
+    this.writeFile([...this.readFile(), ...tombstones]);
+    return tombstones;
+  }
+}
+
+module.exports = {
+  hashIdentifier,
+  WithdrawalRegistry
+};
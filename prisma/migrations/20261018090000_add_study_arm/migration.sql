@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "public"."individual_differences" ADD COLUMN     "randomisationStratum" TEXT,
+ADD COLUMN     "studyArm" TEXT;
+
+-- CreateIndex
+CREATE INDEX "individual_differences_studyArm_idx" ON "public"."individual_differences"("studyArm");
+
+-- CreateIndex
+CREATE INDEX "individual_differences_randomisationStratum_idx" ON "public"."individual_differences"("randomisationStratum");
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN     "model" TEXT,
+ADD COLUMN     "promptHash" TEXT,
+ADD COLUMN     "promptId" TEXT,
+ADD COLUMN     "promptVersion" INTEGER,
+ADD COLUMN     "replySource" TEXT,
+ADD COLUMN     "samplingParams" JSONB,
+ADD COLUMN     "stageHash" TEXT;
+
+-- CreateIndex
+CREATE INDEX "messages_promptHash_idx" ON "public"."messages"("promptHash");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."sessions" ADD COLUMN     "endReason" TEXT,
+ADD COLUMN     "expiresAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "sessions_completedAt_expiresAt_idx" ON "public"."sessions"("completedAt", "expiresAt");
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN     "latencyMs" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."model_calls" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "purpose" TEXT NOT NULL,
+    "participantId" TEXT,
+    "prolificId" TEXT,
+    "conversationId" TEXT,
+    "studyArm" TEXT,
+    "provider" TEXT,
+    "model" TEXT,
+    "promptTokens" INTEGER,
+    "completionTokens" INTEGER,
+    "latencyMs" INTEGER,
+    "costUsd" DOUBLE PRECISION,
+    "fallback" BOOLEAN NOT NULL DEFAULT false,
+    "error" TEXT,
+
+    CONSTRAINT "model_calls_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "model_calls_participantId_idx" ON "public"."model_calls"("participantId");
+
+-- CreateIndex
+CREATE INDEX "model_calls_studyArm_idx" ON "public"."model_calls"("studyArm");
+
+-- CreateIndex
+CREATE INDEX "model_calls_createdAt_idx" ON "public"."model_calls"("createdAt");
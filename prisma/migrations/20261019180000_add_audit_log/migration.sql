@@ -0,0 +1,42 @@
+-- CreateTable
+CREATE TABLE "public"."audit_log" (
+    "seq" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL,
+    "action" TEXT NOT NULL,
+    "actor" TEXT,
+    "actorRole" TEXT,
+    "method" TEXT,
+    "route" TEXT,
+    "params" JSONB NOT NULL,
+    "status" INTEGER,
+    "rowCounts" JSONB,
+    "ip" TEXT,
+    "prevHash" TEXT NOT NULL,
+    "hash" TEXT NOT NULL,
+
+    CONSTRAINT "audit_log_pkey" PRIMARY KEY ("seq")
+);
+
+-- CreateIndex
+CREATE INDEX "audit_log_createdAt_idx" ON "public"."audit_log"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "audit_log_actor_idx" ON "public"."audit_log"("actor");
+
+-- CreateIndex
+CREATE INDEX "audit_log_action_idx" ON "public"."audit_log"("action");
+
+-- Append-only: refuse UPDATE, DELETE and TRUNCATE (see lib/auditLog.js)
+CREATE FUNCTION "public"."audit_log_append_only"() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "audit_log_no_update_or_delete"
+    BEFORE UPDATE OR DELETE ON "public"."audit_log"
+    FOR EACH ROW EXECUTE FUNCTION "public"."audit_log_append_only"();
+
+CREATE TRIGGER "audit_log_no_truncate"
+    BEFORE TRUNCATE ON "public"."audit_log"
+    FOR EACH STATEMENT EXECUTE FUNCTION "public"."audit_log_append_only"();
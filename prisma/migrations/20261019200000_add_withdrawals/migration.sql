@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "public"."withdrawals" (
+    "id" TEXT NOT NULL,
+    "withdrawnAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "participantIdHash" TEXT,
+    "prolificIdHash" TEXT,
+    "withdrawnBy" TEXT,
+    "reason" TEXT,
+
+    CONSTRAINT "withdrawals_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "withdrawals_prolificIdHash_idx" ON "public"."withdrawals"("prolificIdHash");
+
+-- CreateIndex
+CREATE INDEX "withdrawals_participantIdHash_idx" ON "public"."withdrawals"("participantIdHash");
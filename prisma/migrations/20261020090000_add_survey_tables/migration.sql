@@ -0,0 +1,110 @@
+-- CreateTable
+CREATE TABLE "public"."ccs_responses" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "item" TEXT NOT NULL,
+    "rawValue" INTEGER,
+    "scoredValue" INTEGER,
+    "reverseScored" BOOLEAN NOT NULL DEFAULT false,
+    "wasMoved" BOOLEAN,
+    "displayPosition" INTEGER,
+
+    CONSTRAINT "ccs_responses_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."attention_checks" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "value" INTEGER,
+    "expectedValue" INTEGER,
+    "passed" BOOLEAN,
+    "wasMoved" BOOLEAN,
+    "displayPosition" INTEGER,
+
+    CONSTRAINT "attention_checks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."political_views" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "economicIssues" INTEGER,
+    "socialIssues" INTEGER,
+    "economicAnswered" BOOLEAN,
+    "socialAnswered" BOOLEAN,
+    "economicPosition" INTEGER,
+    "socialPosition" INTEGER,
+
+    CONSTRAINT "political_views_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."belief_changes" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "hasChangedMind" BOOLEAN NOT NULL DEFAULT false,
+    "direction" TEXT,
+    "noChange" BOOLEAN NOT NULL DEFAULT false,
+    "otherText" TEXT,
+    "currentView" TEXT,
+    "elaboration" TEXT,
+    "aiSummary" TEXT,
+    "aiSummaryAccuracy" TEXT,
+    "aiConfidenceSlider" INTEGER,
+    "chatbotSummary" TEXT,
+    "chatbotSummaryValidation" TEXT,
+
+    CONSTRAINT "belief_changes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."exit_surveys" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "finalBeliefConfidence" INTEGER,
+    "chatbotSummaryAccuracy" TEXT,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "exit_surveys_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ccs_responses_sessionId_item_key" ON "public"."ccs_responses"("sessionId", "item");
+
+-- CreateIndex
+CREATE INDEX "ccs_responses_item_idx" ON "public"."ccs_responses"("item");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "attention_checks_sessionId_name_key" ON "public"."attention_checks"("sessionId", "name");
+
+-- CreateIndex
+CREATE INDEX "attention_checks_passed_idx" ON "public"."attention_checks"("passed");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "political_views_sessionId_key" ON "public"."political_views"("sessionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "belief_changes_sessionId_key" ON "public"."belief_changes"("sessionId");
+
+-- CreateIndex
+CREATE INDEX "belief_changes_direction_idx" ON "public"."belief_changes"("direction");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "exit_surveys_sessionId_key" ON "public"."exit_surveys"("sessionId");
+
+-- AddForeignKey
+ALTER TABLE "public"."ccs_responses" ADD CONSTRAINT "ccs_responses_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "public"."sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."attention_checks" ADD CONSTRAINT "attention_checks_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "public"."sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."political_views" ADD CONSTRAINT "political_views_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "public"."sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."belief_changes" ADD CONSTRAINT "belief_changes_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "public"."sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."exit_surveys" ADD CONSTRAINT "exit_surveys_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "public"."sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."individual_differences" ADD COLUMN     "ccsScaleVersion" TEXT,
+ADD COLUMN     "ccsScoreMismatch" BOOLEAN NOT NULL DEFAULT false;
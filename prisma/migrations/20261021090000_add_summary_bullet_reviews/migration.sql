@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "public"."summary_bullet_reviews" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "conversationId" TEXT,
+    "position" INTEGER NOT NULL,
+    "source" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "originalText" TEXT,
+    "correctedText" TEXT,
+    "generator" TEXT,
+
+    CONSTRAINT "summary_bullet_reviews_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "summary_bullet_reviews_sessionId_position_key" ON "public"."summary_bullet_reviews"("sessionId", "position");
+
+-- CreateIndex
+CREATE INDEX "summary_bullet_reviews_label_idx" ON "public"."summary_bullet_reviews"("label");
+
+-- AddForeignKey
+ALTER TABLE "public"."summary_bullet_reviews" ADD CONSTRAINT "summary_bullet_reviews_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "public"."sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."individual_differences" ADD COLUMN     "botRiskScore" DOUBLE PRECISION,
+ADD COLUMN     "botStatus" TEXT;
+
+-- CreateIndex
+CREATE INDEX "individual_differences_botStatus_idx" ON "public"."individual_differences"("botStatus");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."individual_differences" ADD COLUMN     "studyConfigId" TEXT;
+
+-- Backfill from the assignment stored with each participant
+UPDATE "public"."individual_differences" SET "studyConfigId" = "raw"->'assignment'->>'study_config';
+
+-- CreateIndex
+CREATE INDEX "individual_differences_studyConfigId_randomisationStratum_idx" ON "public"."individual_differences"("studyConfigId", "randomisationStratum");
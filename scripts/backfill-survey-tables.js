@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Fill the survey answer tables for participants saved before they existed.
+ *
+ *   node scripts/backfill-survey-tables.js              # write the rows
+ *   node scripts/backfill-survey-tables.js --dry-run    # count them only
+ *
+ * Run once after `npm run db:migrate` adds the tables (see lib/surveyTables.js).
+ * Each participant's rows are replaced, so it can be run again. Exits non-zero
+ * when a participant's rows could not be written.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+// The tables only exist in the database, whatever backend the server is configured for
+process.env.STORAGE_BACKEND = 'postgres';
+
+async function main() {
+    const dryRun = process.argv.slice(2).includes('--dry-run');
+    if (!process.env.DATABASE_URL) {
+        console.error('❌ DATABASE_URL is not set');
+        process.exitCode = 1;
+        return;
+    }
+
+    const database = require('../database');
+    const { backfillSurveyTables } = require('../lib/surveyTables');
+
+    try {
+        if (!await database.initializeDatabase()) {
+            throw new Error('Could not connect to the database');
+        }
+
+        console.log(`🗃️ ${dryRun ? 'Counting' : 'Writing'} survey rows for participants in the database`);
+        const report = await backfillSurveyTables({ prisma: database.getPrismaClient(), dryRun });
+
+        console.log(`  participants: ${report.participants}`);
+        for (const [table, count] of Object.entries(report.rows)) {
+            console.log(`  ${table}: ${count} ${dryRun ? 'to write' : 'written'}`);
+        }
+        report.errors.forEach(({ sessionId, error }) => {
+            console.log(`❌ ${sessionId}: ${error}`);
+        });
+
+        if (report.errors.length) {
+            process.exitCode = 1;
+        } else {
+            console.log(`✅ ${dryRun ? 'Dry run complete' : 'Backfill complete'}`);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await database.closeDatabase();
+    }
+}
+
+main();
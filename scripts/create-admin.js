@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Create an admin account, or reset an existing one's password and role.
+ *
+ *   ADMIN_PASSWORD='...' node scripts/create-admin.js <username> <role>
+ *
+ * Roles: viewer, exporter, data-steward. The password is read from
+ * ADMIN_PASSWORD (or prompted for) so it does not end up in shell history.
+ * Accounts go to the admin_users table when DATABASE_URL is set, otherwise to
+ * data/admin_users.json.
+ */
+
+const path = require('path');
+const readline = require('readline');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const database = require('../database');
+const { ROLES, AdminStore, AdminAuthError } = require('../lib/adminAuth');
+
+function promptPassword() {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        rl.stdoutMuted = false;
+        rl._writeToOutput = text => {
+            if (!rl.stdoutMuted) rl.output.write(text);
+        };
+        rl.question('Password: ', answer => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+        rl.stdoutMuted = true;
+    });
+}
+
+async function main() {
+    const [username, role] = process.argv.slice(2);
+    if (!username || !ROLES[role]) {
+        console.error(`Usage: node scripts/create-admin.js <username> <${Object.keys(ROLES).join('|')}>`);
+        process.exit(1);
+    }
+
+    const password = process.env.ADMIN_PASSWORD || await promptPassword();
+    const useDatabase = await database.initializeDatabase();
+    const store = new AdminStore({
+        file: path.join(__dirname, '..', 'data', 'admin_users.json'),
+        getPrisma: () => database.getPrismaClient()
+    });
+    console.log(`🗃️ Storing admin accounts in ${useDatabase ? 'the database' : 'data/admin_users.json'}`);
+
+    try {
+        if (await store.findByUsername(username)) {
+            await store.update(username, { password, role, disabled: false });
+            console.log(`✅ Updated admin ${username} (${role}); existing tokens for it are no longer valid`);
+        } else {
+            await store.create({ username, password, role });
+            console.log(`✅ Created admin ${username} (${role})`);
+        }
+    } catch (error) {
+        console.error(`❌ ${error instanceof AdminAuthError ? error.message : error.stack}`);
+        process.exitCode = 1;
+    } finally {
+        await database.closeDatabase();
+    }
+}
+
+main();
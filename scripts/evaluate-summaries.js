@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Score end-of-chat summaries for grounding in what participants said, and
+ * compare timed-summary prompt versions.
+ *
+ *   node scripts/evaluate-summaries.js                          # stored summaries and every prompt version
+ *   node scripts/evaluate-summaries.js --version 1 --version 2  # only these prompt versions
+ *   node scripts/evaluate-summaries.js --judge                  # add the model judge's verdicts
+ *   node scripts/evaluate-summaries.js --id <id> [--id <id> ...] --limit 20 --threshold 0.6
+ *   node scripts/evaluate-summaries.js --report <file>
+ *
+ * Conversations are read from the configured storage backend and summarised
+ * again through the configured LLM provider (LLM_PROVIDER etc.), with the
+ * participant's study arm and profile; see lib/summaryEvaluation.js for the
+ * scoring. The summary stored on each conversation is the baseline the prompt
+ * versions are compared with. The report is written to
+ * data/summary-eval-report-<timestamp>.json unless --report is given. Exits
+ * non-zero when a summary or judge call failed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const dataDir = path.join(__dirname, '..', 'data');
+
+function parseArgs(argv) {
+    const valueOf = flag => (argv.indexOf(flag) >= 0 ? argv[argv.indexOf(flag) + 1] : null);
+    const valuesOf = flag => argv.flatMap((arg, index) => (arg === flag && argv[index + 1] ? [argv[index + 1]] : []));
+    const versions = valuesOf('--version').map(Number);
+    const ids = valuesOf('--id');
+    return {
+        versions: versions.length ? versions : null,
+        ids: ids.length ? ids : null,
+        limit: valueOf('--limit') ? Number(valueOf('--limit')) : null,
+        threshold: valueOf('--threshold') ? Number(valueOf('--threshold')) : null,
+        judge: argv.includes('--judge'),
+        reportFile: valueOf('--report')
+    };
+}
+
+const percent = value => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+const signed = value => (value === null ? '—' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)} pts`);
+
+function printReport(report) {
+    for (const variant of report.variants) {
+        const prompt = variant.prompt ? ` [${variant.prompt.promptHash.slice(0, 12)}]` : '';
+        console.log(`  ${variant.name}${prompt}: ${variant.conversations} conversations, ${variant.bullets} bullets, ` +
+            `grounding ${percent(variant.meanGrounding)}, grounded ${percent(variant.groundedShare)}` +
+            (report.judged ? `, judge ${percent(variant.judgeMean)}, supported ${percent(variant.supportedShare)}` : '') +
+            (Object.keys(variant.promptVersions).length
+                ? `, written with ${Object.entries(variant.promptVersions).map(([version, count]) => `${version} ×${count}`).join(', ')}` : '') +
+            (variant.skipped ? `, ${variant.skipped} without a summary` : '') +
+            (variant.emptySummaries ? `, ${variant.emptySummaries} replies without bullets` : ''));
+        if (variant.vsBaseline) {
+            console.log(`    vs ${report.baseline} over ${variant.vsBaseline.conversations} conversations: ` +
+                `grounding ${signed(variant.vsBaseline.meanGrounding)}, grounded ${signed(variant.vsBaseline.groundedShare)}` +
+                (report.judged ? `, judge ${signed(variant.vsBaseline.judgeMean)}` : ''));
+        }
+    }
+    report.skipped.forEach(({ conversationId, reason }) => console.log(`⏭️ ${conversationId}: ${reason}`));
+    report.errors.forEach(({ conversationId, variant, error }) => console.log(`❌ ${conversationId} (${variant}): ${error}`));
+}
+
+async function main() {
+    const { versions, ids, limit, threshold, judge, reportFile } = parseArgs(process.argv.slice(2));
+
+    const database = require('../database');
+    const llmProvider = require('../lib/llmProvider');
+    const { participantProfile } = require('../lib/participantProfile');
+    const { STORAGE_BACKENDS } = require('../lib/repository');
+    const { DEFAULT_THRESHOLD, evaluateSummaries, storedSummaryVariant, modelSummaryVariant, createLlmJudge } = require('../lib/summaryEvaluation');
+    const { getPromptVersions, loadPrompt, renderPrompt } = await import('../backend/src/utils/promptRegistry.js');
+    const { TIMED_SUMMARY_REQUEST, buildSummaryRequest } = await import('../backend/src/utils/summaryPrompt.js');
+    const { resolveArm } = await import('../backend/src/utils/studyConfig.js');
+
+    try {
+        if (threshold !== null && !(threshold >= 0 && threshold <= 1)) {
+            throw new Error('--threshold must be between 0 and 1');
+        }
+        if (database.storageBackend === STORAGE_BACKENDS.POSTGRES && !await database.initializeDatabase()) {
+            throw new Error('Could not connect to the database');
+        }
+
+        const provider = llmProvider.getProvider();
+        if (!provider.isConfigured()) {
+            throw new Error(`LLM provider ${provider.name} is not configured`);
+        }
+
+        const { repository } = database;
+        const profiles = new Map();
+        const profileOf = async participantId => {
+            if (!profiles.has(participantId)) {
+                profiles.set(participantId, participantProfile(await repository.participants.get(participantId)));
+            }
+            return profiles.get(participantId);
+        };
+
+        const variants = [storedSummaryVariant(), ...(versions || getPromptVersions('timed-summary')).map(version => {
+            const { template, ...prompt } = loadPrompt('timed-summary', version);
+            return modelSummaryVariant({
+                name: `timed-summary@v${prompt.promptVersion}`,
+                prompt,
+                provider,
+                buildMessages: async ({ conversation, history }) => {
+                    const profile = await profileOf(conversation.participantId);
+                    return buildSummaryRequest({ arm: resolveArm(profile?.study_arm), profile, history, version }).messages;
+                }
+            });
+        })];
+
+        const { template, ...judgePrompt } = judge ? loadPrompt('summary-judge') : {};
+        const llmJudge = judge
+            ? createLlmJudge({ provider, render: vars => renderPrompt('summary-judge', vars, { version: judgePrompt.promptVersion }) })
+            : null;
+
+        let conversations = ids
+            ? (await Promise.all(ids.map(id => repository.conversations.get(id)))).filter(Boolean)
+            : (await repository.conversations.list()).filter(conversation => conversation.id);
+        conversations.sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+        if (limit) conversations = conversations.slice(-limit);
+
+        console.log(`🧪 Evaluating ${conversations.length} conversations with ${provider.name} (${provider.model}): ` +
+            `${variants.map(variant => variant.name).join(', ')}${judge ? ', with the model judge' : ''}`);
+        const report = await evaluateSummaries({
+            conversations,
+            variants,
+            judge: llmJudge,
+            threshold: threshold ?? DEFAULT_THRESHOLD,
+            requestText: TIMED_SUMMARY_REQUEST,
+            onConversation: result => console.log(`  ✔️ ${result.conversationId} (${result.turns} participant turns)`)
+        });
+        printReport(report);
+        if (report.errors.length) process.exitCode = 1;
+
+        const output = {
+            generatedAt: new Date().toISOString(),
+            provider: { name: provider.name, model: provider.model },
+            judgePrompt: judge ? judgePrompt : null,
+            ...report
+        };
+        const target = reportFile || path.join(dataDir, `summary-eval-report-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, JSON.stringify(output, null, 2));
+        console.log(`📄 Report written to ${target}`);
+        console.log(process.exitCode ? '⚠️ Some summaries could not be evaluated' : '✅ Evaluation complete');
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await database.closeDatabase();
+    }
+}
+
+main();
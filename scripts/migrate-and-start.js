@@ -95,7 +95,7 @@ function checkEnvironmentVariables() {
     console.log('🔍 Checking environment variables...');
     
     const requiredEnvVars = ['NODE_ENV'];
-    const optionalEnvVars = ['OPENAI_API_KEY', 'WEB_ORIGIN', 'ADMIN_TOKEN', 'PORT', 'DATABASE_URL'];
+    const optionalEnvVars = ['OPENAI_API_KEY', 'WEB_ORIGIN', 'ADMIN_AUTH_SECRET', 'PORT', 'DATABASE_URL'];
     
     let hasErrors = false;
     
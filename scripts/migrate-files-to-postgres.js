@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Import participant, conversation and conversation state files into Postgres.
+ *
+ *   node scripts/migrate-files-to-postgres.js              # import
+ *   node scripts/migrate-files-to-postgres.js --dry-run    # compare and report only
+ *   node scripts/migrate-files-to-postgres.js --report <file>
+ *
+ * Run once when a deployment moves from STORAGE_BACKEND=file to postgres (see
+ * lib/fileMigration.js). Records already in the database are never overwritten:
+ * a file whose record differs from the database copy is reported as a conflict.
+ * The report is written to data/migration-report-<timestamp>.json unless
+ * --report is given, and the script exits non-zero when there were conflicts or
+ * unreadable files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+// The import always targets the database, whatever backend the server is configured for
+process.env.STORAGE_BACKEND = 'postgres';
+
+const dataDir = path.join(__dirname, '..', 'data');
+
+function parseArgs(argv) {
+    const reportIndex = argv.indexOf('--report');
+    return {
+        dryRun: argv.includes('--dry-run'),
+        reportFile: reportIndex >= 0 ? argv[reportIndex + 1] : null
+    };
+}
+
+async function main() {
+    const { dryRun, reportFile } = parseArgs(process.argv.slice(2));
+    if (!process.env.DATABASE_URL) {
+        console.error('❌ DATABASE_URL is not set');
+        process.exitCode = 1;
+        return;
+    }
+
+    const database = require('../database');
+    const { migrateFilesToDatabase } = require('../lib/fileMigration');
+
+    try {
+        if (!await database.initializeDatabase()) {
+            throw new Error('Could not connect to the database');
+        }
+
+        console.log(`🗃️ ${dryRun ? 'Comparing' : 'Importing'} files in ${dataDir} ${dryRun ? 'with' : 'into'} the database`);
+        const report = await migrateFilesToDatabase({ dataDir, prisma: database.getPrismaClient(), dryRun });
+
+        for (const [kind, counts] of Object.entries(report.counts)) {
+            console.log(`  ${kind}: ${counts.files} files, ${counts.imported} ${dryRun ? 'to import' : 'imported'}, ${counts.unchanged} unchanged, ${counts.conflicts} conflicts, ${counts.errors} errors`);
+        }
+        report.conflicts.forEach(({ kind, file, fields }) => {
+            console.log(`⚠️ Conflict in ${kind}/${file}: database copy differs in ${fields.join(', ')}`);
+        });
+        report.errors.forEach(({ kind, file, error }) => {
+            console.log(`❌ ${kind}/${file}: ${error}`);
+        });
+
+        const target = reportFile || path.join(dataDir, `migration-report-${report.startedAt.replace(/[:.]/g, '-')}.json`);
+        fs.writeFileSync(target, JSON.stringify(report, null, 2));
+        console.log(`📄 Report written to ${target}`);
+
+        if (report.conflicts.length || report.errors.length) {
+            console.log('⚠️ Resolve the conflicts and errors above, then run the import again; imported records are skipped as unchanged');
+            process.exitCode = 1;
+        } else {
+            console.log(`✅ ${dryRun ? 'No conflicts' : 'Import complete'}`);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await database.closeDatabase();
+    }
+}
+
+main();
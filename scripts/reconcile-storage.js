@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Compare the file store with Postgres and optionally repair the drift.
+ *
+ *   node scripts/reconcile-storage.js                        # report only
+ *   node scripts/reconcile-storage.js --repair to-database   # copy file records into Postgres
+ *   node scripts/reconcile-storage.js --repair to-files      # write database records out as files
+ *   node scripts/reconcile-storage.js --repair to-database --id <id> [--id <id> ...]
+ *   node scripts/reconcile-storage.js --report <file>
+ *
+ * See lib/reconciliation.js. A snapshot of both stores is taken before any
+ * repair. The report is written to data/reconciliation-report-<timestamp>.json
+ * unless --report is given. The script exits non-zero when a record could not be
+ * read or repaired, or when records are still left to copy (in the repaired
+ * direction after a full repair, in either direction for a report).
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+// Reconciliation always needs the database, whatever backend the server is configured for
+process.env.STORAGE_BACKEND = 'postgres';
+
+const dataDir = path.join(__dirname, '..', 'data');
+
+function parseArgs(argv) {
+    const valueOf = flag => (argv.indexOf(flag) >= 0 ? argv[argv.indexOf(flag) + 1] : null);
+    const ids = argv.flatMap((arg, index) => (arg === '--id' && argv[index + 1] ? [argv[index + 1]] : []));
+    return {
+        direction: valueOf('--repair'),
+        ids: ids.length ? ids : null,
+        reportFile: valueOf('--report')
+    };
+}
+
+function printReport(report) {
+    for (const kind of ['participants', 'sessions']) {
+        const result = report[kind];
+        console.log(`  ${kind}: ${result.files} files, ${result.database} database, ${result.matching} matching, ` +
+            `${result.missingInDatabase.length} missing in database, ${result.missingInFiles.length} missing in files, ${result.differing.length} differing`);
+        result.differing.forEach(({ id, fields, newer }) => {
+            console.log(`⚠️ ${kind}/${id} differs in ${fields.join(', ')}${newer ? ` (${newer} copy looks newer)` : ''}`);
+        });
+    }
+    console.log(`  messages: ${report.messages.sessions} sessions compared, ${report.messages.matching} matching, ${report.messages.differing.length} differing`);
+    report.messages.differing.forEach(({ sessionId, missingInDatabase, missingInFiles, differing }) => {
+        console.log(`⚠️ messages of ${sessionId}: ${missingInDatabase.length} missing in database, ${missingInFiles.length} missing in files, ${differing.length} differing`);
+    });
+    report.errors.forEach(({ kind, file, error }) => console.log(`❌ ${kind}/${file}: ${error}`));
+}
+
+// Whether nothing is left to copy in the given direction (or either direction when none is given)
+function inSync(report, direction = null) {
+    const missing = kind => [
+        ...(direction !== 'to-files' ? report[kind].missingInDatabase : []),
+        ...(direction !== 'to-database' ? report[kind].missingInFiles : [])
+    ];
+    return report.errors.length === 0 &&
+        (direction === 'to-files' || report.messages.differing.length === 0) &&
+        ['participants', 'sessions'].every(kind => !missing(kind).length && !report[kind].differing.length);
+}
+
+async function main() {
+    const { direction, ids, reportFile } = parseArgs(process.argv.slice(2));
+    if (!process.env.DATABASE_URL) {
+        console.error('❌ DATABASE_URL is not set');
+        process.exitCode = 1;
+        return;
+    }
+
+    const database = require('../database');
+    const { DIRECTIONS, StorageReconciler } = require('../lib/reconciliation');
+    const { SnapshotStore } = require('../lib/snapshot');
+
+    try {
+        if (direction && !Object.values(DIRECTIONS).includes(direction)) {
+            throw new Error(`--repair must be ${Object.values(DIRECTIONS).join(' or ')}`);
+        }
+        if (!await database.initializeDatabase()) {
+            throw new Error('Could not connect to the database');
+        }
+
+        const getPrisma = () => database.getPrismaClient();
+        const reconciler = new StorageReconciler({ dataDir, getPrisma });
+        let output;
+
+        if (direction) {
+            const snapshots = new SnapshotStore({ dir: process.env.SNAPSHOT_DIR || path.join(dataDir, 'snapshots'), dataDir, getPrisma });
+            const snapshot = await snapshots.create({ reason: 'storage.repair', actor: 'reconcile-storage script' });
+            console.log(`📸 Snapshot ${snapshot.name} taken`);
+
+            console.log(`🔧 Repairing ${direction}${ids ? ` (${ids.join(', ')})` : ''}`);
+            const repair = await reconciler.repair({ direction, ids });
+            printReport(repair.report);
+            console.log(`✅ Repaired ${repair.repaired.participants} participants and ${repair.repaired.sessions} sessions`);
+            repair.skipped.forEach(({ kind, id, reason }) => console.log(`⏭️ ${kind}/${id}: ${reason}`));
+            repair.errors.forEach(({ kind, id, error }) => console.log(`❌ ${kind}/${id}: ${error}`));
+
+            const after = await reconciler.compare();
+            console.log('🔍 After the repair:');
+            printReport(after);
+            output = { ...repair, snapshot: snapshot.name, after };
+            if (repair.errors.length || (!ids && !inSync(after, direction))) process.exitCode = 1;
+        } else {
+            console.log(`🔍 Comparing ${dataDir} with the database`);
+            output = await reconciler.compare();
+            printReport(output);
+            if (!inSync(output)) process.exitCode = 1;
+        }
+
+        const target = reportFile || path.join(dataDir, `reconciliation-report-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+        fs.writeFileSync(target, JSON.stringify(output, null, 2));
+        console.log(`📄 Report written to ${target}`);
+        console.log(process.exitCode ? '⚠️ The stores still differ' : '✅ The stores are in sync');
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await database.closeDatabase();
+    }
+}
+
+main();
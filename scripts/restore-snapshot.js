@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Restore a research data snapshot into an empty database and data directory.
+ *
+ *   node scripts/restore-snapshot.js                 # list available snapshots
+ *   node scripts/restore-snapshot.js <snapshot>      # restore one (file name or path)
+ *
+ * Snapshots are taken automatically before clear-all-data and participant
+ * withdrawals (see lib/snapshot.js). Rows go to the database when DATABASE_URL
+ * is set, and files to data/participants, data/conversations and
+ * data/conversation_states; both must be empty. Participants who have withdrawn
+ * since the snapshot was taken are skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const database = require('../database');
+const { SnapshotStore } = require('../lib/snapshot');
+const { WithdrawalRegistry } = require('../lib/withdrawal');
+
+const dataDir = path.join(__dirname, '..', 'data');
+
+async function main() {
+    const [snapshotArg] = process.argv.slice(2);
+    const useDatabase = await database.initializeDatabase();
+    const getPrisma = () => database.getPrismaClient();
+    const snapshots = new SnapshotStore({
+        dir: process.env.SNAPSHOT_DIR || path.join(dataDir, 'snapshots'),
+        dataDir,
+        getPrisma
+    });
+
+    try {
+        if (!snapshotArg) {
+            const names = snapshots.list();
+            console.log(names.length ? `📦 Snapshots in ${snapshots.dir} (newest first):\n${names.map(name => `  ${name}`).join('\n')}` : `📦 No snapshots in ${snapshots.dir}`);
+            console.log('\nUsage: node scripts/restore-snapshot.js <snapshot>');
+            return;
+        }
+
+        const file = fs.existsSync(snapshotArg) ? snapshotArg : path.join(snapshots.dir, snapshotArg);
+        if (!fs.existsSync(file)) {
+            throw new Error(`Snapshot not found: ${snapshotArg}`);
+        }
+        const withdrawals = new WithdrawalRegistry({ file: path.join(dataDir, 'withdrawals.json'), getPrisma });
+
+        console.log(`🗃️ Restoring ${path.basename(file)} into ${useDatabase ? 'the database and ' : ''}${dataDir}`);
+        const { restored, skippedParticipants } = await snapshots.restore(file, {
+            isWithdrawn: identifiers => withdrawals.isWithdrawn(identifiers)
+        });
+        console.log(`✅ Restored ${Object.entries(restored).map(([key, count]) => `${count} ${key}`).join(', ')}`);
+        if (skippedParticipants) {
+            console.log(`⛔ Skipped ${skippedParticipants} participant(s) who have withdrawn since the snapshot was taken`);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await database.closeDatabase();
+    }
+}
+
+main();
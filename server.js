@@ -1,10 +1,28 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const cors = require('cors');
-const OpenAI = require('openai');
-const { dataAccess } = require('./lib/dataAccess');
+const llmProvider = require('./lib/llmProvider');
+const { Randomiser } = require('./lib/randomiser');
+const { CALL_PURPOSES, ModelUsageLog, aggregateModelCalls } = require('./lib/modelUsage');
+const { PERMISSIONS, AdminAuthError, AdminStore, createAdminAuth, publicAdmin } = require('./lib/adminAuth');
+const { AuditLog, auditAction } = require('./lib/auditLog');
+const { hashIdentifier, WithdrawalRegistry } = require('./lib/withdrawal');
+const { DEFAULT_RETENTION_DAYS, SnapshotStore } = require('./lib/snapshot');
+const { DIRECTIONS: REPAIR_DIRECTIONS, StorageReconciler, summarise } = require('./lib/reconciliation');
+const { REPLY_SOURCES, buildProvenance } = require('./lib/messageProvenance');
+const { CHAT_DURATION_MS, END_REASONS, deadlineFor, deadlineStatus, startSessionSweeper } = require('./lib/chatDeadline');
+const { startOutboxWorker } = require('./lib/outbox');
+const { validateBody, rejectWithErrors } = require('./lib/validation');
+const { ID_LIMIT, SURVEY_SUBMIT, END_SURVEY, CHATBOT_SUMMARY_VALIDATION, HONEYPOT_SUBMISSION } = require('./lib/surveySchemas');
+const { scoreCcs } = require('./lib/ccsScale');
+const { buildSummaryReview } = require('./lib/summaryReview');
+const { BOT_STATUSES, REVIEW_DECISIONS, SCREEN_OUT_REASON, summariseSignals, createBotDetector, awaitingReview, applyReview } = require('./lib/botDetection');
+const { ENTRY_OUTCOMES, EntryGuard, recordAttempt } = require('./lib/entryGuard');
+const { SUMMARY_GENERATORS, turnIds, nextMessageId, isSummarySource, buildSummary, formatSummaryMessage, hasSummary } = require('./lib/conversationSummary');
+const { participantProfile } = require('./lib/participantProfile');
 const database = require('./database');
 require('dotenv').config();
 
@@ -66,9 +84,6 @@ function filterChatMessages(messages, options = {}) {
 
 // Enhanced chat router will be imported and mounted below
 
-// Chat duration constant - 5 minutes
-const CHAT_DURATION_MS = Number(process.env.CHAT_DURATION_MS ?? 5 * 60 * 1000);
-
 const app = express();
 
 // Middleware
@@ -94,13 +109,18 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-token'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
   optionsSuccessStatus: 200 // For legacy browser support
 };
 
 app.use(cors(corsOptions));
 
+// Behind Render's proxy req.ip would be the proxy; trust one hop so audit entries get the client IP
+if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+}
+
 // Production logging middleware for chat endpoints
 function chatLogger(req, res, next) {
   if (process.env.NODE_ENV === 'production' && req.path.startsWith('/api/conversations')) {
@@ -124,185 +144,235 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 // Data storage directories
 const dataDir = path.join(__dirname, 'data');
-const participantsDir = path.join(dataDir, 'participants');
-const conversationsDir = path.join(dataDir, 'conversations');
 const exportsDir = path.join(dataDir, 'exports');
 
 // Create data directories if they don't exist
-[dataDir, participantsDir, conversationsDir, exportsDir].forEach(dir => {
+[dataDir, exportsDir].forEach(dir => {
     if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
     }
 });
 
-// Ensure core data directories exist with logging
-[participantsDir, conversationsDir].forEach(dir => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-    console.log('Created data dir:', dir);
-  }
-});
+// Participant and conversation records, on the configured STORAGE_BACKEND (see lib/repository.js)
+const { repository } = database;
 
 // In-memory storage for active conversations
 const activeConversations = new Map();
 
 // Global database and LLM shims for new chat functionality
 global.db = global.db || {
+  // Connected Prisma client (null on file storage); used by conversationStateManager
+  get prisma() {
+    return database.getPrismaClient();
+  },
+
   participants: {
+    async get(participantId) {
+      return repository.participants.get(participantId);
+    },
+    async save(participant) {
+      return repository.participants.save(participant);
+    },
     async getProfile(userId) {
-      const filename = path.join(participantsDir, `${userId}.json`);
-      const participant = readJson(filename);
-      if (!participant) return null;
-      
-      // Map existing fields to expected structure for chat system
-      const hasChangedMind = participant.belief_change?.has_changed_mind;
-      const viewsChanged = hasChangedMind ? 'Yes' : (hasChangedMind === false ? 'No' : 'unspecified');
-      
-      // Map the specific belief change direction from survey
-      const mindChangeDirection = participant.belief_change?.mind_change_direction;
-      const mindChangeOtherText = participant.belief_change?.mind_change_other_text;
-      
-      // Convert the direction code to a descriptive text for the system prompt
-      let changeDescription = null;
-      if (mindChangeDirection) {
-        switch (mindChangeDirection) {
-          case 'exists_to_not_exists':
-            changeDescription = 'From thinking climate change exists, to thinking climate change does not exist';
-            break;
-          case 'not_exists_to_exists':
-            changeDescription = 'From thinking climate change does not exist, to thinking climate change exists';
-            break;
-          case 'not_urgent_to_urgent':
-            changeDescription = 'From thinking climate change is not an urgent crisis, to thinking climate change is an urgent crisis';
-            break;
-          case 'urgent_to_not_urgent':
-            changeDescription = 'From thinking climate change is an urgent crisis, to thinking climate change is not an urgent crisis';
-            break;
-          case 'human_to_natural':
-            changeDescription = 'From thinking climate change is primarily caused by human activity, to thinking climate change is a largely natural process';
-            break;
-          case 'natural_to_human':
-            changeDescription = 'From thinking climate change is a largely natural process, to thinking climate change is primarily caused by human activity';
-            break;
-          case 'other':
-            changeDescription = mindChangeOtherText || 'Other belief change (details provided by participant)';
-            break;
-          default:
-            changeDescription = null;
-        }
-      }
-      
-      return {
-        views_changed: viewsChanged,
-        change_description: changeDescription,
-        change_confidence: null, // Not collected in current survey flow
-        mind_change_direction: mindChangeDirection,
-        mind_change_other_text: mindChangeOtherText,
-        prior_belief_cc_happening: null,
-        prior_belief_human_cause: "unspecified",
-        current_belief_cc_happening: null,
-        current_belief_human_cause: "unspecified",
-        changed_belief_flag: hasChangedMind === true
-      };
+      return participantProfile(await repository.participants.get(userId));
     },
     async updateFromConversation(conversationId, updates) {
-      const filename = path.join(conversationsDir, `${conversationId}.json`);
-      const conv = readJson(filename);
+      const conv = await repository.conversations.get(conversationId);
       if (!conv) return;
       
-      const participantFile = path.join(participantsDir, `${conv.participantId}.json`);
-      const participant = readJson(participantFile);
+      const participant = await repository.participants.get(conv.participantId);
       if (!participant) return;
       
       // Update participant with new fields
       Object.assign(participant, updates);
       participant.updatedAt = new Date().toISOString();
-      writeJson(participantFile, participant);
+      await repository.participants.save(participant);
     }
   },
   conversations: {
     async save(userId, conversationId, messages) {
+      const { startedAt, expiresAt } = deadlineFor(new Date());
       const conversationData = {
         id: conversationId,
         participantId: userId,
-        startedAt: new Date().toISOString(),
+        startedAt,
+        expiresAt,
         endedAt: null,
         durationSeconds: null,
         messages: messages
       };
       
-      // Use data access layer for dual-write
-      await dataAccess.saveSession(conversationData);
+      await repository.conversations.save(conversationData);
+      return conversationData;
+    },
+    // Conversation record without its messages (participantId, startedAt, expiresAt, endedAt)
+    async getMetadata(conversationId) {
+      const c = await repository.conversations.get(conversationId);
+      if (!c) return null;
+      const { messages, ...metadata } = c;
+      return metadata;
+    },
+    async end(conversationId, reason) {
+      return endConversation(conversationId, reason);
+    },
+    // The participant's conversations, oldest first
+    async findByParticipant(userId) {
+      return repository.conversations.findByParticipant(userId);
     },
     async load(conversationId) {
-      const filename = path.join(conversationsDir, `${conversationId}.json`);
-      const c = readJson(filename);
+      const c = await repository.conversations.get(conversationId);
       return c?.messages || [];
     },
     async append(conversationId, message) {
-      const filename = path.join(conversationsDir, `${conversationId}.json`);
-      const c = readJson(filename);
+      const c = await repository.conversations.get(conversationId);
       if (!c) return;
       
-      const newMsgs = [...(c.messages || []), message];
-      c.messages = newMsgs;
+      // Stamped once here, so rewriting the transcript later keeps when each turn was sent
+      const stamped = { ...message, timestamp: message.timestamp || new Date().toISOString() };
+      await repository.conversations.save({ ...c, messages: [...(c.messages || []), stamped] });
+    },
+    // Attach the end-of-chat summary record (see lib/conversationSummary.js)
+    async setSummary(conversationId, summary) {
+      const c = await repository.conversations.get(conversationId);
+      if (!c) return;
       
-      // Update with data access layer
-      const updatedConversation = { ...c, messages: newMsgs };
-      await dataAccess.saveSession(updatedConversation);
+      await repository.conversations.save({ ...c, summary });
     }
   }
 };
 
+// Admin accounts and per-route permissions (see lib/adminAuth.js)
+const adminStore = new AdminStore({
+  file: path.join(dataDir, 'admin_users.json'),
+  getPrisma: () => database.getPrismaClient()
+});
+const adminAuth = createAdminAuth({ store: adminStore });
+const { requirePermission } = adminAuth;
+
+// Hash-chained audit trail of admin actions (see lib/auditLog.js); goes before requirePermission so refusals are recorded too
+const auditLog = new AuditLog({
+  file: path.join(dataDir, 'audit', 'audit_log.jsonl'),
+  getPrisma: () => database.getPrismaClient()
+});
+const audited = (action, options) => auditAction(auditLog, action, options);
+
+// Tombstones of withdrawn participants, used to refuse re-entry (see lib/withdrawal.js)
+const withdrawals = new WithdrawalRegistry({
+  file: path.join(dataDir, 'withdrawals.json'),
+  getPrisma: () => database.getPrismaClient()
+});
+
+// Risk score from the honeypot, typing, paste, duplicate text and timing checks (see lib/botDetection.js)
+const botDetector = createBotDetector();
+const PROLIFIC_SCREENOUT_URL = 'https://app.prolific.com/submissions/complete?cc=SCREENOUT';
+
+// Run the bot checks over a participant, comparing their answers with everyone else's
+async function detectBots(participant, options = {}) {
+    const id = participant.participant_id || participant.id;
+    const others = (await repository.participants.list()).filter(other => (other.participant_id || other.id) !== id);
+    return botDetector.evaluate({ participant, others, ...options });
+}
+
+// One participant per Prolific ID: resume unfinished ones from the same Prolific session, refuse the rest (see lib/entryGuard.js)
+const entryGuard = new EntryGuard({
+  findByProlificId: prolificId => repository.participants.findByProlificId(prolificId)
+});
+
+// Snapshot of the research data taken before every clear or withdrawal (see lib/snapshot.js)
+const snapshots = new SnapshotStore({
+  dir: process.env.SNAPSHOT_DIR || path.join(dataDir, 'snapshots'),
+  dataDir,
+  getPrisma: () => database.getPrismaClient(),
+  retentionDays: process.env.SNAPSHOT_RETENTION_DAYS !== undefined ? Number(process.env.SNAPSHOT_RETENTION_DAYS) : DEFAULT_RETENTION_DAYS
+});
+
+// Compares and repairs the file store against Postgres (see lib/reconciliation.js)
+const reconciler = new StorageReconciler({
+  dataDir,
+  getPrisma: () => database.getPrismaClient()
+});
+
+// Tokens, latency and cost of every model call (see lib/modelUsage.js)
+const modelUsage = new ModelUsageLog({
+  dir: path.join(dataDir, 'model_calls'),
+  getPrisma: () => database.getPrismaClient()
+});
+
+// Record a finished model call; `call` carries { purpose, participantId, prolificId, conversationId, studyArm }
+function recordModelCall(call, provider, completion, startedAt, error = null) {
+  return modelUsage.record({
+    ...call,
+    provider: provider.name,
+    model: completion?.model || provider.model,
+    usage: completion?.usage || null,
+    latencyMs: Date.now() - startedAt,
+    fallback: Boolean(error) || !completion?.content,
+    error: error?.message || null
+  });
+}
+
 global.llm = global.llm || {
-  async chat(messages) {
-    // Use existing OpenAI integration
-    if (!process.env.OPENAI_API_KEY) {
-      return { content: "I'm here to help you explore your thoughts about climate change. Could you tell me more about your perspective?" };
+  // options.call is the attribution stored with the usage record; it is not sent to the provider
+  async chat(messages, { call = {}, ...options } = {}) {
+    // Use the configured LLM provider (OpenAI, local endpoint or scripted mock)
+    const provider = llmProvider.getProvider();
+    if (!provider.isConfigured()) {
+      return { content: "I'm here to help you explore your thoughts about climate change. Could you tell me more about your perspective?", fallback: true };
     }
     
+    // Sampling settings are returned with the reply so they can be stored as message provenance
+    const sampling = llmProvider.samplingParams({ maxTokens: 150, temperature: 0.7, ...options });
+    const startedAt = Date.now();
     try {
-      const completion = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: messages,
-        max_tokens: 150,
-        temperature: 0.7
-      });
+      const completion = await provider.chat(messages, { ...options, ...sampling });
+      const latencyMs = Date.now() - startedAt;
+      await recordModelCall({ purpose: options.purpose, ...call }, provider, completion, startedAt);
       
-      return { content: completion.choices[0]?.message?.content?.trim() || "Could you tell me more about your thoughts?" };
+      if (!completion.content) {
+        return { ...completion, content: "Could you tell me more about your thoughts?", sampling, latencyMs, fallback: true };
+      }
+      return { ...completion, sampling, latencyMs };
     } catch (error) {
       console.error('LLM error:', error);
-      return { content: "Could you tell me more about your thoughts on climate change?" };
+      await recordModelCall({ purpose: options.purpose, ...call }, provider, null, startedAt, error);
+      return { content: "Could you tell me more about your thoughts on climate change?", sampling, fallback: true };
     }
-  }
-};
+  },
 
-// Utility functions
-function writeJson(filePath, obj) {
-    try {
-        fs.writeFileSync(filePath, JSON.stringify(obj, null, 2));
-        return true;
-    } catch (error) {
-        console.error('Error writing JSON file:', error);
-        return false;
+  // Streaming variant of chat(): onDelta receives text fragments as they arrive. If the
+  // provider fails part-way the reply becomes generateIntelligentFallback() and
+  // `fallback: true` tells the caller to replace the fragments already sent.
+  async stream(messages, { call = {}, ...options } = {}, onDelta = () => {}) {
+    const provider = llmProvider.getProvider();
+    if (!provider.isConfigured()) {
+      return { content: "I'm here to help you explore your thoughts about climate change. Could you tell me more about your perspective?", fallback: true };
     }
-}
-
-function readJson(filePath) {
+    
+    const sampling = llmProvider.samplingParams({ maxTokens: 150, temperature: 0.7, ...options });
+    const startedAt = Date.now();
+    let streamedLength = 0;
     try {
-        if (!fs.existsSync(filePath)) {
-            return null;
-        }
-        const data = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(data);
+      const completion = await provider.chatStream(messages, { ...options, ...sampling }, delta => {
+        streamedLength += delta.length;
+        onDelta(delta);
+      });
+      const latencyMs = Date.now() - startedAt;
+      await recordModelCall({ purpose: options.purpose, ...call }, provider, completion, startedAt);
+      
+      if (!completion.content) {
+        return { ...completion, content: generateIntelligentFallback(messages), sampling, latencyMs, fallback: true };
+      }
+      return { ...completion, sampling, latencyMs };
     } catch (error) {
-        console.error('Error reading JSON file:', error);
-        return null;
+      console.error(`LLM stream error after ${streamedLength} characters:`, error.message);
+      await recordModelCall({ purpose: options.purpose, ...call }, provider, null, startedAt, error);
+      return { content: generateIntelligentFallback(messages), sampling, fallback: true };
     }
-}
+  }
+};
 
 /**
- * Incrementally update participant file with conversation messages.
+ * Incrementally update the participant record with conversation messages.
  * This ensures messages are persisted after each turn, preventing data loss on disconnect/refresh.
  *
  * @param {string} conversationId - The conversation ID
@@ -312,8 +382,7 @@ function readJson(filePath) {
 async function updateParticipantMessagesIncremental(conversationId, participantId) {
     try {
         // Load conversation data
-        const conversationFile = path.join(conversationsDir, `${conversationId}.json`);
-        const conversationData = readJson(conversationFile);
+        const conversationData = await repository.conversations.get(conversationId);
         
         if (!conversationData || !conversationData.messages) {
             console.warn(`⚠️ No conversation data found for incremental update: ${conversationId}`);
@@ -321,8 +390,7 @@ async function updateParticipantMessagesIncremental(conversationId, participantI
         }
         
         // Load participant data
-        const participantFile = path.join(participantsDir, `${participantId}.json`);
-        const participantData = readJson(participantFile);
+        const participantData = await repository.participants.get(participantId);
         
         if (!participantData) {
             console.warn(`⚠️ No participant data found for incremental update: ${participantId}`);
@@ -346,7 +414,8 @@ async function updateParticipantMessagesIncremental(conversationId, participantI
             text: msg.content,
             timestamp: msg.timestamp || new Date().toISOString(),
             metadata: {
-                generated_summary: msg.generated_summary || false
+                generated_summary: msg.generated_summary || false,
+                provenance: msg.provenance || null
             }
         }));
         
@@ -356,15 +425,9 @@ async function updateParticipantMessagesIncremental(conversationId, participantI
         participantData.updatedAt = new Date().toISOString();
         
         // Save updated participant data
-        const saveSuccess = writeJson(participantFile, participantData);
-        
-        if (saveSuccess) {
-            console.log(`💾 Incremental update: Saved ${transformedMessages.length} messages to participant ${participantId}`);
-        } else {
-            console.error(`❌ Failed to save incremental update for participant ${participantId}`);
-        }
-        
-        return saveSuccess;
+        await repository.participants.save(participantData);
+        console.log(`💾 Incremental update: Saved ${transformedMessages.length} messages to participant ${participantId}`);
+        return true;
         
     } catch (error) {
         console.error(`❌ Error in incremental participant update for ${participantId}:`, error);
@@ -372,6 +435,21 @@ async function updateParticipantMessagesIncremental(conversationId, participantI
     }
 }
 
+// Study-arm randomisation; sequence positions are counted from stored participants
+const randomiser = new Randomiser({
+  countAssigned: (stratum, studyId) => database.countParticipantsInStratum(stratum, studyId)
+});
+
+async function assignStudyArm(participantData) {
+  const { loadStudyConfig, getArms } = await import('./backend/src/utils/studyConfig.js');
+  const studyConfig = loadStudyConfig();
+  return randomiser.assign(participantData, {
+    id: studyConfig.id,
+    arms: getArms(studyConfig),
+    randomisation: studyConfig.randomisation
+  });
+}
+
 // Routes
 // Enhanced chat router mounting with better error handling
 (async () => {
@@ -397,20 +475,20 @@ async function updateParticipantMessagesIncremental(conversationId, participantI
         const participantId = userId || uuidv4();
         const conversationId = uuidv4();
 
-        const now = new Date().toISOString();
+        const { startedAt, expiresAt } = deadlineFor(new Date());
         const initial = {
           id: conversationId,
           participantId,
-          startedAt: now,
+          startedAt,
+          expiresAt,
           endedAt: null,
           durationSeconds: 0,
           messages: []
         };
 
-        // Use data access layer for dual-write
-        await dataAccess.saveSession(initial);
+        await repository.conversations.save(initial);
 
-        activeConversations.set(conversationId, { startedAt: now });
+        activeConversations.set(conversationId, { startedAt, expiresAt });
 
         // Use enhanced opening line logic even in fallback
         const profile = await global.db.participants.getProfile(participantId);
@@ -418,17 +496,18 @@ async function updateParticipantMessagesIncremental(conversationId, participantI
         const opening = openingLineFrom(profile);
         
         initial.messages.push({ role: "assistant", content: opening });
-        await dataAccess.saveSession(initial);
+        await repository.conversations.save(initial);
 
-        res.json({ conversationId, messages: initial.messages });
+        res.json({ conversationId, messages: initial.messages, ...deadlineStatus(initial), serverTime: new Date().toISOString() });
       } catch (err) {
         console.error('fallback /chat/start error', err);
         res.status(500).json({ error: 'Failed to start chat' });
       }
     });
 
-    // Reply endpoint with enhanced system prompt
-    app.post('/chat/reply', async (req, res) => {
+    // Reply endpoint with enhanced system prompt (no streaming here: the chat page
+    // accepts a JSON reply from /chat/reply/stream)
+    app.post(['/chat/reply', '/chat/reply/stream'], async (req, res) => {
       try {
         const { conversationId, message } = req.body || {};
         if (!conversationId || !message || !message.trim()) {
@@ -442,16 +521,14 @@ async function updateParticipantMessagesIncremental(conversationId, participantI
 
         const now = new Date();
         const startTime = new Date(activeConv.startedAt);
-        const elapsedSeconds = Math.floor((now - startTime) / 1000);
-        if (elapsedSeconds >= (CHAT_DURATION_MS / 1000)) {
-          activeConversations.delete(conversationId);
-          return res.status(410).json({ error: 'Conversation time limit exceeded' });
+        if (deadlineStatus(activeConv, now).expired) {
+          await endConversation(conversationId, END_REASONS.TIME_LIMIT);
+          return res.status(410).json({ error: 'Conversation time limit exceeded', sessionEnded: true });
         }
 
         // Early-end phrase
         if (shouldEndNow(message)) {
-          const filename = path.join(conversationsDir, `${conversationId}.json`);
-          const conv = readJson(filename) || {};
+          const conv = await repository.conversations.get(conversationId) || { id: conversationId };
           conv.messages = conv.messages || [];
           conv.messages.push({ role: "user", content: message });
           
@@ -460,9 +537,10 @@ async function updateParticipantMessagesIncremental(conversationId, participantI
             console.log('⚠️ Early chat end detected in fallback endpoint, ensuring summary exists');
             await fallbackEnsureConversationSummary(conversationId, conv.participantId);
             // Reload conversation data after potential summary addition
-            const updatedConv = readJson(filename);
+            const updatedConv = await repository.conversations.get(conversationId);
             if (updatedConv) {
               conv.messages = updatedConv.messages;
+              conv.summary = updatedConv.summary;
             }
           }
           
@@ -470,29 +548,43 @@ async function updateParticipantMessagesIncremental(conversationId, participantI
           conv.messages.push({ role: "assistant", content: finalReply });
           conv.endedAt = now.toISOString();
           conv.durationSeconds = Math.floor((now - startTime) / 1000);
-          await dataAccess.saveSession(conv);
+          conv.endReason = END_REASONS.ENDED_EARLY;
+          await repository.conversations.save(conv);
           activeConversations.delete(conversationId);
           return res.json({ reply: finalReply, sessionEnded: true });
         }
 
         // Normal AI reply with enhanced system prompt
-        const filename = path.join(conversationsDir, `${conversationId}.json`);
-        const conv = readJson(filename) || {};
+        const conv = await repository.conversations.get(conversationId) || { id: conversationId };
         conv.messages = conv.messages || [];
         conv.messages.push({ role: "user", content: message });
 
         // Get participant profile and use enhanced system prompt
         const profile = await global.db.participants.getProfile(conv.participantId);
-        const { renderSystemPrompt } = await import('./backend/src/utils/systemPrompt.js');
-        const enhancedSystemPrompt = renderSystemPrompt(profile);
-
-        const aiReply = await generateAIResponse(conv.messages, enhancedSystemPrompt);
-        conv.messages.push({ role: "assistant", content: aiReply });
+        const { renderArmSystemPrompt } = await import('./backend/src/utils/systemPrompt.js');
+        const { resolveArm } = await import('./backend/src/utils/studyConfig.js');
+        const renderedPrompt = renderArmSystemPrompt(resolveArm(profile?.study_arm), profile);
+
+        const completion = await generateAIReply(conv.messages, renderedPrompt.text, {
+          conversationId,
+          participantId: conv.participantId,
+          studyArm: profile?.study_arm
+        });
+        const aiReply = completion.content;
+        conv.messages.push({
+          role: "assistant",
+          content: aiReply,
+          provenance: buildProvenance({
+            source: completion.fallback ? REPLY_SOURCES.FALLBACK : REPLY_SOURCES.MODEL,
+            prompt: renderedPrompt,
+            completion
+          })
+        });
         
         console.log(`🔍 Fallback /chat/reply: Saving conversation ${conversationId} for participant ${conv.participantId}`);
-        await dataAccess.saveSession(conv);
+        await repository.conversations.save(conv);
         
-        // **INCREMENTAL FIX**: Update participant file after each turn (fallback endpoint)
+        // **INCREMENTAL FIX**: Update participant record after each turn (fallback endpoint)
         console.log(`🔍 Fallback /chat/reply: Calling incremental update for ${conv.participantId}`);
         try {
           await updateParticipantMessagesIncremental(conversationId, conv.participantId);
@@ -582,12 +674,17 @@ app.get('/health', logEndpoint, async (req, res) => {
   
   const totalTime = Date.now() - startTime;
   
+  // Writes waiting for the database; a growing depth or age means it is falling behind
+  const outbox = database.outbox ? database.outbox.stats() : null;
+  
   res.json({
     ok: true,
     timestamp: new Date().toISOString(),
     database: {
       available: dbAvailable,
-      connection_time_ms: dbConnectionTime
+      connection_time_ms: dbConnectionTime,
+      behind: Boolean(outbox && outbox.depth > 0),
+      outbox
     },
     environment: process.env.NODE_ENV || 'development',
     response_time_ms: totalTime
@@ -605,7 +702,7 @@ app.get('/healthz', (req, res) => {
 });
 
 // Database statistics endpoint
-app.get('/api/database-stats', logEndpoint, async (req, res) => {
+app.get('/api/database-stats', logEndpoint, audited('stats.database'), requirePermission(PERMISSIONS.VIEW_STATS), async (req, res) => {
   try {
     const stats = await database.getDatabaseStats();
     
@@ -630,16 +727,15 @@ app.get('/api/database-stats', logEndpoint, async (req, res) => {
   }
 });
 
-// Debug endpoint for last session (development only)
-app.get('/debug/last-session', logEndpoint, async (req, res) => {
+// Debug endpoint for last session (development only; returns a full transcript, so it needs export permission)
+app.get('/debug/last-session', logEndpoint, audited('debug.last_session'), requirePermission(PERMISSIONS.EXPORT_DATA), async (req, res) => {
   // Only available in development
   if (process.env.NODE_ENV === 'production') {
     return res.status(404).json({ error: 'Not found' });
   }
 
   try {
-    // Use data access layer which prefers Postgres over files
-    const latestSession = await dataAccess.getLatestCompletedSession();
+    const latestSession = await repository.conversations.latestCompleted();
     
     if (!latestSession) {
       return res.json({ message: "No sessions found" });
@@ -653,23 +749,23 @@ app.get('/debug/last-session', logEndpoint, async (req, res) => {
   }
 });
 
-// Debug endpoint to check data files
-app.get('/debug/data', (req, res) => {
+// Debug endpoint to list stored records
+app.get('/debug/data', audited('debug.data'), requirePermission(PERMISSIONS.VIEW_DEBUG), async (req, res) => {
     try {
-        const participants = fs.existsSync(participantsDir) ? fs.readdirSync(participantsDir) : [];
-        const conversations = fs.existsSync(conversationsDir) ? fs.readdirSync(conversationsDir) : [];
+        const [participants, conversations] = await Promise.all([
+            repository.participants.list(),
+            repository.conversations.list()
+        ]);
         const exports = fs.existsSync(exportsDir) ? fs.readdirSync(exportsDir) : [];
         
         res.json({
+            storageBackend: repository.backend,
             dataFolderExists: fs.existsSync(dataDir),
-            participantFiles: participants,
-            conversationFiles: conversations,
+            participants: participants.map(participant => participant.participant_id || participant.id),
+            conversations: conversations.map(conversation => conversation.id),
             exportFiles: exports,
-            totalFiles: participants.length + conversations.length + exports.length,
             directories: {
                 dataDir,
-                participantsDir,
-                conversationsDir,
                 exportsDir
             },
             activeConversations: Array.from(activeConversations.keys()),
@@ -681,10 +777,14 @@ app.get('/debug/data', (req, res) => {
 });
 
 // Survey submission endpoint
-app.post('/survey/submit', async (req, res) => {
+app.post('/survey/submit', validateBody(SURVEY_SUBMIT), async (req, res) => {
+    let releaseEntry = null;
     try {
         const {
             prolific_id,
+            // Prolific's STUDY_ID and SESSION_ID URL parameters, when the landing page had them
+            study_id,
+            session_id,
             age,
             gender,
             education,
@@ -709,12 +809,9 @@ app.post('/survey/submit', async (req, res) => {
             mind_change_no_change,
             mind_change_other_text,
             consent,
-            // Climate Change Skepticism (CCS) scale raw values
+            // Climate Change Skepticism (CCS) scale raw values; scored values and means are recomputed from these
             ccs_01_raw, ccs_02_raw, ccs_03_raw, ccs_04_raw, ccs_05_raw, ccs_06_raw,
             ccs_07_raw, ccs_08_raw, ccs_09_raw, ccs_10_raw, ccs_11_raw, ccs_12_raw,
-            // CCS scale scored values (with reverse coding applied)
-            ccs_01_scored, ccs_02_scored, ccs_03_scored, ccs_04_scored, ccs_05_scored, ccs_06_scored,
-            ccs_07_scored, ccs_08_scored, ccs_09_scored, ccs_10_scored, ccs_11_scored, ccs_12_scored,
             // CCS metadata (whether sliders were moved)
             ccs_01_was_moved, ccs_02_was_moved, ccs_03_was_moved, ccs_04_was_moved, ccs_05_was_moved, ccs_06_was_moved,
             ccs_07_was_moved, ccs_08_was_moved, ccs_09_was_moved, ccs_10_was_moved, ccs_11_was_moved, ccs_12_was_moved,
@@ -722,53 +819,59 @@ app.post('/survey/submit', async (req, res) => {
             attention_check_value,
             attention_check_passed,
             attention_check_was_moved,
-            // CCS mean scores
-            ccs_mean_scored,
-            ccs_occurrence_mean,
-            ccs_causation_mean,
-            ccs_seriousness_mean,
-            ccs_efficacy_mean,
-            ccs_trust_mean,
             // Display order for analysis
             ccs_row_order,
             // Exit survey fields (may be passed through from frontend)
             summaryConfidence,
             finalConfidenceLevel,
-            summaryAccurate
+            summaryAccurate,
+            // Typing, paste and honeypot signals from the views page
+            bot_signals
         } = req.body;
         
         console.log('Received survey submission:', req.body);
-        console.log('DEBUG: Starting validation process...');
         
-        // Check if we have the new mind change direction or legacy format
+        // Field types, ranges and the mind change answers are checked by SURVEY_SUBMIT
         const hasNewFormat = mind_change_direction !== undefined || mind_change_no_change !== undefined;
         
-        if (hasNewFormat) {
-            // New radio button system validation - a direction must be selected if "Yes" was chosen
-            if (!mind_change_no_change && !mind_change_direction) {
-                console.log('DEBUG: mind change validation FAILED - no direction selected');
-                return res.status(400).json({ error: 'Please select the option that best describes how your views changed' });
-            }
-            
-            // If "Other" is selected, validate that text is provided
-            if (mind_change_direction === 'other' && (!mind_change_other_text || mind_change_other_text.trim() === '')) {
-                console.log('DEBUG: other text validation FAILED - other selected but no text provided');
-                return res.status(400).json({ error: 'Please describe your belief change when "Other" is selected' });
-            }
-            
-            console.log('DEBUG: new mind change validation PASSED');
-        } else {
-            // Legacy validation for backwards compatibility
-            const viewsChangedValue = views_changed || viewsChanged;
-            if (!viewsChangedValue || !['Yes', 'No'].includes(viewsChangedValue)) {
-                console.log('DEBUG: views_changed validation FAILED - views_changed:', viewsChangedValue);
-                return res.status(400).json({ error: 'Please indicate whether your views on climate change have changed' });
+        // Participants who withdrew consent cannot take part again
+        if (prolific_id && await withdrawals.isWithdrawn({ prolificId: prolific_id })) {
+            console.log('⛔ Survey submission refused: this Prolific ID has withdrawn from the study');
+            return res.status(403).json({ error: 'You have withdrawn from this study and cannot take part again', type: 'withdrawn' });
+        }
+        
+        // A Prolific ID that already has a participant continues as them or is refused, never enrolled twice
+        const entryAttempt = { studyId: study_id || null, sessionId: session_id || null };
+        if (prolific_id) {
+            releaseEntry = await entryGuard.claim(prolific_id);
+            const entry = await entryGuard.check({ prolificId: prolific_id, ...entryAttempt });
+            if (entry.participant) {
+                const existing = entry.participant.participant_id || entry.participant.id;
+                await repository.participants.save(recordAttempt(entry.participant, { ...entryAttempt, outcome: entry.outcome }));
+                if (entry.outcome === ENTRY_OUTCOMES.RESUMED) {
+                    console.log(`🔁 Survey resubmitted for unfinished participant ${existing}; resuming instead of enrolling again`);
+                    return res.json({ participantId: existing, resumed: true });
+                }
+                console.log(`⛔ Survey submission refused (${entry.outcome}): this Prolific ID already belongs to participant ${existing}`);
+                if (entry.outcome === ENTRY_OUTCOMES.COMPLETED) {
+                    return res.status(403).json({ error: 'You have already completed this study', type: 'already_completed' });
+                }
+                // The participant id is only handed back to the session that created it
+                if (entry.outcome === ENTRY_OUTCOMES.OTHER_SESSION) {
+                    return res.status(403).json({ error: 'This Prolific ID has already started the study in another session', type: 'already_started' });
+                }
+                return res.status(403).json({ error: 'You cannot take part in this study again', type: 'screened_out', redirect_url: PROLIFIC_SCREENOUT_URL });
             }
-            console.log('DEBUG: legacy views_changed validation PASSED');
         }
         
         console.log('DEBUG: All validation passed, creating participant...');
         
+        // Score the CCS from the raw values rather than trusting the page's arithmetic
+        const ccsScores = scoreCcs(req.body);
+        if (ccsScores.scoring.client_mismatches.length > 0) {
+            console.warn(`⚠️ CCS scores sent by the client differ from the server's in ${ccsScores.scoring.client_mismatches.map(m => m.field).join(', ')}`);
+        }
+        
         // Generate participant ID
         const participantId = `p_${uuidv4().replace(/-/g, '').substring(0, 6)}`;
         const now = new Date().toISOString();
@@ -780,6 +883,8 @@ app.post('/survey/submit', async (req, res) => {
             // Top-level identification and metadata
             participant_id: participantId,
             prolific_id: prolific_id || null,
+            study_id: entryAttempt.studyId,
+            session_id: entryAttempt.sessionId,
             consent: Boolean(consent),
             disqualified: false,
             timestamp_joined: now,
@@ -811,32 +916,21 @@ app.post('/survey/submit', async (req, res) => {
             // Views matrix section
             views_matrix: {
                 climate_change_views: {
-                    // CCS raw values
-                    ccs_01_raw: ccs_01_raw || null,
-                    ccs_02_raw: ccs_02_raw || null,
-                    ccs_03_raw: ccs_03_raw || null,
-                    ccs_04_raw: ccs_04_raw || null,
-                    ccs_05_raw: ccs_05_raw || null,
-                    ccs_06_raw: ccs_06_raw || null,
-                    ccs_07_raw: ccs_07_raw || null,
-                    ccs_08_raw: ccs_08_raw || null,
-                    ccs_09_raw: ccs_09_raw || null,
-                    ccs_10_raw: ccs_10_raw || null,
-                    ccs_11_raw: ccs_11_raw || null,
-                    ccs_12_raw: ccs_12_raw || null,
-                    // CCS scored values
-                    ccs_01_scored: ccs_01_scored || null,
-                    ccs_02_scored: ccs_02_scored || null,
-                    ccs_03_scored: ccs_03_scored || null,
-                    ccs_04_scored: ccs_04_scored || null,
-                    ccs_05_scored: ccs_05_scored || null,
-                    ccs_06_scored: ccs_06_scored || null,
-                    ccs_07_scored: ccs_07_scored || null,
-                    ccs_08_scored: ccs_08_scored || null,
-                    ccs_09_scored: ccs_09_scored || null,
-                    ccs_10_scored: ccs_10_scored || null,
-                    ccs_11_scored: ccs_11_scored || null,
-                    ccs_12_scored: ccs_12_scored || null,
+                    // CCS raw values (0 is an answer, so only missing values become null)
+                    ccs_01_raw: ccs_01_raw ?? null,
+                    ccs_02_raw: ccs_02_raw ?? null,
+                    ccs_03_raw: ccs_03_raw ?? null,
+                    ccs_04_raw: ccs_04_raw ?? null,
+                    ccs_05_raw: ccs_05_raw ?? null,
+                    ccs_06_raw: ccs_06_raw ?? null,
+                    ccs_07_raw: ccs_07_raw ?? null,
+                    ccs_08_raw: ccs_08_raw ?? null,
+                    ccs_09_raw: ccs_09_raw ?? null,
+                    ccs_10_raw: ccs_10_raw ?? null,
+                    ccs_11_raw: ccs_11_raw ?? null,
+                    ccs_12_raw: ccs_12_raw ?? null,
+                    // CCS scored values and means, recomputed from the raw values
+                    ...ccsScores.values,
                     // CCS metadata
                     ccs_01_was_moved: ccs_01_was_moved || null,
                     ccs_02_was_moved: ccs_02_was_moved || null,
@@ -854,15 +948,10 @@ app.post('/survey/submit', async (req, res) => {
                     attention_check_value: attention_check_value || null,
                     attention_check_passed: attention_check_passed || null,
                     attention_check_was_moved: attention_check_was_moved || null,
-                    // Mean scores
-                    ccs_mean_scored: ccs_mean_scored || null,
-                    ccs_occurrence_mean: ccs_occurrence_mean || null,
-                    ccs_causation_mean: ccs_causation_mean || null,
-                    ccs_seriousness_mean: ccs_seriousness_mean || null,
-                    ccs_efficacy_mean: ccs_efficacy_mean || null,
-                    ccs_trust_mean: ccs_trust_mean || null,
                     // Display order
-                    ccs_row_order: ccs_row_order || null
+                    ccs_row_order: ccs_row_order || null,
+                    // Scale version and where the page's scores differed from the server's
+                    scoring: ccsScores.scoring
                 },
                 political_views: {
                     economic_issues: economic_issues ? parseInt(economic_issues) : null,
@@ -898,94 +987,49 @@ app.post('/survey/submit', async (req, res) => {
         
         console.log('DEBUG: Participant data object created');
         
-        // Save participant data to file system (always save regardless of eligibility)
-        console.log('DEBUG: About to save participant data to files...');
-        const filename = path.join(participantsDir, `${participantId}.json`);
-        console.log('DEBUG: Filename:', filename);
-        console.log('DEBUG: participantsDir exists:', fs.existsSync(participantsDir));
-        
-        if (!writeJson(filename, participantData)) {
-            console.log('DEBUG: writeJson failed');
-            throw new Error('Failed to save participant data to file');
+        // The first entry logged for this Prolific ID
+        participantData.entry_attempts = recordAttempt(participantData, { ...entryAttempt, outcome: ENTRY_OUTCOMES.CREATED, now: new Date(now) }).entry_attempts;
+        
+        // Bot checks run on the server; the page only reports how the answers were written
+        participantData.bot_detection = await detectBots(participantData, { signals: summariseSignals(bot_signals) });
+        if (participantData.bot_detection.status === BOT_STATUSES.SCREENED_OUT) {
+            participantData.disqualified = true;
+            participantData.disqualification_reason = SCREEN_OUT_REASON;
+            await repository.participants.save(participantData);
+            console.log(`🤖 Participant ${participantId} screened out (risk ${participantData.bot_detection.risk_score})`);
+            return res.status(403).json({ error: 'Automated entry detected', type: 'screened_out', redirect_url: PROLIFIC_SCREENOUT_URL });
+        }
+        if (participantData.bot_detection.status === BOT_STATUSES.REVIEW) {
+            console.log(`🤖 Participant ${participantId} queued for bot review (risk ${participantData.bot_detection.risk_score})`);
         }
         
-        console.log('DEBUG: writeJson succeeded');
+        // Randomise into a study arm (balanced within mind_change_direction × political7 strata)
+        participantData.assignment = await assignStudyArm(participantData);
+        console.log('🎲 Study arm assigned:', participantId, participantData.assignment.arm, `(${participantData.assignment.stratum})`);
         
-        // Enhanced database save with better error handling and validation
-        console.log('DEBUG: About to save participant data to database...');
-        let databaseSaveResult = { success: false, error: null };
+        // Pre-save validation
+        const validationErrors = [];
+        if (!participantData.participant_id) {
+            validationErrors.push('Missing participant_id');
+        }
+        if (!participantData.prolific_id) {
+            validationErrors.push('Missing prolific_id');
+        }
+        if (!participantData.demographics) {
+            validationErrors.push('Missing demographics data');
+        }
+        if (!participantData.views_matrix?.climate_change_views) {
+            validationErrors.push('Missing climate change views data');
+        }
         
-        try {
-            const database = require('./database');
-            const dbAvailable = await database.isDatabaseAvailable();
-            
-            if (dbAvailable) {
-                console.log('💾 Database available - saving participant to PostgreSQL...');
-                
-                // Pre-save validation
-                const validationErrors = [];
-                if (!participantData.participant_id) {
-                    validationErrors.push('Missing participant_id');
-                }
-                if (!participantData.prolific_id) {
-                    validationErrors.push('Missing prolific_id');
-                }
-                if (!participantData.demographics) {
-                    validationErrors.push('Missing demographics data');
-                }
-                if (!participantData.views_matrix?.climate_change_views) {
-                    validationErrors.push('Missing climate change views data');
-                }
-                
-                if (validationErrors.length > 0) {
-                    console.warn('⚠️ Validation warnings for participant:', participantId, validationErrors);
-                    // Don't fail - these are warnings only
-                }
-                
-                // Log data structure for debugging
-                console.log('📊 Survey data structure:', {
-                    participant_id: participantData.participant_id,
-                    has_demographics: !!participantData.demographics,
-                    has_belief_change: !!participantData.belief_change,
-                    has_views_matrix: !!participantData.views_matrix,
-                    has_ccs_data: !!participantData.views_matrix?.climate_change_views,
-                    has_political_data: !!participantData.views_matrix?.political_views,
-                    ccs_mean_scored: participantData.views_matrix?.climate_change_views?.ccs_mean_scored,
-                    economic_issues: participantData.views_matrix?.political_views?.economic_issues,
-                    ai_summary: participantData.belief_change?.ai_summary?.substring(0, 50) + '...'
-                });
-                
-                // Attempt database save with detailed error reporting
-                const saveResult = await database.saveParticipant(participantData);
-                if (saveResult) {
-                    console.log('✅ Participant saved to database successfully:', participantId);
-                    databaseSaveResult.success = true;
-                } else {
-                    throw new Error('Database save returned null - save failed');
-                }
-                
-            } else {
-                console.log('⚠️ Database unavailable - using file fallback only');
-                databaseSaveResult.error = 'Database connection not available';
-            }
-        } catch (dbError) {
-            console.error('❌ Database save failed for participant:', participantId, {
-                error: dbError.message,
-                stack: process.env.NODE_ENV === 'development' ? dbError.stack : undefined,
-                participantData: {
-                    participant_id: participantData.participant_id,
-                    prolific_id: participantData.prolific_id,
-                    has_demographics: !!participantData.demographics,
-                    has_belief_change: !!participantData.belief_change,
-                    has_views_matrix: !!participantData.views_matrix
-                },
-                timestamp: new Date().toISOString()
-            });
-            databaseSaveResult.error = dbError.message;
-            // Continue - file save succeeded, don't fail the request
+        if (validationErrors.length > 0) {
+            console.warn('⚠️ Validation warnings for participant:', participantId, validationErrors);
+            // Don't fail - these are warnings only
         }
         
-        console.log('Participant saved successfully:', participantId, 'Database:', databaseSaveResult.success ? 'YES' : 'NO');
+        // Save participant data (always save regardless of eligibility); a failed save fails the request
+        await repository.participants.save(participantData);
+        console.log(`💾 Participant saved (${repository.backend}):`, participantId);
         console.log('DEBUG: Sending response with participantId:', participantId);
         
         res.json({
@@ -999,13 +1043,16 @@ app.post('/survey/submit', async (req, res) => {
         res.status(500).json({
             error: error.message || 'Internal server error'
         });
+    } finally {
+        releaseEntry?.();
     }
 });
 
 // AI Summary generation endpoint
 app.post('/api/generate-summary', async (req, res) => {
     try {
-        const { text, currentViews, elaboration } = req.body;
+        const { text, currentViews, elaboration, prolificId, participantId } = req.body;
+        const call = { purpose: CALL_PURPOSES.VIEWS_SUMMARY, prolificId, participantId };
         
         // Handle legacy single text field or new separate fields
         const inputCurrentViews = (currentViews || '').trim();
@@ -1024,9 +1071,10 @@ app.post('/api/generate-summary', async (req, res) => {
         
         console.log('Generating AI summary for text:', combinedText.substring(0, 100) + '...');
         
-        // Check if OpenAI API key is configured
-        if (!process.env.OPENAI_API_KEY) {
-            console.log('OpenAI API key not configured. Using fallback summary.');
+        // Check if an LLM provider is configured
+        const provider = llmProvider.getProvider();
+        if (!provider.isConfigured()) {
+            console.log('LLM provider not configured. Using fallback summary.');
             const fallbackSummary = generateFallbackSummary(combinedText);
             return res.json({ summary: fallbackSummary });
         }
@@ -1044,35 +1092,39 @@ app.post('/api/generate-summary', async (req, res) => {
                 contentDescription = `text: "${combinedText}"`;
             }
             
-            // Call OpenAI API to generate summary
-            const completion = await openai.chat.completions.create({
-                model: "gpt-4o-mini",
-                messages: [
-                    {
-                        role: "system",
-                        content: "Please provide a neutral summary of the views expressed about climate change. Write it as a direct statement of the views themselves, not as a description of what the participant thinks, feels, or believes. Avoid phrases like 'the participant feels,' 'the participant thinks,' 'the participant believes,' etc. Instead, phrase it as a direct statement of the views expressed. For example, instead of 'The participant feels frustrated that climate change is political,' write 'Climate change is being treated as a political issue.' Keep it accurate and concise. Write exactly one sentence with no preamble, bullet points, or quotation marks."
-                    },
-                    {
-                        role: "user",
-                        content: `${combinedText}`
-                    }
-                ],
-                max_tokens: 100,
-                temperature: 0.1
+            // Call the LLM provider to generate summary
+            const startedAt = Date.now();
+            const completion = await provider.chat([
+                {
+                    role: "system",
+                    content: "Please provide a neutral summary of the views expressed about climate change. Write it as a direct statement of the views themselves, not as a description of what the participant thinks, feels, or believes. Avoid phrases like 'the participant feels,' 'the participant thinks,' 'the participant believes,' etc. Instead, phrase it as a direct statement of the views expressed. For example, instead of 'The participant feels frustrated that climate change is political,' write 'Climate change is being treated as a political issue.' Keep it accurate and concise. Write exactly one sentence with no preamble, bullet points, or quotation marks."
+                },
+                {
+                    role: "user",
+                    content: `${combinedText}`
+                }
+            ], {
+                maxTokens: 100,
+                temperature: 0.1,
+                purpose: 'views_summary'
+            }).catch(async error => {
+                await recordModelCall(call, provider, null, startedAt, error);
+                throw error;
             });
+            await recordModelCall(call, provider, completion, startedAt);
             
-            const summary = completion.choices[0]?.message?.content?.trim();
+            const summary = completion.content;
             
             if (!summary) {
-                throw new Error('No summary received from OpenAI');
+                throw new Error(`No summary received from ${provider.name} provider`);
             }
             
             console.log('AI summary generated:', summary);
             res.json({ summary });
             
         } catch (error) {
-            console.error('OpenAI API error:', error.message);
-            // Use fallback summary if OpenAI fails
+            console.error('LLM provider error:', error.message);
+            // Use fallback summary if the provider fails
             const fallbackSummary = generateFallbackSummary(combinedText);
             console.log('Using fallback summary:', fallbackSummary);
             res.json({ summary: fallbackSummary });
@@ -1137,8 +1189,7 @@ app.post('/api/conversations/start', async (req, res) => {
         }
         
         // Check if participant exists
-        const participantFile = path.join(participantsDir, `${participantId}.json`);
-        const participant = readJson(participantFile);
+        const participant = await repository.participants.get(participantId);
         if (!participant) {
             return res.status(404).json({
                 error: 'Participant not found',
@@ -1148,36 +1199,40 @@ app.post('/api/conversations/start', async (req, res) => {
         
         // Generate conversation ID
         const conversationId = uuidv4();
-        const now = new Date().toISOString();
+        const { startedAt, expiresAt } = deadlineFor(new Date());
         
-        // System prompt for the conversation
-        const systemPrompt = `You are an AI assistant facilitating a conversation about climate change. Your role is to engage thoughtfully and ask follow-up questions to help the participant explore their views. Do not try to persuade or change their mind - instead, focus on understanding their perspective and encouraging reflection. Keep responses conversational and under 150 words.`;
+        // System prompt for the conversation (versioned template in backend/src/prompts/conversation-api)
+        const { renderPrompt } = await import('./backend/src/utils/promptRegistry.js');
+        const { text: systemPrompt, ...systemPromptVersion } = renderPrompt('conversation-api');
         
         // Create conversation data
         const conversationData = {
             id: conversationId,
             participantId: participantId,
-            startedAt: now,
+            startedAt,
+            expiresAt,
             endedAt: null,
             durationSeconds: null,
             systemPrompt: systemPrompt,
+            systemPromptVersion: systemPromptVersion,
             messages: []
         };
         
-        // Save conversation data using data access layer
-        await dataAccess.saveSession(conversationData);
+        // Save conversation data
+        await repository.conversations.save(conversationData);
         
         // Track in memory
         activeConversations.set(conversationId, {
             participantId,
-            startedAt: now,
-            lastActivity: now
+            startedAt,
+            expiresAt,
+            lastActivity: startedAt
         });
         
         const requestDuration = Date.now() - requestStart;
         console.log(`Conversation started (${requestDuration}ms):`, conversationId, 'for participant:', participantId);
         
-        res.json({ conversationId });
+        res.json({ conversationId, expiresAt });
         
     } catch (error) {
         const requestDuration = Date.now() - requestStart;
@@ -1222,14 +1277,13 @@ app.post('/api/conversations/:id/message', async (req, res) => {
             });
         }
         
-        // Check 5-minute time limit (300 seconds)
+        // Check the conversation deadline (CHAT_DURATION_MS from start)
         const now = new Date();
         const startTime = new Date(activeConv.startedAt);
-        const elapsedSeconds = Math.floor((now - startTime) / 1000);
         
-        if (elapsedSeconds >= (CHAT_DURATION_MS / 1000)) {
+        if (deadlineStatus(activeConv, now).expired) {
             // End conversation due to time limit
-            activeConversations.delete(conversationId);
+            await endConversation(conversationId, END_REASONS.TIME_LIMIT);
             return res.status(410).json({
                 error: 'Conversation time limit exceeded',
                 type: 'timeout'
@@ -1239,8 +1293,7 @@ app.post('/api/conversations/:id/message', async (req, res) => {
         // Check for early-end phrase
         if (shouldEndNow(content)) {
             // Load conversation data
-            const filename = path.join(conversationsDir, `${conversationId}.json`);
-            const conversationData = readJson(filename);
+            const conversationData = await repository.conversations.get(conversationId);
             if (!conversationData) {
                 return res.status(404).json({
                     error: 'Conversation data not found',
@@ -1261,9 +1314,10 @@ app.post('/api/conversations/:id/message', async (req, res) => {
                 console.log('⚠️ Early chat end detected in main endpoint, ensuring summary exists');
                 await fallbackEnsureConversationSummary(conversationId, conversationData.participantId);
                 // Reload conversation data after potential summary addition
-                const updatedConversation = readJson(filename);
+                const updatedConversation = await repository.conversations.get(conversationId);
                 if (updatedConversation) {
                     conversationData.messages = updatedConversation.messages;
+                    conversationData.summary = updatedConversation.summary;
                 }
             }
             
@@ -1279,14 +1333,14 @@ app.post('/api/conversations/:id/message', async (req, res) => {
             const durationSeconds = Math.floor((now - startTime) / 1000);
             conversationData.endedAt = now.toISOString();
             conversationData.durationSeconds = durationSeconds;
+            conversationData.endReason = END_REASONS.ENDED_EARLY;
             
-            // Save conversation using data access layer
-            await dataAccess.saveSession(conversationData);
+            // Save conversation
+            await repository.conversations.save(conversationData);
             
             // Update participant data with conversation messages
             try {
-                const participantFile = path.join(participantsDir, `${conversationData.participantId}.json`);
-                const participantData = readJson(participantFile);
+                const participantData = await repository.participants.get(conversationData.participantId);
                 
                 if (participantData) {
                     // Filter out system messages and opening line - only save actual chat turns
@@ -1302,7 +1356,8 @@ app.post('/api/conversations/:id/message', async (req, res) => {
                     const transformedMessages = filteredMessages.map(msg => ({
                         sender: msg.role === 'user' ? 'participant' : 'chatbot',
                         text: msg.content,
-                        timestamp: msg.timestamp || now.toISOString()
+                        timestamp: msg.timestamp || now.toISOString(),
+                        ...(msg.provenance && { provenance: msg.provenance })
                     }));
                     
                     // Update chatbot interaction section
@@ -1326,7 +1381,7 @@ app.post('/api/conversations/:id/message', async (req, res) => {
                     participantData.updatedAt = now.toISOString();
                     
                     // Save updated participant data
-                    writeJson(participantFile, participantData);
+                    await repository.participants.save(participantData);
                     console.log(`Updated participant ${conversationData.participantId} with ${transformedMessages.length} conversation messages (early end)`);
                 }
             } catch (error) {
@@ -1346,8 +1401,7 @@ app.post('/api/conversations/:id/message', async (req, res) => {
         }
         
         // Load conversation data
-        const filename = path.join(conversationsDir, `${conversationId}.json`);
-        const conversationData = readJson(filename);
+        const conversationData = await repository.conversations.get(conversationId);
         if (!conversationData) {
             return res.status(404).json({
                 error: 'Conversation data not found',
@@ -1363,22 +1417,31 @@ app.post('/api/conversations/:id/message', async (req, res) => {
         };
         conversationData.messages.push(userMessage);
         
-        // Call OpenAI API with timeout handling
-        const assistantReply = await generateAIResponse(conversationData.messages, conversationData.systemPrompt);
+        // Call the LLM provider with timeout handling
+        const completion = await generateAIReply(conversationData.messages, conversationData.systemPrompt, {
+            conversationId,
+            participantId: conversationData.participantId
+        });
+        const assistantReply = completion.content;
         
-        // Add assistant message
+        // Add assistant message (conversations started before prompt versioning only have the prompt text)
         const assistantMessage = {
             role: 'assistant',
             content: assistantReply,
-            timestamp: new Date().toISOString()
+            timestamp: new Date().toISOString(),
+            provenance: buildProvenance({
+                source: completion.fallback ? REPLY_SOURCES.FALLBACK : REPLY_SOURCES.MODEL,
+                prompt: conversationData.systemPromptVersion || { promptHash: hashPromptText(conversationData.systemPrompt) },
+                completion
+            })
         };
         conversationData.messages.push(assistantMessage);
         
         // Update last activity
         activeConv.lastActivity = now.toISOString();
         
-        // Save updated conversation using data access layer
-        await dataAccess.saveSession(conversationData);
+        // Save updated conversation
+        await repository.conversations.save(conversationData);
         
         // **INCREMENTAL FIX**: Update participant file after each turn to prevent data loss
         await updateParticipantMessagesIncremental(conversationId, conversationData.participantId);
@@ -1415,112 +1478,128 @@ app.post('/api/conversations/:id/message', async (req, res) => {
     }
 });
 
+/**
+ * End a conversation: make sure it has a summary, stamp endedAt/endReason and copy
+ * the chat turns into the participant record. Used by /api/conversations/:id/end
+ * and by the session sweeper for abandoned conversations.
+ *
+ * @returns {Promise<Object|null>} { durationSeconds }, or null if the conversation is unknown or already ended
+ */
+async function endConversation(conversationId, reason = END_REASONS.PARTICIPANT) {
+    // Conversations started through the /chat router are not tracked in
+    // activeConversations, so fall back to the stored conversation record
+    const activeConv = activeConversations.get(conversationId);
+    const conversationData = await repository.conversations.get(conversationId);
+    
+    if (!conversationData || (!activeConv && conversationData.endedAt)) {
+        return null;
+    }
+    
+    // Calculate duration
+    const now = new Date();
+    const startTime = new Date(conversationData.startedAt);
+    const durationSeconds = Math.floor((now - startTime) / 1000);
+    
+    // Ensure conversation has a summary before ending
+    if (conversationData.participantId) {
+        console.log(`⏰ Conversation end (${reason}), ensuring summary exists`);
+        await fallbackEnsureConversationSummary(conversationId, conversationData.participantId);
+        // Reload conversation data after potential summary addition
+        const updatedConversation = await repository.conversations.get(conversationId);
+        if (updatedConversation) {
+            conversationData.messages = updatedConversation.messages;
+            conversationData.summary = updatedConversation.summary;
+        }
+    }
+    
+    // Update conversation data
+    conversationData.endedAt = now.toISOString();
+    conversationData.durationSeconds = durationSeconds;
+    conversationData.endReason = reason;
+    
+    // Save updated conversation
+    await repository.conversations.save(conversationData);
+    
+    // Update participant data with conversation messages
+    try {
+        const participantData = await repository.participants.get(conversationData.participantId);
+        
+        if (participantData) {
+            // Filter out system messages and opening line - only save actual chat turns
+            const filteredMessages = filterChatMessages(conversationData.messages, {
+                excludeSystem: true,
+                excludeOpeningLine: true,
+                excludeGenerated: false  // Keep summaries - they're part of the conversation
+            });
+            
+            console.log(`📊 Filtered messages (end): ${conversationData.messages.length} total -> ${filteredMessages.length} chat turns (excluded ${conversationData.messages.length - filteredMessages.length} system/opening messages)`);
+            
+            // Transform conversation messages to match desired structure
+            const transformedMessages = filteredMessages.map(msg => ({
+                sender: msg.role === 'user' ? 'participant' : 'chatbot',
+                text: msg.content,
+                timestamp: msg.timestamp || now.toISOString(),
+                ...(msg.provenance && { provenance: msg.provenance })
+            }));
+            
+            // Update chatbot interaction section
+            participantData.chatbot_interaction = {
+                messages: transformedMessages,
+                ...(conversationData.summary && { summary: conversationData.summary })
+            };
+            
+            // Generate chatbot summary from conversation messages and add to belief_change
+            if (transformedMessages.length > 0) {
+                const conversationText = transformedMessages
+                    .filter(msg => msg.sender === 'participant')
+                    .map(msg => msg.text)
+                    .join(' ');
+                
+                if (conversationText.trim()) {
+                    participantData.belief_change.chatbot_summary = `Participant discussed: ${conversationText.substring(0, 200)}${conversationText.length > 200 ? '...' : ''}`;
+                }
+            }
+            
+            // Update timestamp
+            participantData.updatedAt = now.toISOString();
+            
+            // Save updated participant data
+            await repository.participants.save(participantData);
+            console.log(`Updated participant ${conversationData.participantId} with ${transformedMessages.length} conversation messages`);
+        }
+    } catch (error) {
+        console.error('Error updating participant with conversation data:', error);
+        // Don't fail the endpoint if participant update fails
+    }
+    
+    // Remove from active conversations
+    activeConversations.delete(conversationId);
+    
+    return { durationSeconds };
+}
+
+// Open conversations for the session sweeper
+function listOpenConversations() {
+    return repository.conversations.listOpen();
+}
+
 // End a conversation
 app.post('/api/conversations/:id/end', async (req, res) => {
     const requestStart = Date.now();
     
     try {
         const conversationId = req.params.id;
+        const ended = await endConversation(conversationId, END_REASONS.PARTICIPANT);
         
-        // Check if conversation is active
-        const activeConv = activeConversations.get(conversationId);
-        if (!activeConv) {
+        if (!ended) {
             return res.status(404).json({
                 error: 'Conversation not found or already ended',
                 type: 'conversation_not_found'
             });
         }
         
-        // Load conversation data
-        const filename = path.join(conversationsDir, `${conversationId}.json`);
-        const conversationData = readJson(filename);
-        if (!conversationData) {
-            return res.status(404).json({
-                error: 'Conversation data not found',
-                type: 'data_error'
-            });
-        }
-        
-        // Calculate duration
-        const now = new Date();
-        const startTime = new Date(conversationData.startedAt);
-        const durationSeconds = Math.floor((now - startTime) / 1000);
-        
-        // Ensure conversation has a summary before ending (time-based ending)
-        if (conversationData.participantId) {
-            console.log('⏰ Time-based conversation end detected, ensuring summary exists');
-            await fallbackEnsureConversationSummary(conversationId, conversationData.participantId);
-            // Reload conversation data after potential summary addition
-            const filename = path.join(conversationsDir, `${conversationId}.json`);
-            const updatedConversation = readJson(filename);
-            if (updatedConversation) {
-                conversationData.messages = updatedConversation.messages;
-            }
-        }
-        
-        // Update conversation data
-        conversationData.endedAt = now.toISOString();
-        conversationData.durationSeconds = durationSeconds;
-        
-        // Save updated conversation using data access layer
-        await dataAccess.saveSession(conversationData);
-        
-        // Update participant data with conversation messages
-        try {
-            const participantFile = path.join(participantsDir, `${conversationData.participantId}.json`);
-            const participantData = readJson(participantFile);
-            
-            if (participantData) {
-                // Filter out system messages and opening line - only save actual chat turns
-                const filteredMessages = filterChatMessages(conversationData.messages, {
-                    excludeSystem: true,
-                    excludeOpeningLine: true,
-                    excludeGenerated: false  // Keep summaries - they're part of the conversation
-                });
-                
-                console.log(`📊 Filtered messages (end): ${conversationData.messages.length} total -> ${filteredMessages.length} chat turns (excluded ${conversationData.messages.length - filteredMessages.length} system/opening messages)`);
-                
-                // Transform conversation messages to match desired structure
-                const transformedMessages = filteredMessages.map(msg => ({
-                    sender: msg.role === 'user' ? 'participant' : 'chatbot',
-                    text: msg.content,
-                    timestamp: msg.timestamp || now.toISOString()
-                }));
-                
-                // Update chatbot interaction section
-                participantData.chatbot_interaction = {
-                    messages: transformedMessages
-                };
-                
-                // Generate chatbot summary from conversation messages and add to belief_change
-                if (transformedMessages.length > 0) {
-                    const conversationText = transformedMessages
-                        .filter(msg => msg.sender === 'participant')
-                        .map(msg => msg.text)
-                        .join(' ');
-                    
-                    if (conversationText.trim()) {
-                        participantData.belief_change.chatbot_summary = `Participant discussed: ${conversationText.substring(0, 200)}${conversationText.length > 200 ? '...' : ''}`;
-                    }
-                }
-                
-                // Update timestamp
-                participantData.updatedAt = now.toISOString();
-                
-                // Save updated participant data
-                writeJson(participantFile, participantData);
-                console.log(`Updated participant ${conversationData.participantId} with ${transformedMessages.length} conversation messages`);
-            }
-        } catch (error) {
-            console.error('Error updating participant with conversation data:', error);
-            // Don't fail the endpoint if participant update fails
-        }
-        
-        // Remove from active conversations
-        activeConversations.delete(conversationId);
-        
         const requestDuration = Date.now() - requestStart;
-        console.log(`Conversation ended (${requestDuration}ms):`, conversationId, 'Duration:', durationSeconds, 'seconds');
+        console.log(`Conversation ended (${requestDuration}ms):`, conversationId, 'Duration:', ended.durationSeconds, 'seconds');
         
         res.json({ ok: true });
         
@@ -1536,20 +1615,39 @@ app.post('/api/conversations/:id/end', async (req, res) => {
     }
 });
 
+// End-of-chat summary record for the summary validation page (see lib/conversationSummary.js)
+app.get('/api/conversations/:id/summary', async (req, res) => {
+    try {
+        const conversation = await repository.conversations.get(req.params.id);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found', type: 'conversation_not_found' });
+        }
+        if (!hasSummary(conversation)) {
+            return res.status(404).json({ error: 'Conversation has no summary yet', type: 'summary_not_found' });
+        }
+        
+        res.json({ conversationId: conversation.id, summary: conversation.summary });
+        
+    } catch (error) {
+        console.error('Error getting conversation summary:', error);
+        res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+});
+
 // Get participant data endpoint
-app.get('/api/participant/:id', (req, res) => {
+app.get('/api/participant/:id', async (req, res) => {
     try {
         const participantId = req.params.id;
         
-        // Read participant file
-        const filename = path.join(participantsDir, `${participantId}.json`);
-        const participantData = readJson(filename);
+        const participantData = await repository.participants.get(participantId);
         
         if (!participantData) {
             return res.status(404).json({ error: 'Participant not found' });
         }
         
-        res.json(participantData);
+        // Bot checks, entry attempts and the study arm stay on the server
+        const { bot_detection, entry_attempts, assignment, ...publicData } = participantData;
+        res.json(publicData);
         
     } catch (error) {
         console.error('Error getting participant data:', error);
@@ -1557,8 +1655,9 @@ app.get('/api/participant/:id', (req, res) => {
     }
 });
 
-// Honeypot submission endpoint - saves bot responses and redirects
-app.post('/api/honeypot-submission', (req, res) => {
+// Honeypot submission endpoint - the views page calls it when its hidden instruction was followed.
+// The bot checks decide what is recorded; the page's session data is not trusted beyond the Prolific ID.
+app.post('/api/honeypot-submission', validateBody(HONEYPOT_SUBMISSION), async (req, res) => {
     try {
         const {
             current_views,
@@ -1572,62 +1671,65 @@ app.post('/api/honeypot-submission', (req, res) => {
         const participantId = uuidv4();
         const now = new Date().toISOString();
         
-        // Parse session data if available
-        let sessionData = {};
+        let prolificId = null;
         try {
-            sessionData = participant_session_data ? JSON.parse(participant_session_data) : {};
+            const sessionData = participant_session_data ? JSON.parse(participant_session_data) : {};
+            prolificId = typeof sessionData.prolific_id === 'string' ? sessionData.prolific_id.slice(0, ID_LIMIT) : null;
         } catch (e) {
             console.warn('Failed to parse session data:', e);
         }
         
-        // Create participant data with honeypot flags
         const participantData = {
             id: participantId,
+            participant_id: participantId,
+            prolific_id: prolificId,
             createdAt: now,
             updatedAt: now,
             
-            // Mark as honeypot triggered
+            // Mark as honeypot triggered; the bot checks decide whether that disqualifies
             honeypot_triggered: true,
-            disqualification_reason: "automated entry detected",
+            disqualified: false,
             
             // Store the bot response
-            current_views: current_views || null,
-            elaboration: elaboration || null,
-            
-            // Include any session data that was available
-            ...sessionData,
+            belief_change: {
+                current_view: current_views || null,
+                elaboration: elaboration || null
+            },
+            timestamps: { started: now, completed: null },
             
             // Additional metadata
             bot_detection_method: "hello_repetition",
             user_agent: req.headers['user-agent'] || null,
             ip_address: req.ip || null
         };
+        participantData.bot_detection = await detectBots(participantData, { signals: null, clientFlagged: true });
+        if (participantData.bot_detection.status === BOT_STATUSES.SCREENED_OUT) {
+            participantData.disqualified = true;
+            participantData.disqualification_reason = SCREEN_OUT_REASON;
+        }
         
         // Save the bot response for review
-        const filename = path.join(participantsDir, `${participantId}.json`);
-        if (!writeJson(filename, participantData)) {
-            throw new Error('Failed to save honeypot data');
-        }
+        await repository.participants.save(participantData);
         
-        console.log('Bot response saved with ID:', participantId);
+        console.log(`Bot response saved with ID: ${participantId} (risk ${participantData.bot_detection.risk_score})`);
         
         // Return success so client can handle redirect
         res.json({
             success: true,
-            redirect_url: 'https://app.prolific.com/submissions/complete?cc=SCREENOUT'
+            redirect_url: PROLIFIC_SCREENOUT_URL
         });
         
     } catch (error) {
         console.error('Error processing honeypot submission:', error);
         res.status(500).json({
             error: 'Processing error',
-            redirect_url: 'https://app.prolific.com/submissions/complete?cc=SCREENOUT'
+            redirect_url: PROLIFIC_SCREENOUT_URL
         });
     }
 });
 
 // End survey submission endpoint
-app.post('/api/end-survey', async (req, res) => {
+app.post('/api/end-survey', validateBody(END_SURVEY), async (req, res) => {
     try {
         const {
             participant_id,
@@ -1637,14 +1739,8 @@ app.post('/api/end-survey', async (req, res) => {
         
         console.log('Received end survey submission:', req.body);
         
-        // Validate required fields
-        if (!participant_id) {
-            return res.status(400).json({ error: 'Participant ID is required' });
-        }
-        
         // Load existing participant data
-        const participantFile = path.join(participantsDir, `${participant_id}.json`);
-        const participantData = readJson(participantFile);
+        const participantData = await repository.participants.get(participant_id);
         
         if (!participantData) {
             return res.status(404).json({ error: 'Participant not found' });
@@ -1662,27 +1758,15 @@ app.post('/api/end-survey', async (req, res) => {
         participantData.timestamps.completed = now;
         participantData.updatedAt = now;
         
-        // Save updated participant data to file
-        if (!writeJson(participantFile, participantData)) {
-            throw new Error('Failed to update participant data');
+        // Check again now the completion time is known (the signals from the views page are kept)
+        participantData.bot_detection = await detectBots(participantData);
+        if (participantData.bot_detection.status === BOT_STATUSES.SCREENED_OUT && !participantData.bot_detection.review) {
+            participantData.disqualified = true;
+            participantData.disqualification_reason = SCREEN_OUT_REASON;
         }
         
-        // Save updated participant data to database
-        try {
-            const database = require('./database');
-            const dbAvailable = await database.isDatabaseAvailable();
-            
-            if (dbAvailable) {
-                console.log('💾 Updating participant in database for end survey:', participant_id);
-                await database.saveParticipant(participantData);
-                console.log('✅ End survey data saved to database successfully');
-            } else {
-                console.log('⚠️ Database unavailable for end survey update - file saved only');
-            }
-        } catch (dbError) {
-            console.error('❌ Database update failed for end survey:', participant_id, dbError.message);
-            // Continue - file save succeeded, don't fail the request
-        }
+        // Save updated participant data
+        await repository.participants.save(participantData);
         
         console.log('End survey data integrated successfully for participant:', participant_id);
         
@@ -1697,34 +1781,46 @@ app.post('/api/end-survey', async (req, res) => {
 });
 
 // Chatbot summary validation endpoint
-app.post('/api/chatbot-summary-validation', async (req, res) => {
+app.post('/api/chatbot-summary-validation', validateBody(CHATBOT_SUMMARY_VALIDATION), async (req, res) => {
     try {
         const {
             participant_id,
             summary_accurate,
             chatbot_summary,
+            conversation_id,
+            bullet_reviews,
+            added_themes,
+            summary_edits,
             timestamp
         } = req.body;
         
         console.log('Received chatbot summary validation:', req.body);
         
-        // Validate required fields
-        if (!participant_id) {
-            return res.status(400).json({ error: 'Participant ID is required' });
-        }
-        
-        if (!summary_accurate || !['Yes', 'No'].includes(summary_accurate)) {
-            return res.status(400).json({ error: 'Valid summary accuracy response is required' });
-        }
-        
         // Load existing participant data
-        const participantFile = path.join(participantsDir, `${participant_id}.json`);
-        const participantData = readJson(participantFile);
+        const participantData = await repository.participants.get(participant_id);
         
         if (!participantData) {
             return res.status(404).json({ error: 'Participant not found' });
         }
         
+        // The summary the page loaded from the server, if it belongs to this participant
+        const conversation = conversation_id ? await repository.conversations.get(conversation_id) : null;
+        const storedSummary = hasSummary(conversation) && conversation.participantId === participant_id ? conversation.summary : null;
+        
+        // Per-bullet review, checked against the stored summary rather than the copy the page showed
+        let summaryReview = null;
+        if (bullet_reviews) {
+            const { review, errors } = buildSummaryReview({
+                summary: storedSummary || { bullets: chatbot_summary || [] },
+                conversationId: storedSummary ? conversation_id : null,
+                reviews: bullet_reviews,
+                addedThemes: added_themes || [],
+                edits: summary_edits || []
+            });
+            if (errors.length > 0) return rejectWithErrors(req, res, errors);
+            summaryReview = review;
+        }
+        
         const now = new Date().toISOString();
         
         // Update belief_change section with chatbot summary validation
@@ -1746,31 +1842,22 @@ app.post('/api/chatbot-summary-validation', async (req, res) => {
             participantData.belief_change.chatbot_summary_bullets = chatbot_summary;
         }
         
-        // Update timestamp
-        participantData.updatedAt = now;
-        
-        // Save updated participant data to file
-        if (!writeJson(participantFile, participantData)) {
-            throw new Error('Failed to update participant data');
+        // Record which stored summary was shown (generator, source turns) when the page loaded it from the server
+        if (storedSummary) {
+            participantData.belief_change.chatbot_summary_record = { conversation_id, ...storedSummary };
         }
         
-        // Save updated participant data to database
-        try {
-            const database = require('./database');
-            const dbAvailable = await database.isDatabaseAvailable();
-            
-            if (dbAvailable) {
-                console.log('💾 Updating participant in database for chatbot summary validation:', participant_id);
-                await database.saveParticipant(participantData);
-                console.log('✅ Chatbot summary validation data saved to database successfully');
-            } else {
-                console.log('⚠️ Database unavailable for chatbot summary validation update - file saved only');
-            }
-        } catch (dbError) {
-            console.error('❌ Database update failed for chatbot summary validation:', participant_id, dbError.message);
-            // Continue - file save succeeded, don't fail the request
+        // Original summary, labels, rewrites, added themes and the edit log
+        if (summaryReview) {
+            participantData.belief_change.chatbot_summary_review = summaryReview;
         }
         
+        // Update timestamp
+        participantData.updatedAt = now;
+        
+        // Save updated participant data
+        await repository.participants.save(participantData);
+        
         console.log('Chatbot summary validation saved successfully for participant:', participant_id);
         
         res.json({ ok: true, participant_id: participant_id });
@@ -1783,8 +1870,8 @@ app.post('/api/chatbot-summary-validation', async (req, res) => {
     }
 });
 
-// Database export endpoint using raw PostgreSQL (no admin token required)
-app.get('/export/database', async (req, res) => {
+// Database export endpoint using raw PostgreSQL
+app.get('/export/database', audited('export.database'), requirePermission(PERMISSIONS.EXPORT_DATA), async (req, res) => {
   try {
     const startTime = Date.now();
     
@@ -1834,6 +1921,7 @@ app.get('/export/database', async (req, res) => {
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Content-Disposition', `attachment; filename="data-export-${new Date().toISOString().split('T')[0]}.json"`);
     
+    res.locals.auditRowCounts = exportData.totals;
     const exportDuration = Date.now() - startTime;
     console.log(`✅ Database export completed in ${exportDuration}ms: ${participants.length} participants, ${sessions.length} sessions, ${messages.length} messages`);
     
@@ -1849,202 +1937,316 @@ app.get('/export/database', async (req, res) => {
   }
 });
 
-// Admin export endpoints
-function requireAdmin(req, res, next) {
-  const token = req.headers['x-admin-token'];
-  if (!process.env.ADMIN_TOKEN) {
-    console.warn('ADMIN_TOKEN not configured; blocking admin endpoints by default.');
-    return res.status(403).json({ error: 'Admin token not configured' });
+// Answer an admin route error: AdminAuthError carries its own status
+function sendAdminError(res, error, context) {
+  if (error instanceof AdminAuthError) {
+    return res.status(error.status).json({ error: error.message });
   }
-  if (token !== process.env.ADMIN_TOKEN) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
-  next();
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({ error: error.message || 'Internal server error' });
 }
 
+// Exchange an admin username and password for a bearer token
+app.post('/api/admin/login', audited('admin.login'), async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const session = await adminAuth.login(username, password);
+    res.locals.auditActor = session.admin;
+    res.json(session);
+  } catch (error) {
+    sendAdminError(res, error, 'logging in admin');
+  }
+});
+
+// The account behind the current token (any role)
+app.get('/api/admin/me', async (req, res) => {
+  try {
+    const admin = await adminAuth.authenticate(req);
+    if (!admin) {
+      return res.status(401).json({ error: 'Admin login required' });
+    }
+    res.json({ admin: publicAdmin(admin) });
+  } catch (error) {
+    sendAdminError(res, error, 'reading admin account');
+  }
+});
+
+app.get('/api/admin/users', audited('admin.users.list'), requirePermission(PERMISSIONS.MANAGE_ADMINS), async (req, res) => {
+  try {
+    res.json({ admins: (await adminStore.list()).map(publicAdmin) });
+  } catch (error) {
+    sendAdminError(res, error, 'listing admin accounts');
+  }
+});
+
+app.post('/api/admin/users', audited('admin.users.create'), requirePermission(PERMISSIONS.MANAGE_ADMINS), async (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    const admin = await adminStore.create({ username, password, role });
+    console.log(`👤 Admin ${req.admin.username} created admin ${admin.username} (${admin.role})`);
+    res.status(201).json({ admin: publicAdmin(admin) });
+  } catch (error) {
+    sendAdminError(res, error, 'creating admin account');
+  }
+});
+
+// Change an account's role, disable it, or reset its password
+app.patch('/api/admin/users/:username', audited('admin.users.update'), requirePermission(PERMISSIONS.MANAGE_ADMINS), async (req, res) => {
+  try {
+    const { role, disabled, password } = req.body || {};
+    if (req.params.username === req.admin.username && (disabled === true || (role !== undefined && role !== req.admin.role))) {
+      return res.status(400).json({ error: 'You cannot disable or change the role of your own account' });
+    }
+    const admin = await adminStore.update(req.params.username, { role, disabled, password });
+    console.log(`👤 Admin ${req.admin.username} updated admin ${admin.username}:`, ['role', 'disabled', 'password'].filter(field => req.body?.[field] !== undefined).join(', '));
+    res.json({ admin: publicAdmin(admin) });
+  } catch (error) {
+    sendAdminError(res, error, 'updating admin account');
+  }
+});
+
+// Prompt template versions and hashes, for resolving message provenance in exports
+app.get('/api/prompts', audited('stats.prompts'), requirePermission(PERMISSIONS.VIEW_STATS), async (req, res) => {
+  try {
+    const { listPrompts } = await import('./backend/src/utils/promptRegistry.js');
+    res.json({ prompts: listPrompts() });
+  } catch (error) {
+    console.error('Error listing prompts:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Model-call cost per participant, per study arm and per day (?from=YYYY-MM-DD&to=YYYY-MM-DD, inclusive)
+app.get('/api/admin/usage-report', audited('stats.usage'), requirePermission(PERMISSIONS.VIEW_STATS), async (req, res) => {
+  try {
+    const day = /^\d{4}-\d{2}-\d{2}$/;
+    const { from, to } = req.query;
+    if ((from && !day.test(from)) || (to && !day.test(to))) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+
+    // Participant records give the arm and Prolific id for calls recorded without them
+    const participants = (await repository.participants.list()).map(participant => ({
+      participantId: participant.participant_id,
+      prolificId: participant.prolific_id || null,
+      studyArm: participant.assignment?.arm || null
+    }));
+
+    const calls = await modelUsage.list({ from, to });
+    res.json({
+      generatedAt: new Date().toISOString(),
+      from: from || null,
+      to: to || null,
+      ...aggregateModelCalls(calls, participants)
+    });
+  } catch (error) {
+    console.error('Error building usage report:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Browse the audit log, newest first (?actor=&action=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=&offset=)
+app.get('/api/admin/audit', audited('audit.view'), requirePermission(PERMISSIONS.VIEW_AUDIT), async (req, res) => {
+  try {
+    const day = /^\d{4}-\d{2}-\d{2}$/;
+    const { actor, action, from, to } = req.query;
+    if ((from && !day.test(from)) || (to && !day.test(to))) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    res.json({ limit, offset, ...await auditLog.list({ actor, action, from, to, limit, offset }) });
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Walk the audit hash chain; headHash can be recorded elsewhere to detect the whole log being rewritten
+app.get('/api/admin/audit/verify', audited('audit.verify'), requirePermission(PERMISSIONS.VIEW_AUDIT), async (req, res) => {
+  try {
+    const result = await auditLog.verify();
+    if (!result.valid) {
+      console.error(`🚨 Audit log chain broken at entry ${result.brokenAt}: ${result.reason}`);
+    }
+    res.json({ verifiedAt: new Date().toISOString(), ...result });
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
 // Export consolidated JSON data (new format)
-app.get('/api/admin/export.json', requireAdmin, (req, res) => {
+app.get('/api/admin/export.json', audited('export.json'), requirePermission(PERMISSIONS.EXPORT_DATA), async (req, res) => {
     try {
         const participants = [];
         const conversations = [];
         const messages = [];
         let totalMessages = 0;
         
-        // Read all participant files
-        if (fs.existsSync(participantsDir)) {
-            const participantFiles = fs.readdirSync(participantsDir);
-            for (const file of participantFiles) {
-                if (file.endsWith('.json')) {
-                    const participant = readJson(path.join(participantsDir, file));
-                    if (participant) {
-                        // Ensure participant has complete structure and all variables are captured
-                        const completeParticipant = {
-                            // Core identification
-                            participant_id: participant.participant_id,
-                            prolific_id: participant.prolific_id,
-                            consent: participant.consent,
-                            disqualified: participant.disqualified || false,
-                            timestamp_joined: participant.timestamp_joined,
-                            
-                            // Demographics - ensure all fields are captured
-                            demographics: {
-                                age: participant.demographics?.age || null,
-                                gender: participant.demographics?.gender || null,
-                                education: participant.demographics?.education || null
-                            },
-                            
-                            // Belief change - ensure all fields are captured
-                            belief_change: {
-                                has_changed_mind: participant.belief_change?.has_changed_mind || false,
-                                current_view: participant.belief_change?.current_view || null,
-                                elaboration: participant.belief_change?.elaboration || null,
-                                ai_summary: participant.belief_change?.ai_summary || null,
-                                ai_confidence_slider: participant.belief_change?.ai_confidence_slider || null,
-                                ai_summary_accuracy: participant.belief_change?.ai_summary_accuracy || null,
-                                chatbot_summary: participant.belief_change?.chatbot_summary || null,
-                                chatbot_summary_validation: participant.belief_change?.chatbot_summary_validation || null,
-                                chatbot_summary_bullets: participant.belief_change?.chatbot_summary_bullets || null,
-                                // New mind change variables (radio button system)
-                                mind_change_direction: participant.belief_change?.mind_change_direction || null,
-                                mind_change_no_change: participant.belief_change?.mind_change_no_change || false,
-                                mind_change_other_text: participant.belief_change?.mind_change_other_text || null,
-                                // Legacy mind change variables for backwards compatibility
-                                mind_change_real_to_not_real: participant.belief_change?.mind_change_real_to_not_real || false,
-                                mind_change_not_urgent_to_serious_crisis: participant.belief_change?.mind_change_not_urgent_to_serious_crisis || false,
-                                mind_change_not_real_to_real: participant.belief_change?.mind_change_not_real_to_real || false,
-                                mind_change_natural_to_human_caused: participant.belief_change?.mind_change_natural_to_human_caused || false,
-                                mind_change_human_caused_to_natural: participant.belief_change?.mind_change_human_caused_to_natural || false,
-                                mind_change_serious_crisis_to_not_urgent: participant.belief_change?.mind_change_serious_crisis_to_not_urgent || false,
-                                mind_change_other_selected: participant.belief_change?.mind_change_other_selected || false
-                            },
-                            
-                            // Views matrix - ensure ALL climate change scale variables are captured
-                            views_matrix: {
-                                climate_change_views: {
-                                    // CCS raw values (ccs_01_raw through ccs_12_raw)
-                                    ccs_01_raw: participant.views_matrix?.climate_change_views?.ccs_01_raw || null,
-                                    ccs_02_raw: participant.views_matrix?.climate_change_views?.ccs_02_raw || null,
-                                    ccs_03_raw: participant.views_matrix?.climate_change_views?.ccs_03_raw || null,
-                                    ccs_04_raw: participant.views_matrix?.climate_change_views?.ccs_04_raw || null,
-                                    ccs_05_raw: participant.views_matrix?.climate_change_views?.ccs_05_raw || null,
-                                    ccs_06_raw: participant.views_matrix?.climate_change_views?.ccs_06_raw || null,
-                                    ccs_07_raw: participant.views_matrix?.climate_change_views?.ccs_07_raw || null,
-                                    ccs_08_raw: participant.views_matrix?.climate_change_views?.ccs_08_raw || null,
-                                    ccs_09_raw: participant.views_matrix?.climate_change_views?.ccs_09_raw || null,
-                                    ccs_10_raw: participant.views_matrix?.climate_change_views?.ccs_10_raw || null,
-                                    ccs_11_raw: participant.views_matrix?.climate_change_views?.ccs_11_raw || null,
-                                    ccs_12_raw: participant.views_matrix?.climate_change_views?.ccs_12_raw || null,
-                                    // CCS scored values (ccs_01_scored through ccs_12_scored)
-                                    ccs_01_scored: participant.views_matrix?.climate_change_views?.ccs_01_scored || null,
-                                    ccs_02_scored: participant.views_matrix?.climate_change_views?.ccs_02_scored || null,
-                                    ccs_03_scored: participant.views_matrix?.climate_change_views?.ccs_03_scored || null,
-                                    ccs_04_scored: participant.views_matrix?.climate_change_views?.ccs_04_scored || null,
-                                    ccs_05_scored: participant.views_matrix?.climate_change_views?.ccs_05_scored || null,
-                                    ccs_06_scored: participant.views_matrix?.climate_change_views?.ccs_06_scored || null,
-                                    ccs_07_scored: participant.views_matrix?.climate_change_views?.ccs_07_scored || null,
-                                    ccs_08_scored: participant.views_matrix?.climate_change_views?.ccs_08_scored || null,
-                                    ccs_09_scored: participant.views_matrix?.climate_change_views?.ccs_09_scored || null,
-                                    ccs_10_scored: participant.views_matrix?.climate_change_views?.ccs_10_scored || null,
-                                    ccs_11_scored: participant.views_matrix?.climate_change_views?.ccs_11_scored || null,
-                                    ccs_12_scored: participant.views_matrix?.climate_change_views?.ccs_12_scored || null,
-                                    // CCS metadata (was_moved flags)
-                                    ccs_01_was_moved: participant.views_matrix?.climate_change_views?.ccs_01_was_moved || null,
-                                    ccs_02_was_moved: participant.views_matrix?.climate_change_views?.ccs_02_was_moved || null,
-                                    ccs_03_was_moved: participant.views_matrix?.climate_change_views?.ccs_03_was_moved || null,
-                                    ccs_04_was_moved: participant.views_matrix?.climate_change_views?.ccs_04_was_moved || null,
-                                    ccs_05_was_moved: participant.views_matrix?.climate_change_views?.ccs_05_was_moved || null,
-                                    ccs_06_was_moved: participant.views_matrix?.climate_change_views?.ccs_06_was_moved || null,
-                                    ccs_07_was_moved: participant.views_matrix?.climate_change_views?.ccs_07_was_moved || null,
-                                    ccs_08_was_moved: participant.views_matrix?.climate_change_views?.ccs_08_was_moved || null,
-                                    ccs_09_was_moved: participant.views_matrix?.climate_change_views?.ccs_09_was_moved || null,
-                                    ccs_10_was_moved: participant.views_matrix?.climate_change_views?.ccs_10_was_moved || null,
-                                    ccs_11_was_moved: participant.views_matrix?.climate_change_views?.ccs_11_was_moved || null,
-                                    ccs_12_was_moved: participant.views_matrix?.climate_change_views?.ccs_12_was_moved || null,
-                                    // Attention check
-                                    attention_check_value: participant.views_matrix?.climate_change_views?.attention_check_value || null,
-                                    attention_check_passed: participant.views_matrix?.climate_change_views?.attention_check_passed || null,
-                                    attention_check_was_moved: participant.views_matrix?.climate_change_views?.attention_check_was_moved || null,
-                                    // Mean scores
-                                    ccs_mean_scored: participant.views_matrix?.climate_change_views?.ccs_mean_scored || null,
-                                    ccs_occurrence_mean: participant.views_matrix?.climate_change_views?.ccs_occurrence_mean || null,
-                                    ccs_causation_mean: participant.views_matrix?.climate_change_views?.ccs_causation_mean || null,
-                                    ccs_seriousness_mean: participant.views_matrix?.climate_change_views?.ccs_seriousness_mean || null,
-                                    ccs_efficacy_mean: participant.views_matrix?.climate_change_views?.ccs_efficacy_mean || null,
-                                    ccs_trust_mean: participant.views_matrix?.climate_change_views?.ccs_trust_mean || null,
-                                    // Display order
-                                    ccs_row_order: participant.views_matrix?.climate_change_views?.ccs_row_order || null
-                                },
-                                political_views: {
-                                    economic_issues: participant.views_matrix?.political_views?.economic_issues || null,
-                                    social_issues: participant.views_matrix?.political_views?.social_issues || null,
-                                    political_views_order: participant.views_matrix?.political_views?.political_views_order || null,
-                                    economic_issues_answered: participant.views_matrix?.political_views?.economic_issues_answered || null,
-                                    social_issues_answered: participant.views_matrix?.political_views?.social_issues_answered || null
-                                }
-                            },
-                            
-                            // Chatbot interaction - ensure messages are captured
-                            chatbot_interaction: {
-                                messages: participant.chatbot_interaction?.messages || []
-                            },
-                            
-                            // Post chat data
-                            post_chat: {
-                                final_belief_confidence: participant.post_chat?.final_belief_confidence || null,
-                                chatbot_summary_accuracy: participant.post_chat?.chatbot_summary_accuracy || null
-                            },
-                            
-                            // Timestamps
-                            timestamps: {
-                                started: participant.timestamps?.started || participant.timestamp_joined,
-                                completed: participant.timestamps?.completed || null
-                            },
-                            
-                            // Legacy fields for backwards compatibility
-                            id: participant.id || participant.participant_id,
-                            createdAt: participant.createdAt || participant.timestamp_joined,
-                            updatedAt: participant.updatedAt || participant.timestamp_joined
-                        };
-                        
-                        participants.push(completeParticipant);
-                        
-                        // Count messages from participant chatbot interactions
-                        if (completeParticipant.chatbot_interaction && completeParticipant.chatbot_interaction.messages) {
-                            // Note: Messages should already be filtered when saved to participant files,
-                            // but we add an extra safety filter here to ensure no system messages in exports
-                            const exportMessages = completeParticipant.chatbot_interaction.messages.filter(msg =>
-                                msg.sender === 'participant' || msg.sender === 'chatbot'
-                            );
-                            
-                            totalMessages += exportMessages.length;
-                            
-                            // Add messages to messages array with additional metadata
-                            exportMessages.forEach(msg => {
-                                messages.push({
-                                    participant_id: completeParticipant.participant_id,
-                                    sender: msg.sender,
-                                    text: msg.text,
-                                    timestamp: msg.timestamp,
-                                    character_count: msg.text ? msg.text.length : 0
-                                });
-                            });
-                        }
+        // Read all participant records
+        for (const participant of await repository.participants.list()) {
+            // Ensure participant has complete structure and all variables are captured
+            const completeParticipant = {
+                // Core identification
+                participant_id: participant.participant_id,
+                prolific_id: participant.prolific_id,
+                consent: participant.consent,
+                disqualified: participant.disqualified || false,
+                timestamp_joined: participant.timestamp_joined,
+                
+                // Demographics - ensure all fields are captured
+                demographics: {
+                    age: participant.demographics?.age || null,
+                    gender: participant.demographics?.gender || null,
+                    education: participant.demographics?.education || null
+                },
+                
+                // Belief change - ensure all fields are captured
+                belief_change: {
+                    has_changed_mind: participant.belief_change?.has_changed_mind || false,
+                    current_view: participant.belief_change?.current_view || null,
+                    elaboration: participant.belief_change?.elaboration || null,
+                    ai_summary: participant.belief_change?.ai_summary || null,
+                    ai_confidence_slider: participant.belief_change?.ai_confidence_slider || null,
+                    ai_summary_accuracy: participant.belief_change?.ai_summary_accuracy || null,
+                    chatbot_summary: participant.belief_change?.chatbot_summary || null,
+                    chatbot_summary_validation: participant.belief_change?.chatbot_summary_validation || null,
+                    chatbot_summary_bullets: participant.belief_change?.chatbot_summary_bullets || null,
+                    // New mind change variables (radio button system)
+                    mind_change_direction: participant.belief_change?.mind_change_direction || null,
+                    mind_change_no_change: participant.belief_change?.mind_change_no_change || false,
+                    mind_change_other_text: participant.belief_change?.mind_change_other_text || null,
+                    // Legacy mind change variables for backwards compatibility
+                    mind_change_real_to_not_real: participant.belief_change?.mind_change_real_to_not_real || false,
+                    mind_change_not_urgent_to_serious_crisis: participant.belief_change?.mind_change_not_urgent_to_serious_crisis || false,
+                    mind_change_not_real_to_real: participant.belief_change?.mind_change_not_real_to_real || false,
+                    mind_change_natural_to_human_caused: participant.belief_change?.mind_change_natural_to_human_caused || false,
+                    mind_change_human_caused_to_natural: participant.belief_change?.mind_change_human_caused_to_natural || false,
+                    mind_change_serious_crisis_to_not_urgent: participant.belief_change?.mind_change_serious_crisis_to_not_urgent || false,
+                    mind_change_other_selected: participant.belief_change?.mind_change_other_selected || false
+                },
+                
+                // Views matrix - ensure ALL climate change scale variables are captured
+                views_matrix: {
+                    climate_change_views: {
+                        // CCS raw values (ccs_01_raw through ccs_12_raw)
+                        ccs_01_raw: participant.views_matrix?.climate_change_views?.ccs_01_raw || null,
+                        ccs_02_raw: participant.views_matrix?.climate_change_views?.ccs_02_raw || null,
+                        ccs_03_raw: participant.views_matrix?.climate_change_views?.ccs_03_raw || null,
+                        ccs_04_raw: participant.views_matrix?.climate_change_views?.ccs_04_raw || null,
+                        ccs_05_raw: participant.views_matrix?.climate_change_views?.ccs_05_raw || null,
+                        ccs_06_raw: participant.views_matrix?.climate_change_views?.ccs_06_raw || null,
+                        ccs_07_raw: participant.views_matrix?.climate_change_views?.ccs_07_raw || null,
+                        ccs_08_raw: participant.views_matrix?.climate_change_views?.ccs_08_raw || null,
+                        ccs_09_raw: participant.views_matrix?.climate_change_views?.ccs_09_raw || null,
+                        ccs_10_raw: participant.views_matrix?.climate_change_views?.ccs_10_raw || null,
+                        ccs_11_raw: participant.views_matrix?.climate_change_views?.ccs_11_raw || null,
+                        ccs_12_raw: participant.views_matrix?.climate_change_views?.ccs_12_raw || null,
+                        // CCS scored values (ccs_01_scored through ccs_12_scored)
+                        ccs_01_scored: participant.views_matrix?.climate_change_views?.ccs_01_scored || null,
+                        ccs_02_scored: participant.views_matrix?.climate_change_views?.ccs_02_scored || null,
+                        ccs_03_scored: participant.views_matrix?.climate_change_views?.ccs_03_scored || null,
+                        ccs_04_scored: participant.views_matrix?.climate_change_views?.ccs_04_scored || null,
+                        ccs_05_scored: participant.views_matrix?.climate_change_views?.ccs_05_scored || null,
+                        ccs_06_scored: participant.views_matrix?.climate_change_views?.ccs_06_scored || null,
+                        ccs_07_scored: participant.views_matrix?.climate_change_views?.ccs_07_scored || null,
+                        ccs_08_scored: participant.views_matrix?.climate_change_views?.ccs_08_scored || null,
+                        ccs_09_scored: participant.views_matrix?.climate_change_views?.ccs_09_scored || null,
+                        ccs_10_scored: participant.views_matrix?.climate_change_views?.ccs_10_scored || null,
+                        ccs_11_scored: participant.views_matrix?.climate_change_views?.ccs_11_scored || null,
+                        ccs_12_scored: participant.views_matrix?.climate_change_views?.ccs_12_scored || null,
+                        // CCS metadata (was_moved flags)
+                        ccs_01_was_moved: participant.views_matrix?.climate_change_views?.ccs_01_was_moved || null,
+                        ccs_02_was_moved: participant.views_matrix?.climate_change_views?.ccs_02_was_moved || null,
+                        ccs_03_was_moved: participant.views_matrix?.climate_change_views?.ccs_03_was_moved || null,
+                        ccs_04_was_moved: participant.views_matrix?.climate_change_views?.ccs_04_was_moved || null,
+                        ccs_05_was_moved: participant.views_matrix?.climate_change_views?.ccs_05_was_moved || null,
+                        ccs_06_was_moved: participant.views_matrix?.climate_change_views?.ccs_06_was_moved || null,
+                        ccs_07_was_moved: participant.views_matrix?.climate_change_views?.ccs_07_was_moved || null,
+                        ccs_08_was_moved: participant.views_matrix?.climate_change_views?.ccs_08_was_moved || null,
+                        ccs_09_was_moved: participant.views_matrix?.climate_change_views?.ccs_09_was_moved || null,
+                        ccs_10_was_moved: participant.views_matrix?.climate_change_views?.ccs_10_was_moved || null,
+                        ccs_11_was_moved: participant.views_matrix?.climate_change_views?.ccs_11_was_moved || null,
+                        ccs_12_was_moved: participant.views_matrix?.climate_change_views?.ccs_12_was_moved || null,
+                        // Attention check
+                        attention_check_value: participant.views_matrix?.climate_change_views?.attention_check_value || null,
+                        attention_check_passed: participant.views_matrix?.climate_change_views?.attention_check_passed || null,
+                        attention_check_was_moved: participant.views_matrix?.climate_change_views?.attention_check_was_moved || null,
+                        // Mean scores
+                        ccs_mean_scored: participant.views_matrix?.climate_change_views?.ccs_mean_scored || null,
+                        ccs_occurrence_mean: participant.views_matrix?.climate_change_views?.ccs_occurrence_mean || null,
+                        ccs_causation_mean: participant.views_matrix?.climate_change_views?.ccs_causation_mean || null,
+                        ccs_seriousness_mean: participant.views_matrix?.climate_change_views?.ccs_seriousness_mean || null,
+                        ccs_efficacy_mean: participant.views_matrix?.climate_change_views?.ccs_efficacy_mean || null,
+                        ccs_trust_mean: participant.views_matrix?.climate_change_views?.ccs_trust_mean || null,
+                        // Display order
+                        ccs_row_order: participant.views_matrix?.climate_change_views?.ccs_row_order || null,
+                        // Scale version and client score mismatches (see lib/ccsScale.js)
+                        scoring: participant.views_matrix?.climate_change_views?.scoring || null
+                    },
+                    political_views: {
+                        economic_issues: participant.views_matrix?.political_views?.economic_issues || null,
+                        social_issues: participant.views_matrix?.political_views?.social_issues || null,
+                        political_views_order: participant.views_matrix?.political_views?.political_views_order || null,
+                        economic_issues_answered: participant.views_matrix?.political_views?.economic_issues_answered || null,
+                        social_issues_answered: participant.views_matrix?.political_views?.social_issues_answered || null
                     }
-                }
+                },
+                
+                // Chatbot interaction - ensure messages are captured
+                chatbot_interaction: {
+                    messages: participant.chatbot_interaction?.messages || []
+                },
+                
+                // Post chat data
+                post_chat: {
+                    final_belief_confidence: participant.post_chat?.final_belief_confidence || null,
+                    chatbot_summary_accuracy: participant.post_chat?.chatbot_summary_accuracy || null
+                },
+                
+                // Timestamps
+                timestamps: {
+                    started: participant.timestamps?.started || participant.timestamp_joined,
+                    completed: participant.timestamps?.completed || null
+                },
+                
+                // Legacy fields for backwards compatibility
+                id: participant.id || participant.participant_id,
+                createdAt: participant.createdAt || participant.timestamp_joined,
+                updatedAt: participant.updatedAt || participant.timestamp_joined
+            };
+            
+            participants.push(completeParticipant);
+            
+            // Count messages from participant chatbot interactions
+            if (completeParticipant.chatbot_interaction && completeParticipant.chatbot_interaction.messages) {
+                // Note: Messages should already be filtered when saved to participant records,
+                // but we add an extra safety filter here to ensure no system messages in exports
+                const exportMessages = completeParticipant.chatbot_interaction.messages.filter(msg =>
+                    msg.sender === 'participant' || msg.sender === 'chatbot'
+                );
+                
+                totalMessages += exportMessages.length;
+                
+                // Add messages to messages array with additional metadata
+                exportMessages.forEach(msg => {
+                    messages.push({
+                        participant_id: completeParticipant.participant_id,
+                        sender: msg.sender,
+                        text: msg.text,
+                        timestamp: msg.timestamp,
+                        character_count: msg.text ? msg.text.length : 0,
+                        provenance: msg.provenance || msg.metadata?.provenance || null
+                    });
+                });
             }
         }
         
-        // Read all conversation files for additional metadata
-        if (fs.existsSync(conversationsDir)) {
-            const conversationFiles = fs.readdirSync(conversationsDir);
-            for (const file of conversationFiles) {
-                if (file.endsWith('.json')) {
-                    const conversation = readJson(path.join(conversationsDir, file));
-                    if (conversation) {
-                        conversations.push(conversation);
-                    }
-                }
-            }
+        // Read all conversation records for additional metadata
+        for (const conversation of await repository.conversations.list()) {
+            conversations.push(conversation);
         }
         
         // Create consolidated export structure matching your example
@@ -2063,6 +2265,7 @@ app.get('/api/admin/export.json', requireAdmin, (req, res) => {
             }
         };
         
+        res.locals.auditRowCounts = exportData.totals;
         res.json(exportData);
         
     } catch (error) {
@@ -2072,37 +2275,22 @@ app.get('/api/admin/export.json', requireAdmin, (req, res) => {
 });
 
 // Export legacy JSON format (individual arrays)
-app.get('/api/admin/export-legacy.json', requireAdmin, (req, res) => {
+app.get('/api/admin/export-legacy.json', audited('export.legacy_json'), requirePermission(PERMISSIONS.EXPORT_DATA), async (req, res) => {
     try {
         const participants = [];
         const conversations = [];
         
-        // Read all participant files
-        if (fs.existsSync(participantsDir)) {
-            const participantFiles = fs.readdirSync(participantsDir);
-            for (const file of participantFiles) {
-                if (file.endsWith('.json')) {
-                    const participant = readJson(path.join(participantsDir, file));
-                    if (participant) {
-                        participants.push(participant);
-                    }
-                }
-            }
+        // Read all participant records
+        for (const participant of await repository.participants.list()) {
+            participants.push(participant);
         }
         
-        // Read all conversation files
-        if (fs.existsSync(conversationsDir)) {
-            const conversationFiles = fs.readdirSync(conversationsDir);
-            for (const file of conversationFiles) {
-                if (file.endsWith('.json')) {
-                    const conversation = readJson(path.join(conversationsDir, file));
-                    if (conversation) {
-                        conversations.push(conversation);
-                    }
-                }
-            }
+        // Read all conversation records
+        for (const conversation of await repository.conversations.list()) {
+            conversations.push(conversation);
         }
         
+        res.locals.auditRowCounts = { participants: participants.length, conversations: conversations.length };
         res.json({ participants, conversations });
         
     } catch (error) {
@@ -2112,13 +2300,14 @@ app.get('/api/admin/export-legacy.json', requireAdmin, (req, res) => {
 });
 
 // Generate and serve consolidated export file
-app.get('/api/admin/generate-export', requireAdmin, (req, res) => {
+app.get('/api/admin/generate-export', audited('export.generate'), requirePermission(PERMISSIONS.EXPORT_DATA), async (req, res) => {
     try {
         const { generateConsolidatedExport } = require('./generate_export.js');
-        const exportPath = generateConsolidatedExport();
+        const exportPath = await generateConsolidatedExport();
         
         if (exportPath && fs.existsSync(exportPath)) {
             console.log('📤 Serving generated export file:', exportPath);
+            res.locals.auditRowCounts = JSON.parse(fs.readFileSync(exportPath, 'utf8')).totals || null;
             res.download(exportPath, `research-data-export-${new Date().toISOString().split('T')[0]}.json`);
         } else {
             throw new Error('Failed to generate export file');
@@ -2131,20 +2320,12 @@ app.get('/api/admin/generate-export', requireAdmin, (req, res) => {
 });
 
 // Export CSV data
-app.get('/api/admin/export.csv', requireAdmin, (req, res) => {
+app.get('/api/admin/export.csv', audited('export.csv'), requirePermission(PERMISSIONS.EXPORT_DATA), async (req, res) => {
     try {
         // Create participants lookup
         const participantLookup = new Map();
-        if (fs.existsSync(participantsDir)) {
-            const participantFiles = fs.readdirSync(participantsDir);
-            for (const file of participantFiles) {
-                if (file.endsWith('.json')) {
-                    const participant = readJson(path.join(participantsDir, file));
-                    if (participant) {
-                        participantLookup.set(participant.id, participant);
-                    }
-                }
-            }
+        for (const participant of await repository.participants.list()) {
+            participantLookup.set(participant.id, participant);
         }
         
         // CSV header
@@ -2153,37 +2334,31 @@ app.get('/api/admin/export.csv', requireAdmin, (req, res) => {
         ];
         
         // Process conversations
-        if (fs.existsSync(conversationsDir)) {
-            const conversationFiles = fs.readdirSync(conversationsDir);
-            for (const file of conversationFiles) {
-                if (file.endsWith('.json')) {
-                    const conversation = readJson(path.join(conversationsDir, file));
-                    if (conversation && conversation.messages) {
-                        const participant = participantLookup.get(conversation.participantId);
-                        
-                        for (const message of conversation.messages) {
-                            const row = [
-                                escapeCsv(conversation.participantId || ''),
-                                escapeCsv(conversation.id || ''),
-                                escapeCsv(message.timestamp || ''),
-                                escapeCsv(message.role || ''),
-                                escapeCsv(message.content || ''),
-                                participant ? (participant.age || '') : '',
-                                participant ? escapeCsv(participant.gender || '') : '',
-                                participant ? escapeCsv(participant.country || '') : '',
-                                participant ? escapeCsv(participant.education || '') : '',
-                                participant ? escapeCsv(participant.politicalOrientation || '') : '',
-                                participant ? escapeCsv(participant.priorBelief || '') : '',
-                                participant ? escapeCsv(participant.currentBelief || '') : ''
-                            ].join(',');
-                            
-                            csvRows.push(row);
-                        }
-                    }
-                }
+        for (const conversation of await repository.conversations.list()) {
+            if (!conversation.messages) continue;
+            const participant = participantLookup.get(conversation.participantId);
+            
+            for (const message of conversation.messages) {
+                const row = [
+                    escapeCsv(conversation.participantId || ''),
+                    escapeCsv(conversation.id || ''),
+                    escapeCsv(message.timestamp || ''),
+                    escapeCsv(message.role || ''),
+                    escapeCsv(message.content || ''),
+                    participant ? (participant.age || '') : '',
+                    participant ? escapeCsv(participant.gender || '') : '',
+                    participant ? escapeCsv(participant.country || '') : '',
+                    participant ? escapeCsv(participant.education || '') : '',
+                    participant ? escapeCsv(participant.politicalOrientation || '') : '',
+                    participant ? escapeCsv(participant.priorBelief || '') : '',
+                    participant ? escapeCsv(participant.currentBelief || '') : ''
+                ].join(',');
+                
+                csvRows.push(row);
             }
         }
         
+        res.locals.auditRowCounts = { participants: participantLookup.size, messages: csvRows.length - 1 };
         res.setHeader('Content-Type', 'text/csv');
         res.setHeader('Content-Disposition', 'attachment; filename="conversation_export.csv"');
         res.send(csvRows.join('\n'));
@@ -2194,10 +2369,183 @@ app.get('/api/admin/export.csv', requireAdmin, (req, res) => {
     }
 });
 
-// Clear all data endpoint (DANGEROUS - NO SECURITY - DEVELOPMENT ONLY)
-// WARNING: This endpoint has NO authentication. Anyone can delete all data.
-// Can be called simply by visiting the URL in a browser
-app.get('/api/admin/clear-all-data', async (req, res) => {
+// Withdraw one participant: delete their files and rows and keep a tombstone so they cannot take part again
+app.post('/api/admin/participants/withdraw', audited('data.withdraw', {
+    // The audit log is permanent, so it gets the same hashes as the tombstone rather than the identifiers
+    params: req => ({
+        prolificIdHash: hashIdentifier(req.body?.prolific_id),
+        participantIdHash: hashIdentifier(req.body?.participant_id)
+    })
+}), requirePermission(PERMISSIONS.DELETE_DATA), async (req, res) => {
+    try {
+        const prolificId = typeof req.body.prolific_id === 'string' ? req.body.prolific_id.trim() : null;
+        const participantId = typeof req.body.participant_id === 'string' ? req.body.participant_id.trim() : null;
+        if (!prolificId && !participantId) {
+            return res.status(400).json({ error: 'prolific_id or participant_id is required' });
+        }
+
+        const found = await database.findParticipantData({ participantId, prolificId });
+        if (found.participants.length === 0) {
+            if (await withdrawals.isWithdrawn({ prolificId, participantId })) {
+                return res.json({ success: true, alreadyWithdrawn: true });
+            }
+            return res.status(404).json({ error: 'No participant found with that identifier' });
+        }
+
+        // No snapshot, no deletion; the tombstone goes in next so re-entry is blocked even if the deletion is interrupted
+        const snapshot = await snapshots.create({ reason: 'data.withdraw', actor: req.admin.username });
+        await withdrawals.record({
+            participants: found.participants,
+            withdrawnBy: req.admin.username,
+            reason: typeof req.body.reason === 'string' ? req.body.reason : null
+        });
+        const removed = await database.deleteParticipantData(found);
+        removed.modelCalls = await modelUsage.forget(found);
+        found.conversationIds.forEach(id => activeConversations.delete(id));
+        res.locals.auditRowCounts = { participants: found.participants.length, ...removed };
+
+        console.log(`🗑️ Participant withdrawal processed by ${req.admin.username}: ${found.participants.length} participant(s), ${found.conversationIds.length} conversation(s)`);
+        res.json({
+            success: true,
+            withdrawn: found.participants.length,
+            conversations: found.conversationIds.length,
+            removed,
+            snapshot: snapshot.name
+        });
+
+    } catch (error) {
+        console.error('❌ Participant withdrawal failed:', error);
+        res.status(500).json({ success: false, error: 'Participant withdrawal failed', message: error.message });
+    }
+});
+
+// Bot review queue: participants the checks flagged, highest risk first (?status=review|screened_out|all)
+app.get('/api/admin/bot-review', audited('participants.bot_queue'), requirePermission(PERMISSIONS.REVIEW_PARTICIPANTS), async (req, res) => {
+    const status = req.query.status || BOT_STATUSES.REVIEW;
+    if (![BOT_STATUSES.REVIEW, BOT_STATUSES.SCREENED_OUT, 'all'].includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${BOT_STATUSES.REVIEW}, ${BOT_STATUSES.SCREENED_OUT}, all` });
+    }
+    try {
+        const flagged = (await repository.participants.list()).filter(participant => participant.bot_detection);
+        const listed = flagged
+            .filter(participant => (status === BOT_STATUSES.REVIEW ? awaitingReview(participant)
+                : status === 'all' ? participant.bot_detection.status !== BOT_STATUSES.CLEAR
+                    : participant.bot_detection.status === status))
+            .sort((a, b) => b.bot_detection.risk_score - a.bot_detection.risk_score);
+        res.locals.auditRowCounts = { participants: listed.length };
+
+        res.json({
+            status,
+            waiting: flagged.filter(awaitingReview).length,
+            participants: listed.map(participant => ({
+                participant_id: participant.participant_id || participant.id,
+                prolific_id: participant.prolific_id || null,
+                created_at: participant.createdAt || null,
+                disqualified: Boolean(participant.disqualified),
+                current_view: participant.belief_change?.current_view || null,
+                elaboration: participant.belief_change?.elaboration || null,
+                ...participant.bot_detection
+            }))
+        });
+    } catch (error) {
+        console.error('❌ Bot review queue failed:', error);
+        res.status(500).json({ error: 'Could not load the bot review queue', message: error.message });
+    }
+});
+
+// Decide a flagged participant: { decision: "genuine" | "bot", note }
+app.post('/api/admin/bot-review/:participantId', audited('participants.bot_review', {
+    params: req => ({
+        participantIdHash: hashIdentifier(req.params.participantId),
+        decision: req.body?.decision,
+        noted: Boolean(req.body?.note)
+    })
+}), requirePermission(PERMISSIONS.REVIEW_PARTICIPANTS), async (req, res) => {
+    const { decision, note } = req.body || {};
+    if (!Object.values(REVIEW_DECISIONS).includes(decision)) {
+        return res.status(400).json({ error: `decision must be one of: ${Object.values(REVIEW_DECISIONS).join(', ')}` });
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+        return res.status(400).json({ error: 'note must be text' });
+    }
+    try {
+        const participant = await repository.participants.get(req.params.participantId);
+        if (!participant) {
+            return res.status(404).json({ error: 'Participant not found' });
+        }
+        if (!participant.bot_detection || participant.bot_detection.status === BOT_STATUSES.CLEAR) {
+            return res.status(409).json({ error: 'Participant was not flagged by the bot checks' });
+        }
+
+        const updated = applyReview(participant, { decision, reviewer: req.admin.username, note: note || null });
+        await repository.participants.save(updated);
+        res.locals.auditRowCounts = { participants: 1 };
+
+        console.log(`🤖 Bot review of ${req.params.participantId} by ${req.admin.username}: ${decision}`);
+        res.json({ success: true, participant_id: req.params.participantId, disqualified: Boolean(updated.disqualified), bot_detection: updated.bot_detection });
+    } catch (error) {
+        console.error('❌ Bot review failed:', error);
+        res.status(500).json({ success: false, error: 'Bot review failed', message: error.message });
+    }
+});
+
+// Compare the file store with the database: records missing on either side and the fields that differ
+app.get('/api/admin/storage/reconcile', audited('storage.reconcile'), requirePermission(PERMISSIONS.VIEW_DEBUG), async (req, res) => {
+    if (!database.getPrismaClient()) {
+        return res.status(503).json({ error: 'Reconciliation needs the database; run npm run db:reconcile with DATABASE_URL set' });
+    }
+    try {
+        const report = await reconciler.compare();
+        res.locals.auditRowCounts = summarise(report);
+        res.json(report);
+    } catch (error) {
+        console.error('❌ Storage reconciliation failed:', error);
+        res.status(500).json({ error: 'Storage reconciliation failed', message: error.message });
+    }
+});
+
+// Copy missing and differing records to-database or to-files, after a snapshot of both
+app.post('/api/admin/storage/reconcile', audited('storage.repair', {
+    params: req => ({
+        direction: req.body?.direction,
+        idHashes: Array.isArray(req.body?.ids) ? req.body.ids.map(hashIdentifier) : undefined
+    })
+}), requirePermission(PERMISSIONS.DELETE_DATA), async (req, res) => {
+    if (!database.getPrismaClient()) {
+        return res.status(503).json({ error: 'Reconciliation needs the database; run npm run db:reconcile with DATABASE_URL set' });
+    }
+    const { direction, ids } = req.body || {};
+    if (!Object.values(REPAIR_DIRECTIONS).includes(direction)) {
+        return res.status(400).json({ error: `direction must be one of: ${Object.values(REPAIR_DIRECTIONS).join(', ')}` });
+    }
+    if (ids !== undefined && !(Array.isArray(ids) && ids.every(id => typeof id === 'string'))) {
+        return res.status(400).json({ error: 'ids must be an array of participant or session ids' });
+    }
+    try {
+        const snapshot = await snapshots.create({ reason: 'storage.repair', actor: req.admin.username });
+        const repair = await reconciler.repair({ direction, ids });
+        const after = await reconciler.compare();
+        res.locals.auditRowCounts = { repaired: repair.repaired, skipped: repair.skipped.length, errors: repair.errors.length };
+
+        console.log(`🔧 Storage repaired ${direction} by ${req.admin.username}: ${repair.repaired.participants} participant(s), ${repair.repaired.sessions} session(s)`);
+        res.status(repair.errors.length ? 500 : 200).json({
+            success: repair.errors.length === 0,
+            direction,
+            repaired: repair.repaired,
+            skipped: repair.skipped,
+            errors: repair.errors,
+            snapshot: snapshot.name,
+            before: summarise(repair.report),
+            after
+        });
+    } catch (error) {
+        console.error('❌ Storage repair failed:', error);
+        res.status(500).json({ success: false, error: 'Storage repair failed', message: error.message });
+    }
+});
+
+// Clear all data endpoint (DANGEROUS - permanently deletes every participant and conversation)
+app.get('/api/admin/clear-all-data', audited('data.clear'), requirePermission(PERMISSIONS.DELETE_DATA), async (req, res) => {
     try {
         // Additional safety check - require confirmation parameter
         const { confirm } = req.query;
@@ -2209,17 +2557,36 @@ app.get('/api/admin/clear-all-data', async (req, res) => {
             });
         }
 
-        console.log('🚨 ADMIN DATA CLEAR INITIATED - All research data will be deleted');
+        console.log(`🚨 ADMIN DATA CLEAR INITIATED by ${req.admin.username} - All research data will be deleted`);
+        
+        // Record the intent before deleting anything; no audit entry, no deletion
+        await auditLog.append({
+            action: 'data.clear.started',
+            actor: req.admin,
+            method: req.method,
+            route: req.path,
+            params: req.query,
+            ip: req.ip
+        });
+        
+        // Snapshot everything first; if it cannot be taken nothing is deleted
+        const snapshot = await snapshots.create({ reason: 'data.clear', actor: req.admin.username });
         
         // Import the clear function from database
         const database = require('./database');
         const result = await database.clearAllData();
+        // Model usage records keep their token counts for the cost report, but no longer name anyone
+        result.modelCalls = await modelUsage.forgetAll();
+        // Allocation starts again at the first slot of a fresh block in every stratum
+        randomiser.reset();
+        res.locals.auditRowCounts = result.summary || result.files_cleared || result;
         
         if (result.success) {
             console.log('🗑️ All data successfully cleared by admin');
             res.json({
                 success: true,
                 message: 'All research data has been permanently deleted',
+                snapshot: snapshot.name,
                 ...result
             });
         } else {
@@ -2250,51 +2617,13 @@ function escapeCsv(str) {
 }
 
 // Summary generation functions for safety net (fallback endpoints)
-function fallbackHasExistingSummary(messages) {
-  // Check if conversation already has a structured summary from the chatbot
-  if (!messages || messages.length === 0) return false;
-  
-  // Look for assistant messages that contain bullet points or summary indicators
-  const assistantMessages = messages.filter(msg => msg.role === 'assistant');
-  
-  for (const msg of assistantMessages.slice(-5)) { // Check last 5 assistant messages
-    const content = msg.content || '';
-    
-    // Check for bullet point patterns
-    if (content.includes('•') || content.includes('*') || content.includes('-')) {
-      // Check if it has summary-like structure (multiple points)
-      const bulletMatches = content.match(/[•\*\-]/g);
-      if (bulletMatches && bulletMatches.length >= 2) {
-        console.log('✓ Found existing fallback summary with bullet points');
-        return true;
-      }
-    }
-    
-    // Check for summary keywords
-    if (content.toLowerCase().includes('summarize') ||
-        content.toLowerCase().includes('summary') ||
-        content.toLowerCase().includes('key themes') ||
-        content.toLowerCase().includes('based on our conversation')) {
-      console.log('✓ Found existing fallback summary with keywords');
-      return true;
-    }
-  }
-  
-  console.log('✗ No existing fallback summary found in conversation');
-  return false;
-}
-
-function fallbackGenerateSummary(messages, participantId) {
+async function fallbackGenerateSummary(messages, participantId) {
   try {
     // Load participant data for context
-    const participantFile = path.join(participantsDir, `${participantId}.json`);
-    const participant = readJson(participantFile);
+    const participant = await repository.participants.get(participantId);
     
     // Generate a basic summary from participant messages
-    const userMessages = messages.filter(msg => msg.role === 'user' &&
-      msg.content &&
-      msg.content.trim().length > 10 &&
-      !msg.content.toLowerCase().includes('end the chat'));
+    const userMessages = messages.filter(isSummarySource);
     
     const summaryPoints = [];
     
@@ -2409,44 +2738,40 @@ function fallbackGenerateSummary(messages, participantId) {
 
 async function fallbackEnsureConversationSummary(conversationId, participantId) {
   try {
-    const filename = path.join(conversationsDir, `${conversationId}.json`);
-    const conversationData = readJson(filename);
+    const conversationData = await repository.conversations.get(conversationId);
     
     if (!conversationData) {
       console.error('Could not load conversation data for summary generation');
       return;
     }
     
-    const messages = conversationData.messages || [];
-    
-    // Check if conversation already has a proper summary
-    if (fallbackHasExistingSummary(messages)) {
+    // The model's one-minute summary, or one from an earlier call, is already on the record
+    if (hasSummary(conversationData)) {
       console.log('Fallback conversation already has summary, no action needed');
       return;
     }
     
-    // Generate fallback summary
-    const summaryPoints = fallbackGenerateSummary(messages, participantId);
+    const messages = conversationData.messages || [];
     
-    // Format as bullet points with proper spacing
-    const summaryText = `Thank you for sharing your story with me. Let me summarize the key themes from our conversation:
-
-${summaryPoints.map(point => `• ${point}`).join('\n\n')}
-
-This covers the main points we discussed about your belief change journey.`;
+    // Generate fallback summary
+    const summaryPoints = await fallbackGenerateSummary(messages, participantId);
+    const summary = buildSummary({
+      bullets: summaryPoints,
+      generator: SUMMARY_GENERATORS.FALLBACK,
+      sourceMessageIds: turnIds(conversationId, messages, isSummarySource),
+      messageId: nextMessageId(conversationId, messages)
+    });
 
     // Add the summary as a final assistant message
     const summaryMessage = {
       role: "assistant",
-      content: summaryText,
+      content: formatSummaryMessage(summary.bullets),
       timestamp: new Date().toISOString(),
       generated_summary: true // Flag to indicate this was auto-generated
     };
     
-    conversationData.messages.push(summaryMessage);
-    
-    // Save updated conversation using data access layer
-    await dataAccess.saveSession(conversationData);
+    // Save updated conversation with the summary record attached
+    await repository.conversations.save({ ...conversationData, messages: [...messages, summaryMessage], summary });
     
     console.log('✓ Generated and saved fallback summary for conversation:', conversationId);
     
@@ -2456,23 +2781,37 @@ This covers the main points we discussed about your belief change journey.`;
   }
 }
 
-// Initialize OpenAI client (works with OpenRouter too)
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-    baseURL: process.env.OPENAI_API_KEY?.startsWith('sk-or-')
-        ? 'https://openrouter.ai/api/v1'
-        : 'https://api.openai.com/v1'
-});
+// SHA-256 of a prompt text (same digest as promptRegistry.hashText)
+function hashPromptText(text) {
+    return crypto.createHash('sha256').update(text || '').digest('hex');
+}
 
-// Real OpenAI API integration with timeout handling
-async function generateAIResponse(messages, systemPrompt) {
+// LLM provider integration with timeout handling.
+// Returns { content, model, usage, latencyMs, sampling, fallback } so the reply's provenance can be stored with it;
+// `call` is the attribution recorded with the model call's usage.
+async function generateAIReply(messages, systemPrompt, call = {}) {
     const API_TIMEOUT = 25000; // 25 seconds - well under typical PaaS 30s timeout
+    const provider = llmProvider.getProvider();
+    const sampling = llmProvider.samplingParams({
+        maxTokens: 150,
+        temperature: 0.7,
+        topP: 1,
+        frequencyPenalty: 0,
+        presencePenalty: 0
+    });
+    let startTime = null;
+    let completion = null;
     
     try {
-        // Check if OpenAI API key is configured
-        if (!process.env.OPENAI_API_KEY) {
-            console.error('OpenAI API key not configured. Using fallback response.');
-            return "I'm here to help you explore your thoughts about climate change. Could you tell me more about your perspective?";
+        // Check if an LLM provider is configured
+        if (!provider.isConfigured()) {
+            console.error('LLM provider not configured. Using fallback response.');
+            return {
+                content: "I'm here to help you explore your thoughts about climate change. Could you tell me more about your perspective?",
+                model: null,
+                sampling: null,
+                fallback: true
+            };
         }
 
         // Convert conversation messages to OpenAI format
@@ -2493,49 +2832,54 @@ async function generateAIResponse(messages, systemPrompt) {
             }
         }
 
-        console.log('Sending request to OpenAI with', openaiMessages.length, 'messages');
-        const startTime = Date.now();
+        console.log(`Sending request to ${provider.name} provider with`, openaiMessages.length, 'messages');
+        startTime = Date.now();
 
         // Create timeout promise
         const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('OpenAI API timeout')), API_TIMEOUT)
+            setTimeout(() => reject(new Error('LLM provider timeout')), API_TIMEOUT)
         );
 
-        // Call OpenAI API with timeout
-        const apiPromise = openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: openaiMessages,
-            max_tokens: 150,
-            temperature: 0.7,
-            top_p: 1,
-            frequency_penalty: 0,
-            presence_penalty: 0
+        // Call the provider with timeout
+        const apiPromise = provider.chat(openaiMessages, {
+            ...sampling,
+            timeoutMs: API_TIMEOUT
         });
 
-        const completion = await Promise.race([apiPromise, timeoutPromise]);
+        completion = await Promise.race([apiPromise, timeoutPromise]);
         const duration = Date.now() - startTime;
+        await recordModelCall(call, provider, completion, startTime);
 
-        const response = completion.choices[0]?.message?.content?.trim();
+        const response = completion.content;
         
         if (!response) {
-            throw new Error('No response received from OpenAI');
+            throw new Error(`No response received from ${provider.name} provider`);
         }
 
-        console.log(`OpenAI response received (${duration}ms):`, response.substring(0, 100) + '...');
-        return response;
+        console.log(`${provider.name} response received (${duration}ms):`, response.substring(0, 100) + '...');
+        return {
+            content: response,
+            model: completion.model || provider.model,
+            usage: completion.usage || null,
+            latencyMs: duration,
+            sampling,
+            fallback: false
+        };
 
     } catch (error) {
-        const duration = Date.now() - (Date.now() - API_TIMEOUT);
-        console.error(`Error calling OpenAI API (${duration}ms):`, error.message);
+        console.error(`Error calling ${provider.name} provider:`, error.message);
+        if (startTime && !completion) {
+            await recordModelCall(call, provider, null, startTime, error);
+        }
         
         // Specific error handling for timeouts and connection issues
         if (error.message.includes('timeout') || error.message.includes('ECONNRESET') || error.message.includes('ENOTFOUND')) {
-            console.warn('OpenAI API connection issue detected, using fallback');
+            console.warn('LLM provider connection issue detected, using fallback');
         }
         
         // Intelligent fallback response system
-        console.log('Using fallback response due to OpenAI error');
-        return generateIntelligentFallback(messages);
+        console.log('Using fallback response due to LLM provider error');
+        return { content: generateIntelligentFallback(messages), model: null, sampling, fallback: true };
     }
 }
 
@@ -2573,7 +2917,8 @@ function generateIntelligentFallback(messages) {
             "I can see this is something you've thought about. Could you tell me more about what factors were most important to you?",
             "Thank you for sharing that perspective. Are there particular aspects of this issue that you find most compelling?"
         ];
-        return earlyResponses[Math.floor(Math.random() * earlyResponses.length)];
+        // Rotate by turn rather than picking at random so replayed conversations are reproducible
+        return earlyResponses[conversationLength % earlyResponses.length];
     } else {
         // Later conversation - deeper exploration
         const laterResponses = [
@@ -2582,7 +2927,7 @@ function generateIntelligentFallback(messages) {
             "That's interesting. How has your thinking evolved as you've learned more about this topic?",
             "Thank you for that insight. What would you say to someone who holds the opposite view?"
         ];
-        return laterResponses[Math.floor(Math.random() * laterResponses.length)];
+        return laterResponses[conversationLength % laterResponses.length];
     }
 }
 
@@ -2629,11 +2974,14 @@ async function startServer() {
     
     try {
         // Step 1: Initialize database schema
-        console.log('🗃️ Initializing database...');
+        console.log(`🗃️ Storage backend: ${database.storageBackend}`);
         const dbInitialized = await database.initializeDatabase();
         
-        // Step 2: Test database connection
+        // Step 2: Test database connection (there is no file fallback on the postgres backend)
         const dbAvailable = await database.isDatabaseAvailable();
+        if (database.storageBackend === 'postgres' && !(dbInitialized && dbAvailable)) {
+            throw new Error('STORAGE_BACKEND is postgres but the database is unavailable');
+        }
         if (dbAvailable) {
             console.log('✅ Database connection verified');
             
@@ -2643,7 +2991,7 @@ async function startServer() {
                 console.log(`📊 Database stats: ${stats.tables.participants.count} participants, ${stats.tables.sessions.count} sessions, ${stats.tables.messages.count} messages`);
             }
         } else {
-            console.log('⚠️ Database unavailable - using file storage fallback');
+            console.log('📁 Using file storage');
         }
         
         // Step 3: Start Express server
@@ -2652,6 +3000,7 @@ async function startServer() {
             console.log('✅ Health endpoint mounted at GET /health');
             console.log('✅ Database stats endpoint mounted at GET /api/database-stats');
             console.log('✅ Database export endpoint mounted at GET /export/database');
+            console.log(`⏱️ Chat duration: ${CHAT_DURATION_MS / 1000} seconds (server-enforced)`);
             
             if (process.env.NODE_ENV !== 'production') {
                 console.log('🔧 Debug endpoints available (development only)');
@@ -2659,11 +3008,19 @@ async function startServer() {
             }
         });
         
+        // End conversations left open after their deadline (tab closed before /end was sent)
+        const sessionSweeper = startSessionSweeper({ listOpenConversations, endConversation });
+        
+        // Retry database writes that failed and were queued in the outbox
+        const outboxWorker = database.outbox ? startOutboxWorker({ repository }) : null;
+        
         // Step 4: Setup graceful shutdown
         const gracefulShutdown = async (signal) => {
             console.log(`\n📤 Received ${signal}, shutting down gracefully...`);
             
             // Close Express server
+            sessionSweeper.stop();
+            if (outboxWorker) outboxWorker.stop();
             server.close(() => {
                 console.log('✅ Express server closed');
             });
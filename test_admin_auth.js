@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/**
+ * Test role-based admin authentication (lib/adminAuth.js)
+ *
+ * Checks password hashing, token signing and the role permissions, then runs
+ * the server in this process with one account per role and verifies that
+ * admin, debug and export routes need a token with the right permission, that
+ * failed logins lock the account out (and are forgotten once the lockout has
+ * passed, so arbitrary usernames cannot grow the table), and that disabling an
+ * account revokes its token straight away. Test accounts are removed from
+ * data/admin_users.json afterwards.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PORT = process.env.ADMIN_AUTH_TEST_PORT || 3921;
+const BASE_URL = `http://localhost:${PORT}`;
+const SECRET = 'admin-auth-test-secret';
+
+process.env.PORT = String(PORT);
+process.env.LLM_PROVIDER = 'mock';
+process.env.ADMIN_AUTH_SECRET = SECRET;
+process.env.CHAT_SWEEP_INTERVAL_MS = '0';
+delete process.env.DATABASE_URL; // File storage only
+
+const {
+    PERMISSIONS, AdminStore, createAdminAuth, hasPermission, hashPassword, verifyPassword, issueToken, verifyToken
+} = require('./lib/adminAuth');
+const { createChecks } = require('./testing/checks');
+
+const ADMIN_FILE = path.join(__dirname, 'data', 'admin_users.json');
+const RUN = Date.now().toString(36);
+const PASSWORD = 'correct horse battery staple';
+const users = {
+    viewer: `test-viewer-${RUN}`,
+    exporter: `test-exporter-${RUN}`,
+    steward: `test-steward-${RUN}`,
+    locked: `test-locked-${RUN}`
+};
+
+const checks = createChecks('admin auth');
+const { check } = checks;
+
+async function request(method, route, { token, body } = {}) {
+    const response = await fetch(`${BASE_URL}${route}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    return { status: response.status, data };
+}
+
+async function waitForServer(timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            const response = await fetch(`${BASE_URL}/health`);
+            if (response.ok) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error('Server did not become healthy in time');
+}
+
+async function login(username, password = PASSWORD) {
+    return request('POST', '/api/admin/login', { body: { username, password } });
+}
+
+async function testPrimitives() {
+    console.log('🧪 Testing hashing, tokens and roles...\n');
+
+    const hash = await hashPassword(PASSWORD);
+    check('Password hash is salted scrypt', hash.startsWith('scrypt$') && hash !== await hashPassword(PASSWORD));
+    check('Correct password verifies', await verifyPassword(PASSWORD, hash));
+    check('Wrong password fails', !await verifyPassword('correct horse battery stapler', hash));
+    check('Short passwords are rejected', await hashPassword('short').then(() => false, () => true));
+
+    const { token } = issueToken({ id: 'a1', username: 'someone' }, SECRET, Date.now(), 60000);
+    check('Token verifies with the secret', verifyToken(token, SECRET)?.sub === 'a1');
+    check('Token fails with another secret', verifyToken(token, 'other-secret') === null);
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: 'a2' })).toString('base64url');
+    check('Edited token payload fails', verifyToken(`${forged}.${signature}`, SECRET) === null);
+    check('Expired token fails', verifyToken(issueToken({ id: 'a1' }, SECRET, Date.now() - 120000, 60000).token, SECRET) === null);
+
+    check('Viewers cannot export', !hasPermission('viewer', PERMISSIONS.EXPORT_DATA));
+    check('Exporters can export but not delete',
+        hasPermission('exporter', PERMISSIONS.EXPORT_DATA) && !hasPermission('exporter', PERMISSIONS.DELETE_DATA));
+    check('Data stewards can delete data and manage admins',
+        hasPermission('data-steward', PERMISSIONS.DELETE_DATA) && hasPermission('data-steward', PERMISSIONS.MANAGE_ADMINS));
+    check('Unknown roles have no permissions', !hasPermission('superuser', PERMISSIONS.VIEW_STATS));
+}
+
+// Failed logins for names that are not accounts must not pile up in memory
+async function testFailureTracking() {
+    const auth = createAdminAuth({ store: { findByUsername: async () => null }, secret: SECRET, maxFailures: 2, lockoutMs: 200, maxTracked: 3 });
+    const attempt = username => auth.login(username, 'not the password at all').then(() => 200, error => error.status);
+
+    await attempt('nobody-1');
+    await attempt('nobody-1');
+    check('Failures for an unknown username lock it out too', await attempt('nobody-1') === 429);
+    await new Promise(resolve => setTimeout(resolve, 250));
+    check('Failures are forgotten once the lockout has passed', await attempt('nobody-2') === 401 && auth.trackedFailures() === 1);
+    check('A username starts over after its lockout', await attempt('nobody-1') === 401 && await attempt('nobody-1') === 401);
+
+    for (let i = 3; i <= 6; i++) await attempt(`nobody-${i}`);
+    check('Only the most recent usernames with failures are kept', auth.trackedFailures() === 3);
+}
+
+async function testRoutes() {
+    console.log(`\n🧪 Testing admin routes against ${BASE_URL}...\n`);
+
+    const store = new AdminStore({ file: ADMIN_FILE });
+    await store.create({ username: users.viewer, password: PASSWORD, role: 'viewer' });
+    await store.create({ username: users.exporter, password: PASSWORD, role: 'exporter' });
+    await store.create({ username: users.steward, password: PASSWORD, role: 'data-steward' });
+    await store.create({ username: users.locked, password: PASSWORD, role: 'viewer' });
+
+    require('./server.js');
+    await waitForServer();
+
+    for (const route of ['/api/admin/export.json', '/export/database', '/debug/data', '/api/database-stats', '/api/admin/clear-all-data']) {
+        check(`${route} needs a login`, (await request('GET', route)).status === 401);
+    }
+
+    const wrong = await login(users.viewer, 'not the password at all');
+    check('Wrong password is refused', wrong.status === 401 && !wrong.data.token);
+    const unknown = await login(`nobody-${RUN}`);
+    check('Unknown user gets the same answer', unknown.status === 401 && unknown.data.error === wrong.data.error);
+
+    const viewer = (await login(users.viewer)).data;
+    const exporter = (await login(users.exporter)).data;
+    const steward = (await login(users.steward)).data;
+    check('Login returns a token and the role', Boolean(viewer.token) && viewer.admin?.role === 'viewer' && !viewer.admin.passwordHash);
+    check('/api/admin/me returns the account', (await request('GET', '/api/admin/me', { token: exporter.token })).data.admin?.username === users.exporter);
+    check('Tampered token is refused', (await request('GET', '/debug/data', { token: `${viewer.token}x` })).status === 401);
+
+    check('Viewer can read the debug listing', (await request('GET', '/debug/data', { token: viewer.token })).status === 200);
+    check('Viewer can list prompts', (await request('GET', '/api/prompts', { token: viewer.token })).status === 200);
+    check('Viewer cannot export', (await request('GET', '/api/admin/export.json', { token: viewer.token })).status === 403);
+    check('Exporter can export', (await request('GET', '/api/admin/export.json', { token: exporter.token })).status === 200);
+    check('Exporter cannot clear data', (await request('GET', '/api/admin/clear-all-data', { token: exporter.token })).status === 403);
+    check('Exporter cannot manage admins', (await request('GET', '/api/admin/users', { token: exporter.token })).status === 403);
+    // Without ?confirm the steward passes the permission check and gets the confirmation error
+    check('Data steward reaches the clear-data confirmation', (await request('GET', '/api/admin/clear-all-data', { token: steward.token })).status === 400);
+    check('Exporter cannot repair storage', (await request('POST', '/api/admin/storage/reconcile', { token: exporter.token })).status === 403);
+    check('Storage reconciliation needs the database', (await request('GET', '/api/admin/storage/reconcile', { token: steward.token })).status === 503);
+
+    const created = await request('POST', '/api/admin/users', {
+        token: steward.token,
+        body: { username: `test-created-${RUN}`, password: PASSWORD, role: 'exporter' }
+    });
+    check('Data steward can create an account', created.status === 201 && created.data.admin?.role === 'exporter');
+    check('Duplicate usernames are refused', (await request('POST', '/api/admin/users', {
+        token: steward.token,
+        body: { username: `test-created-${RUN}`, password: PASSWORD, role: 'exporter' }
+    })).status === 409);
+    check('Unknown roles are refused', (await request('POST', '/api/admin/users', {
+        token: steward.token,
+        body: { username: `test-other-${RUN}`, password: PASSWORD, role: 'owner' }
+    })).status === 400);
+    check('Data steward cannot disable themselves', (await request('PATCH', `/api/admin/users/${users.steward}`, {
+        token: steward.token,
+        body: { disabled: true }
+    })).status === 400);
+
+    const disabled = await request('PATCH', `/api/admin/users/${users.viewer}`, { token: steward.token, body: { disabled: true } });
+    check('Data steward can disable an account', disabled.status === 200 && disabled.data.admin?.disabled === true);
+    check('Disabled account token stops working', (await request('GET', '/debug/data', { token: viewer.token })).status === 401);
+    check('Disabled account cannot log in', (await login(users.viewer)).status === 401);
+
+    await request('PATCH', `/api/admin/users/${users.exporter}`, { token: steward.token, body: { role: 'viewer' } });
+    check('Role changes apply to existing tokens', (await request('GET', '/api/admin/export.json', { token: exporter.token })).status === 403);
+
+    for (let i = 0; i < 5; i++) await login(users.locked, 'not the password at all');
+    check('Repeated failures lock the account out', (await login(users.locked)).status === 429);
+}
+
+function removeTestAccounts() {
+    if (!fs.existsSync(ADMIN_FILE)) return;
+    const remaining = JSON.parse(fs.readFileSync(ADMIN_FILE, 'utf8')).filter(admin => !admin.username.endsWith(`-${RUN}`));
+    if (remaining.length) fs.writeFileSync(ADMIN_FILE, JSON.stringify(remaining, null, 2));
+    else fs.unlinkSync(ADMIN_FILE);
+}
+
+async function runTest() {
+    try {
+        await testPrimitives();
+        await testFailureTracking();
+        await testRoutes();
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        removeTestAccounts();
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
@@ -1,8 +1,8 @@
 async function testAdminEndpoints() {
     console.log('Testing secured admin endpoints...');
-    
+
     try {
-        // Test 1: Access without token (should fail)
+        // Test 1: Access without token (should fail with 401)
         console.log('\n1. Testing /api/admin/export.json without token...');
         const noTokenResponse = await fetch('http://localhost:3000/api/admin/export.json');
         console.log('Status:', noTokenResponse.status);
@@ -10,12 +10,12 @@ async function testAdminEndpoints() {
             const errorData = await noTokenResponse.json();
             console.log('Error response:', errorData);
         }
-        
-        // Test 2: Access with wrong token (should fail)
+
+        // Test 2: Access with a token that was not issued by /api/admin/login (should fail with 401)
         console.log('\n2. Testing /api/admin/export.json with wrong token...');
         const wrongTokenResponse = await fetch('http://localhost:3000/api/admin/export.json', {
             headers: {
-                'x-admin-token': 'wrong-token'
+                'Authorization': 'Bearer wrong-token'
             }
         });
         console.log('Status:', wrongTokenResponse.status);
@@ -23,36 +23,39 @@ async function testAdminEndpoints() {
             const errorData = await wrongTokenResponse.json();
             console.log('Error response:', errorData);
         }
-        
-        // Test 3: Test when ADMIN_TOKEN is not configured (should fail)
-        console.log('\n3. Testing when ADMIN_TOKEN is not configured...');
-        // Since .env probably doesn't have ADMIN_TOKEN set, this should return the "not configured" error
-        const noConfigResponse = await fetch('http://localhost:3000/api/admin/export.json', {
+
+        // Test 3: Login with unknown credentials (should fail with 401, or 503 if ADMIN_AUTH_SECRET is not configured)
+        console.log('\n3. Testing /api/admin/login with unknown credentials...');
+        const loginResponse = await fetch('http://localhost:3000/api/admin/login', {
+            method: 'POST',
             headers: {
-                'x-admin-token': 'any-token'
-            }
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ username: 'nobody', password: 'not-a-real-password' })
         });
-        console.log('Status:', noConfigResponse.status);
-        if (!noConfigResponse.ok) {
-            const errorData = await noConfigResponse.json();
+        console.log('Status:', loginResponse.status);
+        if (!loginResponse.ok) {
+            const errorData = await loginResponse.json();
             console.log('Error response:', errorData);
         }
-        
-        // Test 4: CSV endpoint security
-        console.log('\n4. Testing /api/admin/export.csv security...');
-        const csvResponse = await fetch('http://localhost:3000/api/admin/export.csv');
-        console.log('Status:', csvResponse.status);
-        if (!csvResponse.ok) {
-            const errorData = await csvResponse.json();
-            console.log('Error response:', errorData);
+
+        // Test 4: CSV, database export, debug and clear-data endpoint security
+        for (const route of ['/api/admin/export.csv', '/export/database', '/debug/data', '/api/admin/clear-all-data']) {
+            console.log(`\n4. Testing ${route} security...`);
+            const response = await fetch(`http://localhost:3000${route}`);
+            console.log('Status:', response.status);
+            if (!response.ok) {
+                const errorData = await response.json();
+                console.log('Error response:', errorData);
+            }
         }
-        
+
         console.log('\n✅ Admin endpoint security tests completed!');
-        console.log('All endpoints are properly secured with the new requireAdmin middleware.');
-        
+        console.log('All endpoints are secured with requirePermission (see test_admin_auth.js for the role checks).');
+
     } catch (error) {
         console.error('Test failed:', error);
     }
 }
 
-testAdminEndpoints();
\ No newline at end of file
+testAdminEndpoints();
@@ -0,0 +1,68 @@
+// Test script for per-conversation anti-loop state in onTopic.js
+// Two interleaved conversations must not share repetition/event state, and the
+// state must survive an in-memory reset by reloading from ConversationState.metadata.
+
+import { createChecks } from './testing/checks.js';
+
+// Minimal in-memory stand-in for the ConversationState table
+const rows = new Map();
+global.db = {
+  prisma: {
+    conversationState: {
+      async findUnique({ where }) {
+        return rows.get(where.conversationId) || null;
+      },
+      async upsert({ where, update, create }) {
+        const row = { ...(rows.get(where.conversationId) || create), ...update, conversationId: where.conversationId };
+        rows.set(where.conversationId, JSON.parse(JSON.stringify(row)));
+        return row;
+      }
+    }
+  }
+};
+
+const {
+  trackUserResponse,
+  detectRepetition,
+  isQuestionBlocked,
+  getConversationState,
+  resetConversationState,
+  loadConversationState,
+  persistConversationState,
+  releaseConversationState
+} = await import('./backend/src/utils/onTopic.js');
+const { conversationStateManager } = await import('./backend/src/utils/conversationStateManager.js');
+
+const checks = createChecks('anti-loop state');
+const { check } = checks;
+
+console.log('🧪 Testing per-conversation anti-loop state...\n');
+
+const convA = 'anti-loop-a';
+const convB = 'anti-loop-b';
+resetConversationState(convA);
+resetConversationState(convB);
+
+// Conversation A names the same event twice; B talks about something else
+trackUserResponse(convA, 'The bushfire was what changed my mind');
+trackUserResponse(convB, 'I read some research papers last year');
+trackUserResponse(convA, 'It was the bushfire, definitely the bushfire');
+
+check('Conversation A has a confirmed event', getConversationState(convA).eventConfirmed === true);
+check('Conversation B is unaffected by A', getConversationState(convB).eventConfirmed === false);
+check('Event questions are blocked for A only',
+  isQuestionBlocked(convA, 'ask_event') && !isQuestionBlocked(convB, 'ask_event'));
+check('Repetition in B does not consider A\'s answers',
+  detectRepetition(convB, 'It was the bushfire, definitely the bushfire') === false);
+
+// Persist, drop both caches (simulating another instance), then reload
+await persistConversationState(convA);
+releaseConversationState(convA);
+conversationStateManager.cache.clear();
+
+const reloaded = await loadConversationState(convA);
+check('State is reloaded from ConversationState.metadata', reloaded.eventConfirmed === true);
+check('Tracked answers survive the reload', reloaded.userAnswers.length === 2);
+check('Metadata is stored under antiLoop', Boolean(rows.get(convA)?.metadata?.antiLoop));
+
+process.exit(checks.report() ? 0 : 1);
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * Test the hash-chained audit log (lib/auditLog.js)
+ *
+ * Builds a chain in a temporary file and checks that editing, deleting and
+ * reordering entries are all detected, then runs the server in this process
+ * and verifies that logins, exports and refused requests are recorded with the
+ * actor, row counts and redacted parameters, and that /api/admin/audit/verify
+ * reports the chain as intact.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PORT = process.env.AUDIT_TEST_PORT || 3922;
+const BASE_URL = `http://localhost:${PORT}`;
+
+process.env.PORT = String(PORT);
+process.env.LLM_PROVIDER = 'mock';
+process.env.ADMIN_AUTH_SECRET = 'audit-test-secret';
+process.env.CHAT_SWEEP_INTERVAL_MS = '0';
+delete process.env.DATABASE_URL; // File storage only
+
+const { GENESIS_HASH, canonicalJson, redactParams, verifyChain, AuditLog } = require('./lib/auditLog');
+const { AdminStore } = require('./lib/adminAuth');
+const { createChecks } = require('./testing/checks');
+
+const ADMIN_FILE = path.join(__dirname, 'data', 'admin_users.json');
+const RUN = Date.now().toString(36);
+const PASSWORD = 'correct horse battery staple';
+const users = { steward: `test-audit-steward-${RUN}`, viewer: `test-audit-viewer-${RUN}` };
+
+const checks = createChecks('audit log');
+const { check } = checks;
+
+async function request(method, route, { token, body } = {}) {
+    const response = await fetch(`${BASE_URL}${route}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    return { status: response.status, data };
+}
+
+async function waitForServer(timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            const response = await fetch(`${BASE_URL}/health`);
+            if (response.ok) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error('Server did not become healthy in time');
+}
+
+// Audit entries are written when the response finishes, so give them a moment
+const settle = () => new Promise(resolve => setTimeout(resolve, 200));
+
+async function testChain() {
+    console.log('🧪 Testing the hash chain...\n');
+
+    check('Canonical JSON ignores key order', canonicalJson({ b: 1, a: { d: 2, c: 3 } }) === canonicalJson({ a: { c: 3, d: 2 }, b: 1 }));
+    const redacted = redactParams({ username: 'alice', password: 'hunter2hunter2', nested: { token: 'abc' } });
+    check('Passwords and tokens are redacted', redacted.username === 'alice' && redacted.password === '[redacted]' && redacted.nested.token === '[redacted]');
+
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-')), 'audit_log.jsonl');
+    const log = new AuditLog({ file });
+    await Promise.all([
+        log.append({ action: 'export.json', actor: { username: 'alice', role: 'exporter' }, status: 200, rowCounts: { participants: 3 } }),
+        log.append({ action: 'export.csv', actor: { username: 'alice', role: 'exporter' }, status: 200 }),
+        log.append({ action: 'data.clear', actor: { username: 'bob', role: 'data-steward' }, status: 200 })
+    ]);
+
+    const entries = log.readFile();
+    check('Concurrent appends get consecutive sequence numbers', entries.map(e => e.seq).join() === '1,2,3');
+    check('First entry links to the genesis hash', entries[0].prevHash === GENESIS_HASH);
+    check('Each entry links to the previous hash', entries[1].prevHash === entries[0].hash && entries[2].prevHash === entries[1].hash);
+    const intact = await log.verify();
+    check('Intact chain verifies', intact.valid && intact.entries === 3 && intact.headHash === entries[2].hash);
+
+    const edited = entries.map(e => ({ ...e }));
+    edited[1].actor = 'mallory';
+    check('Edited entry is detected', verifyChain(edited).brokenAt === 2);
+    check('Deleted entry is detected', verifyChain([entries[0], entries[2]]).brokenAt === 3);
+    check('Reordered entries are detected', !verifyChain([entries[1], entries[0], entries[2]]).valid);
+    const rehashed = entries.map(e => ({ ...e }));
+    rehashed[0].rowCounts = { participants: 0 };
+    rehashed[0].hash = require('./lib/auditLog').hashEntry(rehashed[0]);
+    check('Re-hashing an edited entry breaks the next link', verifyChain(rehashed).brokenAt === 2);
+
+    const filtered = await log.list({ actor: 'alice' });
+    check('Entries can be filtered by actor, newest first', filtered.total === 2 && filtered.entries[0].action === 'export.csv');
+
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+}
+
+async function testServerAudit() {
+    console.log(`\n🧪 Testing audited admin routes against ${BASE_URL}...\n`);
+
+    const store = new AdminStore({ file: ADMIN_FILE });
+    await store.create({ username: users.steward, password: PASSWORD, role: 'data-steward' });
+    await store.create({ username: users.viewer, password: PASSWORD, role: 'viewer' });
+
+    require('./server.js');
+    await waitForServer();
+
+    await request('POST', '/api/admin/login', { body: { username: users.viewer, password: 'not the password at all' } });
+    const steward = (await request('POST', '/api/admin/login', { body: { username: users.steward, password: PASSWORD } })).data;
+    const viewer = (await request('POST', '/api/admin/login', { body: { username: users.viewer, password: PASSWORD } })).data;
+    const exported = await request('GET', '/api/admin/export.json', { token: steward.token });
+    await request('GET', '/api/admin/export.json', { token: viewer.token });
+    await request('GET', '/api/admin/clear-all-data', { token: viewer.token });
+    await settle();
+
+    const { data: stewardLog } = await request('GET', `/api/admin/audit?actor=${users.steward}`, { token: steward.token });
+    const login = stewardLog.entries?.find(e => e.action === 'admin.login');
+    check('Successful login is recorded with the actor', login?.status === 200 && login.actorRole === 'data-steward');
+    check('Login password is not stored', login?.params?.password === '[redacted]');
+    const exportEntry = stewardLog.entries?.find(e => e.action === 'export.json');
+    check('Export is recorded with its row counts',
+        exportEntry?.status === 200 && exportEntry.rowCounts?.participants === exported.data.totals?.participants);
+    check('Entries record route, method and IP', exportEntry?.route === '/api/admin/export.json' && exportEntry.method === 'GET' && Boolean(exportEntry.ip));
+
+    const { data: viewerLog } = await request('GET', `/api/admin/audit?actor=${users.viewer}`, { token: steward.token });
+    check('Refused export is recorded', viewerLog.entries?.some(e => e.action === 'export.json' && e.status === 403));
+    check('Refused data clear is recorded', viewerLog.entries?.some(e => e.action === 'data.clear' && e.status === 403));
+    const { data: loginLog } = await request('GET', '/api/admin/audit?action=admin.login&limit=50', { token: steward.token });
+    check('Failed login is recorded with the attempted username',
+        loginLog.entries?.some(e => e.status === 401 && e.params?.username === users.viewer));
+
+    check('Viewers cannot read the audit log', (await request('GET', '/api/admin/audit', { token: viewer.token })).status === 403);
+    const { data: verified } = await request('GET', '/api/admin/audit/verify', { token: steward.token });
+    check('Audit chain verifies', verified.valid === true && verified.entries > 0 && /^[0-9a-f]{64}$/.test(verified.headHash));
+}
+
+function removeTestAccounts() {
+    if (!fs.existsSync(ADMIN_FILE)) return;
+    const remaining = JSON.parse(fs.readFileSync(ADMIN_FILE, 'utf8')).filter(admin => !admin.username.endsWith(`-${RUN}`));
+    if (remaining.length) fs.writeFileSync(ADMIN_FILE, JSON.stringify(remaining, null, 2));
+    else fs.unlinkSync(ADMIN_FILE);
+}
+
+async function runTest() {
+    try {
+        await testChain();
+        await testServerAudit();
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        removeTestAccounts();
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+/**
+ * Test server-side bot detection (lib/botDetection.js)
+ *
+ * Checks the signal summary, each check, the combined risk score, the config
+ * overrides and review decisions directly, then runs the server in this
+ * process on file storage: a typed submission is clear, a filled honeypot
+ * field is screened out before randomisation, pasted and duplicated answers go
+ * to the review queue, the honeypot endpoint ignores the page's session data
+ * and does not disqualify on the page's flag alone, the public participant
+ * route hides the checks, and admins with participants:review can list and
+ * decide flagged participants, audited without the participant id or note.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PORT = process.env.BOT_DETECTION_TEST_PORT || 3928;
+const BASE_URL = `http://localhost:${PORT}`;
+
+process.env.PORT = String(PORT);
+process.env.LLM_PROVIDER = 'mock';
+process.env.ADMIN_AUTH_SECRET = 'bot-detection-test-secret';
+process.env.CHAT_SWEEP_INTERVAL_MS = '0';
+delete process.env.DATABASE_URL; // File storage only
+delete process.env.BOT_DETECTION_CONFIG;
+
+const { AdminStore } = require('./lib/adminAuth');
+const { hashIdentifier } = require('./lib/withdrawal');
+const { validate } = require('./lib/validation');
+const { SURVEY_SUBMIT } = require('./lib/surveySchemas');
+const {
+    BOT_STATUSES,
+    REVIEW_DECISIONS,
+    SCREEN_OUT_REASON,
+    DEFAULT_CONFIG,
+    configFromEnv,
+    summariseSignals,
+    textSimilarity,
+    createBotDetector,
+    awaitingReview,
+    applyReview
+} = require('./lib/botDetection');
+const { createChecks } = require('./testing/checks');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const ADMIN_FILE = path.join(DATA_DIR, 'admin_users.json');
+const RUN = Date.now().toString(36);
+const PASSWORD = 'correct horse battery staple';
+const steward = `test-bots-steward-${RUN}`;
+const exporter = `test-bots-exporter-${RUN}`;
+const viewer = `test-bots-viewer-${RUN}`;
+
+const VIEW = `Seeing the flood damage near my parents' farm made climate change feel urgent to me (${RUN}).`;
+const ELABORATION = `We lost most of the harvest two years running and the insurance would not cover it (${RUN}).`;
+
+const checks = createChecks('bot detection');
+const { check } = checks;
+
+// What the views page sends for an answer typed at a person's pace
+function typed(text, { intervalMs = 180 } = {}) {
+    return {
+        keystrokes: text.length + 4,
+        key_intervals_ms: Array.from({ length: Math.min(text.length, 500) }, (_, index) => intervalMs + (index % 5) * 10),
+        paste_events: 0,
+        pasted_chars: 0,
+        active_ms: text.length * intervalMs
+    };
+}
+
+function signalsFor(current, elaboration, overrides = {}) {
+    return {
+        honeypot: '',
+        page_ms: 95000,
+        fields: { current_views: typed(current), elaboration: typed(elaboration) },
+        ...overrides
+    };
+}
+
+const participant = (current, elaboration, extra = {}) => ({
+    participant_id: extra.participant_id || 'p_test',
+    belief_change: { current_view: current, elaboration },
+    timestamps: { started: '2026-10-19T10:00:00.000Z', completed: null },
+    ...extra
+});
+
+function testChecks() {
+    const summary = summariseSignals({
+        honeypot: ' ',
+        page_ms: 30000,
+        fields: { current_views: { keystrokes: 12, key_intervals_ms: [100, 300, 200, 50] }, unknown: { keystrokes: 1 } }
+    });
+    check('Signals keep the median key gap, not the keylog', summary.fields.current_views.median_interval_ms === 150 &&
+        summary.fields.current_views.intervals === 4 && !('key_intervals_ms' in summary.fields.current_views));
+    check('Blank honeypot values and unknown fields are dropped', summary.honeypot_filled === false && !summary.fields.unknown);
+
+    const detector = createBotDetector({ config: DEFAULT_CONFIG });
+    const score = (result, id) => result.checks.find(entry => entry.id === id)?.score;
+
+    const clear = detector.evaluate({ participant: participant(VIEW, ELABORATION), signals: summariseSignals(signalsFor(VIEW, ELABORATION)) });
+    check('Typed answers are clear', clear.status === BOT_STATUSES.CLEAR && clear.risk_score === 0 && clear.checks.length === 5);
+
+    const honeypot = detector.evaluate({ participant: participant(VIEW, ELABORATION), signals: summariseSignals(signalsFor(VIEW, ELABORATION, { honeypot: 'example.com' })) });
+    check('A filled honeypot field is screened out', score(honeypot, 'honeypot') === 1 && honeypot.status === BOT_STATUSES.SCREENED_OUT);
+    const hello = detector.evaluate({ participant: participant('hello '.repeat(10), ''), signals: null });
+    check('Following the hidden instruction is screened out', hello.status === BOT_STATUSES.SCREENED_OUT && /Hidden instruction/.test(hello.checks[0].detail));
+
+    const pastedSignals = signalsFor(VIEW, ELABORATION);
+    pastedSignals.fields.current_views = { keystrokes: 3, key_intervals_ms: [120, 140], paste_events: 1, pasted_chars: VIEW.length };
+    const pasted = detector.evaluate({ participant: participant(VIEW, ELABORATION), signals: summariseSignals(pastedSignals) });
+    check('Pasted text without keystrokes scores on paste and typing speed',
+        score(pasted, 'paste') === 1 && score(pasted, 'typing_speed') === 1 && pasted.risk_score === 0.85 && pasted.status === BOT_STATUSES.REVIEW);
+
+    const fastSignals = signalsFor(VIEW, ELABORATION);
+    fastSignals.fields.elaboration = typed(ELABORATION, { intervalMs: 8 });
+    const fast = detector.evaluate({ participant: participant(VIEW, ELABORATION), signals: summariseSignals(fastSignals) });
+    check('Keys pressed faster than a person types are flagged', score(fast, 'typing_speed') === 1 && /elaboration typed/.test(fast.checks[2].detail));
+
+    const unrecorded = detector.evaluate({ participant: participant(VIEW, ELABORATION), signals: null });
+    check('Missing typing signals are weak evidence only', score(unrecorded, 'typing_speed') === 0.5 && unrecorded.status === BOT_STATUSES.CLEAR);
+
+    const other = participant(VIEW.toUpperCase().replace(`(${RUN})`, ''), 'Something else entirely that is long enough to compare.', { participant_id: 'p_other' });
+    const duplicate = detector.evaluate({ participant: participant(VIEW, ELABORATION), signals: summariseSignals(signalsFor(VIEW, ELABORATION)), others: [other] });
+    check('Near-identical answers from another participant are flagged',
+        score(duplicate, 'duplicate_text') >= 0.8 && duplicate.checks[3].detail.includes('p_other') && duplicate.status === BOT_STATUSES.REVIEW);
+    check('Text similarity ignores case and punctuation', textSimilarity('The sea, is RISING fast!', 'the sea is rising fast') === 1 &&
+        textSimilarity('the sea is rising fast', 'my bills went up this year') === 0);
+
+    const rushed = detector.evaluate({
+        participant: participant(VIEW, ELABORATION, { timestamps: { started: '2026-10-19T10:00:00.000Z', completed: '2026-10-19T10:02:00.000Z' } }),
+        signals: summariseSignals(signalsFor(VIEW, ELABORATION, { page_ms: 4000 }))
+    });
+    check('Impossibly fast pages and studies are flagged', score(rushed, 'completion_time') === 1 &&
+        /views page answered in 4s; study finished in 120s/.test(rushed.checks[4].detail) && rushed.risk_score === 0.6);
+
+    const kept = detector.evaluate({ participant: { ...participant(VIEW, ELABORATION), bot_detection: { ...pasted, review: { decision: 'genuine' } } } });
+    check('A re-check keeps the stored signals and review', kept.risk_score === pasted.risk_score && kept.review?.decision === 'genuine');
+
+    const config = configFromEnv({ BOT_DETECTION_CONFIG: JSON.stringify({ reviewThreshold: 0.9, checks: { paste: { enabled: false }, typing_speed: { minChars: 500 } } }) });
+    check('BOT_DETECTION_CONFIG overrides thresholds and check options', config.reviewThreshold === 0.9 &&
+        config.screenOutThreshold === DEFAULT_CONFIG.screenOutThreshold && config.checks.typing_speed.minChars === 500 &&
+        config.checks.typing_speed.weight === DEFAULT_CONFIG.checks.typing_speed.weight);
+    const relaxed = createBotDetector({ config }).evaluate({ participant: participant(VIEW, ELABORATION), signals: summariseSignals(pastedSignals) });
+    check('Disabled checks do not run', !relaxed.checks.some(entry => entry.id === 'paste') && relaxed.status === BOT_STATUSES.CLEAR);
+    check('Invalid BOT_DETECTION_CONFIG falls back to the defaults', configFromEnv({ BOT_DETECTION_CONFIG: '{oops' }) === DEFAULT_CONFIG);
+
+    const custom = createBotDetector({
+        config: { ...DEFAULT_CONFIG, checks: { ...DEFAULT_CONFIG.checks, vpn: { weight: 0.6 } } },
+        checks: [{ id: 'vpn', run: ({ participant: p }) => ({ score: p.vpn ? 1 : 0, detail: null }) }]
+    });
+    check('Custom checks plug in with their own weight', custom.evaluate({ participant: { ...participant(VIEW, ELABORATION), vpn: true } }).risk_score === 0.6);
+
+    const flagged = { ...participant(VIEW, ELABORATION), bot_detection: pasted };
+    check('Unreviewed participants await review', awaitingReview(flagged) && !awaitingReview({ bot_detection: clear }));
+    const bot = applyReview(flagged, { decision: REVIEW_DECISIONS.BOT, reviewer: 'admin' });
+    check('A bot decision disqualifies', bot.disqualified === true && bot.disqualification_reason === SCREEN_OUT_REASON &&
+        bot.bot_detection.review.reviewer === 'admin' && !awaitingReview(bot));
+    const genuine = applyReview(bot, { decision: REVIEW_DECISIONS.GENUINE, reviewer: 'admin', note: 'Typed on a phone' });
+    check('A genuine decision lifts a bot disqualification', genuine.disqualified === false && genuine.bot_detection.review.note === 'Typed on a phone');
+    const withdrawnReason = applyReview({ ...flagged, disqualified: true, disqualification_reason: 'failed attention check' }, { decision: 'genuine', reviewer: 'admin' });
+    check('Other disqualifications are left alone', withdrawnReason.disqualified === true);
+    let refused = false;
+    try {
+        applyReview(flagged, { decision: 'maybe', reviewer: 'admin' });
+    } catch (error) {
+        refused = true;
+    }
+    check('Unknown decisions are refused', refused);
+
+    const accepted = validate(SURVEY_SUBMIT, { prolific_id: 'P1', mind_change_no_change: true, bot_signals: signalsFor(VIEW, ELABORATION) });
+    const negative = signalsFor(VIEW, ELABORATION);
+    negative.fields.elaboration.keystrokes = -1;
+    const rejected = validate(SURVEY_SUBMIT, { prolific_id: 'P1', mind_change_no_change: true, bot_signals: negative });
+    check('bot_signals are validated with the survey', accepted.errors.length === 0 &&
+        rejected.errors.some(error => error.field === 'bot_signals' && error.message.includes('keystrokes')));
+}
+
+async function request(method, route, { token, body } = {}) {
+    const response = await fetch(`${BASE_URL}${route}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    return { status: response.status, data };
+}
+
+async function waitForServer(timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            if ((await request('GET', '/health')).status === 200) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error('Server did not become ready in time');
+}
+
+const participantFile = id => path.join(DATA_DIR, 'participants', `${id}.json`);
+const readParticipant = id => (fs.existsSync(participantFile(id)) ? JSON.parse(fs.readFileSync(participantFile(id), 'utf8')) : null);
+
+function submit(prolificId, current, elaboration, botSignals) {
+    return request('POST', '/survey/submit', {
+        body: {
+            prolific_id: prolificId,
+            mind_change_direction: 'not_urgent_to_urgent',
+            current_views: current,
+            elaboration,
+            economic_issues: '4',
+            social_issues: '4',
+            consent: true,
+            ...(botSignals ? { bot_signals: botSignals } : {})
+        }
+    });
+}
+
+async function testRoutes() {
+    const store = new AdminStore({ file: ADMIN_FILE });
+    await store.create({ username: steward, password: PASSWORD, role: 'data-steward' });
+    await store.create({ username: exporter, password: PASSWORD, role: 'exporter' });
+    await store.create({ username: viewer, password: PASSWORD, role: 'viewer' });
+
+    require('./server.js');
+    await waitForServer();
+    console.log(`\n🧪 Testing bot detection routes against ${BASE_URL}...\n`);
+
+    const typist = await submit(`TYPED${RUN}`, VIEW, ELABORATION, signalsFor(VIEW, ELABORATION));
+    const typistRecord = readParticipant(typist.data.participantId);
+    check('A typed submission is clear and randomised', typist.status === 200 &&
+        typistRecord?.bot_detection?.status === BOT_STATUSES.CLEAR && Boolean(typistRecord.assignment) &&
+        typistRecord.bot_detection.signals.fields.current_views.median_interval_ms > 0);
+
+    const legacy = await submit(`LEGACY${RUN}`, `An older page without signals (${RUN}) still gets through.`, '', null);
+    check('Submissions without signals are still accepted', legacy.status === 200 &&
+        readParticipant(legacy.data.participantId)?.bot_detection?.status === BOT_STATUSES.CLEAR);
+
+    const screened = await submit(`HONEY${RUN}`, `I filled in every box on the page (${RUN}).`, '', signalsFor(VIEW, ELABORATION, { honeypot: 'https://spam.example' }));
+    check('A filled honeypot field is refused with the screen-out link', screened.status === 403 &&
+        screened.data.type === 'screened_out' && screened.data.redirect_url.includes('SCREENOUT'));
+
+    const pastedSignals = signalsFor(VIEW, ELABORATION);
+    const pastedView = `Copied answer from somewhere else about the weather getting worse every year (${RUN}).`;
+    pastedSignals.fields.current_views = { keystrokes: 2, key_intervals_ms: [150], paste_events: 2, pasted_chars: pastedView.length, active_ms: 1200 };
+    const paster = await submit(`PASTE${RUN}`, pastedView, ELABORATION.replace('harvest', 'crop'), pastedSignals);
+    const copier = await submit(`COPY${RUN}`, VIEW, `Nothing else to add here, it was all in the first box (${RUN}).`, signalsFor(VIEW, ELABORATION));
+    check('Flagged participants continue to the chat', paster.status === 200 && copier.status === 200);
+    check('Pasted answers go to review', readParticipant(paster.data.participantId)?.bot_detection?.status === BOT_STATUSES.REVIEW);
+    const copied = readParticipant(copier.data.participantId)?.bot_detection;
+    check('An answer copied from another participant goes to review', copied?.status === BOT_STATUSES.REVIEW &&
+        copied.checks.find(entry => entry.id === 'duplicate_text').detail.includes(typist.data.participantId));
+
+    const honeypotEndpoint = await request('POST', '/api/honeypot-submission', {
+        body: {
+            current_views: 'hello '.repeat(10),
+            elaboration: '',
+            participant_session_data: JSON.stringify({ prolific_id: `BOT${RUN}`, disqualified: false, study_arm: 'standard', id: typist.data.participantId })
+        }
+    });
+    check('The honeypot endpoint still redirects', honeypotEndpoint.status === 200 && honeypotEndpoint.data.redirect_url.includes('SCREENOUT'));
+    check('It does not let session data overwrite another record', readParticipant(typist.data.participantId)?.prolific_id === `TYPED${RUN}`);
+    check('Honeypot payloads are validated', (await request('POST', '/api/honeypot-submission', { body: { current_views: 42 } })).status === 400);
+
+    const login = async username => (await request('POST', '/api/admin/login', { body: { username, password: PASSWORD } })).data.token;
+    const stewardToken = await login(steward);
+    const exporterToken = await login(exporter);
+    const viewerToken = await login(viewer);
+
+    check('The queue needs an admin', (await request('GET', '/api/admin/bot-review')).status === 401);
+    check('Viewers cannot see the queue', (await request('GET', '/api/admin/bot-review', { token: viewerToken })).status === 403);
+    check('Unknown queue statuses are refused', (await request('GET', '/api/admin/bot-review?status=clear', { token: stewardToken })).status === 400);
+
+    const queue = await request('GET', '/api/admin/bot-review', { token: exporterToken });
+    const queued = queue.data.participants?.filter(entry => entry.prolific_id?.endsWith(RUN)) || [];
+    check('Exporters see the participants awaiting review, highest risk first', queue.status === 200 &&
+        queued.map(entry => entry.prolific_id).join() === `PASTE${RUN},COPY${RUN}` && queued[0].risk_score >= queued[1].risk_score &&
+        queued[0].current_view === pastedView && queue.data.waiting >= 2);
+
+    const screenedOut = (await request('GET', '/api/admin/bot-review?status=screened_out', { token: stewardToken })).data.participants || [];
+    const honey = screenedOut.find(entry => entry.prolific_id === `HONEY${RUN}`);
+    const honeyRecord = honey && readParticipant(honey.participant_id);
+    check('Screened-out participants are stored disqualified and not randomised', honey?.disqualified === true &&
+        honeyRecord?.disqualification_reason === SCREEN_OUT_REASON && !honeyRecord.assignment);
+    const bot = screenedOut.find(entry => entry.prolific_id === `BOT${RUN}`);
+    const botRecord = bot && readParticipant(bot.participant_id);
+    check('Honeypot endpoint records keep only the Prolific ID from the page', bot?.disqualified === true &&
+        botRecord.id !== typist.data.participantId && !botRecord.study_arm && botRecord.belief_change.current_view.startsWith('hello'));
+
+    const decide = (token, id, body) => request('POST', `/api/admin/bot-review/${id}`, { token, body });
+    check('Viewers cannot decide', (await decide(viewerToken, paster.data.participantId, { decision: 'bot' })).status === 403);
+    check('Decisions must be genuine or bot', (await decide(stewardToken, paster.data.participantId, { decision: 'maybe' })).status === 400);
+    check('Unknown participants are reported', (await decide(stewardToken, `nobody-${RUN}`, { decision: 'bot' })).status === 404);
+    check('Clear participants cannot be reviewed', (await decide(stewardToken, typist.data.participantId, { decision: 'bot' })).status === 409);
+
+    const botDecision = await decide(stewardToken, paster.data.participantId, { decision: 'bot', note: `Pasted both answers (${RUN})` });
+    check('A bot decision disqualifies the participant', botDecision.status === 200 && botDecision.data.disqualified === true &&
+        readParticipant(paster.data.participantId)?.bot_detection.review.reviewer === steward);
+    const genuineDecision = await decide(exporterToken, copier.data.participantId, { decision: 'genuine' });
+    check('A genuine decision keeps the participant in', genuineDecision.status === 200 && genuineDecision.data.disqualified === false);
+
+    const after = (await request('GET', '/api/admin/bot-review', { token: stewardToken })).data.participants || [];
+    check('Decided participants leave the queue', !after.some(entry => entry.prolific_id?.endsWith(RUN)));
+    const all = (await request('GET', '/api/admin/bot-review?status=all', { token: stewardToken })).data.participants || [];
+    check('status=all lists every flagged participant with its review', all.filter(entry => entry.prolific_id?.endsWith(RUN)).length === 4 &&
+        all.find(entry => entry.prolific_id === `COPY${RUN}`)?.review?.decision === 'genuine');
+
+    const flagged = await request('POST', '/api/honeypot-submission', {
+        body: {
+            current_views: `Cutting emissions matters, but I worry about what it costs families like mine (${RUN}).`,
+            participant_session_data: JSON.stringify({ prolific_id: `FLAG${RUN}` })
+        }
+    });
+    const flaggedRecord = fs.readdirSync(path.join(DATA_DIR, 'participants'))
+        .map(file => JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'participants', file), 'utf8')))
+        .find(record => record.prolific_id === `FLAG${RUN}`);
+    check('The page\'s honeypot flag alone sends the record to review, not out', flagged.status === 200 &&
+        flaggedRecord?.bot_detection.status === BOT_STATUSES.REVIEW && flaggedRecord.disqualified === false && !flaggedRecord.disqualification_reason);
+
+    const publicRecord = await request('GET', `/api/participant/${paster.data.participantId}`);
+    check('The public participant route hides the checks, entry attempts and study arm', publicRecord.status === 200 &&
+        publicRecord.data.prolific_id === `PASTE${RUN}` && !('bot_detection' in publicRecord.data) &&
+        !('entry_attempts' in publicRecord.data) && !('assignment' in publicRecord.data));
+
+    await new Promise(resolve => setTimeout(resolve, 200)); // Audit entries are written when the response finishes
+    const auditText = fs.readFileSync(path.join(DATA_DIR, 'audit', 'audit_log.jsonl'), 'utf8');
+    const audit = auditText.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    const reviewEntry = audit.find(entry => entry.action === 'participants.bot_review' && entry.actor === steward && entry.status === 200 &&
+        entry.params.participantIdHash === hashIdentifier(paster.data.participantId));
+    check('Review decisions are audited with a hash of the participant id', reviewEntry?.params.decision === 'bot' &&
+        reviewEntry.params.noted === true && reviewEntry.route === '/api/admin/bot-review/:participantId');
+    check('The audit log holds neither the participant id nor the note',
+        !auditText.includes(paster.data.participantId) && !auditText.includes(`Pasted both answers (${RUN})`));
+}
+
+function cleanUp() {
+    if (fs.existsSync(ADMIN_FILE)) {
+        const remaining = JSON.parse(fs.readFileSync(ADMIN_FILE, 'utf8')).filter(admin => !admin.username.endsWith(`-${RUN}`));
+        if (remaining.length) fs.writeFileSync(ADMIN_FILE, JSON.stringify(remaining, null, 2));
+        else fs.unlinkSync(ADMIN_FILE);
+    }
+    const dir = path.join(DATA_DIR, 'participants');
+    for (const file of fs.existsSync(dir) ? fs.readdirSync(dir) : []) {
+        const record = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        if (String(record.prolific_id || '').endsWith(RUN)) fs.rmSync(path.join(dir, file), { force: true });
+    }
+}
+
+async function runTest() {
+    try {
+        console.log('🧪 Testing bot detection...\n');
+        testChecks();
+        await testRoutes();
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        cleanUp();
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
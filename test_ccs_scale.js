@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * Test server-side CCS scoring (lib/ccsScale.js)
+ *
+ * Scores raw answers and checks reverse keying, untouched sliders, a raw 0,
+ * the overall and subscale means and mismatch detection against the page's
+ * scores. Then checks that the Prisma repository fills the scale version and
+ * mismatch columns (on the in-memory stand-in from test_repository.js), and
+ * runs the server in this process on file storage to check that
+ * /survey/submit stores the server's scores rather than the page's.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PORT = process.env.CCS_TEST_PORT || 3925;
+const BASE_URL = `http://localhost:${PORT}`;
+
+process.env.PORT = String(PORT);
+process.env.LLM_PROVIDER = 'mock';
+process.env.CHAT_SWEEP_INTERVAL_MS = '0';
+delete process.env.DATABASE_URL; // File storage only
+
+const { CCS_SCALE_VERSION, CCS_ITEMS, CCS_SUBSCALES, scoreCcs } = require('./lib/ccsScale');
+const { PrismaRepository } = require('./lib/repository');
+const { memoryPrisma } = require('./test_repository');
+const { createChecks } = require('./testing/checks');
+
+const PARTICIPANTS_DIR = path.join(__dirname, 'data', 'participants');
+const created = [];
+
+const checks = createChecks('CCS scoring');
+const { check } = checks;
+
+// Raw answers: ccs_01 untouched, ccs_02 (reverse-keyed) at 0, the rest at 5 × item number
+function rawAnswers() {
+    const answers = {};
+    CCS_ITEMS.forEach((item, index) => {
+        answers[`${item}_raw`] = index === 0 ? 'N/a' : index === 1 ? 0 : 5 * (index + 1);
+    });
+    return answers;
+}
+
+// What cc-views-matrix.html computes for the same answers
+function pageScores(answers) {
+    const reverse = ['ccs_02', 'ccs_05', 'ccs_07', 'ccs_09'];
+    const scored = {};
+    CCS_ITEMS.forEach(item => {
+        const raw = answers[`${item}_raw`];
+        scored[`${item}_scored`] = raw === 'N/a' ? 'N/a' : (reverse.includes(item) ? 100 - raw : raw);
+    });
+    const mean = items => {
+        const values = items.filter(value => value !== 'N/a');
+        return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 'N/a';
+    };
+    return {
+        ...scored,
+        ccs_mean_scored: mean(Object.values(scored)),
+        ccs_occurrence_mean: mean([scored.ccs_03_scored, scored.ccs_07_scored]),
+        ccs_causation_mean: mean([scored.ccs_04_scored, scored.ccs_05_scored, scored.ccs_06_scored, scored.ccs_12_scored]),
+        ccs_seriousness_mean: mean([scored.ccs_07_scored, scored.ccs_09_scored, scored.ccs_08_scored]),
+        ccs_efficacy_mean: mean([scored.ccs_10_scored, scored.ccs_11_scored]),
+        ccs_trust_mean: mean([scored.ccs_01_scored, scored.ccs_02_scored])
+    };
+}
+
+function testScoring() {
+    const answers = rawAnswers();
+    const { values, scoring } = scoreCcs(answers);
+
+    check('Untouched items score "N/a"', values.ccs_01_scored === 'N/a');
+    check('A raw 0 on a reverse-keyed item scores 100', values.ccs_02_scored === 100);
+    check('Reverse-keyed items score 100 - raw', values.ccs_05_scored === 75 && values.ccs_07_scored === 65 && values.ccs_09_scored === 55);
+    check('Other items score their raw value', values.ccs_03_scored === 15 && values.ccs_12_scored === 60);
+    check('Subscale means use their answered items', values.ccs_occurrence_mean === 40 && values.ccs_causation_mean === 46.25 &&
+        values.ccs_efficacy_mean === 52.5 && values.ccs_trust_mean === 100);
+    check('The overall mean covers every answered item', values.ccs_mean_scored === (100 + 15 + 20 + 75 + 30 + 65 + 40 + 55 + 50 + 55 + 60) / 11);
+    check('Every subscale has a mean', Object.keys(CCS_SUBSCALES).every(name => `ccs_${name}_mean` in values));
+    check('The scale version is recorded', scoring.scale_version === CCS_SCALE_VERSION && scoring.scored_by === 'server');
+    check('Nothing to compare when the page sent no scores', scoring.client_mismatches.length === 0);
+
+    const nothing = scoreCcs({});
+    check('Means with no answered items are "N/a"', nothing.values.ccs_mean_scored === 'N/a' && nothing.values.ccs_trust_mean === 'N/a');
+}
+
+function testMismatches() {
+    const answers = rawAnswers();
+    const agreeing = scoreCcs({ ...answers, ...pageScores(answers) });
+    check('The page\'s own arithmetic matches the server\'s', agreeing.scoring.client_mismatches.length === 0);
+
+    const tampered = scoreCcs({ ...answers, ...pageScores(answers), ccs_05_scored: 40, ccs_causation_mean: 12, ccs_01_scored: 50 });
+    const fields = tampered.scoring.client_mismatches.map(mismatch => mismatch.field).sort().join();
+    check('Differing scores are flagged per field', fields === 'ccs_01_scored,ccs_05_scored,ccs_causation_mean');
+    const item = tampered.scoring.client_mismatches.find(mismatch => mismatch.field === 'ccs_05_scored');
+    check('A mismatch records both values', item.client === 40 && item.server === 75);
+    check('The server\'s values are kept', tampered.values.ccs_05_scored === 75);
+}
+
+async function testColumns() {
+    const prisma = memoryPrisma();
+    const repository = new PrismaRepository({ getPrisma: () => prisma });
+    const answers = rawAnswers();
+    const { values, scoring } = scoreCcs({ ...answers, ccs_03_scored: 70 });
+    await repository.participants.save({
+        participant_id: 'p_ccs',
+        views_matrix: { climate_change_views: { ...answers, ...values, ccs_trust_mean: 'N/a', scoring } }
+    });
+    const [row] = prisma.tables.individualDifferences;
+    check('The scale version and mismatch flag are stored as columns', row.ccsScaleVersion === CCS_SCALE_VERSION && row.ccsScoreMismatch === true);
+    check('"N/a" means are stored as null', row.ccsTrustMean === null && row.ccsOccurrenceMean === 40);
+}
+
+async function waitForServer(timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            if ((await fetch(`${BASE_URL}/health`)).ok) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error('Server did not become ready in time');
+}
+
+async function testRoute() {
+    require('./server.js');
+    await waitForServer();
+    console.log(`\n🧪 Testing /survey/submit scoring against ${BASE_URL}...\n`);
+
+    const answers = rawAnswers();
+    const response = await fetch(`${BASE_URL}/survey/submit`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            prolific_id: `CCS${Date.now().toString(36)}`,
+            mind_change_direction: 'not_urgent_to_urgent',
+            consent: true,
+            ...answers,
+            ...pageScores(answers),
+            ccs_02_scored: 0,
+            ccs_trust_mean: 0
+        })
+    });
+    const { participantId } = await response.json();
+    if (participantId) created.push(participantId);
+    check('The submission is saved', response.status === 200 && Boolean(participantId));
+
+    const ccs = JSON.parse(fs.readFileSync(path.join(PARTICIPANTS_DIR, `${participantId}.json`), 'utf8'))
+        .views_matrix.climate_change_views;
+    check('A raw 0 is stored as 0', ccs.ccs_02_raw === 0);
+    check('The server\'s scores are stored', ccs.ccs_02_scored === 100 && ccs.ccs_trust_mean === 100);
+    check('The page\'s wrong scores are recorded as mismatches', ccs.scoring.scale_version === CCS_SCALE_VERSION &&
+        ccs.scoring.client_mismatches.map(mismatch => mismatch.field).sort().join() === 'ccs_02_scored,ccs_trust_mean');
+}
+
+async function runTest() {
+    try {
+        console.log('🧪 Testing CCS scoring...\n');
+        testScoring();
+        testMismatches();
+        await testColumns();
+        await testRoute();
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        created.forEach(id => fs.rmSync(path.join(PARTICIPANTS_DIR, `${id}.json`), { force: true }));
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
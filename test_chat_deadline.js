@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Test server-enforced chat deadlines (lib/chatDeadline.js)
+ *
+ * Checks the deadline arithmetic, then starts the server with a 4-second chat
+ * (LLM_PROVIDER=mock) and verifies that /chat/start returns the expiry,
+ * starting again returns the same chat and deadline (and 410 once it ended),
+ * the one-minute summary is refused before it is due and sent exactly once
+ * after, a late /chat/reply gets 410 and ends the conversation, and the
+ * session sweeper ends a conversation nobody closed.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { deadlineFor, deadlineStatus, isAbandoned, startSessionSweeper, CHAT_DURATION_MS, SUMMARY_LEAD_MS, ABANDON_GRACE_MS } = require('./lib/chatDeadline');
+const { createChecks } = require('./testing/checks');
+
+const PORT = process.env.DEADLINE_TEST_PORT || 3918;
+const RUN = Date.now().toString(36);
+const PARTICIPANTS_DIR = path.join(__dirname, 'data', 'participants');
+const BASE_URL = `http://localhost:${PORT}`;
+const SERVER_ENV = {
+    CHAT_DURATION_MS: '4000',
+    CHAT_SUMMARY_LEAD_MS: '2000',
+    CHAT_ABANDON_GRACE_MS: '500',
+    CHAT_SWEEP_INTERVAL_MS: '500'
+};
+
+const checks = createChecks('chat deadline');
+const { check } = checks;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const sleepUntil = time => sleep(Math.max(0, Date.parse(time) - Date.now()) + 100);
+
+async function post(route, body) {
+    const response = await fetch(`${BASE_URL}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    return { status: response.status, data };
+}
+
+async function waitForServer(timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            const response = await fetch(`${BASE_URL}/health`);
+            if (response.ok) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await sleep(250);
+    }
+    throw new Error('Server did not become healthy in time');
+}
+
+function startServer() {
+    const env = { ...process.env, ...SERVER_ENV, PORT: String(PORT), LLM_PROVIDER: 'mock' };
+    delete env.DATABASE_URL; // File storage only
+
+    const server = spawn(process.execPath, ['server.js'], { cwd: __dirname, env, stdio: ['ignore', 'pipe', 'pipe'] });
+    server.output = '';
+    server.stdout.on('data', chunk => { server.output += chunk; });
+    server.stderr.on('data', chunk => { server.output += chunk; });
+    return server;
+}
+
+function readConversation(conversationId) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'conversations', `${conversationId}.json`), 'utf8'));
+}
+
+async function testDeadlineArithmetic() {
+    console.log('🧪 Testing deadline arithmetic...\n');
+
+    const start = new Date('2026-01-01T10:00:00.000Z');
+    const deadline = deadlineFor(start);
+    check('Expiry is CHAT_DURATION_MS after the start', Date.parse(deadline.expiresAt) - start.getTime() === CHAT_DURATION_MS);
+    check('Summary is due SUMMARY_LEAD_MS before expiry', Date.parse(deadline.expiresAt) - Date.parse(deadline.summaryAt) === SUMMARY_LEAD_MS);
+
+    const at = ms => new Date(start.getTime() + ms);
+    check('Fresh conversation is neither due nor expired',
+        !deadlineStatus(deadline, at(1000)).summaryDue && !deadlineStatus(deadline, at(1000)).expired);
+    check('Summary is due inside the summary window', deadlineStatus(deadline, at(CHAT_DURATION_MS - SUMMARY_LEAD_MS)).summaryDue);
+    check('Conversation expires at the deadline', deadlineStatus(deadline, at(CHAT_DURATION_MS)).expired);
+    check('Records without expiresAt fall back to startedAt + duration',
+        deadlineStatus({ startedAt: start.toISOString() }).expiresAt === deadline.expiresAt);
+
+    check('Open conversation is abandoned after the grace period', isAbandoned(deadline, at(CHAT_DURATION_MS + ABANDON_GRACE_MS)));
+    check('Open conversation is not abandoned within the grace period', !isAbandoned(deadline, at(CHAT_DURATION_MS + ABANDON_GRACE_MS - 1)));
+    check('Ended conversation is never abandoned', !isAbandoned({ ...deadline, endedAt: deadline.expiresAt }, at(CHAT_DURATION_MS * 10)));
+
+    const ended = [];
+    const sweeper = startSessionSweeper({
+        intervalMs: 0,
+        listOpenConversations: async () => [{ id: 'old', ...deadline }, { id: 'new', ...deadlineFor(new Date()) }],
+        endConversation: async (id, reason) => ended.push(`${id}:${reason}`)
+    });
+    await sweeper.sweep();
+    check('Sweeper ends only abandoned conversations', ended.join() === 'old:abandoned');
+}
+
+async function testServerDeadlines() {
+    const participantIds = [];
+    console.log(`\n🧪 Testing server deadlines against ${BASE_URL} (4-second chats)...\n`);
+    const server = startServer();
+
+    try {
+        await waitForServer();
+
+        // One participant per chat: a participant's second /chat/start returns their first chat
+        const enrol = async suffix => (await post('/survey/submit', {
+            prolific_id: `DEADLINE${suffix}${RUN}`,
+            mind_change_direction: 'not_urgent_to_urgent',
+            economic_issues: '4',
+            social_issues: '4',
+            consent: true
+        })).data.participantId;
+        const userId = await enrol('LATE');
+        participantIds.push(userId, await enrol('ABANDONED'));
+
+        const { data: started } = await post('/chat/start', { userId, conversationId: 'deadline-test-late' });
+        await post('/chat/start', { userId: participantIds[1], conversationId: 'deadline-test-abandoned' });
+        check('/chat/start returns expiresAt, summaryAt and serverTime', Boolean(started.expiresAt && started.summaryAt && started.serverTime));
+        check('Deadline is CHAT_DURATION_MS after the stored start',
+            Date.parse(started.expiresAt) - Date.parse(readConversation('deadline-test-late').startedAt) === 4000);
+
+        await sleep(200);
+        const restarted = await post('/chat/start', { userId, conversationId: `deadline-test-again-${RUN}` });
+        check('Starting again returns the open chat with its original deadline', restarted.status === 200 && restarted.data.resumed === true &&
+            restarted.data.conversationId === 'deadline-test-late' && restarted.data.expiresAt === started.expiresAt &&
+            restarted.data.messages.length === started.messages.length &&
+            !fs.existsSync(path.join(__dirname, 'data', 'conversations', `deadline-test-again-${RUN}.json`)));
+
+        const early = await post('/chat/summary', { conversationId: 'deadline-test-late', userId });
+        check('Summary is refused before it is due', early.status === 409);
+
+        await sleepUntil(started.summaryAt);
+        const summary = await post('/chat/summary', { conversationId: 'deadline-test-late', userId });
+        check('Summary is generated once due', summary.status === 200 && typeof summary.data.reply === 'string' && summary.data.reply.length > 0);
+        const repeat = await post('/chat/summary', { conversationId: 'deadline-test-late', userId });
+        check('Summary is only sent once', repeat.status === 200 && repeat.data.alreadySent === true);
+
+        await sleepUntil(started.expiresAt);
+        const late = await post('/chat/reply', { conversationId: 'deadline-test-late', message: 'One more thing', userId });
+        check('Reply after the deadline gets 410', late.status === 410 && late.data.sessionEnded === true);
+        const lateConversation = readConversation('deadline-test-late');
+        check('Late conversation is ended with reason time_limit', Boolean(lateConversation.endedAt) && lateConversation.endReason === 'time_limit');
+        check('Late message is not stored', !lateConversation.messages.some(m => m.content === 'One more thing'));
+        const afterEnd = await post('/chat/start', { userId });
+        check('An ended chat is not replaced by a new one', afterEnd.status === 410 && afterEnd.data.sessionEnded === true);
+
+        // Expiry + grace (500ms) + one sweep interval (500ms)
+        await sleep(1500);
+        const abandoned = readConversation('deadline-test-abandoned');
+        check('Sweeper ends the abandoned conversation', Boolean(abandoned.endedAt) && abandoned.endReason === 'abandoned');
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        if (!checks.passed) {
+            console.error('--- server output ---\n' + server.output.split('\n').slice(-40).join('\n'));
+        }
+        server.kill();
+        participantIds.filter(Boolean).forEach(id => fs.rmSync(path.join(PARTICIPANTS_DIR, `${id}.json`), { force: true }));
+    }
+}
+
+async function runTest() {
+    await testDeadlineArithmetic();
+    await testServerDeadlines();
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
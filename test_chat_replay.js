@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * End-to-end replay test for the chat flow
+ *
+ * Starts the server with LLM_PROVIDER=replay and drives a full conversation
+ * from a fixture: /survey/submit → /api/generate-summary → /chat/start →
+ * /chat/reply → /chat/summary → /api/conversations/:id/end. The server decides when
+ * the one-minute summary is due, so the fixture's summary turn brings the stored
+ * deadline forward before asking for it.
+ * The conversation is run twice and the stored transcripts must be byte-identical
+ * and contain every canned reply from the fixture.
+ *
+ * Usage: node test_chat_replay.js [fixture.json]
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const fixturePath = path.resolve(process.argv[2] || path.join(__dirname, 'fixtures', 'replay', 'belief-change-basic.json'));
+const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+const PORT = process.env.REPLAY_TEST_PORT || 3917;
+const BASE_URL = `http://localhost:${PORT}`;
+// Each run enrols its own participant: a Prolific ID gets one chat and resumes only from its own session
+const RUN = Date.now().toString(36);
+const participantIds = [];
+
+async function post(route, body) {
+    const response = await fetch(`${BASE_URL}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(`${route} returned ${response.status}: ${JSON.stringify(data)}`);
+    }
+    return data;
+}
+
+async function waitForServer(timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            const response = await fetch(`${BASE_URL}/health`);
+            if (response.ok) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error('Server did not become healthy in time');
+}
+
+function startServer() {
+    const env = { ...process.env, PORT: String(PORT), LLM_PROVIDER: 'replay', LLM_REPLAY_FIXTURE: fixturePath };
+    delete env.DATABASE_URL; // Replay runs against file storage only
+
+    const server = spawn(process.execPath, ['server.js'], { cwd: __dirname, env, stdio: ['ignore', 'pipe', 'pipe'] });
+    server.output = '';
+    server.stdout.on('data', chunk => { server.output += chunk; });
+    server.stderr.on('data', chunk => { server.output += chunk; });
+    return server;
+}
+
+function readConversation(conversationId) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'conversations', `${conversationId}.json`), 'utf8'));
+}
+
+// Move the stored deadline to 30 seconds away, inside the one-minute summary window
+function makeSummaryDue(conversationId) {
+    const conversation = readConversation(conversationId);
+    conversation.expiresAt = new Date(Date.now() + 30 * 1000).toISOString();
+    fs.writeFileSync(path.join(__dirname, 'data', 'conversations', `${conversationId}.json`), JSON.stringify(conversation, null, 2));
+}
+
+function readTranscript(conversationId) {
+    const conversation = readConversation(conversationId);
+    // Timestamps differ between runs; the transcript is the ordered role/content pairs
+    return JSON.stringify(conversation.messages.map(({ role, content }) => ({ role, content })), null, 2);
+}
+
+async function runConversation(runLabel) {
+    console.log(`\n▶️  Run ${runLabel}`);
+
+    const participant = { ...fixture.participant, prolific_id: `${fixture.participant.prolific_id}_${runLabel}_${RUN}` };
+    const { participantId } = await post('/survey/submit', participant);
+    participantIds.push(participantId);
+    console.log(`   participant: ${participantId}`);
+
+    if (fixture.summaries && fixture.summaries.length > 0) {
+        const { summary } = await post('/api/generate-summary', {
+            currentViews: fixture.participant.current_views,
+            elaboration: fixture.participant.elaboration
+        });
+        if (summary !== fixture.summaries[0]) {
+            throw new Error(`Views summary was not replayed: "${summary}"`);
+        }
+    }
+
+    const conversationId = `replay-${fixture.name}-${runLabel}`;
+    await post('/chat/start', { userId: participantId, conversationId });
+
+    let sessionEnded = false;
+    for (const turn of fixture.turns) {
+        if (turn.isSummaryRequest) makeSummaryDue(conversationId);
+        const data = turn.isSummaryRequest
+            ? await post('/chat/summary', { conversationId, userId: participantId })
+            : await post('/chat/reply', { conversationId, message: turn.user, userId: participantId });
+        console.log(`   user: ${turn.user.substring(0, 50)}… → ${data.sessionEnded ? 'session ended' : 'reply'}`);
+        sessionEnded = Boolean(data.sessionEnded);
+        if (sessionEnded) break;
+    }
+
+    // A conversation ended from the chat is closed server-side; otherwise the page's timer ends it
+    if (!sessionEnded) {
+        await post(`/api/conversations/${conversationId}/end`, {});
+    }
+    if (!readConversation(conversationId).endedAt) {
+        throw new Error(`Conversation ${conversationId} was not ended`);
+    }
+    return readTranscript(conversationId);
+}
+
+async function runTest() {
+    console.log(`🧪 Replaying fixture "${fixture.name}" against ${BASE_URL}`);
+    const server = startServer();
+
+    try {
+        await waitForServer();
+
+        const first = await runConversation('a');
+        const second = await runConversation('b');
+
+        if (first !== second) {
+            console.log('First transcript:\n' + first);
+            console.log('Second transcript:\n' + second);
+            throw new Error('Transcripts differ between runs');
+        }
+        console.log('\n✅ Transcripts are byte-identical across runs');
+
+        const missing = fixture.turns
+            .filter(turn => turn.assistant && !first.includes(JSON.stringify(turn.assistant)))
+            .map(turn => turn.assistant.substring(0, 60));
+        if (missing.length > 0) {
+            throw new Error(`Transcript is missing replayed replies: ${missing.join(' | ')}`);
+        }
+        console.log('✅ Every fixture reply appears in the transcript');
+
+        // Model replies must record the prompt template and stage instructions they were generated from
+        const assistantMessages = readConversation(`replay-${fixture.name}-a`).messages.filter(m => m.role === 'assistant');
+        const untraced = assistantMessages.filter(m =>
+            !m.provenance || (m.provenance.source === 'model' && !(m.provenance.promptHash && m.provenance.stageHash && m.provenance.model))
+        );
+        if (untraced.length > 0) {
+            throw new Error(`${untraced.length} assistant message(s) lack provenance: ${untraced[0].content.substring(0, 60)}`);
+        }
+        console.log('✅ Every assistant message records its provenance');
+
+        return true;
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        console.error('--- server output ---\n' + server.output.split('\n').slice(-40).join('\n'));
+        return false;
+    } finally {
+        server.kill();
+        participantIds.forEach(id => fs.rmSync(path.join(__dirname, 'data', 'participants', `${id}.json`), { force: true }));
+    }
+}
+
+if (require.main === module) {
+    runTest().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runTest };
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * Test streamed chat replies (POST /chat/reply/stream)
+ *
+ * Runs the server in this process so the LLM provider can be swapped: a mock
+ * provider checks that the streamed tokens add up to the stored reply, and a
+ * provider that fails part-way checks that the client is told to replace the
+ * partial text with the stored fallback reply.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PORT = process.env.STREAM_TEST_PORT || 3919;
+const RUN = Date.now().toString(36);
+const participantIds = [];
+const BASE_URL = `http://localhost:${PORT}`;
+
+process.env.PORT = String(PORT);
+process.env.LLM_PROVIDER = 'mock';
+process.env.CHAT_SWEEP_INTERVAL_MS = '0';
+delete process.env.DATABASE_URL; // File storage only
+
+const llmProvider = require('./lib/llmProvider');
+const { createChecks } = require('./testing/checks');
+
+const checks = createChecks('streaming');
+const { check } = checks;
+
+async function post(route, body) {
+    return fetch(`${BASE_URL}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+// The chat router is mounted asynchronously, so wait for /chat/start rather than /health
+async function waitForChatRouter(timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            const response = await post('/chat/start', {});
+            if (response.status === 400) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error('Chat router did not become available in time');
+}
+
+// Collect { event, data } pairs from an SSE response body
+async function readEvents(response) {
+    const text = await response.text();
+    return text.split('\n\n')
+        .map(block => ({
+            event: (block.match(/^event: (.*)$/m) || [])[1],
+            data: (block.match(/^data: (.*)$/m) || [])[1]
+        }))
+        .filter(entry => entry.event && entry.data)
+        .map(entry => ({ event: entry.event, data: JSON.parse(entry.data) }));
+}
+
+function lastAssistantMessage(conversationId) {
+    const conversation = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'conversations', `${conversationId}.json`), 'utf8'));
+    return conversation.messages.filter(m => m.role === 'assistant').pop();
+}
+
+// A participant has one chat, so each conversation gets its own; resolves with the participant id
+async function startConversation(conversationId) {
+    const survey = await (await post('/survey/submit', {
+        prolific_id: `STREAM${participantIds.length}${RUN}`,
+        mind_change_direction: 'not_urgent_to_urgent',
+        economic_issues: '4',
+        social_issues: '4',
+        consent: true
+    })).json();
+    participantIds.push(survey.participantId);
+    const response = await post('/chat/start', { userId: survey.participantId, conversationId });
+    if (!response.ok) throw new Error(`/chat/start returned ${response.status}`);
+    return survey.participantId;
+}
+
+async function runTest() {
+    console.log('🧪 Testing streamed chat replies...\n');
+    require('./server.js');
+
+    try {
+        await waitForChatRouter();
+
+        // Successful stream
+        llmProvider.setProvider(llmProvider.createProvider({
+            provider: 'mock',
+            replies: ['Seeing the fires up close sounds like it changed a lot. How did it feel to watch the news afterwards?']
+        }));
+        const userId = await startConversation('stream-test-ok');
+        const okResponse = await post('/chat/reply/stream', {
+            conversationId: 'stream-test-ok',
+            message: 'The bushfires near my town made me take climate change seriously.',
+            userId
+        });
+        check('Streaming reply is served as text/event-stream', (okResponse.headers.get('content-type') || '').includes('text/event-stream'));
+        const okEvents = await readEvents(okResponse);
+        const tokens = okEvents.filter(e => e.event === 'token');
+        const done = okEvents.find(e => e.event === 'done');
+        check('Reply arrives as several token events', tokens.length > 1);
+        check('Tokens add up to the final reply', Boolean(done) && tokens.map(e => e.data.delta).join('') === done.data.reply);
+        check('No replace event when the streamed text is stored as-is', !okEvents.some(e => e.event === 'replace'));
+        const storedOk = lastAssistantMessage('stream-test-ok');
+        check('Completed reply is persisted', Boolean(done) && storedOk.content === done.data.reply && storedOk.provenance.source === 'model');
+        check('Stored turns are stamped when they are appended', !Number.isNaN(Date.parse(storedOk.timestamp)));
+
+        // Provider fails part-way through the stream
+        llmProvider.setProvider({
+            name: 'failing',
+            model: 'failing-model',
+            isConfigured: () => true,
+            chat: async () => { throw new Error('connection reset'); },
+            chatStream: async (messages, options, onDelta) => {
+                onDelta('Half of a ');
+                onDelta('reply that ');
+                throw new Error('connection reset');
+            }
+        });
+        const failingUserId = await startConversation('stream-test-fail');
+        const failEvents = await readEvents(await post('/chat/reply/stream', {
+            conversationId: 'stream-test-fail',
+            message: 'Then I started reading the research myself and it changed my mind.',
+            userId: failingUserId
+        }));
+        const replace = failEvents.find(e => e.event === 'replace');
+        const failDone = failEvents.find(e => e.event === 'done');
+        check('Partial tokens were streamed before the failure', failEvents.filter(e => e.event === 'token').length === 2);
+        check('Client is told to replace the partial text', Boolean(replace) && !replace.data.reply.includes('Half of a'));
+        check('Done carries the fallback reply', Boolean(failDone && replace) && failDone.data.reply === replace.data.reply);
+        const storedFallback = lastAssistantMessage('stream-test-fail');
+        check('Fallback reply is persisted with fallback provenance',
+            Boolean(failDone) && storedFallback.content === failDone.data.reply && storedFallback.provenance.source === 'fallback');
+
+        // Turns answered without the model still come back as JSON
+        const ended = await post('/chat/reply/stream', { conversationId: 'stream-test-ok', message: 'end the chat', userId });
+        const endedBody = (ended.headers.get('content-type') || '').includes('application/json') ? await ended.json() : {};
+        check('Ending the chat answers with JSON', endedBody.sessionEnded === true);
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        participantIds.filter(Boolean).forEach(id => fs.rmSync(path.join(__dirname, 'data', 'participants', `${id}.json`), { force: true }));
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
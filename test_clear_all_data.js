@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Test clear-all-data (database.clearAllData)
+ *
+ * database.js keeps its files under its own data/ directory, so the test loads
+ * a copy of it from a scratch directory (linked back to lib/) rather than
+ * clearing the real one. The Prisma client is the in-memory stand-in from
+ * test_repository.js. Checks that writes still queued in the outbox are
+ * dropped whether or not the database is reachable, so a retry cannot bring
+ * cleared data back, and that conversation state (which holds the last user
+ * response) is deleted from the files and the ConversationState table.
+ */
+
+const fs = require('fs');
+const Module = require('module');
+const os = require('os');
+const path = require('path');
+
+const { memoryPrisma } = require('./test_repository');
+const { createChecks } = require('./testing/checks');
+
+const checks = createChecks('clear-all-data');
+const { check } = checks;
+
+const participant = id => ({ participant_id: id, prolific_id: `PROLIFIC_${id}`, demographics: { age: '34' } });
+const conversationState = conversationId => ({
+    conversationId,
+    stage: 'exploration',
+    lastUserResponse: 'My uncle kept sharing videos about it.',
+    metadata: { narrative: { keyEvents: ['bushfires'] } }
+});
+
+/**
+ * Load a copy of database.js whose data/ is root/data, on the postgres backend
+ * with the given Prisma stand-in. Each call gets a fresh module.
+ */
+function loadDatabase(root, prisma) {
+    fs.mkdirSync(root, { recursive: true });
+    fs.copyFileSync(path.join(__dirname, 'database.js'), path.join(root, 'database.js'));
+    if (!fs.existsSync(path.join(root, 'lib'))) {
+        fs.symlinkSync(path.join(__dirname, 'lib'), path.join(root, 'lib'), 'dir');
+    }
+
+    // The copy resolves @prisma/client from its own node_modules first
+    const clientFile = path.join(root, 'node_modules', '@prisma', 'client', 'index.js');
+    fs.mkdirSync(path.dirname(clientFile), { recursive: true });
+    fs.writeFileSync(clientFile, 'module.exports = {};\n');
+    const client = new Module(clientFile);
+    client.filename = clientFile;
+    client.loaded = true;
+    client.exports = { PrismaClient: function PrismaClient() { return prisma; } };
+    require.cache[clientFile] = client;
+
+    const env = { STORAGE_BACKEND: process.env.STORAGE_BACKEND, DATABASE_URL: process.env.DATABASE_URL };
+    process.env.STORAGE_BACKEND = 'postgres';
+    process.env.DATABASE_URL = 'postgresql://clear-all-data-test/none';
+    try {
+        delete require.cache[path.join(root, 'database.js')];
+        return require(path.join(root, 'database.js'));
+    } finally {
+        Object.entries(env).forEach(([key, value]) => {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        });
+    }
+}
+
+// A Prisma stand-in that answers the availability check, or refuses it while down
+function scratchPrisma({ down = false } = {}) {
+    const prisma = memoryPrisma();
+    prisma.$queryRaw = () => (down ? Promise.reject(new Error("Can't reach database server")) : Promise.resolve([{ 1: 1 }]));
+    prisma.$connect = async () => {};
+    prisma.$disconnect = async () => {};
+    prisma.session.findFirst = async () => null;
+    return prisma;
+}
+
+function writeData(root, dir, id, data) {
+    fs.mkdirSync(path.join(root, 'data', dir), { recursive: true });
+    fs.writeFileSync(path.join(root, 'data', dir, `${id}.json`), JSON.stringify(data, null, 2));
+}
+
+const listData = (root, dir) => (fs.existsSync(path.join(root, 'data', dir)) ? fs.readdirSync(path.join(root, 'data', dir)) : []);
+
+async function testDatabaseDown(root) {
+    const database = loadDatabase(root, scratchPrisma({ down: true }));
+    writeData(root, 'participants', 'p_file', participant('p_file'));
+    writeData(root, 'conversation_states', 'c_file', conversationState('c_file'));
+    database.outbox.enqueue('participants', 'p_queued', participant('p_queued'), new Error("Can't reach database server"));
+    database.outbox.enqueue('conversations', 'c_queued', { id: 'c_queued', participantId: 'p_queued', messages: [] }, new Error('timeout'));
+
+    const result = await database.clearAllData();
+    check('Database down: participant files are cleared', result.participants === 1 && listData(root, 'participants').length === 0);
+    check('Database down: queued writes are dropped', result.outbox === 2 && database.outbox.stats().depth === 0 &&
+        listData(root, 'outbox').length === 0);
+    check('Database down: conversation state files are cleared', result.conversationStates === 1 &&
+        listData(root, 'conversation_states').length === 0);
+
+    const restarted = loadDatabase(root, scratchPrisma());
+    check('Database down: nothing is left to retry after a restart', restarted.outbox.stats().depth === 0 &&
+        (await restarted.repository.flush(new Date(Date.now() + 24 * 60 * 60 * 1000))).written === 0);
+}
+
+async function testDatabaseUp(root) {
+    const prisma = scratchPrisma();
+    const database = loadDatabase(root, prisma);
+    await database.initializeDatabase();
+    await database.repository.participants.save(participant('p_stored'));
+    prisma.tables.conversationState.push({ ...conversationState('c_stored'), sessionId: 'c_stored' });
+    writeData(root, 'conversation_states', 'c_file', conversationState('c_file'));
+    database.outbox.enqueue('participants', 'p_queued', participant('p_queued'), new Error("Can't reach database server"));
+
+    const result = await database.clearAllData();
+    check('Database up: the clear succeeds', result.success === true);
+    check('Database up: participant rows are deleted', result.summary.database.participants === 1 &&
+        prisma.tables.individualDifferences.length === 0);
+    check('Database up: conversation state rows are deleted', result.summary.database.conversationStates === 1 &&
+        prisma.tables.conversationState.length === 0);
+    check('Database up: conversation state files are cleared', result.summary.files.conversationStates === 1 &&
+        listData(root, 'conversation_states').length === 0);
+    check('Database up: queued writes are dropped', result.summary.outbox === 1 && database.outbox.stats().depth === 0);
+}
+
+async function runTest() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'clear-all-data-test-'));
+    try {
+        console.log('🧪 Testing clear-all-data...\n');
+        await testDatabaseDown(path.join(root, 'down'));
+        await testDatabaseUp(path.join(root, 'up'));
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
@@ -0,0 +1,39 @@
+// Test script for durable conversation state in conversationStateManager
+// Runs against the file fallback (no database): stage counters and narrative tracking
+// must survive the in-memory cache being dropped, as after a restart or on another instance.
+
+import { conversationStateManager } from './backend/src/utils/conversationStateManager.js';
+import { createChecks } from './testing/checks.js';
+
+const checks = createChecks('conversation state');
+const { check } = checks;
+
+console.log('🧪 Testing conversation state persistence...\n');
+
+const conversationId = 'test-state-persistence-' + Date.now();
+await conversationStateManager.saveConversationState(conversationId, conversationStateManager.createDefaultState(conversationId));
+
+await conversationStateManager.updateConversationState(conversationId,
+  'My uncle kept sharing conspiracy videos and it made me reject that whole way of thinking about climate');
+await conversationStateManager.recordAssistantResponse(conversationId, 'That sounds significant. How did that feel?');
+await conversationStateManager.updateConversationState(conversationId, 'The bushfires made it real because I saw the smoke');
+await conversationStateManager.recordAssistantResponse(conversationId, 'That sounds significant. What happened next?');
+
+// Simulate a restart: nothing left in memory
+conversationStateManager.cache.clear();
+const state = await conversationStateManager.getConversationState(conversationId);
+
+check('Turn count survives', state.turnCount === 2);
+check('Stage stays in exploration (no automatic advancement)', state.stage === 'exploration');
+check('Explored topics survive as an array', JSON.stringify(state.exploredTopics) === JSON.stringify(['general', 'bushfires']));
+check('Tracked influences survive', state.narrativeUnderstanding.influences[0]?.person === 'uncle');
+check('Response patterns survive', state.responsePatterns.consecutiveSimilarResponses === 1);
+check('Narrative fields are not duplicated into metadata', state.metadata === null);
+
+await conversationStateManager.completeConversation(conversationId);
+const completed = await conversationStateManager.getConversationState(conversationId);
+check('Completed conversations are marked complete', completed.stage === 'complete');
+
+await conversationStateManager.deleteConversationState(conversationId);
+
+process.exit(checks.report() ? 0 : 1);
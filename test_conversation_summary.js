@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+/**
+ * Test the structured end-of-chat summary (lib/conversationSummary.js)
+ *
+ * Checks bullet parsing and message ids directly, then runs the server in
+ * this process on file storage with a scripted provider and checks that the
+ * model's one-minute summary is stored on the conversation, that a chat
+ * ending without one gets a fallback summary (through the chat router and
+ * through /api/conversations/:id/end), that neither is replaced once stored,
+ * that /api/conversations/:id/summary and the validation endpoint serve
+ * and record it, that a study config's summaryTrigger asks for it early, that
+ * two turns asking for it at once produce one summary, that only the server
+ * decides when it is due, and that the request /chat/summary writes is marked
+ * synthetic and not counted as a participant turn.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PORT = process.env.SUMMARY_TEST_PORT || 3926;
+const BASE_URL = `http://localhost:${PORT}`;
+
+process.env.PORT = String(PORT);
+process.env.LLM_PROVIDER = 'mock';
+process.env.CHAT_SWEEP_INTERVAL_MS = '0';
+delete process.env.DATABASE_URL; // File storage only
+
+const llmProvider = require('./lib/llmProvider');
+const { SUMMARY_GENERATORS, turnIds, nextMessageId, parseSummaryBullets, buildSummary, hasSummary, isSummarySource } = require('./lib/conversationSummary');
+const { PrismaRepository } = require('./lib/repository');
+const { memoryPrisma } = require('./test_repository');
+const { createChecks } = require('./testing/checks');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const RUN = Date.now().toString(36);
+const CONVERSATIONS = ['model', 'fallback', 'ended', 'trigger', 'race', 'timer'].map(name => `summary-test-${name}-${RUN}`);
+const TRIGGER_CONFIG = path.join(os.tmpdir(), `summary-trigger-study-${RUN}.json`);
+const participants = new Map(); // conversation id -> participant id; a participant has one chat
+
+const checks = createChecks('conversation summary');
+const { check } = checks;
+
+const MODEL_SUMMARY = `We are nearly out of time, so here is what I have heard:
+
+• Seeing the floods in your town made climate change feel real
+
+• Reading the research yourself confirmed what you saw
+
+* Your sister's work on flood defences kept it on your mind
+
+Is there anything important you would like to add before we finish?`;
+
+function testParsing() {
+    check('Bullets are pulled out of the reply without the lead-in or question',
+        parseSummaryBullets(MODEL_SUMMARY).join('|') === [
+            'Seeing the floods in your town made climate change feel real',
+            'Reading the research yourself confirmed what you saw',
+            "Your sister's work on flood defences kept it on your mind"
+        ].join('|'));
+    check('Numbered and bold bullets are accepted', parseSummaryBullets('1. **Floods** at home\n2) News coverage').join('|') === 'Floods at home|News coverage');
+    check('At most five bullets are kept', parseSummaryBullets('- a\n- b\n- c\n- d\n- e\n- f').length === 5);
+    check('A reply without bullets has none', parseSummaryBullets('Could you tell me more about well-known events?').length === 0);
+
+    const messages = [
+        { role: 'system', content: 'prompt' },
+        { role: 'assistant', content: 'Hello' },
+        { role: 'user', content: 'The floods changed my mind' },
+        { role: 'user', content: 'ok' }
+    ];
+    check('Turn ids skip the system prompt', turnIds('c1', messages).join() === 'c1-msg-0,c1-msg-1,c1-msg-2');
+    check('Turn ids can be filtered', turnIds('c1', messages, message => message.role === 'user').join() === 'c1-msg-1,c1-msg-2');
+    check('The next message id follows the last turn', nextMessageId('c1', messages) === 'c1-msg-3');
+
+    const summary = buildSummary({ bullets: [' One ', ''], generator: SUMMARY_GENERATORS.MODEL, createdAt: new Date('2026-10-19T10:00:00Z') });
+    check('A summary records its generator and time', summary.generator === 'model' && summary.createdAt === '2026-10-19T10:00:00.000Z' &&
+        summary.bullets.join() === 'One' && hasSummary({ summary }));
+    let rejected = false;
+    try {
+        buildSummary({ bullets: ['One'], generator: 'guess' });
+    } catch (error) {
+        rejected = true;
+    }
+    check('Unknown generators are refused', rejected);
+    check('The server\'s summary request is not a summary source', !isSummarySource({
+        role: 'user',
+        content: 'We have about one minute left. Could you please summarize the key themes from our conversation so far?',
+        provenance: { source: 'synthetic' }
+    }));
+}
+
+async function testMessageRowIds() {
+    const prisma = memoryPrisma();
+    const repository = new PrismaRepository({ getPrisma: () => prisma });
+    const messages = [{ role: 'system', content: 'prompt' }, { role: 'assistant', content: 'Hello' }, { role: 'user', content: 'Floods' }];
+    await repository.conversations.save({ id: 'c2', participantId: 'p_1', startedAt: new Date().toISOString(), messages });
+    check('Summary message ids are the Message row ids', prisma.tables.message.map(row => row.id).join() === turnIds('c2', messages).join());
+}
+
+async function post(route, body) {
+    const response = await fetch(`${BASE_URL}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, data: await response.json().catch(() => ({})) };
+}
+
+async function get(route) {
+    const response = await fetch(`${BASE_URL}${route}`);
+    return { status: response.status, data: await response.json().catch(() => ({})) };
+}
+
+// The chat router is mounted asynchronously, so wait for /chat/start rather than /health
+async function waitForChatRouter(timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            if ((await post('/chat/start', {})).status === 400) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error('Chat router did not become available in time');
+}
+
+async function startChat(conversationId) {
+    const survey = await post('/survey/submit', {
+        prolific_id: `SUMMARY${participants.size}${RUN}`,
+        mind_change_direction: 'not_urgent_to_urgent',
+        consent: true
+    });
+    if (!survey.data.participantId) throw new Error(`/survey/submit returned ${survey.status}`);
+    participants.set(conversationId, survey.data.participantId);
+    await post('/chat/start', { userId: survey.data.participantId, conversationId });
+    return survey.data.participantId;
+}
+
+const readConversation = id => JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'conversations', `${id}.json`), 'utf8'));
+const readState = id => JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'conversation_states', `${id}.json`), 'utf8'));
+
+// Bring the stored deadline forward so the one-minute summary is due; only the server decides that
+function makeSummaryDue(conversationId) {
+    const conversation = readConversation(conversationId);
+    conversation.expiresAt = new Date(Date.now() + 30 * 1000).toISOString();
+    fs.writeFileSync(path.join(DATA_DIR, 'conversations', `${conversationId}.json`), JSON.stringify(conversation, null, 2));
+}
+const chatTurns = conversation => conversation.messages.filter(message => message.role !== 'system');
+const turnAt = (conversation, id) => chatTurns(conversation)[Number(id.split('-msg-').pop())];
+
+async function testModelSummary(conversationId) {
+    llmProvider.setProvider(llmProvider.createProvider({ provider: 'mock', replies: [MODEL_SUMMARY] }));
+    const participantId = await startChat(conversationId);
+    makeSummaryDue(conversationId);
+    await post('/chat/reply', { conversationId, userId: participantId, message: 'We have about a minute left, please summarise.' });
+
+    const { summary } = readConversation(conversationId);
+    check('The model\'s summary is stored on the conversation', summary?.generator === 'model' && summary.bullets.length === 3);
+    const conversation = readConversation(conversationId);
+    check('It points at the reply that showed it', turnAt(conversation, summary.messageId).content === MODEL_SUMMARY);
+    check('It lists the turns the model was given', summary.sourceMessageIds.join() === turnIds(conversationId, conversation.messages).slice(0, -2).join());
+    check('It records the summary prompt it was asked with', summary.prompt?.promptId === 'timed-summary' &&
+        Number.isInteger(summary.prompt.promptVersion) && /^[0-9a-f]{64}$/.test(summary.prompt.promptHash));
+
+    await post('/chat/reply', { conversationId, userId: participantId, message: 'end the chat' });
+    const ended = readConversation(conversationId);
+    check('Ending the chat keeps the model\'s summary', ended.summary.generator === 'model' && !ended.messages.some(message => message.generated_summary));
+
+    const served = await get(`/api/conversations/${conversationId}/summary`);
+    check('/api/conversations/:id/summary returns the record', served.status === 200 &&
+        served.data.conversationId === conversationId && served.data.summary.bullets.join() === summary.bullets.join());
+}
+
+async function testFallbackSummary(conversationId) {
+    const provider = llmProvider.createProvider({ provider: 'mock' });
+    llmProvider.setProvider(provider);
+    const participantId = await startChat(conversationId);
+    await post('/chat/reply', { conversationId, userId: participantId, message: 'I read a study about sea levels and it changed how I see things.', isSummaryRequest: true });
+    check('Ordinary replies leave no summary, even when the client asks for one', !hasSummary(readConversation(conversationId)) &&
+        provider.calls[0]?.options.purpose === 'chat_reply');
+    const missing = await get(`/api/conversations/${conversationId}/summary`);
+    check('No summary yet answers 404', missing.status === 404 && missing.data.type === 'summary_not_found');
+
+    await post('/chat/reply', { conversationId, userId: participantId, message: 'end the chat' });
+    const conversation = readConversation(conversationId);
+    const { summary } = conversation;
+    check('Ending without one stores a fallback summary', summary?.generator === 'fallback' && summary.bullets.length >= 2);
+    check('The fallback lists the participant turns it drew on',
+        summary.sourceMessageIds.length === 1 && turnAt(conversation, summary.sourceMessageIds[0]).content.includes('sea levels'));
+    check('It points at the generated summary message', turnAt(conversation, summary.messageId).generated_summary === true);
+}
+
+async function testEndRoute(conversationId) {
+    const participantId = await startChat(conversationId);
+    await post('/chat/reply', { conversationId, userId: participantId, message: 'My family talked about the news every evening.' });
+    const ended = await post(`/api/conversations/${conversationId}/end`, {});
+    const conversation = readConversation(conversationId);
+    check('/api/conversations/:id/end stores a fallback summary', ended.status === 200 && conversation.endedAt &&
+        conversation.summary?.generator === 'fallback');
+    const participant = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'participants', `${participantId}.json`), 'utf8'));
+    check('The participant record carries the summary', participant.chatbot_interaction.summary?.messageId === conversation.summary.messageId);
+}
+
+async function testValidation(conversationId) {
+    const unknown = await get('/api/conversations/no-such-conversation/summary');
+    check('Unknown conversations answer 404', unknown.status === 404 && unknown.data.type === 'conversation_not_found');
+
+    const participantId = participants.get(conversationId);
+    const { summary } = readConversation(conversationId);
+    const saved = await post('/api/chatbot-summary-validation', {
+        participant_id: participantId,
+        summary_accurate: 'Yes',
+        chatbot_summary: summary.bullets,
+        conversation_id: conversationId
+    });
+    const participant = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'participants', `${participantId}.json`), 'utf8'));
+    const record = participant.belief_change.chatbot_summary_record;
+    check('The validation records which stored summary was shown', saved.status === 200 &&
+        record?.conversation_id === conversationId && record.generator === 'model' && record.messageId === summary.messageId);
+}
+
+// The default config with a summaryTrigger on the second participant turn
+async function testConfigTrigger(conversationId) {
+    const defaults = JSON.parse(fs.readFileSync(path.join(__dirname, 'backend', 'src', 'config', 'study.json'), 'utf8'));
+    fs.writeFileSync(TRIGGER_CONFIG, JSON.stringify({ ...defaults, summaryTrigger: { stages: [], when: [{ turnCount: 2 }] } }));
+    const provider = llmProvider.createProvider({ provider: 'mock', replies: ['What happened next?', MODEL_SUMMARY, 'Thank you.'] });
+    llmProvider.setProvider(provider);
+    process.env.STUDY_CONFIG = TRIGGER_CONFIG;
+    try {
+        const participantId = await startChat(conversationId);
+        await post('/chat/reply', { conversationId, userId: participantId, message: 'The floods last winter changed my mind.' });
+        check('The trigger does not fire before its condition', !hasSummary(readConversation(conversationId)));
+        await post('/chat/reply', { conversationId, userId: participantId, message: 'Our street was under water for a week.' });
+        const { summary } = readConversation(conversationId);
+        check('summaryTrigger asks for the summary before the deadline', provider.calls[1].options.purpose === 'timed_summary' &&
+            summary?.generator === 'model' && summary.bullets.length === 3);
+        await post('/chat/reply', { conversationId, userId: participantId, message: 'That covers it.' });
+        check('It is only asked for once', provider.calls[2].options.purpose === 'chat_reply');
+    } finally {
+        delete process.env.STUDY_CONFIG;
+    }
+}
+
+// The browser timer and a participant turn can ask for the summary at the same moment
+async function testSummaryRace(conversationId) {
+    const provider = llmProvider.createProvider({
+        provider: 'mock',
+        respond: async (messages, options) => {
+            await new Promise(resolve => setTimeout(resolve, 300));
+            return options.purpose === 'timed_summary' ? MODEL_SUMMARY : 'Tell me more.';
+        }
+    });
+    llmProvider.setProvider(provider);
+    const participantId = await startChat(conversationId);
+    makeSummaryDue(conversationId);
+    const ask = message => post('/chat/reply', { conversationId, userId: participantId, message });
+    const replies = await Promise.all([ask('Could you summarise?'), ask('Please sum up what I said.')]);
+    const summaries = provider.calls.filter(call => call.options.purpose === 'timed_summary');
+    check('Two requests at once generate one summary', replies.every(reply => reply.status === 200) && summaries.length === 1 &&
+        replies.filter(reply => reply.data.reply === MODEL_SUMMARY).length === 1);
+}
+
+// The browser timer asks through /chat/summary; the turn it stores is the server's, not the participant's
+async function testTimerSummary(conversationId) {
+    const provider = llmProvider.createProvider({ provider: 'mock', replies: ['What happened next?', MODEL_SUMMARY] });
+    llmProvider.setProvider(provider);
+    const participantId = await startChat(conversationId);
+    const early = await post('/chat/summary', { conversationId });
+    check('/chat/summary refuses before the deadline says it is due', early.status === 409);
+    await post('/chat/reply', { conversationId, userId: participantId, message: 'The floods last winter changed my mind.' });
+
+    makeSummaryDue(conversationId);
+    const timed = await post('/chat/summary', { conversationId });
+    const conversation = readConversation(conversationId);
+    const request = chatTurns(conversation).filter(message => message.role === 'user').pop();
+    check('/chat/summary asks for the summary once it is due', timed.status === 200 && timed.data.reply === MODEL_SUMMARY &&
+        conversation.summary?.generator === 'model');
+    check('The request it stores is marked synthetic', request.provenance?.source === 'synthetic');
+    const state = readState(conversationId);
+    check('It is not counted as a participant turn', state.turnCount === 1 &&
+        state.lastUserResponse === 'The floods last winter changed my mind.');
+}
+
+async function testRoutes() {
+    require('./server.js');
+    await waitForChatRouter();
+    console.log(`\n🧪 Testing conversation summaries against ${BASE_URL}...\n`);
+
+    const [model, fallback, ended, trigger, race, timer] = CONVERSATIONS;
+    await testModelSummary(model);
+    await testFallbackSummary(fallback);
+    await testEndRoute(ended);
+    await testValidation(model);
+    await testConfigTrigger(trigger);
+    await testSummaryRace(race);
+    await testTimerSummary(timer);
+}
+
+async function runTest() {
+    try {
+        console.log('🧪 Testing conversation summary records...\n');
+        testParsing();
+        await testMessageRowIds();
+        await testRoutes();
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        CONVERSATIONS.forEach(id => fs.rmSync(path.join(DATA_DIR, 'conversations', `${id}.json`), { force: true }));
+        fs.rmSync(TRIGGER_CONFIG, { force: true });
+        participants.forEach(id => fs.rmSync(path.join(DATA_DIR, 'participants', `${id}.json`), { force: true }));
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
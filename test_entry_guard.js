@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * Test duplicate Prolific ID handling (lib/entryGuard.js)
+ *
+ * Checks the guard's decisions and claims directly, then runs the server in
+ * this process on file storage: a second submission with the same Prolific ID
+ * and SESSION_ID resumes the unfinished participant (also when both arrive at
+ * once), one from another session is refused without the participant id, a
+ * finished or screened-out ID is refused, the honeypot page alone cannot lock
+ * an ID out, STUDY_ID keeps studies apart, and every attempt is logged on the
+ * participant with its SESSION_ID.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PORT = process.env.ENTRY_GUARD_TEST_PORT || 3929;
+const BASE_URL = `http://localhost:${PORT}`;
+
+process.env.PORT = String(PORT);
+process.env.LLM_PROVIDER = 'mock';
+process.env.CHAT_SWEEP_INTERVAL_MS = '0';
+delete process.env.DATABASE_URL; // File storage only
+delete process.env.BOT_DETECTION_CONFIG;
+
+const { ENTRY_OUTCOMES, EntryGuard, recordAttempt } = require('./lib/entryGuard');
+const { createChecks } = require('./testing/checks');
+
+const PARTICIPANTS_DIR = path.join(__dirname, 'data', 'participants');
+const RUN = Date.now().toString(36);
+
+const checks = createChecks('entry guard');
+const { check } = checks;
+
+async function testGuard() {
+    const records = [
+        { participant_id: 'p_old', prolific_id: 'A', session_id: 's_old', timestamp_joined: '2026-10-01T09:00:00.000Z' },
+        { participant_id: 'p_new', prolific_id: 'A', session_id: 's_new', timestamp_joined: '2026-10-02T09:00:00.000Z' },
+        { participant_id: 'p_done', prolific_id: 'B', study_id: 'S1', timestamps: { completed: '2026-10-02T10:00:00.000Z' } },
+        { participant_id: 'p_unfinished', prolific_id: 'B', study_id: 'S1', timestamp_joined: '2026-10-03T09:00:00.000Z' },
+        { participant_id: 'p_bot', prolific_id: 'C', disqualified: true, bot_detection: { status: 'screened_out', review: null } },
+        { participant_id: 'p_other_study', prolific_id: 'D', study_id: 'S1', session_id: 's_d' },
+        { participant_id: 'p_page_flag', prolific_id: 'E', honeypot_triggered: true, disqualified: true, bot_detection: { status: 'review', review: null } },
+        { participant_id: 'p_page_screened', prolific_id: 'F', honeypot_triggered: true, disqualified: true, bot_detection: { status: 'screened_out', review: null } },
+        { participant_id: 'p_reviewed_bot', prolific_id: 'G', honeypot_triggered: true, disqualified: true, bot_detection: { status: 'review', review: { decision: 'bot' } } },
+        { participant_id: 'p_genuine', prolific_id: 'H', session_id: 's_h', bot_detection: { status: 'screened_out', review: { decision: 'genuine' } } },
+        { participant_id: 'p_legacy', prolific_id: 'I', session_id: 's_i', disqualified: true }
+    ];
+    const guard = new EntryGuard({ findByProlificId: async id => records.filter(record => record.prolific_id === id) });
+    const outcome = async (prolificId, studyId, sessionId) => {
+        const entry = await guard.check({ prolificId, studyId, sessionId });
+        return `${entry.outcome}:${entry.participant?.participant_id || ''}`;
+    };
+
+    check('A new Prolific ID is enrolled', await outcome('Z') === 'created:');
+    check('An unfinished participant is resumed from the same session, the latest first', await outcome('A', null, 's_new') === 'resumed:p_new');
+    check('Another session, or none, cannot resume them', await outcome('A', null, 's_old') === 'blocked_other_session:p_new' &&
+        await outcome('A') === 'blocked_other_session:p_new');
+    check('A finished participant blocks the ID even beside an unfinished one', await outcome('B') === 'blocked_completed:p_done');
+    check('A participant screened out by the checks blocks the ID', await outcome('C') === 'blocked_screened_out:p_bot');
+    check('Honeypot page records neither block nor are resumed', await outcome('E') === 'created:' && await outcome('F') === 'created:');
+    check('An admin\'s bot decision blocks the ID', await outcome('G') === 'blocked_screened_out:p_reviewed_bot');
+    check('A screen-out reviewed as genuine does not', await outcome('H', null, 's_h') === 'resumed:p_genuine');
+    check('A disqualified flag without the checks does not', await outcome('I', null, 's_i') === 'resumed:p_legacy');
+    check('Participants from another study do not count', await outcome('D', 'S2') === 'created:');
+    check('Participants from the same study, or recorded without one, do', await outcome('D', 'S1', 's_d') === 'resumed:p_other_study' &&
+        await outcome('A', 'S2', 's_new') === 'resumed:p_new');
+
+    const order = [];
+    const first = await guard.claim('A');
+    const second = guard.claim('A').then(release => { order.push('second'); release(); });
+    const other = guard.claim('B').then(release => { order.push('other'); release(); });
+    await other;
+    order.push('first');
+    first();
+    await second;
+    check('Claims on one ID wait for each other, other IDs do not', order.join() === 'other,first,second' && guard.claims.size === 0);
+
+    let participant = { participant_id: 'p_1' };
+    for (let i = 0; i < 60; i++) {
+        participant = recordAttempt(participant, { outcome: ENTRY_OUTCOMES.RESUMED, sessionId: `s${i}`, now: new Date(Date.UTC(2026, 9, 19, 0, i)) });
+    }
+    check('Attempts are logged with the session, keeping the latest 50', participant.entry_attempts.length === 50 &&
+        participant.entry_attempts[49].session_id === 's59' && participant.entry_attempts[0].session_id === 's10' &&
+        participant.entry_attempts[49].at === '2026-10-19T00:59:00.000Z');
+}
+
+async function request(method, route, body) {
+    const response = await fetch(`${BASE_URL}${route}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    return { status: response.status, data };
+}
+
+async function waitForServer(timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            if ((await request('GET', '/health')).status === 200) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error('Server did not become ready in time');
+}
+
+const readParticipant = id => JSON.parse(fs.readFileSync(path.join(PARTICIPANTS_DIR, `${id}.json`), 'utf8'));
+const participantsWith = prolificId => fs.readdirSync(PARTICIPANTS_DIR)
+    .map(file => JSON.parse(fs.readFileSync(path.join(PARTICIPANTS_DIR, file), 'utf8')))
+    .filter(record => record.prolific_id === prolificId);
+
+function submit(prolificId, extra = {}) {
+    return request('POST', '/survey/submit', {
+        prolific_id: prolificId,
+        mind_change_direction: 'not_urgent_to_urgent',
+        economic_issues: '4',
+        social_issues: '4',
+        consent: true,
+        ...extra
+    });
+}
+
+async function testRoutes() {
+    require('./server.js');
+    await waitForServer();
+    console.log(`\n🧪 Testing re-entry against ${BASE_URL}...\n`);
+
+    const first = await submit(`ENTRY${RUN}`, { study_id: 'STUDY1', session_id: 'SESSION1', economic_issues: '2' });
+    const participantId = first.data.participantId;
+    const enrolled = readParticipant(participantId);
+    check('The first submission enrols the participant with the Prolific IDs', first.status === 200 && !first.data.resumed &&
+        enrolled.study_id === 'STUDY1' && enrolled.session_id === 'SESSION1' &&
+        enrolled.entry_attempts.map(attempt => attempt.outcome).join() === 'created');
+
+    const again = await submit(`ENTRY${RUN}`, { study_id: 'STUDY1', session_id: 'SESSION1', economic_issues: '6' });
+    const resumed = readParticipant(participantId);
+    check('A second submission from the same session resumes the same participant', again.status === 200 &&
+        again.data.participantId === participantId && again.data.resumed === true && participantsWith(`ENTRY${RUN}`).length === 1);
+    check('Resuming keeps the first answers and study arm', resumed.views_matrix.political_views.economic_issues === 2 &&
+        JSON.stringify(resumed.assignment) === JSON.stringify(enrolled.assignment));
+    check('The resumed attempt is logged with its session', resumed.entry_attempts.length === 2 &&
+        resumed.entry_attempts[1].outcome === ENTRY_OUTCOMES.RESUMED && resumed.entry_attempts[1].session_id === 'SESSION1');
+
+    const elsewhere = await submit(`ENTRY${RUN}`, { study_id: 'STUDY1', session_id: 'SESSION2' });
+    const noSession = await submit(`ENTRY${RUN}`, { study_id: 'STUDY1' });
+    check('Another session is refused without the participant id', [elsewhere, noSession].every(response =>
+        response.status === 403 && response.data.type === 'already_started' && !JSON.stringify(response.data).includes(participantId)) &&
+        participantsWith(`ENTRY${RUN}`).length === 1);
+    check('The refused sessions are logged', readParticipant(participantId).entry_attempts.slice(2)
+        .map(attempt => `${attempt.outcome}:${attempt.session_id || ''}`).join() === 'blocked_other_session:SESSION2,blocked_other_session:');
+
+    const otherStudy = await submit(`ENTRY${RUN}`, { study_id: 'STUDY2' });
+    check('The same Prolific ID can enter a different study', otherStudy.status === 200 && otherStudy.data.participantId !== participantId &&
+        !otherStudy.data.resumed);
+
+    const [racing, racer] = await Promise.all([submit(`RACE${RUN}`, { session_id: 'RACE' }), submit(`RACE${RUN}`, { session_id: 'RACE' })]);
+    check('Two submissions at once create one participant', racing.status === 200 && racer.status === 200 &&
+        racing.data.participantId === racer.data.participantId && participantsWith(`RACE${RUN}`).length === 1);
+
+    const ended = await request('POST', '/api/end-survey', { participant_id: participantId, summaryConfidence: 7 });
+    const completed = await submit(`ENTRY${RUN}`, { study_id: 'STUDY1', session_id: 'SESSION3' });
+    check('A finished participant cannot take part again', ended.status === 200 && completed.status === 403 &&
+        completed.data.type === 'already_completed' && participantsWith(`ENTRY${RUN}`).length === 2);
+    check('The refused attempt is logged', readParticipant(participantId).entry_attempts.map(attempt => attempt.outcome).join() ===
+        'created,resumed,blocked_other_session,blocked_other_session,blocked_completed');
+
+    const screened = await submit(`SCREEN${RUN}`, { current_views: 'hello '.repeat(10) });
+    const retry = await submit(`SCREEN${RUN}`, { current_views: 'I have thought about it more carefully this time around.' });
+    const [screenedOut] = participantsWith(`SCREEN${RUN}`);
+    check('A screened-out ID is sent back to Prolific on every attempt', screened.status === 403 && retry.status === 403 &&
+        retry.data.type === 'screened_out' && retry.data.redirect_url.includes('SCREENOUT') && participantsWith(`SCREEN${RUN}`).length === 1);
+    check('The screened-out attempts are logged', screenedOut?.entry_attempts.map(attempt => attempt.outcome).join() === 'created,blocked_screened_out');
+
+    const honeypot = await request('POST', '/api/honeypot-submission', {
+        current_views: 'hello '.repeat(10),
+        participant_session_data: JSON.stringify({ prolific_id: `HONEY${RUN}` })
+    });
+    const afterHoneypot = await submit(`HONEY${RUN}`, { session_id: 'HONEY' });
+    const honeyRecords = participantsWith(`HONEY${RUN}`);
+    check('A honeypot page report cannot lock an ID out or be resumed', honeypot.status === 200 && afterHoneypot.status === 200 &&
+        !afterHoneypot.data.resumed && honeyRecords.length === 2 &&
+        honeyRecords.find(record => record.honeypot_triggered)?.participant_id !== afterHoneypot.data.participantId);
+}
+
+function cleanUp() {
+    for (const file of fs.existsSync(PARTICIPANTS_DIR) ? fs.readdirSync(PARTICIPANTS_DIR) : []) {
+        const record = JSON.parse(fs.readFileSync(path.join(PARTICIPANTS_DIR, file), 'utf8'));
+        if (String(record.prolific_id || '').endsWith(RUN)) fs.rmSync(path.join(PARTICIPANTS_DIR, file), { force: true });
+    }
+}
+
+async function runTest() {
+    try {
+        console.log('🧪 Testing the Prolific ID entry guard...\n');
+        await testGuard();
+        await testRoutes();
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        cleanUp();
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
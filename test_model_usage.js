@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * Test token usage and cost accounting (lib/modelUsage.js)
+ *
+ * Checks the price lookup and aggregation, then runs the server in this process
+ * with a provider that reports token usage and verifies that chat replies,
+ * streamed replies and /api/generate-summary are recorded, that assistant
+ * messages carry the tokens and latency, and that /api/admin/usage-report
+ * attributes the cost to the participant and their study arm. Also checks that
+ * clearing every call's identifiers (for clear-all-data) keeps the tokens.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CALL_PURPOSES, priceFor, costOf, buildModelCall, aggregateModelCalls, ModelUsageLog } = require('./lib/modelUsage');
+const { provenanceColumns } = require('./lib/messageProvenance');
+const { AdminStore } = require('./lib/adminAuth');
+
+const PORT = process.env.USAGE_TEST_PORT || 3920;
+const BASE_URL = `http://localhost:${PORT}`;
+const ADMIN_FILE = path.join(__dirname, 'data', 'admin_users.json');
+const ADMIN_USERNAME = `test-usage-viewer-${Date.now().toString(36)}`;
+const ADMIN_PASSWORD = 'correct horse battery staple';
+
+process.env.PORT = String(PORT);
+process.env.LLM_PROVIDER = 'mock';
+process.env.ADMIN_AUTH_SECRET = 'usage-test-secret';
+process.env.CHAT_SWEEP_INTERVAL_MS = '0';
+delete process.env.DATABASE_URL; // File storage only
+delete process.env.LLM_PRICES;
+
+const llmProvider = require('./lib/llmProvider');
+const { createChecks } = require('./testing/checks');
+
+const checks = createChecks('model usage');
+const { check } = checks;
+
+async function post(route, body) {
+    return fetch(`${BASE_URL}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+// The chat router is mounted asynchronously, so wait for /chat/start rather than /health
+async function waitForChatRouter(timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            const response = await post('/chat/start', {});
+            if (response.status === 400) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error('Chat router did not become available in time');
+}
+
+// Provider that answers every call with fixed token counts
+function meteredProvider() {
+    const reply = { model: 'gpt-4o-mini-2024-07-18', usage: { promptTokens: 1000, completionTokens: 200 } };
+    return {
+        name: 'metered',
+        model: 'gpt-4o-mini',
+        isConfigured: () => true,
+        chat: async (messages, options) => ({
+            ...reply,
+            content: options.purpose === 'views_summary'
+                ? 'Climate change is urgent and mostly caused by people.'
+                : 'What happened next that made you see it differently?'
+        }),
+        chatStream: async (messages, options, onDelta) => {
+            onDelta('What changed ');
+            onDelta('after that?');
+            return { ...reply, content: 'What changed after that?' };
+        }
+    };
+}
+
+function testAccounting() {
+    console.log('🧪 Testing prices and aggregation...\n');
+
+    check('Dated snapshots use the base model price', priceFor('gpt-4o-mini-2024-07-18').input === 0.15);
+    check('gpt-4o-mini is not priced as gpt-4o', priceFor('gpt-4o-mini').output === 0.6);
+    check('OpenRouter ids drop the vendor prefix', priceFor('openai/gpt-4o').input === 2.5);
+    check('Unknown models have no price', priceFor('llama3.1:8b') === null);
+    check('Cost is tokens × price per million',
+        costOf('gpt-4o-mini', { promptTokens: 1000, completionTokens: 200 }) === 0.00027);
+    check('Calls without usage have no cost', costOf('gpt-4o-mini', null) === null);
+    check('LLM_PRICES-style overrides are used',
+        costOf('llama3.1:8b', { promptTokens: 1e6, completionTokens: 0 }, { 'llama3.1': { input: 0.05, output: 0.1 } }) === 0.05);
+
+    const calls = [
+        buildModelCall({ participantId: 'p1', model: 'gpt-4o-mini', usage: { promptTokens: 1000, completionTokens: 200 }, latencyMs: 100 }),
+        buildModelCall({ participantId: 'p1', studyArm: 'standard', model: 'gpt-4o-mini', usage: { promptTokens: 1000, completionTokens: 200 }, latencyMs: 300 }),
+        buildModelCall({ purpose: CALL_PURPOSES.VIEWS_SUMMARY, prolificId: 'PROLIFIC_P1', model: 'local-model', latencyMs: 50, fallback: true }),
+        buildModelCall({ model: 'gpt-4o-mini', usage: { promptTokens: 10, completionTokens: 0 } })
+    ];
+    const report = aggregateModelCalls(calls, [{ participantId: 'p1', prolificId: 'PROLIFIC_P1', studyArm: 'standard' }]);
+    const p1 = report.byParticipant.find(row => row.participantId === 'p1');
+    check('Calls are attributed through the Prolific id', p1.calls === 3);
+    check('Participant totals add up tokens and cost', p1.promptTokens === 2000 && p1.costUsd === 0.00054);
+    check('Unpriced and fallback calls are counted', p1.unpricedCalls === 1 && p1.fallbackCalls === 1);
+    check('Mean latency covers calls that reported it', p1.meanLatencyMs === 150);
+    check('Arms fall back to the participant assignment',
+        report.byArm.find(row => row.studyArm === 'standard').calls === 3 && report.byArm.find(row => row.studyArm === 'unassigned').calls === 1);
+    check('Unknown callers are unattributed', report.byParticipant.some(row => row.participantId === 'unattributed'));
+    check('Days group every call', report.byDay.reduce((sum, row) => sum + row.calls, 0) === 4 && report.totals.calls === 4);
+}
+
+async function testForgetAll() {
+    console.log('\n🧪 Testing clearing identifiers from every call...\n');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-usage-test-'));
+    const updates = [];
+    const prisma = {
+        modelCall: {
+            create: async () => ({}),
+            updateMany: async args => { updates.push(args); return { count: 3 }; }
+        }
+    };
+    try {
+        const usage = new ModelUsageLog({ dir, getPrisma: () => prisma });
+        await usage.record({ participantId: 'p1', conversationId: 'c1', model: 'gpt-4o-mini', usage: { promptTokens: 1000, completionTokens: 200 } });
+        await usage.record({ prolificId: 'PROLIFIC_P2', purpose: CALL_PURPOSES.VIEWS_SUMMARY, model: 'gpt-4o-mini', usage: { promptTokens: 10, completionTokens: 5 } });
+        await usage.record({ model: 'gpt-4o-mini', usage: { promptTokens: 1, completionTokens: 1 } });
+
+        const cleared = await usage.forgetAll();
+        const calls = await new ModelUsageLog({ dir }).list();
+        check('Every call that named someone is cleared in the files', cleared.files === 2 &&
+            calls.every(call => !call.participantId && !call.prolificId && !call.conversationId));
+        check('Token counts are kept', calls.length === 3 && calls.reduce((sum, call) => sum + call.promptTokens, 0) === 1011);
+        check('Database rows are cleared the same way', cleared.database === 3 &&
+            updates[0]?.data.participantId === null && updates[0].where.OR.every(condition => Object.values(condition)[0].not === null));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+async function testServerUsage() {
+    console.log(`\n🧪 Testing usage recording against ${BASE_URL}...\n`);
+    require('./server.js');
+    await waitForChatRouter();
+    llmProvider.setProvider(meteredProvider());
+
+    const prolificId = `USAGE_TEST_${Date.now()}`;
+    const summary = await (await post('/api/generate-summary', {
+        currentViews: 'I now think climate change is urgent and mostly caused by people.',
+        elaboration: 'The fires and floods near home changed how I see it.',
+        prolificId
+    })).json();
+    check('Views summary comes from the model', summary.summary === 'Climate change is urgent and mostly caused by people.');
+
+    const survey = await (await post('/survey/submit', {
+        prolific_id: prolificId,
+        mind_change_direction: 'not_urgent_to_urgent',
+        economic_issues: '4',
+        social_issues: '4',
+        consent: true
+    })).json();
+    const userId = survey.participantId;
+    const conversationId = `usage-test-${Date.now()}`;
+
+    await post('/chat/start', { userId, conversationId });
+    await (await post('/chat/reply', { conversationId, message: 'The bushfires near my town made me take climate change seriously.', userId })).json();
+    await (await post('/chat/reply/stream', { conversationId, message: 'Then I started reading the research myself.', userId })).text();
+
+    const conversation = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'conversations', `${conversationId}.json`), 'utf8'));
+    // Anti-loop may rewrite a reply, but its provenance still describes the model call
+    const replies = conversation.messages.filter(m => m.role === 'assistant' && m.provenance?.source !== 'opening_line');
+    check('Both replies are stored', replies.length === 2);
+    check('Assistant messages carry token usage and latency', replies.every(m =>
+        m.provenance.usage?.promptTokens === 1000 && m.provenance.usage?.completionTokens === 200 && Number.isFinite(m.provenance.latencyMs)));
+    const columns = provenanceColumns(replies[0]);
+    check('Message columns get tokensIn/tokensOut', columns.tokensIn === 1000 && columns.tokensOut === 200);
+
+    const anonymous = await fetch(`${BASE_URL}/api/admin/usage-report`);
+    check('Usage report needs an admin login', anonymous.status === 401);
+    await new AdminStore({ file: ADMIN_FILE }).create({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'viewer' });
+    const { token } = await (await post('/api/admin/login', { username: ADMIN_USERNAME, password: ADMIN_PASSWORD })).json();
+    const headers = { Authorization: `Bearer ${token}` };
+    const invalid = await fetch(`${BASE_URL}/api/admin/usage-report?from=yesterday`, { headers });
+    check('Malformed dates are rejected', invalid.status === 400);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const report = await (await fetch(`${BASE_URL}/api/admin/usage-report?from=${today}&to=${today}`, { headers })).json();
+    const participant = report.byParticipant.find(row => row.participantId === userId);
+    check('Summary, reply and streamed reply are attributed to the participant', participant?.calls === 3);
+    check('Participant tokens and cost are reported',
+        participant?.promptTokens === 3000 && participant?.completionTokens === 600 && participant?.costUsd === 0.00081);
+    const arm = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'participants', `${userId}.json`), 'utf8')).assignment.arm;
+    check('Calls count towards the participant\'s arm', report.byArm.find(row => row.studyArm === arm)?.calls >= 3);
+    check('Calls count towards today', report.byDay.find(row => row.day === today)?.calls >= 3);
+}
+
+function removeTestAdmin() {
+    if (!fs.existsSync(ADMIN_FILE)) return;
+    const remaining = JSON.parse(fs.readFileSync(ADMIN_FILE, 'utf8')).filter(admin => admin.username !== ADMIN_USERNAME);
+    if (remaining.length) fs.writeFileSync(ADMIN_FILE, JSON.stringify(remaining, null, 2));
+    else fs.unlinkSync(ADMIN_FILE);
+}
+
+async function runTest() {
+    try {
+        testAccounting();
+        await testForgetAll();
+        await testServerUsage();
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        removeTestAdmin();
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+/**
+ * Test the write outbox (lib/outbox.js)
+ *
+ * Runs the Prisma repository on the in-memory stand-in from test_repository.js
+ * and makes its writes fail. Checks that failed saves are queued on disk rather
+ * than lost, that reads see the queued records, that the queue survives a
+ * restart, that retries back off while the database is down and drain once it
+ * is back, that a newer direct write supersedes a queued one, and that the
+ * queue depth is reported. Then runs the server in this process on the same
+ * wrapped repository, as STORAGE_BACKEND=postgres does, and checks that a chat
+ * can be started and reopened while its conversation is still queued.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { PrismaRepository } = require('./lib/repository');
+const { retryDelay, WriteOutbox, OutboxRepository, startOutboxWorker } = require('./lib/outbox');
+const { memoryPrisma } = require('./test_repository');
+const { createChecks } = require('./testing/checks');
+
+const PORT = process.env.OUTBOX_TEST_PORT || 3930;
+const BASE_URL = `http://localhost:${PORT}`;
+
+const checks = createChecks('outbox');
+const { check } = checks;
+
+const participant = (id, extra = {}) => ({ participant_id: id, prolific_id: `PROLIFIC_${id}`, demographics: { age: '34' }, ...extra });
+const conversation = (id, participantId, extra = {}) => ({
+    id,
+    participantId,
+    startedAt: '2026-10-19T10:05:00.000Z',
+    endedAt: null,
+    messages: [{ role: 'assistant', content: 'What changed your mind?' }],
+    ...extra
+});
+
+// A database whose writes can be switched off
+function flakyDatabase() {
+    const prisma = memoryPrisma();
+    const database = { prisma, down: false };
+    const transaction = prisma.$transaction;
+    prisma.$transaction = operations => (database.down
+        ? Promise.reject(new Error("Can't reach database server"))
+        : transaction(operations));
+    return database;
+}
+
+const later = (from, ms) => new Date(from.getTime() + ms);
+
+async function runOutbox(root) {
+    const dir = path.join(root, 'outbox');
+    const database = flakyDatabase();
+    const stored = new PrismaRepository({ getPrisma: () => database.prisma });
+    const repository = new OutboxRepository({ repository: stored, outbox: new WriteOutbox({ dir }) });
+
+    await repository.participants.save(participant('p_ok'));
+    check('Writes go straight to the database when it is up',
+        Boolean(await stored.participants.get('p_ok')) && repository.outbox.stats().depth === 0);
+
+    database.down = true;
+    const saved = await repository.participants.save(participant('p_queued'));
+    await repository.conversations.save(conversation('c_queued', 'p_queued'));
+    check('A failed write does not fail the caller', saved.participant_id === 'p_queued');
+    check('Failed writes are queued on disk', fs.readdirSync(dir).length === 2 && repository.outbox.stats().depth === 2);
+    check('Reads see queued records', (await repository.participants.get('p_queued'))?.participant_id === 'p_queued' &&
+        (await repository.conversations.get('c_queued'))?.id === 'c_queued');
+    check('Listings include queued records',
+        (await repository.participants.list()).map(p => p.participant_id).sort().join() === 'p_ok,p_queued' &&
+        (await repository.conversations.listOpen()).map(c => c.id).join() === 'c_queued' &&
+        (await repository.participants.findByProlificId('PROLIFIC_p_queued')).length === 1 &&
+        (await repository.conversations.findByParticipant('p_queued')).map(c => c.id).join() === 'c_queued' &&
+        (await repository.conversations.findByParticipant('p_ok')).length === 0);
+
+    const updated = conversation('c_queued', 'p_queued', { endedAt: '2026-10-19T10:15:00.000Z' });
+    await repository.conversations.save(updated);
+    check('A later write to a queued record replaces it', repository.outbox.stats().conversations === 1 &&
+        (await repository.conversations.get('c_queued')).endedAt === updated.endedAt &&
+        (await repository.conversations.latestCompleted())?.id === 'c_queued');
+
+    const restarted = new OutboxRepository({ repository: stored, outbox: new WriteOutbox({ dir }) });
+    check('The queue survives a restart', restarted.outbox.stats().depth === 2 &&
+        (await restarted.conversations.get('c_queued'))?.endedAt === updated.endedAt);
+
+    const now = new Date();
+    check('Nothing is retried before it is due', (await restarted.flush(now)).failed === 0);
+    const failed = await restarted.flush(later(now, 10 * 1000));
+    const tried = [restarted.outbox.entry('participants', 'p_queued'), restarted.outbox.entry('conversations', 'c_queued')]
+        .filter(entry => entry.attempts > 0);
+    check('A failed retry stops the pass and backs off', failed.failed === 1 && failed.written === 0 &&
+        tried.length === 1 && tried[0].lastError.includes("Can't reach") && new Date(tried[0].nextAttemptAt) > later(now, 10 * 1000));
+    check('Backoff doubles up to a cap', retryDelay(1) < retryDelay(2) && retryDelay(2) === 2 * retryDelay(1) && retryDelay(30) === retryDelay(40));
+
+    const stats = restarted.outbox.stats(later(now, 60 * 1000));
+    check('Queue depth, age and last error are reported',
+        stats.depth === 2 && stats.participants === 1 && stats.oldestAgeMs >= 60 * 1000 && stats.maxAttempts === 1 && Boolean(stats.lastError));
+
+    database.down = false;
+    const worker = startOutboxWorker({ repository: restarted, intervalMs: 0 });
+    const drained = await worker.flush(later(now, 10 * 60 * 1000));
+    check('Queued writes are written once the database is back', drained.written === 2 && restarted.outbox.stats().depth === 0 &&
+        (await stored.conversations.get('c_queued'))?.endedAt === updated.endedAt && Boolean(await stored.participants.get('p_queued')));
+    check('Written entries are removed from disk', fs.readdirSync(dir).length === 0);
+    check('Retries are counted', restarted.outbox.stats().retried.written === 2 && restarted.outbox.stats().retried.failed === 1);
+    worker.stop();
+
+    database.down = true;
+    await restarted.participants.save(participant('p_superseded', { demographics: { age: '20' } }));
+    database.down = false;
+    await restarted.participants.save(participant('p_superseded', { demographics: { age: '21' } }));
+    check('A direct write that succeeds drops the queued copy', restarted.outbox.stats().depth === 0);
+    await restarted.flush(later(now, 60 * 60 * 1000));
+    check('The older queued copy never overwrites it', (await stored.participants.get('p_superseded')).demographics.age === '21');
+
+    database.down = true;
+    await restarted.participants.save(participant('p_cleared'));
+    check('Clearing the outbox drops queued writes', restarted.outbox.clear() === 1 && fs.readdirSync(dir).length === 0);
+}
+
+async function post(route, body) {
+    const response = await fetch(`${BASE_URL}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, data: await response.json().catch(() => ({})) };
+}
+
+// The chat router is mounted asynchronously, so wait for /chat/start rather than /health
+async function waitForChatRouter(timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            if ((await post('/chat/start', {})).status === 400) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error('Chat router did not become available in time');
+}
+
+async function runChatStart(root) {
+    process.env.PORT = String(PORT);
+    process.env.LLM_PROVIDER = 'mock';
+    process.env.CHAT_SWEEP_INTERVAL_MS = '0';
+    delete process.env.DATABASE_URL;
+
+    // The server reads database.repository when it loads; give it the wrapping the postgres backend uses
+    const database = flakyDatabase();
+    const stored = new PrismaRepository({ getPrisma: () => database.prisma });
+    const databaseModule = require('./database');
+    databaseModule.repository = new OutboxRepository({
+        repository: stored,
+        outbox: new WriteOutbox({ dir: path.join(root, 'server-outbox') })
+    });
+    require('./server.js');
+    await waitForChatRouter();
+
+    const run = Date.now().toString(36);
+    const survey = await post('/survey/submit', {
+        prolific_id: `OUTBOX${run}`,
+        mind_change_direction: 'not_urgent_to_urgent',
+        economic_issues: '4',
+        social_issues: '4',
+        consent: true
+    });
+    const userId = survey.data.participantId;
+    check('Survey is stored through the outbox repository', survey.status === 200 &&
+        (await stored.participants.get(userId))?.prolific_id === `OUTBOX${run}`);
+
+    database.down = true;
+    const started = await post('/chat/start', { userId, conversationId: `outbox-chat-${run}` });
+    check('/chat/start works on the outbox repository', started.status === 200 && !started.data.resumed &&
+        databaseModule.repository.outbox.stats().conversations === 1);
+
+    const reopened = await post('/chat/start', { userId, conversationId: `outbox-chat-again-${run}` });
+    check('A queued conversation is found for its participant', reopened.status === 200 && reopened.data.resumed === true &&
+        reopened.data.conversationId === `outbox-chat-${run}`);
+    database.down = false;
+}
+
+async function runTest() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+    try {
+        console.log('🧪 Testing the write outbox...\n');
+        await runOutbox(root);
+        await runChatStart(root);
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
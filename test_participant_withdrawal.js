@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * Test participant withdrawal (POST /api/admin/participants/withdraw)
+ *
+ * Runs the server in this process on file storage, creates two participants
+ * with a conversation each, withdraws one by Prolific ID and checks that their
+ * participant, conversation and conversation state files are gone, the other
+ * participant is untouched, their model usage records no longer name them,
+ * the tombstone and audit entry hold only hashes,
+ * chat replies and a new survey submission with the same Prolific ID are
+ * refused, a snapshot was taken first, and a second withdrawal reports
+ * alreadyWithdrawn.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PORT = process.env.WITHDRAWAL_TEST_PORT || 3923;
+const BASE_URL = `http://localhost:${PORT}`;
+
+process.env.PORT = String(PORT);
+process.env.LLM_PROVIDER = 'mock';
+process.env.ADMIN_AUTH_SECRET = 'withdrawal-test-secret';
+process.env.CHAT_SWEEP_INTERVAL_MS = '0';
+process.env.SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'withdrawal-snapshots-'));
+delete process.env.DATABASE_URL; // File storage only
+
+const { AdminStore } = require('./lib/adminAuth');
+const { hashIdentifier } = require('./lib/withdrawal');
+const { createChecks } = require('./testing/checks');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const ADMIN_FILE = path.join(DATA_DIR, 'admin_users.json');
+const WITHDRAWALS_FILE = path.join(DATA_DIR, 'withdrawals.json');
+const RUN = Date.now().toString(36);
+const PASSWORD = 'correct horse battery staple';
+const steward = `test-withdrawal-steward-${RUN}`;
+const viewer = `test-withdrawal-viewer-${RUN}`;
+const withdrawing = { prolificId: `WITHDRAW${RUN}`, conversationId: `withdrawal-test-${RUN}-a` };
+const staying = { prolificId: `STAY${RUN}`, conversationId: `withdrawal-test-${RUN}-b` };
+
+const checks = createChecks('participant withdrawal');
+const { check } = checks;
+
+async function request(method, route, { token, body } = {}) {
+    const response = await fetch(`${BASE_URL}${route}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    return { status: response.status, data };
+}
+
+// The chat router is mounted asynchronously, so wait for /chat/start rather than /health
+async function waitForChatRouter(timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            if ((await request('POST', '/chat/start', { body: {} })).status === 400) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error('Chat router did not become ready in time');
+}
+
+const dataFile = (dir, id) => path.join(DATA_DIR, dir, `${id}.json`);
+
+async function enrol(participant) {
+    const survey = await request('POST', '/survey/submit', {
+        body: {
+            prolific_id: participant.prolificId,
+            mind_change_direction: 'not_urgent_to_urgent',
+            economic_issues: '4',
+            social_issues: '4',
+            consent: true
+        }
+    });
+    participant.participantId = survey.data.participantId;
+    await request('POST', '/chat/start', { body: { userId: participant.participantId, conversationId: participant.conversationId } });
+    await request('POST', '/chat/reply', {
+        body: { conversationId: participant.conversationId, message: 'The floods last winter changed my mind.', userId: participant.participantId }
+    });
+}
+
+async function runWithdrawal() {
+    const store = new AdminStore({ file: ADMIN_FILE });
+    await store.create({ username: steward, password: PASSWORD, role: 'data-steward' });
+    await store.create({ username: viewer, password: PASSWORD, role: 'viewer' });
+
+    require('./server.js');
+    await waitForChatRouter();
+    console.log(`🧪 Testing participant withdrawal against ${BASE_URL}...\n`);
+
+    await enrol(withdrawing);
+    await enrol(staying);
+    check('Participants and conversations were stored', [withdrawing, staying].every(p =>
+        fs.existsSync(dataFile('participants', p.participantId)) &&
+        fs.existsSync(dataFile('conversations', p.conversationId)) &&
+        fs.existsSync(dataFile('conversation_states', p.conversationId))
+    ));
+
+    const stewardToken = (await request('POST', '/api/admin/login', { body: { username: steward, password: PASSWORD } })).data.token;
+    const viewerToken = (await request('POST', '/api/admin/login', { body: { username: viewer, password: PASSWORD } })).data.token;
+    const withdraw = (token, body) => request('POST', '/api/admin/participants/withdraw', { token, body });
+
+    check('Viewers cannot withdraw participants', (await withdraw(viewerToken, { prolific_id: withdrawing.prolificId })).status === 403);
+    check('An identifier is required', (await withdraw(stewardToken, {})).status === 400);
+    check('Unknown participants are reported', (await withdraw(stewardToken, { prolific_id: `NOBODY${RUN}` })).status === 404);
+
+    const result = await withdraw(stewardToken, { prolific_id: withdrawing.prolificId, reason: 'Emailed the study team' });
+    check('Withdrawal succeeds', result.status === 200 && result.data.withdrawn === 1 && result.data.conversations === 1);
+    check('Withdrawal reports the files removed',
+        result.data.removed?.files.participants === 1 && result.data.removed.files.conversations === 1 && result.data.removed.files.conversationStates === 1);
+    check('A snapshot is taken before deleting', Boolean(result.data.snapshot) && fs.existsSync(path.join(process.env.SNAPSHOT_DIR, result.data.snapshot)));
+    check('Participant file is removed', !fs.existsSync(dataFile('participants', withdrawing.participantId)));
+    check('Conversation file is removed', !fs.existsSync(dataFile('conversations', withdrawing.conversationId)));
+    check('Conversation state file is removed', !fs.existsSync(dataFile('conversation_states', withdrawing.conversationId)));
+    const modelCalls = fs.readdirSync(path.join(DATA_DIR, 'model_calls'))
+        .map(file => fs.readFileSync(path.join(DATA_DIR, 'model_calls', file), 'utf8')).join('');
+    check('Model usage records no longer name the participant', result.data.removed?.modelCalls?.files > 0 &&
+        ![withdrawing.participantId, withdrawing.prolificId, withdrawing.conversationId].some(id => modelCalls.includes(id)) &&
+        modelCalls.includes(staying.conversationId));
+    check('Other participant is untouched',
+        fs.existsSync(dataFile('participants', staying.participantId)) && fs.existsSync(dataFile('conversations', staying.conversationId)));
+
+    const tombstones = JSON.parse(fs.readFileSync(WITHDRAWALS_FILE, 'utf8'));
+    const tombstone = tombstones.find(t => t.prolificIdHash === hashIdentifier(withdrawing.prolificId));
+    check('Tombstone stores hashes and the admin',
+        tombstone?.participantIdHash === hashIdentifier(withdrawing.participantId) && tombstone.withdrawnBy === steward);
+    check('Tombstone does not hold the identifiers',
+        !JSON.stringify(tombstones).includes(withdrawing.prolificId) && !JSON.stringify(tombstones).includes(withdrawing.participantId));
+
+    await new Promise(resolve => setTimeout(resolve, 200)); // Audit entries are written when the response finishes
+    const audit = fs.readFileSync(path.join(DATA_DIR, 'audit', 'audit_log.jsonl'), 'utf8');
+    const entry = audit.split('\n').filter(Boolean).map(line => JSON.parse(line))
+        .find(e => e.action === 'data.withdraw' && e.status === 200 && e.params.prolificIdHash === tombstone?.prolificIdHash);
+    check('Audit entry records the withdrawal with hashes and row counts', entry?.rowCounts?.files?.participants === 1);
+    check('Audit log does not hold the Prolific ID', !audit.includes(withdrawing.prolificId));
+
+    const reply = await request('POST', '/chat/reply', {
+        body: { conversationId: withdrawing.conversationId, message: 'Are you still there?', userId: withdrawing.participantId }
+    });
+    check('Replies to a withdrawn conversation are refused', reply.status === 404 && reply.data.sessionEnded === true);
+    check('Withdrawn conversation state is not recreated', !fs.existsSync(dataFile('conversation_states', withdrawing.conversationId)));
+
+    const reentry = await request('POST', '/survey/submit', {
+        body: { prolific_id: withdrawing.prolificId, mind_change_no_change: true, consent: true }
+    });
+    check('Withdrawn Prolific ID cannot take part again', reentry.status === 403 && reentry.data.type === 'withdrawn');
+    check('Repeating the withdrawal is reported as done',
+        (await withdraw(stewardToken, { participant_id: withdrawing.participantId })).data.alreadyWithdrawn === true);
+
+    const byId = await withdraw(stewardToken, { participant_id: staying.participantId });
+    check('Participants can be withdrawn by participant id',
+        byId.status === 200 && !fs.existsSync(dataFile('participants', staying.participantId)) && !fs.existsSync(dataFile('conversations', staying.conversationId)));
+}
+
+function cleanUp() {
+    fs.rmSync(process.env.SNAPSHOT_DIR, { recursive: true, force: true });
+    if (fs.existsSync(ADMIN_FILE)) {
+        const remaining = JSON.parse(fs.readFileSync(ADMIN_FILE, 'utf8')).filter(admin => !admin.username.endsWith(`-${RUN}`));
+        if (remaining.length) fs.writeFileSync(ADMIN_FILE, JSON.stringify(remaining, null, 2));
+        else fs.unlinkSync(ADMIN_FILE);
+    }
+    if (fs.existsSync(WITHDRAWALS_FILE)) {
+        const testHashes = [withdrawing, staying].map(p => hashIdentifier(p.prolificId));
+        const remaining = JSON.parse(fs.readFileSync(WITHDRAWALS_FILE, 'utf8')).filter(t => !testHashes.includes(t.prolificIdHash));
+        if (remaining.length) fs.writeFileSync(WITHDRAWALS_FILE, JSON.stringify(remaining, null, 2));
+        else fs.unlinkSync(WITHDRAWALS_FILE);
+    }
+    for (const participant of [withdrawing, staying]) {
+        if (participant.participantId) fs.rmSync(dataFile('participants', participant.participantId), { force: true });
+        fs.rmSync(dataFile('conversations', participant.conversationId), { force: true });
+        fs.rmSync(dataFile('conversation_states', participant.conversationId), { force: true });
+    }
+}
+
+async function runTest() {
+    try {
+        await runWithdrawal();
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        cleanUp();
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
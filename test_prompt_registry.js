@@ -0,0 +1,65 @@
+// Test script for versioned prompt templates (backend/src/utils/promptRegistry.js)
+// and the provenance columns stored on assistant messages (lib/messageProvenance.js).
+
+import crypto from 'node:crypto';
+import { createRequire } from 'node:module';
+import { hashText, loadPrompt, renderPrompt, listPrompts } from './backend/src/utils/promptRegistry.js';
+import { renderSystemPrompt, renderArmSystemPrompt } from './backend/src/utils/systemPrompt.js';
+import { createChecks } from './testing/checks.js';
+
+const require = createRequire(import.meta.url);
+const { REPLY_SOURCES, buildProvenance, provenanceColumns, provenanceFromRow } = require('./lib/messageProvenance');
+const { samplingParams } = require('./lib/llmProvider');
+
+const checks = createChecks('prompt registry');
+const { check } = checks;
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+console.log('🧪 Testing prompt registry and message provenance...\n');
+
+const profile = { views_changed: 'not_urgent_to_urgent', change_description: 'Saw the bushfires', change_confidence: 7 };
+
+// Hashes and rendering
+const template = loadPrompt('interviewer-standard', 1);
+check('Template hash is the SHA-256 of the file text',
+  template.promptHash === crypto.createHash('sha256').update(template.template).digest('hex'));
+check('Hashing is stable', hashText(template.template) === template.promptHash);
+
+// SHA-256 of the text the interviewer prompt rendered before it moved into v1.txt
+check('interviewer-standard v1 renders the pre-registry prompt byte for byte',
+  hashText(renderSystemPrompt(profile)) === 'a8a8683875274f244c855fe8d8068ed29feff6a5196ee4022400869d0a6b32fa');
+
+const rendered = renderArmSystemPrompt({ id: 'standard', systemPrompt: 'standard', systemPromptVersion: 1 }, profile);
+check('Arm rendering reports the template it used',
+  rendered.promptId === 'interviewer-standard' && rendered.promptVersion === 1 && rendered.promptHash === template.promptHash);
+check('Missing placeholder values are an error', throws(() => renderPrompt('interviewer-standard', { views_changed: 'x' })));
+check('Unknown versions are an error', throws(() => loadPrompt('interviewer-standard', 999)));
+check('Unknown prompts are an error', throws(() => loadPrompt('no-such-prompt')));
+check('listPrompts includes both prompts',
+  ['interviewer-standard', 'conversation-api'].every(id => listPrompts().some(p => p.promptId === id)));
+
+// Provenance round trip through the Message columns
+const provenance = buildProvenance({
+  prompt: rendered,
+  stageHash: hashText('- stage guidance'),
+  completion: { model: 'gpt-4o-mini', sampling: samplingParams({ maxTokens: 300, temperature: 0.7, stream: false }) }
+});
+const columns = provenanceColumns({ role: 'assistant', content: 'Reply', provenance });
+check('Columns carry source, prompt, stage hash and model',
+  columns.replySource === REPLY_SOURCES.MODEL && columns.promptHash === template.promptHash &&
+  columns.stageHash === hashText('- stage guidance') && columns.model === 'gpt-4o-mini');
+check('Sampling params keep only sampling settings',
+  JSON.stringify(columns.samplingParams) === JSON.stringify({ maxTokens: 300, temperature: 0.7 }));
+check('Row maps back to the same provenance',
+  JSON.stringify(provenanceFromRow(columns)) === JSON.stringify(provenance));
+check('User messages have no provenance', provenanceFromRow(provenanceColumns({ role: 'user', content: 'Hi' })) === null);
+
+process.exit(checks.report() ? 0 : 1);
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * Test study-arm randomisation (lib/randomiser.js)
+ *
+ * Checks that permuted blocks keep arms balanced within each stratum, that
+ * allocation is reproducible from the seed, that ratios are honoured, that
+ * the sequence resumes from the stored participant count after a restart, and
+ * that counts are kept per study config and start again after a reset.
+ */
+
+const { Randomiser, stratumFor, political7FromParticipant } = require('./lib/randomiser');
+const { createChecks } = require('./testing/checks');
+
+const checks = createChecks('randomisation');
+const { check } = checks;
+
+function participant(direction, economic, social) {
+    return {
+        belief_change: { mind_change_direction: direction },
+        views_matrix: { political_views: { economic_issues: economic, social_issues: social } }
+    };
+}
+
+function tally(assignments) {
+    return assignments.reduce((counts, a) => ({ ...counts, [a.arm]: (counts[a.arm] || 0) + 1 }), {});
+}
+
+const twoArms = {
+    id: 'two-arm-test',
+    arms: [{ id: 'control', ratio: 1 }, { id: 'reflective', ratio: 1 }],
+    randomisation: { method: 'stratified_block', strata: ['mind_change_direction', 'political7'], blockMultiplier: 2 }
+};
+
+async function runTest() {
+    console.log('🧪 Testing study-arm randomisation...\n');
+
+    // Stratum labels
+    check('political7 is the rounded mean of the two scales', political7FromParticipant(participant('x', 2, 5)) === 4);
+    check('Strata combine direction and political group',
+        stratumFor(participant('not_urgent_to_urgent', 1, 2), twoArms.randomisation.strata) === 'mind_change_direction=not_urgent_to_urgent|political7=left');
+    check('Missing political views fall into an unknown group',
+        stratumFor({}, ['political7']) === 'political7=unknown');
+
+    // Balance within each stratum after every full block (block size 4)
+    const randomiser = new Randomiser({ seed: 'test-seed' });
+    const left = [];
+    const right = [];
+    for (let i = 0; i < 12; i++) {
+        left.push(await randomiser.assign(participant('not_urgent_to_urgent', 2, 2), twoArms));
+        right.push(await randomiser.assign(participant('urgent_to_not_urgent', 6, 7), twoArms));
+    }
+    const balanced = assignments => [4, 8, 12].every(n => {
+        const counts = tally(assignments.slice(0, n));
+        return counts.control === n / 2 && counts.reflective === n / 2;
+    });
+    check('Arms are balanced after every block in the first stratum', balanced(left));
+    check('Arms are balanced after every block in the second stratum', balanced(right));
+    check('Strata keep separate sequences', left[11].sequence_index === 11 && right[11].sequence_index === 11);
+
+    // Reproducible from the seed
+    const replay = new Randomiser({ seed: 'test-seed' });
+    const replayed = [];
+    for (let i = 0; i < 12; i++) {
+        replayed.push((await replay.assign(participant('not_urgent_to_urgent', 2, 2), twoArms)).arm);
+    }
+    check('Same seed reproduces the allocation sequence', replayed.join() === left.map(a => a.arm).join());
+
+    // Unequal allocation ratio
+    const weighted = { ...twoArms, arms: [{ id: 'control', ratio: 1 }, { id: 'reflective', ratio: 2 }], randomisation: { method: 'block', blockMultiplier: 1 } };
+    const weightedRandomiser = new Randomiser({ seed: 'test-seed' });
+    const weightedAssignments = [];
+    for (let i = 0; i < 9; i++) {
+        weightedAssignments.push(await weightedRandomiser.assign(participant('other', 4, 4), weighted));
+    }
+    const weightedCounts = tally(weightedAssignments);
+    check('2:1 ratio gives 3 control and 6 reflective over three blocks', weightedCounts.control === 3 && weightedCounts.reflective === 6);
+    check('Unstratified block method uses a single stratum', weightedAssignments[0].stratum === 'all');
+
+    // Resume after restart from the stored count, and serialise concurrent submissions
+    const resumed = new Randomiser({ seed: 'test-seed', countAssigned: async () => 6 });
+    const concurrent = await Promise.all([0, 1].map(() => resumed.assign(participant('not_urgent_to_urgent', 2, 2), twoArms)));
+    check('Sequence resumes from the stored participant count',
+        concurrent.map(a => a.sequence_index).sort().join() === '6,7');
+    check('Resumed slots match the original sequence',
+        concurrent.every(a => a.arm === left[a.sequence_index].arm));
+
+    // Counts are per study config, and a reset (after clear-all-data) recounts from storage
+    const stored = { 'two-arm-test': 6, 'two-arm-test-v2': 0 };
+    const counted = [];
+    const recounting = new Randomiser({
+        seed: 'test-seed',
+        countAssigned: async (stratum, studyId) => { counted.push(studyId); return stored[studyId]; }
+    });
+    const first = await recounting.assign(participant('not_urgent_to_urgent', 2, 2), twoArms);
+    const changed = await recounting.assign(participant('not_urgent_to_urgent', 2, 2), { ...twoArms, id: 'two-arm-test-v2' });
+    check('The stored count is taken for the study config being assigned', counted.join() === 'two-arm-test,two-arm-test-v2');
+    check('A changed study config starts its own sequence', first.sequence_index === 6 && changed.sequence_index === 0 &&
+        changed.study_config === 'two-arm-test-v2');
+    stored['two-arm-test'] = 0;
+    recounting.reset();
+    const afterReset = await recounting.assign(participant('not_urgent_to_urgent', 2, 2), twoArms);
+    check('After a reset allocation starts again at the first slot of a fresh block',
+        afterReset.sequence_index === 0 && afterReset.block_index === 0 && afterReset.arm === left[0].arm);
+
+    // Default single-arm study
+    const single = await new Randomiser().assign(participant('other', 4, 4), { id: 'default', arms: [{ id: 'standard' }] });
+    check('Single-arm study always assigns the standard arm', single.arm === 'standard');
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Test storage reconciliation (lib/reconciliation.js)
+ *
+ * Builds a data directory and an in-memory stand-in for the Prisma tables that
+ * disagree in every way the tool reports: records missing on either side,
+ * records differing in nested fields, and Message rows that no longer match
+ * the transcript. Checks the report, then repairs to-database and to-files and
+ * checks each side ends up with the other's records without anything being
+ * deleted, and that a record newer on the target side is only overwritten when
+ * its id is asked for.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FileRepository, PrismaRepository } = require('./lib/repository');
+const { differingPaths, StorageReconciler, summarise } = require('./lib/reconciliation');
+const { memoryPrisma } = require('./test_repository');
+const { createChecks } = require('./testing/checks');
+
+const checks = createChecks('reconciliation');
+const { check } = checks;
+
+const participant = (id, extra = {}) => ({
+    participant_id: id,
+    prolific_id: `PROLIFIC_${id}`,
+    demographics: { age: '34', gender: 'woman' },
+    timestamps: { started: '2026-10-19T10:00:00.000Z', completed: null },
+    ...extra
+});
+const conversation = (id, participantId, replies = ['The floods.']) => ({
+    id,
+    participantId,
+    startedAt: '2026-10-19T10:05:00.000Z',
+    endedAt: null,
+    messages: [
+        { role: 'system', content: 'You are an interviewer.' },
+        { role: 'assistant', content: 'What changed your mind?', timestamp: '2026-10-19T10:05:01.000Z' },
+        ...replies.map((content, i) => ({ role: 'user', content, timestamp: `2026-10-19T10:0${6 + i}:00.000Z` }))
+    ]
+});
+
+// Both stores as a deployment that wrote to each side by side might have left them
+async function driftedStores(root) {
+    const dataDir = path.join(root, `data-${Math.random().toString(36).slice(2)}`);
+    const prisma = memoryPrisma();
+    const files = new FileRepository({ dataDir });
+    const database = new PrismaRepository({ getPrisma: () => prisma });
+
+    for (const store of [files, database]) {
+        await store.participants.save(participant('p_same'));
+        await store.conversations.save(conversation('c_same', 'p_same'));
+    }
+    await files.participants.save(participant('p_files_only'));
+    await database.participants.save(participant('p_db_only'));
+    await files.participants.save(participant('p_diff', { demographics: { age: '61', gender: 'woman' }, updatedAt: '2026-10-19T12:00:00.000Z' }));
+    await database.participants.save(participant('p_diff', { updatedAt: '2026-10-19T11:00:00.000Z' }));
+    await files.conversations.save(conversation('c_files_only', 'p_files_only'));
+    await database.conversations.save(conversation('c_db_only', 'p_db_only'));
+    await files.conversations.save(conversation('c_diff', 'p_diff', ['The floods.', 'And the fires.']));
+    await database.conversations.save(conversation('c_diff', 'p_diff'));
+
+    // Same transcript on both sides, but a Message row was edited and one went missing
+    await files.conversations.save(conversation('c_rows', 'p_same', ['One.', 'Two.']));
+    await database.conversations.save(conversation('c_rows', 'p_same', ['One.', 'Two.']));
+    prisma.tables.message.find(row => row.id === 'c_rows-msg-1').content = 'Edited.';
+    prisma.tables.message = prisma.tables.message.filter(row => row.id !== 'c_rows-msg-2');
+
+    fs.writeFileSync(path.join(dataDir, 'participants', 'broken.json'), '{ not json');
+    return { dataDir, prisma, files, database };
+}
+
+async function testDifferingPaths() {
+    check('Nested fields are reported as dotted paths',
+        differingPaths({ a: 1, b: { c: 2, d: 3 } }, { a: 1, b: { c: 2, d: 4 }, e: true }).join() === 'b.d,e');
+    check('Key order does not matter', differingPaths({ a: { x: 1, y: 2 } }, { a: { y: 2, x: 1 } }).length === 0);
+    check('Arrays are compared whole', differingPaths({ list: [1, 2] }, { list: [1, 3] }).join() === 'list');
+}
+
+async function testReport(root) {
+    const { dataDir, prisma } = await driftedStores(root);
+    const report = await new StorageReconciler({ dataDir, getPrisma: () => prisma }).compare();
+
+    check('Participants missing from the database are listed', report.participants.missingInDatabase.join() === 'p_files_only');
+    check('Participants missing from the files are listed', report.participants.missingInFiles.join() === 'p_db_only');
+    const diff = report.participants.differing.find(entry => entry.id === 'p_diff');
+    check('Differing participants are listed field by field', diff?.fields.join() === 'demographics.age,updatedAt');
+    check('The newer copy is named', diff?.newer === 'files');
+    check('Matching participants are counted', report.participants.matching === 1);
+
+    check('Sessions missing on either side are listed',
+        report.sessions.missingInDatabase.join() === 'c_files_only' && report.sessions.missingInFiles.join() === 'c_db_only');
+    const session = report.sessions.differing.find(entry => entry.id === 'c_diff');
+    check('Differing sessions are listed with the longer transcript as newer', session?.fields.join() === 'messages' && session.newer === 'files');
+
+    const rows = report.messages.differing.find(entry => entry.sessionId === 'c_rows');
+    check('Message rows are checked against the transcript',
+        rows?.missingInDatabase.join() === '2' && rows.differing.length === 1 && rows.differing[0].turn === 1 && rows.differing[0].fields.join() === 'content');
+    check('Sessions on both sides have their messages compared', report.messages.sessions === 3 && report.messages.matching === 1);
+    check('Unreadable files are reported', report.errors.length === 1 && report.errors[0].file === 'broken.json');
+    check('Summary counts match the report', summarise(report).participants.missingInDatabase === 1 && summarise(report).messages.differing === 2);
+}
+
+async function testRepairToDatabase(root) {
+    const { dataDir, prisma, database } = await driftedStores(root);
+    const reconciler = new StorageReconciler({ dataDir, getPrisma: () => prisma });
+    const result = await reconciler.repair({ direction: 'to-database' });
+
+    check('Repair to-database copies missing and differing records', result.repaired.participants === 2 && result.repaired.sessions === 3);
+    check('File versions win in the database', (await database.participants.get('p_diff')).demographics.age === '61' &&
+        (await database.conversations.get('c_diff')).messages.length === 4);
+    check('Message rows are rebuilt', prisma.tables.message.filter(row => row.sessionId === 'c_rows').map(row => row.content).join() ===
+        'What changed your mind?,One.,Two.');
+    check('Database-only records are kept', Boolean(await database.participants.get('p_db_only')));
+
+    const after = await reconciler.compare();
+    check('Nothing is left to copy to the database', after.participants.missingInDatabase.length === 0 &&
+        after.participants.differing.length === 0 && after.sessions.differing.length === 0 && after.messages.differing.length === 0);
+}
+
+async function testRepairToFiles(root) {
+    const { dataDir, prisma, files } = await driftedStores(root);
+    const reconciler = new StorageReconciler({ dataDir, getPrisma: () => prisma });
+
+    const selected = await reconciler.repair({ direction: 'to-files', ids: ['p_db_only'] });
+    check('Repair can be limited to some ids', selected.repaired.participants === 1 && selected.repaired.sessions === 0 &&
+        !(await files.conversations.get('c_db_only')));
+
+    const result = await reconciler.repair({ direction: 'to-files' });
+    check('Repair to-files copies missing records', result.repaired.participants === 0 && result.repaired.sessions === 1 &&
+        (await files.conversations.get('c_db_only'))?.id === 'c_db_only');
+    check('Records newer in the files are skipped, not overwritten', (await files.participants.get('p_diff')).demographics.age === '61' &&
+        (await files.conversations.get('c_diff')).messages.length === 4 &&
+        ['participants/p_diff', 'sessions/c_diff'].every(key => result.skipped.some(entry => `${entry.kind}/${entry.id}` === key)));
+
+    const forced = await reconciler.repair({ direction: 'to-files', ids: ['p_diff', 'c_diff'] });
+    check('Database versions win in the files when asked for by id', forced.repaired.participants === 1 && forced.repaired.sessions === 1 &&
+        (await files.participants.get('p_diff')).demographics.age === '34' && forced.skipped.every(entry => entry.kind === 'messages'));
+    check('Message drift is skipped, not repaired, to-files', result.skipped.some(entry => entry.kind === 'messages' && entry.id === 'c_rows'));
+    check('File-only records are kept', Boolean(await files.participants.get('p_files_only')));
+    check('Unknown directions are refused',
+        await reconciler.repair({ direction: 'sideways' }).then(() => false, error => /direction/.test(error.message)));
+}
+
+async function runTest() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'reconciliation-test-'));
+    try {
+        console.log('🧪 Testing storage reconciliation...\n');
+        await testDifferingPaths();
+        await testReport(root);
+        await testRepairToDatabase(root);
+        await testRepairToFiles(root);
+        const offline = new StorageReconciler({ dataDir: root, getPrisma: () => null });
+        check('Reconciliation needs a database', await offline.compare().then(() => false, error => /unavailable|database/i.test(error.message)));
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
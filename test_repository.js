@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+/**
+ * Test the storage repository (lib/repository.js) and the file import (lib/fileMigration.js)
+ *
+ * Checks how STORAGE_BACKEND is resolved, round-trips participants and
+ * conversations through the file backend and through the Prisma backend (on a
+ * small in-memory stand-in for the Prisma tables), checks that rewriting a
+ * conversation's message rows keeps their timestamps, and imports a data
+ * directory into that stand-in: new records are imported, identical ones are
+ * skipped, differing ones are reported as conflicts and left alone, and
+ * unreadable files are reported.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { STORAGE_BACKENDS, resolveBackend, createRepository, FileRepository, PrismaRepository } = require('./lib/repository');
+const { migrateFilesToDatabase } = require('./lib/fileMigration');
+const { createChecks } = require('./testing/checks');
+
+const checks = createChecks('repository');
+const { check } = checks;
+
+// Just enough of the Prisma client API for the repository and the import
+function memoryPrisma() {
+    const tables = {
+        session: [], individualDifferences: [], message: [], conversationState: [],
+        ccsResponse: [], attentionCheck: [], politicalViews: [], beliefChange: [], exitSurvey: [], summaryBulletReview: []
+    };
+    const keyOf = {
+        session: 'id', individualDifferences: 'sessionId', message: 'id', conversationState: 'conversationId',
+        ccsResponse: 'id', attentionCheck: 'id', politicalViews: 'sessionId', beliefChange: 'sessionId', exitSurvey: 'sessionId',
+        summaryBulletReview: 'id'
+    };
+    const clone = value => JSON.parse(JSON.stringify(value));
+    let lastId = 0;
+    const withId = (name, row) => ({ id: `${name}-${String(++lastId).padStart(6, '0')}`, ...row });
+    const matches = (model, row, where = {}) => Object.entries(where).every(([key, condition]) => {
+        if (condition === null) return row[key] === null || row[key] === undefined;
+        if (condition && typeof condition === 'object' && 'not' in condition) return row[key] !== null && row[key] !== undefined;
+        return row[key] === condition;
+    });
+    // Like Prisma's, queries only run when awaited, so a refused $transaction writes nothing
+    const lazy = run => {
+        let promise = null;
+        return { then: (resolve, reject) => (promise = promise || run()).then(resolve, reject) };
+    };
+    const model = name => Object.fromEntries(Object.entries({
+        async findUnique({ where }) {
+            const key = keyOf[name];
+            const row = tables[name].find(r => r[key] === where[key]);
+            return row ? clone(row) : null;
+        },
+        async findMany({ where, orderBy = {}, take, cursor, skip = 0 } = {}) {
+            const [[field, direction] = []] = Object.entries(orderBy);
+            const rows = tables[name].filter(row => matches(name, row, where)).sort((a, b) => {
+                if (!field) return 0;
+                const [x, y] = typeof a[field] === 'number' ? [a[field], b[field]] : [String(a[field]), String(b[field])];
+                return (x < y ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+            });
+            const start = cursor ? rows.findIndex(row => row.id === cursor.id) + skip : 0;
+            return clone(take ? rows.slice(start, start + take) : rows.slice(start));
+        },
+        async upsert({ where, update, create }) {
+            const key = keyOf[name];
+            const index = tables[name].findIndex(r => r[key] === where[key]);
+            if (index >= 0) tables[name][index] = { ...tables[name][index], ...clone(update) };
+            else tables[name].push(withId(name, { createdAt: new Date().toISOString(), ...clone(create) }));
+            return {};
+        },
+        async create({ data }) {
+            tables[name].push(withId(name, clone(data)));
+            return data;
+        },
+        async createMany({ data }) {
+            tables[name].push(...clone(data).map(row => withId(name, row)));
+            return { count: data.length };
+        },
+        async deleteMany({ where } = {}) {
+            const kept = tables[name].filter(row => !matches(name, row, where));
+            const count = tables[name].length - kept.length;
+            tables[name] = kept;
+            return { count };
+        }
+    }).map(([method, run]) => [method, (...args) => lazy(() => run(...args))]));
+    return {
+        tables,
+        session: model('session'),
+        individualDifferences: model('individualDifferences'),
+        message: model('message'),
+        conversationState: model('conversationState'),
+        ccsResponse: model('ccsResponse'),
+        attentionCheck: model('attentionCheck'),
+        politicalViews: model('politicalViews'),
+        beliefChange: model('beliefChange'),
+        exitSurvey: model('exitSurvey'),
+        summaryBulletReview: model('summaryBulletReview'),
+        $transaction: operations => Promise.all(operations)
+    };
+}
+
+function writeData(dataDir, dir, id, data) {
+    fs.mkdirSync(path.join(dataDir, dir), { recursive: true });
+    fs.writeFileSync(path.join(dataDir, dir, `${id}.json`), typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+}
+
+const participant = (id, extra = {}) => ({
+    participant_id: id,
+    id,
+    prolific_id: `PROLIFIC_${id}`,
+    demographics: { age: '34' },
+    views_matrix: { climate_change_views: { ccs_mean_scored: 5.5 }, political_views: { economic_issues: '3' } },
+    assignment: { arm: 'standard', stratum: 'not_urgent_to_urgent|4', study_config: 'default' },
+    timestamps: { started: '2026-10-19T10:00:00.000Z', completed: null },
+    ...extra
+});
+const conversation = (id, participantId, extra = {}) => ({
+    id,
+    participantId,
+    startedAt: '2026-10-19T10:05:00.000Z',
+    expiresAt: '2026-10-19T10:15:00.000Z',
+    endedAt: null,
+    messages: [
+        { role: 'system', content: 'You are an interviewer.' },
+        { role: 'assistant', content: 'What changed your mind?', timestamp: '2026-10-19T10:05:01.000Z' },
+        { role: 'user', content: 'The floods.', timestamp: '2026-10-19T10:05:30.000Z' }
+    ],
+    ...extra
+});
+
+async function testResolveBackend() {
+    check('File storage without DATABASE_URL', resolveBackend({}) === STORAGE_BACKENDS.FILE);
+    check('Postgres when DATABASE_URL is set', resolveBackend({ DATABASE_URL: 'postgresql://x' }) === STORAGE_BACKENDS.POSTGRES);
+    check('STORAGE_BACKEND=file wins over DATABASE_URL',
+        resolveBackend({ DATABASE_URL: 'postgresql://x', STORAGE_BACKEND: 'file' }) === STORAGE_BACKENDS.FILE);
+    check('STORAGE_BACKEND=postgres needs DATABASE_URL', (() => {
+        try { resolveBackend({ STORAGE_BACKEND: 'postgres' }); return false; } catch (error) { return /DATABASE_URL/.test(error.message); }
+    })());
+    check('Unknown backends are refused', (() => {
+        try { resolveBackend({ STORAGE_BACKEND: 'sqlite' }); return false; } catch (error) { return /postgres.*file/.test(error.message); }
+    })());
+    check('createRepository picks the backend',
+        createRepository({ backend: 'file', dataDir: os.tmpdir() }) instanceof FileRepository &&
+        createRepository({ backend: 'postgres', getPrisma: () => null }) instanceof PrismaRepository);
+}
+
+async function testRepository(label, repository) {
+    await repository.participants.save(participant('p1'));
+    await repository.participants.save(participant('p2', { prolific_id: 'SHARED' }));
+    await repository.conversations.save(conversation('c1', 'p1', { endedAt: '2026-10-19T10:15:00.000Z' }));
+    await repository.conversations.save(conversation('c2', 'p2'));
+
+    check(`${label}: participant reads back as saved`, JSON.stringify(await repository.participants.get('p1')) === JSON.stringify(participant('p1')));
+    check(`${label}: conversation reads back as saved`, JSON.stringify(await repository.conversations.get('c2')) === JSON.stringify(conversation('c2', 'p2')));
+    check(`${label}: missing records are null`, await repository.participants.get('nobody') === null && await repository.conversations.get('nothing') === null);
+    check(`${label}: a participant id is not a conversation`, await repository.conversations.get('p1') === null);
+    check(`${label}: participants are listed`, (await repository.participants.list()).map(p => p.participant_id).sort().join() === 'p1,p2');
+    check(`${label}: conversations are listed`, (await repository.conversations.list()).map(c => c.id).sort().join() === 'c1,c2');
+    check(`${label}: open conversations are listed`, (await repository.conversations.listOpen()).map(c => c.id).join() === 'c2');
+    check(`${label}: latest completed conversation`, (await repository.conversations.latestCompleted())?.id === 'c1');
+    check(`${label}: conversations are found by participant`, (await repository.conversations.findByParticipant('p1')).map(c => c.id).join() === 'c1' &&
+        (await repository.conversations.findByParticipant('nobody')).length === 0);
+    check(`${label}: participants are found by Prolific id`, (await repository.participants.findByProlificId('SHARED')).map(p => p.participant_id).join() === 'p2');
+
+    const updated = { ...(await repository.conversations.get('c2')), endedAt: '2026-10-19T10:20:00.000Z' };
+    await repository.conversations.save(updated);
+    check(`${label}: saving again replaces the record`, (await repository.conversations.latestCompleted())?.id === 'c2');
+}
+
+async function testPrismaRows() {
+    const prisma = memoryPrisma();
+    const repository = new PrismaRepository({ getPrisma: () => prisma });
+    await testRepository('Postgres', repository);
+
+    const columns = prisma.tables.individualDifferences.find(row => row.sessionId === 'p1');
+    check('Postgres: participant columns are mapped',
+        columns.age === 34 && columns.ccsMeanScored === 5.5 && columns.economicIssues === 3 && columns.studyArm === 'standard' && columns.studyConfigId === 'default');
+    const messages = prisma.tables.message.filter(row => row.sessionId === 'c1');
+    check('Postgres: message rows hold chat turns only', messages.length === 2 && messages.every(row => row.role !== 'system'));
+    check('Postgres: no participant rows are attached to conversations',
+        !prisma.tables.individualDifferences.some(row => row.sessionId.startsWith('c')));
+
+    // Turns saved without a timestamp keep the time they were first stored when the rows are rewritten
+    const unstamped = conversation('c3', 'p1', { messages: [{ role: 'assistant', content: 'What changed your mind?' }] });
+    await repository.conversations.save(unstamped);
+    const firstStored = prisma.tables.message.find(row => row.sessionId === 'c3').timestamp;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await repository.conversations.save({ ...unstamped, messages: [...unstamped.messages, { role: 'user', content: 'The floods.' }] });
+    const rewritten = prisma.tables.message.filter(row => row.sessionId === 'c3').sort((a, b) => a.turn - b.turn);
+    check('Postgres: rewriting the rows keeps each earlier turn\'s timestamp',
+        rewritten.length === 2 && rewritten[0].timestamp === firstStored && rewritten[1].timestamp > firstStored);
+    prisma.tables.session = prisma.tables.session.filter(row => row.id !== 'c3');
+    prisma.tables.message = prisma.tables.message.filter(row => row.sessionId !== 'c3');
+
+    // Rows written by the old dual-write layer for an ended conversation
+    prisma.tables.individualDifferences.push({ sessionId: 'c1', raw: participant('p1') });
+    check('Postgres: legacy participant copies on conversation rows are skipped',
+        (await repository.participants.list()).length === 2);
+    check('Postgres: conversations with a legacy participant copy are still conversations',
+        (await repository.conversations.list()).some(c => c.id === 'c1') && (await repository.conversations.latestCompleted())?.id === 'c2');
+
+    const unavailable = new PrismaRepository({ getPrisma: () => null });
+    const refused = await unavailable.participants.get('p1').then(() => null, error => error.message);
+    check('Postgres: an unavailable database is an error, not a file fallback', /unavailable/.test(refused || ''));
+}
+
+async function testImport(root) {
+    const dataDir = path.join(root, 'import');
+    writeData(dataDir, 'participants', 'p_new', participant('p_new'));
+    writeData(dataDir, 'participants', 'p_same', participant('p_same'));
+    writeData(dataDir, 'participants', 'p_diff', participant('p_diff', { demographics: { age: '60' } }));
+    writeData(dataDir, 'participants', 'broken', '{ not json');
+    writeData(dataDir, 'conversations', 'c_new', conversation('c_new', 'p_new'));
+    writeData(dataDir, 'conversation_states', 'c_new', { conversationId: 'c_new', stage: 'elaboration', turnCount: 3, metadata: { antiLoop: {} } });
+
+    const prisma = memoryPrisma();
+    const repository = new PrismaRepository({ getPrisma: () => prisma });
+    await repository.participants.save(participant('p_same'));
+    await repository.participants.save(participant('p_diff'));
+
+    const dryRun = await migrateFilesToDatabase({ dataDir, prisma, dryRun: true });
+    check('Dry run reports what would be imported', dryRun.counts.participants.imported === 1 && dryRun.counts.conversations.imported === 1);
+    check('Dry run writes nothing', prisma.tables.session.length === 2 && prisma.tables.conversationState.length === 0);
+
+    const report = await migrateFilesToDatabase({ dataDir, prisma });
+    check('New records are imported',
+        (await repository.participants.get('p_new'))?.participant_id === 'p_new' &&
+        (await repository.conversations.get('c_new'))?.messages.length === 3);
+    check('Conversation states are imported and linked to their session',
+        prisma.tables.conversationState[0]?.stage === 'elaboration' && prisma.tables.conversationState[0].sessionId === 'c_new');
+    check('Identical records are skipped', report.counts.participants.unchanged === 1);
+    check('Differing records are reported as conflicts with the fields that differ',
+        report.conflicts.length === 1 && report.conflicts[0].id === 'p_diff' && report.conflicts[0].fields.join() === 'demographics');
+    check('Conflicting records are not overwritten', (await repository.participants.get('p_diff')).demographics.age === '34');
+    check('Unreadable files are reported', report.errors.length === 1 && report.errors[0].file === 'broken.json');
+
+    const rerun = await migrateFilesToDatabase({ dataDir, prisma });
+    check('Running the import again imports nothing new',
+        Object.values(rerun.counts).every(counts => counts.imported === 0) && rerun.counts.conversationStates.unchanged === 1);
+}
+
+async function runTest() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'repository-test-'));
+    try {
+        console.log('🧪 Testing the storage repository and file import...\n');
+        await testResolveBackend();
+        await testRepository('Files', new FileRepository({ dataDir: path.join(root, 'files') }));
+        check('Files: records are stored as JSON files', fs.existsSync(path.join(root, 'files', 'participants', 'p1.json')) &&
+            fs.existsSync(path.join(root, 'files', 'conversations', 'c1.json')));
+        await testPrismaRows();
+        await testImport(root);
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest, memoryPrisma };
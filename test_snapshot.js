@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Test research data snapshots (lib/snapshot.js)
+ *
+ * Takes a snapshot of a temporary data directory and a small in-memory stand-in
+ * for the Prisma tables, restores it into an empty directory and database, and
+ * checks that withdrawn participants are skipped, that restoring over existing
+ * data is refused and that old snapshots are pruned.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { SnapshotStore } = require('./lib/snapshot');
+const { createChecks } = require('./testing/checks');
+
+const checks = createChecks('snapshot');
+const { check } = checks;
+
+// Just enough of the Prisma client API for SnapshotStore: findMany with cursor paging, count, createMany
+function memoryPrisma(tables) {
+    const model = rows => ({
+        async findMany({ take, cursor, skip = 0 }) {
+            const sorted = [...rows].sort((a, b) => a.id.localeCompare(b.id));
+            const start = cursor ? sorted.findIndex(row => row.id === cursor.id) + skip : 0;
+            return sorted.slice(start, start + take);
+        },
+        async count() {
+            return rows.length;
+        },
+        async createMany({ data }) {
+            rows.push(...data);
+            return { count: data.length };
+        }
+    });
+    const surveyTables = ['ccsResponses', 'attentionChecks', 'politicalViews', 'beliefChanges', 'exitSurveys', 'summaryBulletReviews'];
+    surveyTables.forEach(key => { tables[key] = tables[key] || []; });
+    return {
+        tables,
+        session: model(tables.sessions),
+        individualDifferences: model(tables.individualDifferences),
+        ccsResponse: model(tables.ccsResponses),
+        attentionCheck: model(tables.attentionChecks),
+        politicalViews: model(tables.politicalViews),
+        beliefChange: model(tables.beliefChanges),
+        exitSurvey: model(tables.exitSurveys),
+        summaryBulletReview: model(tables.summaryBulletReviews),
+        message: model(tables.messages),
+        conversationState: model(tables.conversationStates)
+    };
+}
+
+function writeData(dataDir, dir, id, data) {
+    fs.mkdirSync(path.join(dataDir, dir), { recursive: true });
+    fs.writeFileSync(path.join(dataDir, dir, `${id}.json`), JSON.stringify(data, null, 2));
+}
+
+async function runTest() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-test-'));
+    try {
+        console.log('🧪 Testing research data snapshots...\n');
+
+        const sourceDir = path.join(root, 'source');
+        writeData(sourceDir, 'participants', 'p_keep', { participant_id: 'p_keep', prolific_id: 'KEEP' });
+        writeData(sourceDir, 'participants', 'p_gone', { participant_id: 'p_gone', prolific_id: 'GONE' });
+        writeData(sourceDir, 'conversations', 'c_keep', { id: 'c_keep', participantId: 'p_keep', messages: [] });
+        writeData(sourceDir, 'conversations', 'c_gone', { id: 'c_gone', participantId: 'p_gone', messages: [] });
+        writeData(sourceDir, 'conversation_states', 'c_gone', { conversationId: 'c_gone', stage: 'exploration' });
+
+        const source = memoryPrisma({
+            sessions: [
+                { id: 'p_keep', participantId: 'p_keep', raw: {} },
+                { id: 'p_gone', participantId: 'p_gone', raw: {} },
+                { id: 'c_keep', participantId: 'p_keep', raw: {} },
+                { id: 'c_gone', participantId: 'p_gone', raw: {} }
+            ],
+            individualDifferences: [
+                { id: 'i1', sessionId: 'p_keep', prolificId: 'KEEP', raw: {} },
+                { id: 'i2', sessionId: 'p_gone', prolificId: 'GONE', raw: {} }
+            ],
+            ccsResponses: [
+                { id: 'r1', sessionId: 'p_keep', item: 'ccs_01', rawValue: 40 },
+                { id: 'r2', sessionId: 'p_gone', item: 'ccs_01', rawValue: 60 }
+            ],
+            // More than one page of messages
+            messages: Array.from({ length: 1500 }, (_, i) => ({
+                id: `m${String(i).padStart(4, '0')}`, sessionId: i % 2 ? 'c_gone' : 'c_keep', content: 'hi', samplingParams: null
+            })),
+            conversationStates: [
+                { id: 's1', conversationId: 'c_keep', sessionId: 'c_keep', metadata: null },
+                { id: 's2', conversationId: 'c_gone', sessionId: 'c_gone', metadata: null }
+            ]
+        });
+
+        const snapshotDir = path.join(root, 'snapshots');
+        const store = new SnapshotStore({ dir: snapshotDir, dataDir: sourceDir, getPrisma: () => source });
+        const { name, file, counts } = await store.create({ reason: 'data.clear', actor: 'alice' });
+        check('Snapshot is written as gzipped JSON', fs.existsSync(file) && zlib.gunzipSync(fs.readFileSync(file)).toString().startsWith('{'));
+        check('Snapshot name records when and why it was taken', /^\d{4}-\d{2}-\d{2}T.*-data\.clear\.json\.gz$/.test(name));
+        check('Snapshot counts files and every row across pages',
+            counts.files === 5 && counts.sessions === 4 && counts.messages === 1500 && counts.conversationStates === 2);
+        check('Snapshot is listed', store.list()[0] === name);
+        check('Snapshot records who took it', store.read(file).actor === 'alice');
+
+        const targetDir = path.join(root, 'target');
+        const target = memoryPrisma({ sessions: [], individualDifferences: [], messages: [], conversationStates: [] });
+        const restoreStore = new SnapshotStore({ dir: snapshotDir, dataDir: targetDir, getPrisma: () => target });
+        const { restored, skippedParticipants } = await restoreStore.restore(file, {
+            isWithdrawn: async ({ prolificId }) => prolificId === 'GONE'
+        });
+        check('Withdrawn participant is skipped', skippedParticipants === 1);
+        check('Remaining rows are restored',
+            restored.sessions === 2 && restored.individualDifferences === 1 && restored.messages === 750 && restored.conversationStates === 1);
+        check('Survey answer rows are restored for the remaining participant',
+            restored.ccsResponses === 1 && target.tables.ccsResponses[0].sessionId === 'p_keep');
+        check('Restored rows belong to the remaining participant',
+            target.tables.sessions.every(row => row.participantId === 'p_keep') && target.tables.messages.every(row => row.sessionId === 'c_keep'));
+        check('Null columns are left out rather than stored as null', !('metadata' in target.tables.conversationStates[0]));
+        check('Remaining files are restored byte for byte',
+            restored.files === 2 && fs.readFileSync(path.join(targetDir, 'participants', 'p_keep.json'), 'utf8') ===
+                fs.readFileSync(path.join(sourceDir, 'participants', 'p_keep.json'), 'utf8'));
+        check('Withdrawn participant files are not restored',
+            !fs.existsSync(path.join(targetDir, 'participants', 'p_gone.json')) &&
+            !fs.existsSync(path.join(targetDir, 'conversations', 'c_gone.json')) &&
+            !fs.existsSync(path.join(targetDir, 'conversation_states', 'c_gone.json')));
+
+        const refusedFiles = await restoreStore.restore(file).then(() => null, error => error.message);
+        check('Restoring over existing files is refused', /already holds/.test(refusedFiles || ''));
+        const fullDatabase = new SnapshotStore({ dir: snapshotDir, dataDir: path.join(root, 'empty'), getPrisma: () => source });
+        const refusedRows = await fullDatabase.restore(file).then(() => null, error => error.message);
+        check('Restoring into a non-empty database is refused', /not empty/.test(refusedRows || ''));
+
+        const old = path.join(snapshotDir, '2020-01-01T00-00-00-000Z-data.withdraw.json.gz');
+        fs.copyFileSync(file, old);
+        const longAgo = new Date('2020-01-01');
+        fs.utimesSync(old, longAgo, longAgo);
+        await new SnapshotStore({ dir: snapshotDir, dataDir: sourceDir, retentionDays: 30 }).create({ reason: 'data.withdraw' });
+        check('Snapshots past the retention period are pruned', !fs.existsSync(old) && fs.existsSync(file));
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
@@ -0,0 +1,66 @@
+// Test script for the declarative stage machine in backend/src/utils/studyConfig.js
+// The default config must never auto-advance; an alternative protocol with entry
+// thresholds must advance one stage at a time and trigger a summary in recap.
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  loadStudyConfig,
+  validateStudyConfig,
+  getInitialStage,
+  getNextStage,
+  shouldTriggerSummary,
+  getStageGuidance
+} from './backend/src/utils/studyConfig.js';
+import { createChecks } from './testing/checks.js';
+
+const checks = createChecks('study config');
+const { check } = checks;
+
+console.log('🧪 Testing study config stage machine...\n');
+
+// Default protocol: thresholds disabled, only the timer ends the interview
+const defaults = loadStudyConfig();
+const busyState = { stage: 'exploration', turnCount: 30, minimalResponseCount: 10, substantiveResponseCount: 10, exhaustionSignals: 10, topicTurnCount: 10 };
+check('Default config starts in exploration', getInitialStage(defaults) === 'exploration');
+check('Default config never auto-advances', getNextStage(busyState, defaults) === null);
+check('Default config never triggers a summary', shouldTriggerSummary({ ...busyState, stage: 'recap' }, defaults) === false);
+check('Unknown stages fall back to default guidance', getStageGuidance('complete', defaults).startsWith('- Standard interview protocol applies'));
+
+// Alternative protocol with thresholds
+const alternative = {
+  id: 'short-protocol',
+  stages: [
+    { name: 'exploration', entry: null, guidance: ['Explore'] },
+    { name: 'elaboration', entry: [{ turnCount: 4, substantiveResponseCount: 2 }, { minimalResponseCount: 3 }], guidance: ['Elaborate'] },
+    { name: 'recap', entry: [{ exhaustionSignals: 2 }], guidance: ['Recap'] }
+  ],
+  summaryTrigger: { stages: ['recap'], when: [{ turnCount: 12 }] }
+};
+const configPath = path.join(os.tmpdir(), `study-config-${Date.now()}.json`);
+fs.writeFileSync(configPath, JSON.stringify(alternative));
+const config = loadStudyConfig(configPath);
+
+const state = { stage: 'exploration', turnCount: 3, substantiveResponseCount: 2, minimalResponseCount: 0, exhaustionSignals: 5 };
+check('Below threshold stays in exploration', getNextStage(state, config) === null);
+check('Does not skip straight to recap', getNextStage({ ...state, turnCount: 3 }, config) !== 'recap');
+check('Any matching condition advances', getNextStage({ ...state, minimalResponseCount: 3 }, config) === 'elaboration');
+check('All fields of a condition must match', getNextStage({ ...state, turnCount: 4 }, config) === 'elaboration');
+check('Advances from elaboration to recap', getNextStage({ ...state, stage: 'elaboration' }, config) === 'recap');
+check('Summary triggers in recap', shouldTriggerSummary({ ...state, stage: 'recap' }, config));
+check('Summary triggers on turn count', shouldTriggerSummary({ ...state, turnCount: 12 }, config));
+check('Per-stage guidance comes from the config', getStageGuidance('elaboration', config) === '- Elaborate');
+
+// Invalid configs are rejected
+let rejected = false;
+try {
+  validateStudyConfig({ stages: [{ name: 'a', entry: [{ turnCnt: 3 }] }] });
+} catch (error) {
+  rejected = error.message.includes('turnCnt');
+}
+check('Unknown counters are rejected', rejected);
+
+fs.rmSync(configPath, { force: true });
+
+process.exit(checks.report() ? 0 : 1);
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Test the summary-fidelity evaluation (lib/summaryEvaluation.js)
+ *
+ * Checks the transcript cut, lexical grounding and judge parsing directly,
+ * runs stored and scripted summarisers through evaluateSummaries with a
+ * scripted judge, checks that the timed-summary prompt still renders the
+ * instructions the chat used before it was versioned, then runs
+ * scripts/evaluate-summaries.js on file storage with the mock provider.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const llmProvider = require('./lib/llmProvider');
+const {
+    contentWords,
+    evaluationTranscript,
+    lexicalGrounding,
+    parseJudgeReply,
+    createLlmJudge,
+    evaluateSummaries,
+    storedSummaryVariant,
+    modelSummaryVariant
+} = require('./lib/summaryEvaluation');
+const { createChecks } = require('./testing/checks');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const RUN = Date.now().toString(36);
+const CONVERSATION_ID = `eval-test-${RUN}`;
+const REPORT_FILE = path.join(os.tmpdir(), `summary-eval-test-${RUN}.json`);
+const REQUEST = 'We have about one minute left. Could you please summarize the key themes from our conversation so far?';
+
+const checks = createChecks('summary evaluation');
+const { check } = checks;
+
+const CONVERSATION = {
+    id: 'c',
+    participantId: 'p_1',
+    startedAt: '2026-10-19T10:00:00.000Z',
+    messages: [
+        { role: 'system', content: 'prompt' },
+        { role: 'assistant', content: 'What first made you think about it differently?' },
+        { role: 'user', content: 'The floods in my town last winter, our street was under water.' },
+        { role: 'assistant', content: 'That sounds frightening. What happened next?' },
+        { role: 'user', content: 'I started reading climate research papers to understand it.' },
+        { role: 'user', content: REQUEST },
+        { role: 'assistant', content: '• Floods in your town\n• Reading the research' },
+        { role: 'user', content: 'end the chat' },
+        { role: 'assistant', content: 'Summary', generated_summary: true }
+    ],
+    summary: {
+        bullets: ['Floods in your town', 'Your sister persuaded you'],
+        sourceMessageIds: [],
+        messageId: 'c-msg-5',
+        generator: 'model',
+        prompt: { promptId: 'timed-summary', promptVersion: 1, promptHash: 'abc' },
+        createdAt: '2026-10-19T10:09:00.000Z'
+    }
+};
+
+function testScoring() {
+    check('Content words drop function words and match word forms',
+        contentWords('The floods were flooding your town').join() === 'flood,town');
+
+    const { history, turns } = evaluationTranscript(CONVERSATION, { requestText: REQUEST });
+    check('The transcript stops before the summary request', history.length === 4 && history.every(message => message.content !== REQUEST));
+    check('Participant turns keep their message ids', turns.map(turn => turn.id).join() === 'c-msg-1,c-msg-3');
+    const asked = { ...CONVERSATION, messages: CONVERSATION.messages.map(message => (message.content === REQUEST ? { ...message, content: 'Can you sum up?' } : message)) };
+    check('A participant\'s own request is found from the model summary', evaluationTranscript(asked).history.length === 4);
+    const ended = { ...CONVERSATION, summary: null, messages: CONVERSATION.messages.filter(message => message.content !== REQUEST && !message.content.startsWith('•')) };
+    check('Without a request the transcript stops at "end the chat"', evaluationTranscript(ended).history.length === 4);
+
+    const grounded = lexicalGrounding('Floods flooded your street', turns);
+    check('A bullet in the participant\'s words is grounded', grounded.score === 1 && grounded.turnId === 'c-msg-1');
+    const invented = lexicalGrounding('Your sister persuaded you', turns);
+    check('A bullet they never said is not', invented.score === 0 && invented.turnId === null && invented.unmatched.join() === 'sister,persuad');
+    check('A bullet without content words has no score', lexicalGrounding('All of this', turns).score === null);
+
+    const verdict = parseJudgeReply('```json\n{"verdict": "Partly", "messageIds": ["c-msg-1"], "reason": "Adds a date"}\n```');
+    check('Judge replies are read from JSON', verdict.verdict === 'partly' && verdict.score === 0.5 && verdict.messageIds.join() === 'c-msg-1');
+    let rejected = 0;
+    for (const reply of ['Supported.', '{"verdict": "maybe"}']) {
+        try {
+            parseJudgeReply(reply);
+        } catch (error) {
+            rejected += 1;
+        }
+    }
+    check('Replies without JSON or with an unknown verdict are refused', rejected === 2);
+}
+
+async function testPrompt() {
+    const { hashText } = await import('./backend/src/utils/promptRegistry.js');
+    const { TIMED_SUMMARY_REQUEST, renderSummaryInstructions, buildSummaryRequest } = await import('./backend/src/utils/summaryPrompt.js');
+
+    // SHA-256 of the summary instructions the chat router held inline before they moved into v1.txt
+    const instructions = renderSummaryInstructions({ version: 1 });
+    check('timed-summary v1 is the pre-registry wording byte for byte',
+        hashText(instructions.text) === 'd0260b78c0f1112d1a530fd0f76033c838e697ec6d26e501f8df72139445f339');
+
+    const { history } = evaluationTranscript(CONVERSATION, { requestText: TIMED_SUMMARY_REQUEST });
+    const request = buildSummaryRequest({ arm: { id: 'standard', systemPromptVersion: 1 }, profile: null, history, version: 1 });
+    check('The request is the system prompt with the instructions, the transcript and the timed request',
+        request.messages[0].role === 'system' && request.messages[0].content.endsWith(instructions.text) &&
+        request.messages.length === history.length + 2 && request.messages[request.messages.length - 1].content === TIMED_SUMMARY_REQUEST);
+    check('It reports the prompt versions it used', request.systemPrompt.promptId === 'interviewer-standard' &&
+        request.instructions.promptId === 'timed-summary' && request.instructions.promptVersion === 1);
+}
+
+async function testEvaluation() {
+    const summariser = llmProvider.createProvider({
+        provider: 'mock',
+        respond: () => 'Here is what I heard:\n\n• The floods in your town\n\n• Reading climate research papers\n\nAnything to add?'
+    });
+    const judgeProvider = llmProvider.createProvider({
+        provider: 'mock',
+        respond: ([message]) => (message.content.includes('sister')
+            ? '{"verdict": "unsupported", "messageIds": [], "reason": "Never mentioned"}'
+            : message.content.includes('Summary point:\n\nBroken') ? 'not JSON'
+                : '{"verdict": "supported", "messageIds": ["c-msg-1"], "reason": "Stated"}')
+    });
+    const judge = createLlmJudge({
+        provider: judgeProvider,
+        render: ({ participant_turns, bullet }) => ({ text: `${participant_turns}\n\nSummary point:\n\n${bullet}` })
+    });
+    const silent = { id: 'silent', participantId: 'p_2', messages: [{ role: 'assistant', content: 'Hello' }] };
+    const variants = [
+        storedSummaryVariant(),
+        modelSummaryVariant({ name: 'timed-summary@v1', prompt: { promptId: 'timed-summary', promptVersion: 1 }, provider: summariser, buildMessages: ({ history }) => history })
+    ];
+
+    const report = await evaluateSummaries({ conversations: [CONVERSATION, silent], variants, judge, requestText: REQUEST });
+    const [stored, model] = report.variants;
+    check('Conversations without participant turns are skipped', report.skipped.length === 1 && report.skipped[0].conversationId === 'silent');
+    check('The stored summary is the baseline', report.baseline === 'stored' && stored.bullets === 2 && stored.groundedShare === 0.5);
+    check('The baseline names the prompt version it was written with', stored.promptVersions['timed-summary@v1'] === 1 &&
+        report.conversations[0].results.stored.prompt.promptHash === 'abc' && Object.keys(model.promptVersions).length === 0);
+    check('The summariser is given the transcript and its bullets are scored', summariser.calls[0].messages.length === 4 &&
+        model.bullets === 2 && model.groundedShare === 1 && model.prompt.promptVersion === 1);
+    check('The judge scores every bullet', report.judged && judgeProvider.calls.length === 4 && stored.judgeMean === 0.5 && model.supportedShare === 1);
+    check('The judge is shown the turns with their ids', judgeProvider.calls[0].messages[0].content.includes('[c-msg-1] The floods'));
+    check('Variants are compared with the baseline', model.vsBaseline.conversations === 1 &&
+        model.vsBaseline.groundedShare === 0.5 && model.vsBaseline.judgeMean === 0.5);
+    check('Bullets carry their scores', report.conversations[0].results.stored.scored[1].judge.verdict === 'unsupported' &&
+        report.conversations[0].results['timed-summary@v1'].scored[0].lexical.turnId === 'c-msg-1');
+
+    const failing = await evaluateSummaries({
+        conversations: [{ ...CONVERSATION, summary: null }, { ...CONVERSATION, id: 'broken', summary: { ...CONVERSATION.summary, bullets: ['Broken'] } }],
+        variants: [storedSummaryVariant(), { name: 'failing', summarise: async () => { throw new Error('provider down'); } }],
+        judge,
+        requestText: REQUEST
+    });
+    check('A conversation without a stored summary is counted, not scored', failing.variants[0].skipped === 1 && failing.variants[0].conversations === 1);
+    check('Summariser and judge failures are reported', failing.errors.length === 3 &&
+        failing.errors.some(error => error.variant === 'failing' && error.error === 'provider down') &&
+        failing.errors.some(error => error.conversationId === 'broken' && error.error.startsWith('Judge: ')));
+}
+
+function testScript() {
+    fs.mkdirSync(path.join(DATA_DIR, 'conversations'), { recursive: true });
+    fs.writeFileSync(path.join(DATA_DIR, 'conversations', `${CONVERSATION_ID}.json`), JSON.stringify({ ...CONVERSATION, id: CONVERSATION_ID }));
+
+    const env = { ...process.env, LLM_PROVIDER: 'mock', STORAGE_BACKEND: 'file' };
+    delete env.DATABASE_URL;
+    const run = spawnSync(process.execPath, [path.join(__dirname, 'scripts', 'evaluate-summaries.js'), '--id', CONVERSATION_ID, '--report', REPORT_FILE], {
+        env, encoding: 'utf8', timeout: 60000
+    });
+    const report = fs.existsSync(REPORT_FILE) ? JSON.parse(fs.readFileSync(REPORT_FILE, 'utf8')) : null;
+    check('The evaluation script finishes and writes its report', run.status === 0 && report?.provider?.name === 'mock');
+    check('It compares the stored summary with every prompt version', report?.variants.map(variant => variant.name).join() === 'stored,timed-summary@v1' &&
+        report.variants[1].prompt.promptHash.length === 64 && report.conversations[0].conversationId === CONVERSATION_ID);
+}
+
+async function runTest() {
+    try {
+        console.log('🧪 Testing summary evaluation...\n');
+        testScoring();
+        await testPrompt();
+        await testEvaluation();
+        testScript();
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        fs.rmSync(path.join(DATA_DIR, 'conversations', `${CONVERSATION_ID}.json`), { force: true });
+        fs.rmSync(REPORT_FILE, { force: true });
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+/**
+ * Test the per-bullet summary review (lib/summaryReview.js)
+ *
+ * Builds reviews directly (labels, rewrites, added themes, fidelity counts,
+ * incomplete or contradictory answers), checks the request schema's nested
+ * review entries and the summary_bullet_reviews rows (on the in-memory
+ * stand-in from test_repository.js), then runs the server in this process on
+ * file storage and checks that /api/chatbot-summary-validation stores the
+ * review against the summary held on the conversation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PORT = process.env.REVIEW_TEST_PORT || 3927;
+const BASE_URL = `http://localhost:${PORT}`;
+
+process.env.PORT = String(PORT);
+process.env.LLM_PROVIDER = 'mock';
+process.env.CHAT_SWEEP_INTERVAL_MS = '0';
+delete process.env.DATABASE_URL; // File storage only
+
+const { buildSummaryReview } = require('./lib/summaryReview');
+const { validate } = require('./lib/validation');
+const { CHATBOT_SUMMARY_VALIDATION } = require('./lib/surveySchemas');
+const { PrismaRepository } = require('./lib/repository');
+const { memoryPrisma } = require('./test_repository');
+const { createChecks } = require('./testing/checks');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const RUN = Date.now().toString(36);
+const CONVERSATION_ID = `review-test-${RUN}`;
+let participantId = null;
+
+const checks = createChecks('summary review');
+const { check } = checks;
+
+const SUMMARY = {
+    bullets: [
+        'Seeing the floods in your town made climate change feel real',
+        'Reading the research yourself confirmed what you saw',
+        'Your sister changed your mind'
+    ],
+    sourceMessageIds: [],
+    messageId: 'c-msg-6',
+    generator: 'model',
+    createdAt: '2026-10-19T10:14:03.000Z'
+};
+
+const REVIEWS = [
+    { index: 0, label: 'accurate', text: null },
+    { index: 1, label: 'inaccurate', text: 'I read the research before the floods, not after' },
+    { index: 2, label: 'inaccurate', text: null }
+];
+
+function testReviews() {
+    const { review, errors } = buildSummaryReview({
+        summary: SUMMARY,
+        conversationId: 'c',
+        reviews: REVIEWS,
+        addedThemes: ['  My job in farming  ', ''],
+        edits: [{ type: 'label', index: 0, label: 'accurate', at: '2026-10-19T10:20:00.000Z' }],
+        submittedAt: new Date('2026-10-19T10:21:00.000Z')
+    });
+    check('A complete review is accepted', errors.length === 0);
+    check('Each bullet is labelled', review.bullets.map(bullet => bullet.label).join() === 'accurate,corrected,inaccurate');
+    check('A rewrite is kept next to the original', review.bullets[1].original === SUMMARY.bullets[1] &&
+        review.bullets[1].corrected === 'I read the research before the floods, not after' && review.bullets[2].corrected === null);
+    check('The original summary is recorded', review.original.bullets.length === 3 && review.original.generator === 'model' &&
+        review.original.messageId === 'c-msg-6' && review.conversation_id === 'c');
+    check('Added themes are trimmed and blanks dropped', review.added_themes.join('|') === 'My job in farming');
+    check('The edit log is kept', review.edits.length === 1 && review.submitted_at === '2026-10-19T10:21:00.000Z');
+    check('Fidelity counts the labels', review.fidelity.accurate === 1 && review.fidelity.corrected === 1 &&
+        review.fidelity.inaccurate === 1 && review.fidelity.missing === 1 && review.fidelity.accuracy_rate === 1 / 3);
+
+    const unchanged = buildSummaryReview({ summary: SUMMARY, reviews: [REVIEWS[0], { index: 1, label: 'inaccurate', text: ` ${SUMMARY.bullets[1]} ` }, REVIEWS[2]] });
+    check('A rewrite identical to the original is not a correction', unchanged.review.bullets[1].label === 'inaccurate');
+
+    const codes = reviews => buildSummaryReview({ summary: SUMMARY, reviews }).errors.map(error => error.code).join();
+    check('Every bullet must be reviewed', codes(REVIEWS.slice(0, 2)) === 'required');
+    check('Reviews of bullets that do not exist are refused', codes([...REVIEWS, { index: 3, label: 'accurate' }]) === 'range');
+    check('A bullet reviewed twice is refused', codes([...REVIEWS, REVIEWS[0]]) === 'duplicate');
+    check('A rewritten bullet cannot be marked accurate', codes([{ index: 0, label: 'accurate', text: 'Something else' }, ...REVIEWS.slice(1)]) === 'type');
+}
+
+function testSchema() {
+    const body = { participant_id: 'p_1', summary_accurate: 'No', bullet_reviews: REVIEWS, summary_edits: [{ type: 'add', index: '0', text: 'Farming' }] };
+    const accepted = validate(CHATBOT_SUMMARY_VALIDATION, body);
+    check('Nested review entries are accepted and normalised', accepted.errors.length === 0 && accepted.value.summary_edits[0].index === 0);
+
+    const rejected = validate(CHATBOT_SUMMARY_VALIDATION, { ...body, bullet_reviews: [{ index: 0, label: 'maybe' }], summary_edits: ['add'] });
+    const byField = Object.fromEntries(rejected.errors.map(error => [error.field, error]));
+    check('A bad entry is reported with its position and field', byField.bullet_reviews?.code === 'enum' &&
+        byField.bullet_reviews.message.startsWith('Entry 1: label: Must be one of'));
+    check('Entries must be objects', byField.summary_edits?.code === 'type');
+}
+
+async function testRows() {
+    const prisma = memoryPrisma();
+    const repository = new PrismaRepository({ getPrisma: () => prisma });
+    const { review } = buildSummaryReview({ summary: SUMMARY, conversationId: 'c', reviews: REVIEWS, addedThemes: ['My job in farming'] });
+    await repository.participants.save({ participant_id: 'p_review', belief_change: { chatbot_summary_review: review } });
+    const rows = prisma.tables.summaryBulletReview;
+    check('One row per bullet and added theme', rows.length === 4 && rows.every(row => row.sessionId === 'p_review'));
+    const added = rows.find(row => row.source === 'participant');
+    check('Added themes follow the bullets', added.position === 4 && added.label === 'missing' && added.correctedText === 'My job in farming');
+    check('Bullet rows carry the label, rewrite and generator', rows[1].label === 'corrected' && rows[1].originalText === SUMMARY.bullets[1] &&
+        rows[1].generator === 'model' && rows[1].conversationId === 'c');
+
+    await repository.participants.save({ participant_id: 'p_review', belief_change: {} });
+    check('Rows are removed with the review', prisma.tables.summaryBulletReview.length === 0);
+}
+
+async function post(route, body) {
+    const response = await fetch(`${BASE_URL}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, data: await response.json().catch(() => ({})) };
+}
+
+async function waitForServer(timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            if ((await fetch(`${BASE_URL}/health`)).ok) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error('Server did not become ready in time');
+}
+
+const readParticipant = id => JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'participants', `${id}.json`), 'utf8'));
+
+async function testRoute() {
+    require('./server.js');
+    await waitForServer();
+    console.log(`\n🧪 Testing /api/chatbot-summary-validation reviews against ${BASE_URL}...\n`);
+
+    const survey = await post('/survey/submit', { prolific_id: `REVIEW${RUN}`, mind_change_direction: 'not_urgent_to_urgent', consent: true });
+    participantId = survey.data.participantId;
+    if (!participantId) throw new Error(`/survey/submit returned ${survey.status}`);
+    fs.mkdirSync(path.join(DATA_DIR, 'conversations'), { recursive: true });
+    fs.writeFileSync(path.join(DATA_DIR, 'conversations', `${CONVERSATION_ID}.json`), JSON.stringify({
+        id: CONVERSATION_ID, participantId, startedAt: new Date().toISOString(), messages: [], summary: SUMMARY
+    }));
+
+    // The page shows its own formatting of the bullets; the stored summary is what gets reviewed
+    const shown = SUMMARY.bullets.map(bullet => `${bullet}.`);
+    const base = { participant_id: participantId, summary_accurate: 'No', chatbot_summary: shown, conversation_id: CONVERSATION_ID };
+
+    const incomplete = await post('/api/chatbot-summary-validation', { ...base, bullet_reviews: REVIEWS.slice(0, 2) });
+    check('An incomplete review answers 400 with a field error', incomplete.status === 400 && incomplete.data.type === 'validation' &&
+        incomplete.data.errors[0].field === 'bullet_reviews' && !readParticipant(participantId).belief_change.chatbot_summary_validation);
+
+    const saved = await post('/api/chatbot-summary-validation', {
+        ...base,
+        bullet_reviews: REVIEWS,
+        added_themes: ['My job in farming'],
+        summary_edits: [
+            { type: 'label', index: 1, label: 'inaccurate', at: new Date().toISOString() },
+            { type: 'rewrite', index: 1, text: REVIEWS[1].text, at: new Date().toISOString() }
+        ]
+    });
+    const review = readParticipant(participantId).belief_change.chatbot_summary_review;
+    check('The review is saved', saved.status === 200 && Boolean(review));
+    check('It is checked against the stored summary', review.original.bullets.join() === SUMMARY.bullets.join() &&
+        review.bullets[0].original === SUMMARY.bullets[0] && review.conversation_id === CONVERSATION_ID);
+    check('Labels, themes and edits are stored', review.bullets.map(bullet => bullet.label).join() === 'accurate,corrected,inaccurate' &&
+        review.added_themes.length === 1 && review.edits.length === 2 && review.fidelity.missing === 1);
+
+    const pageCopy = await post('/api/chatbot-summary-validation', {
+        ...base,
+        conversation_id: null,
+        bullet_reviews: [{ index: 0, label: 'accurate' }, { index: 1, label: 'accurate' }, { index: 2, label: 'accurate' }]
+    });
+    const fromPage = readParticipant(participantId).belief_change.chatbot_summary_review;
+    check('Without a stored summary the page\'s copy is reviewed', pageCopy.status === 200 &&
+        fromPage.original.bullets.join() === shown.join() && fromPage.original.generator === null && fromPage.conversation_id === null);
+
+    const yesNo = await post('/api/chatbot-summary-validation', { participant_id: participantId, summary_accurate: 'Yes' });
+    check('A Yes/No answer alone is still accepted', yesNo.status === 200);
+}
+
+async function runTest() {
+    try {
+        console.log('🧪 Testing summary reviews...\n');
+        testReviews();
+        testSchema();
+        await testRows();
+        await testRoute();
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        fs.rmSync(path.join(DATA_DIR, 'conversations', `${CONVERSATION_ID}.json`), { force: true });
+        if (participantId) fs.rmSync(path.join(DATA_DIR, 'participants', `${participantId}.json`), { force: true });
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * Test the normalised survey tables (lib/surveyTables.js)
+ *
+ * Derives the rows from a participant record shaped like /survey/submit builds
+ * it, checks CCS items, display positions, the attention check, political
+ * views, belief change and exit survey rows, then checks that saving a
+ * participant through the Prisma repository writes them (on the in-memory
+ * stand-in from test_repository.js) and that the backfill fills them for
+ * participants saved before the tables existed.
+ */
+
+const { PrismaRepository } = require('./lib/repository');
+const { CCS_ITEMS, surveyRows, backfillSurveyTables } = require('./lib/surveyTables');
+const { memoryPrisma } = require('./test_repository');
+const { createChecks } = require('./testing/checks');
+
+const checks = createChecks('survey table');
+const { check } = checks;
+
+// Matrix rows in page order are ccs_01..ccs_06, attention_check, ccs_07..ccs_12; shown reversed here
+const ROW_ORDER = [12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0];
+
+function participant(id, extra = {}) {
+    const ccs = {};
+    CCS_ITEMS.forEach((item, index) => {
+        ccs[`${item}_raw`] = index === 0 ? 'N/a' : 10 * index;
+        ccs[`${item}_scored`] = index === 0 ? 'N/a' : 10 * index;
+        ccs[`${item}_was_moved`] = index === 0 ? null : true;
+    });
+    return {
+        participant_id: id,
+        prolific_id: `PROLIFIC_${id}`,
+        demographics: { age: 34 },
+        belief_change: {
+            has_changed_mind: 'not_urgent_to_urgent',
+            mind_change_direction: 'not_urgent_to_urgent',
+            mind_change_no_change: false,
+            ai_confidence_slider: 80,
+            chatbot_summary_validation: 'Yes'
+        },
+        views_matrix: {
+            climate_change_views: {
+                ...ccs,
+                // The survey route stores a passed check's value of 0 as null
+                attention_check_value: null,
+                attention_check_passed: true,
+                attention_check_was_moved: true,
+                ccs_row_order: ROW_ORDER
+            },
+            political_views: { economic_issues: 3, social_issues: 5, political_views_order: [1, 0], economic_issues_answered: true, social_issues_answered: true }
+        },
+        post_chat: { final_belief_confidence: 70, chatbot_summary_accuracy: 'Yes' },
+        timestamps: { started: '2026-10-19T10:00:00.000Z', completed: '2026-10-19T10:30:00.000Z' },
+        ...extra
+    };
+}
+
+function testRows() {
+    const rows = surveyRows(participant('p1'));
+    const byItem = Object.fromEntries(rows.ccsResponses.map(row => [row.item, row]));
+
+    check('One CCS row per item', rows.ccsResponses.length === 12);
+    check('Untouched sliders have no value and were not moved', byItem.ccs_01.rawValue === null && byItem.ccs_01.wasMoved === null);
+    check('Raw and scored values are numbers', byItem.ccs_03.rawValue === 20 && byItem.ccs_03.scoredValue === 20 && byItem.ccs_03.wasMoved === true);
+    check('Reverse-keyed items are flagged', byItem.ccs_02.reverseScored && byItem.ccs_05.reverseScored && !byItem.ccs_03.reverseScored);
+    check('Display positions come from the row order, skipping no rows',
+        byItem.ccs_12.displayPosition === 1 && byItem.ccs_07.displayPosition === 6 && byItem.ccs_01.displayPosition === 13);
+
+    const [attention] = rows.attentionChecks;
+    check('The attention check is its own row', rows.attentionChecks.length === 1 && attention.name === 'ccs_matrix' && attention.displayPosition === 7);
+    check('A passed check stored as null is read as 0', attention.value === 0 && attention.passed === true);
+    const failed = surveyRows(participant('p2', {
+        views_matrix: { climate_change_views: { attention_check_value: 50, attention_check_passed: null, attention_check_was_moved: null } }
+    })).attentionChecks[0];
+    check('A failed check is recorded as failed', failed.value === 50 && failed.passed === false);
+
+    check('Political views carry their display positions',
+        rows.politicalViews.economicIssues === 3 && rows.politicalViews.socialIssues === 5 &&
+        rows.politicalViews.economicPosition === 2 && rows.politicalViews.socialPosition === 1);
+    check('Belief change answers are typed', rows.beliefChange.hasChangedMind === true &&
+        rows.beliefChange.direction === 'not_urgent_to_urgent' && rows.beliefChange.aiConfidenceSlider === 80 &&
+        rows.beliefChange.chatbotSummaryValidation === 'Yes');
+    check('Exit survey has the completion time', rows.exitSurvey.finalBeliefConfidence === 70 &&
+        rows.exitSurvey.completedAt.toISOString() === '2026-10-19T10:30:00.000Z');
+
+    const honeypot = surveyRows({ id: 'h1', honeypot_triggered: true });
+    check('Records without survey sections have no rows', honeypot.ccsResponses.length === 0 && honeypot.attentionChecks.length === 0 &&
+        !honeypot.politicalViews && !honeypot.beliefChange && !honeypot.exitSurvey);
+}
+
+async function testRepositoryWrites() {
+    const prisma = memoryPrisma();
+    const repository = new PrismaRepository({ getPrisma: () => prisma });
+
+    await repository.participants.save(participant('p1', { post_chat: {}, timestamps: { completed: null } }));
+    check('Saving a participant writes the survey rows', prisma.tables.ccsResponse.length === 12 &&
+        prisma.tables.attentionCheck.length === 1 && prisma.tables.politicalViews.length === 1 &&
+        prisma.tables.beliefChange.length === 1 && prisma.tables.exitSurvey.length === 0);
+
+    await repository.participants.save(participant('p1'));
+    check('Saving again replaces the rows rather than adding to them', prisma.tables.ccsResponse.length === 12 &&
+        prisma.tables.politicalViews.length === 1 && prisma.tables.exitSurvey.length === 1);
+    check('The participant record still reads back whole', (await repository.participants.get('p1')).post_chat.final_belief_confidence === 70);
+}
+
+async function testBackfill() {
+    const prisma = memoryPrisma();
+    // Participants saved before the tables existed, and an old participant copy on a conversation row
+    for (const [sessionId, raw] of [['p1', participant('p1')], ['p2', participant('p2')], ['c1', participant('p1')]]) {
+        await prisma.session.create({ data: { id: sessionId, raw } });
+        await prisma.individualDifferences.create({ data: { sessionId, raw } });
+    }
+
+    const dryRun = await backfillSurveyTables({ prisma, dryRun: true, pageSize: 1 });
+    check('Dry run counts the rows without writing them', dryRun.participants === 2 && dryRun.rows.ccsResponses === 24 &&
+        prisma.tables.ccsResponse.length === 0);
+
+    const report = await backfillSurveyTables({ prisma, pageSize: 1 });
+    check('Backfill writes every participant across pages', report.participants === 2 && prisma.tables.ccsResponse.length === 24 &&
+        prisma.tables.beliefChange.length === 2 && report.errors.length === 0);
+    check('Legacy participant copies on conversation rows are skipped', !prisma.tables.ccsResponse.some(row => row.sessionId === 'c1'));
+
+    await backfillSurveyTables({ prisma });
+    check('Running the backfill again changes nothing', prisma.tables.ccsResponse.length === 24 && prisma.tables.exitSurvey.length === 2);
+}
+
+async function runTest() {
+    try {
+        console.log('🧪 Testing the survey answer tables...\n');
+        testRows();
+        await testRepositoryWrites();
+        await testBackfill();
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
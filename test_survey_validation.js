@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * Test request body validation for the survey endpoints (lib/validation.js,
+ * lib/surveySchemas.js)
+ *
+ * Checks the schemas directly (numeric strings are accepted, "N/a" sliders
+ * pass, out-of-range and mistyped answers are reported per field, the mind
+ * change rules), then runs the server in this process on file storage and
+ * checks that /survey/submit, /api/end-survey and
+ * /api/chatbot-summary-validation answer 400 with field-level errors and
+ * save nothing, and still accept what the survey pages send.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PORT = process.env.VALIDATION_TEST_PORT || 3924;
+const BASE_URL = `http://localhost:${PORT}`;
+
+process.env.PORT = String(PORT);
+process.env.LLM_PROVIDER = 'mock';
+process.env.CHAT_SWEEP_INTERVAL_MS = '0';
+delete process.env.DATABASE_URL; // File storage only
+
+const { validate } = require('./lib/validation');
+const { SURVEY_SUBMIT, END_SURVEY, CHATBOT_SUMMARY_VALIDATION } = require('./lib/surveySchemas');
+const { createChecks } = require('./testing/checks');
+
+const PARTICIPANTS_DIR = path.join(__dirname, 'data', 'participants');
+const RUN = Date.now().toString(36);
+const created = [];
+
+const checks = createChecks('survey validation');
+const { check } = checks;
+
+const fieldsOf = errors => errors.map(error => error.field).sort().join();
+
+// What belief-confidence.html sends after the earlier pages
+const submission = (extra = {}) => ({
+    prolific_id: `VALIDATION${RUN}`,
+    age: 34,
+    gender: 'Woman',
+    education: "Bachelor's degree",
+    views_changed: 'Yes',
+    mind_change_direction: 'not_urgent_to_urgent',
+    mind_change_no_change: false,
+    mind_change_other_text: null,
+    consent: true,
+    ccs_01_raw: 'N/a', ccs_01_scored: 'N/a', ccs_01_was_moved: false,
+    ccs_02_raw: 0, ccs_02_scored: 100, ccs_02_was_moved: true,
+    attention_check_value: 0, attention_check_passed: true, attention_check_was_moved: true,
+    ccs_mean_scored: 62.5,
+    ccs_trust_mean: 'N/a',
+    ccs_row_order: [6, 0, 1, 2, 3, 4, 5, 7, 8, 9, 10, 11, 12],
+    economic_issues: 4,
+    social_issues: null,
+    economic_issues_answered: true,
+    social_issues_answered: false,
+    political_views_order: [1, 0],
+    current_views: 'It is urgent.',
+    elaboration: 'The floods changed my mind.',
+    ai_summary_generated: 'Climate change is urgent.',
+    confidence_level: 'N/a',
+    ai_accurate: 'Yes',
+    missing_info: null,
+    ...extra
+});
+
+function testSchemas() {
+    const accepted = validate(SURVEY_SUBMIT, submission({ age: '34', economic_issues: '4', confidence_level: '87', gender: '' }));
+    check('A survey page submission is accepted', accepted.errors.length === 0);
+    check('Numeric strings become numbers and "" becomes null',
+        accepted.value.age === 34 && accepted.value.economic_issues === 4 && accepted.value.confidence_level === 87 && accepted.value.gender === null);
+    check('Untouched sliders stay "N/a"', accepted.value.ccs_01_raw === 'N/a' && accepted.value.ccs_trust_mean === 'N/a');
+    check('Undeclared fields pass through', validate(SURVEY_SUBMIT, submission({ political_orientation: null })).value.political_orientation === null);
+
+    const rejected = validate(SURVEY_SUBMIT, submission({
+        economic_issues: 8,
+        social_issues: 2.5,
+        ccs_03_raw: 101,
+        ccs_04_scored: 'abc',
+        mind_change_direction: 'sideways',
+        ccs_row_order: [0, 0],
+        age: 12
+    }));
+    check('Every invalid field is reported', fieldsOf(rejected.errors) ===
+        'age,ccs_03_raw,ccs_04_scored,ccs_row_order,economic_issues,mind_change_direction,social_issues');
+    const byField = Object.fromEntries(rejected.errors.map(error => [error.field, error]));
+    check('Errors carry a code and a message', byField.economic_issues.code === 'range' &&
+        byField.economic_issues.message === 'Must be between 1 and 7' && byField.social_issues.code === 'type' &&
+        byField.mind_change_direction.code === 'enum' && byField.ccs_row_order.code === 'duplicate');
+
+    check('A direction is required unless no change was reported',
+        fieldsOf(validate(SURVEY_SUBMIT, submission({ mind_change_direction: null })).errors) === 'mind_change_direction' &&
+        validate(SURVEY_SUBMIT, submission({ mind_change_direction: null, mind_change_no_change: true })).errors.length === 0);
+    check('"Other" needs a description',
+        fieldsOf(validate(SURVEY_SUBMIT, submission({ mind_change_direction: 'other', mind_change_other_text: '  ' })).errors) === 'mind_change_other_text');
+    check('Legacy submissions need views_changed', fieldsOf(validate(SURVEY_SUBMIT, {
+        prolific_id: 'LEGACY', age: 30
+    }).errors) === 'views_changed');
+
+    check('End survey needs a participant and a 0-10 rating',
+        fieldsOf(validate(END_SURVEY, { summaryConfidence: 11, finalConfidenceLevel: 'N/a' }).errors) === 'participant_id,summaryConfidence');
+    check('Summary validation needs Yes or No and a list of bullets',
+        fieldsOf(validate(CHATBOT_SUMMARY_VALIDATION, { participant_id: 'p_1', summary_accurate: 'Maybe', chatbot_summary: 'one' }).errors) ===
+        'chatbot_summary,summary_accurate');
+}
+
+async function request(route, body) {
+    const response = await fetch(`${BASE_URL}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, data: await response.json().catch(() => ({})) };
+}
+
+async function waitForServer(timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            if ((await fetch(`${BASE_URL}/health`)).ok) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error('Server did not become ready in time');
+}
+
+const participantFiles = () => (fs.existsSync(PARTICIPANTS_DIR) ? fs.readdirSync(PARTICIPANTS_DIR).length : 0);
+const readParticipant = id => JSON.parse(fs.readFileSync(path.join(PARTICIPANTS_DIR, `${id}.json`), 'utf8'));
+
+async function testRoutes() {
+    require('./server.js');
+    await waitForServer();
+    console.log(`\n🧪 Testing survey endpoints against ${BASE_URL}...\n`);
+
+    const before = participantFiles();
+    const invalid = await request('/survey/submit', submission({ economic_issues: 9, ccs_05_raw: -1 }));
+    check('/survey/submit answers 400 with field errors', invalid.status === 400 && invalid.data.type === 'validation' &&
+        fieldsOf(invalid.data.errors) === 'ccs_05_raw,economic_issues' && invalid.data.errors.every(error => error.message));
+    check('An invalid submission saves nothing', participantFiles() === before);
+
+    const single = await request('/survey/submit', submission({ mind_change_direction: 'other' }));
+    check('A single error is also the top-level message', single.status === 400 &&
+        single.data.error === 'Please describe your belief change when "Other" is selected');
+
+    const valid = await request('/survey/submit', submission({ economic_issues: '5' }));
+    const participantId = valid.data.participantId;
+    if (participantId) created.push(participantId);
+    check('A valid submission is saved', valid.status === 200 && Boolean(participantId));
+    check('Normalised values are what gets stored', participantId &&
+        readParticipant(participantId).views_matrix.political_views.economic_issues === 5);
+
+    const endInvalid = await request('/api/end-survey', { participant_id: participantId, summaryConfidence: 12, finalConfidenceLevel: 150 });
+    check('/api/end-survey answers 400 with field errors', endInvalid.status === 400 &&
+        fieldsOf(endInvalid.data.errors) === 'finalConfidenceLevel,summaryConfidence');
+    const endValid = await request('/api/end-survey', { participant_id: participantId, summaryConfidence: 8, finalConfidenceLevel: 'N/a' });
+    check('/api/end-survey accepts the exit survey page', endValid.status === 200 && endValid.data.ok === true);
+
+    const validationInvalid = await request('/api/chatbot-summary-validation', { participant_id: participantId, summary_accurate: 'yes' });
+    check('/api/chatbot-summary-validation answers 400 with field errors', validationInvalid.status === 400 &&
+        fieldsOf(validationInvalid.data.errors) === 'summary_accurate');
+    const missing = await request('/api/chatbot-summary-validation', { summary_accurate: 'Yes' });
+    check('A missing participant is reported as before', missing.status === 400 && missing.data.error === 'Participant ID is required');
+    const validationValid = await request('/api/chatbot-summary-validation', {
+        participant_id: participantId,
+        summary_accurate: 'Yes',
+        chatbot_summary: ['You now see climate change as urgent.'],
+        timestamp: new Date().toISOString()
+    });
+    check('/api/chatbot-summary-validation accepts the validation page', validationValid.status === 200 &&
+        readParticipant(participantId).belief_change.chatbot_summary_validation === 'Yes');
+}
+
+async function runTest() {
+    try {
+        console.log('🧪 Testing survey request schemas...\n');
+        testSchemas();
+        await testRoutes();
+    } catch (error) {
+        console.error(`\n❌ TEST FAILED: ${error.message}`);
+        checks.fail();
+    } finally {
+        created.forEach(id => fs.rmSync(path.join(PARTICIPANTS_DIR, `${id}.json`), { force: true }));
+    }
+
+    return checks.report();
+}
+
+if (require.main === module) {
+    runTest().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runTest };
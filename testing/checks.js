@@ -0,0 +1,39 @@
+/**
+ * Pass/fail tally shared by the test_*.js scripts
+ *
+ * Each script creates its own tally and reports it once at the end:
+ *
+ *     const checks = createChecks('outbox');
+ *     const { check } = checks;
+ *     check('Failed writes are queued', depth === 1);
+ *     process.exit(checks.report() ? 0 : 1);
+ */
+
+/**
+ * @param {string} name - What the script checks, for the closing line
+ * @returns {{check: Function, fail: Function, passed: boolean, report: Function}}
+ */
+function createChecks(name) {
+    let success = true;
+    return {
+        // Print one result; a false condition fails the run but later checks still run
+        check(label, condition) {
+            console.log(`${condition ? '✅' : '❌'} ${label}`);
+            if (!condition) success = false;
+        },
+        // Fail the run without a check, e.g. when an error stops it part-way
+        fail() {
+            success = false;
+        },
+        get passed() {
+            return success;
+        },
+        // Print the closing line; true if every check passed
+        report() {
+            console.log(`\n${success ? `✅ All ${name} checks passed` : `❌ Some ${name} checks failed`}`);
+            return success;
+        }
+    };
+}
+
+module.exports = { createChecks };